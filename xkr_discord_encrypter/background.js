@@ -4,7 +4,13 @@
 
 'use strict';
 
+var chatHosts = platformHosts(); // see platforms.js
+
+chrome.runtime.onStartup.addListener(ensureIdentity);
+
 chrome.runtime.onInstalled.addListener(function() {
+  ensureIdentity();
+  chrome.storage.local.remove('emojidata'); // emojis learned from the page by earlier versions
   chrome.storage.sync.set({color: '#3aa757'}, function() {
     console.log('The color is green.');
   });
@@ -16,14 +22,200 @@ chrome.runtime.onInstalled.addListener(function() {
   chrome.declarativeContent.onPageChanged.removeRules(undefined, function() {
     chrome.declarativeContent.onPageChanged.addRules([{
 		
-      conditions: [new chrome.declarativeContent.PageStateMatcher({
-		  
-        pageUrl: {hostEquals: 'discordapp.com'},
-      })],
+      // discord.com, discordapp.com and subdomains like canary. and ptb., and the other chats
+      conditions: chatHosts.reduce(function(conditions, host) {
+        return conditions.concat([
+          new chrome.declarativeContent.PageStateMatcher({pageUrl: {hostEquals: host}}),
+          new chrome.declarativeContent.PageStateMatcher({pageUrl: {hostSuffix: '.' + host}})
+        ]);
+      }, []),
       actions: [new chrome.declarativeContent.ShowPageAction()]
     }]);
   });
 });
 
+// Discord and Slack switch channels with the History API, which content scripts
+// cannot see. Tell inject.js so it derives the keys of the new channel.
+chrome.webNavigation.onHistoryStateUpdated.addListener(function(details) {
+  chrome.tabs.sendMessage(details.tabId, {action: 'navigated', url: details.url}, function() {
+    if (chrome.runtime.lastError) return; // inject.js is not loaded in the tab yet
+  });
+}, {url: chatHosts.map(function(host) { return {hostSuffix: host}; })});
+
+/*
+The vault while it is unlocked, see vault.js. {key, stored, entries}
+It only lives in this page's memory, which is why the page is persistent:
+the vault stays unlocked for the browser session, or until the browser is idle.
+*/
+var vault = null;
+
+chrome.storage.local.set({vaultstate: 'locked'});
+
+function lockVault() {
+  vault = null;
+  chrome.storage.local.set({vaultstate: 'locked'});
+}
+
+function saveVault(callback) {
+  sealVault(vault.stored, vault.key, vault.entries).then(function(sealed) {
+    vault.stored = sealed;
+    chrome.storage.local.set({vault: sealed}, function() {
+      callback(null);
+    });
+  }).catch(function(error) {
+    callback(error.message);
+  });
+}
+
+function unlockVault(password, sendResponse) {
+  chrome.storage.local.get('vault', function(obj) {
+    if (obj.vault == undefined) {
+      sendResponse({error: 'There is no vault'});
+      return;
+    }
+    openVault(obj.vault, password).then(function(opened) {
+      vault = {key: opened.key, stored: obj.vault, entries: opened.entries};
+      chrome.storage.local.set({vaultstate: 'unlocked'});
+      sendResponse({error: null});
+    }).catch(function(error) {
+      sendResponse({error: error.message});
+    });
+  });
+}
+
+// Moves the key rings stored in plaintext into a new vault.
+function startVault(password, sendResponse) {
+  chrome.storage.local.get(null, function(obj) {
+    if (obj.vault != undefined) {
+      sendResponse({error: 'There already is a vault'});
+      return;
+    }
+    createVault(password).then(function(created) {
+      var moved = Object.keys(obj).filter(isVaultKey);
+      var entries = {};
+      moved.forEach(function(name) {
+        entries[name] = obj[name];
+      });
+      vault = {key: created.key, stored: created.stored, entries: entries};
+      saveVault(function(error) {
+        if (error != null) {
+          vault = null;
+          sendResponse({error: error});
+          return;
+        }
+        chrome.storage.local.remove(moved, function() {
+          chrome.storage.local.set({vaultstate: 'unlocked'});
+          sendResponse({error: null});
+        });
+      });
+    }).catch(function(error) {
+      sendResponse({error: error.message});
+    });
+  });
+}
+
+function updateVault(entries, sendResponse) {
+  if (vault == null) {
+    sendResponse({error: 'The keys are locked'});
+    return;
+  }
+  for (var name in entries) {
+    if (!isVaultKey(name)) continue;
+    if (entries[name] == null) {
+      delete vault.entries[name];
+    } else {
+      vault.entries[name] = entries[name];
+    }
+  }
+  saveVault(function(error) {
+    sendResponse({error: error});
+  });
+}
+
+// A tab at an Element room alias shows the room inject.js read from the page, see resolve
+// in platforms.js. This page cannot check that, so the tab may ask for any room id of its platform.
+function showsRoute(shown, route, platform) {
+  if (shown.guild == route.guild && shown.channel == route.channel) return true;
+  return platform.isAlias != undefined && platform.isAlias(shown) && !platform.isAlias(route) && platformOfGuild(route.guild) == platform;
+}
+
+function isExtensionPage(sender) {
+  return sender.url != undefined && sender.url.indexOf(chrome.runtime.getURL('')) == 0;
+}
+
+// The popup and the options page get every key ring. A content script only gets
+// the rings of the channel it asks for, and only when its tab shows that channel.
+function vaultEntries(request, sender) {
+  if (isExtensionPage(sender)) {
+    return vault.entries;
+  }
+  var route = routeFromIds(request.guild, request.channel);
+  var shown = sender.url == undefined ? null : channelRoute(sender.url);
+  if (route == null || shown == null || !showsRoute(shown, route, platformFor(sender.url))) {
+    return {};
+  }
+  var entries = {};
+  [route.serverurl, route.channelurl, route.legacyserverurl, route.legacychannelurl].forEach(function(name) {
+    if (name != null && vault.entries[name] != undefined) {
+      entries[name] = vault.entries[name];
+    }
+  });
+  return entries;
+}
+
+// Content scripts may read their keys and lock the vault, only extension pages may unlock or change it.
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action == 'vaultget') {
+    sendResponse({entries: vault == null ? null : vaultEntries(request, sender)});
+  } else if (request.action == 'vaultlock') {
+    lockVault();
+    sendResponse({error: null});
+  } else if (!isExtensionPage(sender)) {
+    sendResponse({error: 'Only the popup and the options page can change the keys'});
+  } else if (request.action == 'vaultunlock') {
+    unlockVault(request.password, sendResponse);
+    return true;
+  } else if (request.action == 'vaultcreate') {
+    startVault(request.password, sendResponse);
+    return true;
+  } else if (request.action == 'vaultset') {
+    updateVault(request.entries, sendResponse);
+    return true;
+  }
+});
+
+// Locks the vault when the user has been away for "vaultidle" minutes, or locks the screen.
+function watchIdle() {
+  chrome.storage.local.get('vaultidle', function(obj) {
+    var minutes = obj.vaultidle == undefined ? VAULT_IDLE_MINUTES : Number(obj.vaultidle);
+    chrome.idle.setDetectionInterval(Math.max(15, minutes * 60));
+  });
+}
+
+chrome.idle.onStateChanged.addListener(function(state) {
+  if (state != 'active' && vault != null) {
+    lockVault();
+  }
+});
+
+chrome.storage.onChanged.addListener(function(changes, area) {
+  if (area == 'local' && changes.vaultidle != undefined) {
+    watchIdle();
+  }
+});
+
+watchIdle();
+
+// The encrypt-message shortcut from manifest.json, rebindable on chrome://extensions/shortcuts.
+chrome.commands.onCommand.addListener(function(command) {
+  if (command != 'encrypt-message') return;
+  chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+    if (tabs.length == 0) return;
+    chrome.tabs.sendMessage(tabs[0].id, {action: 'encrypt'}, function() {
+      if (chrome.runtime.lastError) return; // not a chat tab
+    });
+  });
+});
+
 
 
@@ -0,0 +1,276 @@
+/****************************
+
+backup
+Exports everything in chrome.storage.local to a file encrypted with a backup
+password, and imports it again, e.g. on a new machine.
+
+The file is JSON:
+
+	{format: "xkr-backup", version: 1, created, kdf: "PBKDF2-SHA256", iter, salt, nonce, data}
+
+salt, nonce and data are base64. data is the AES-256-GCM encryption of
+{entries: {storage key: value}}, with key rings taken out of the vault, see vault.js.
+The vault itself, its state and the learned emojis are not exported.
+
+On import every entry is compared with what is stored:
+	new       not stored yet, added
+	same      stored with the same value, left alone
+	conflict  stored with a different value, the user picks what to keep.
+	          Key rings can also be merged, see mergeKeyRings.
+
+Needs envelope.js, keyring.js, vault.js and ringLabel from dashboard.js.
+
+****************************/
+
+'use strict';
+
+var BACKUP_FORMAT = "xkr-backup";
+var BACKUP_VERSION = 1;
+var BACKUP_CONTEXT = "XKR-Discord-Encrypter/backup/v1";
+var BACKUP_SKIPPED_KEYS = ["vault", "vaultstate", "emojidata"];
+var BACKUP_MAX_ITERATIONS = 1000000;
+
+var backupimport = null; // {entries, stored} of the backup being imported, and what was stored when it was read
+
+function backupEntries(obj) {
+	var entries = {};
+	for (var name in obj) {
+		if(BACKUP_SKIPPED_KEYS.indexOf(name) == -1) entries[name] = obj[name];
+	}
+	return entries;
+}
+
+/****************************
+
+sealBackup
+Resolves to the text of the backup file.
+
+****************************/
+
+function sealBackup(entries, password) {
+	var salt = crypto.getRandomValues(new Uint8Array(16));
+	var nonce = crypto.getRandomValues(new Uint8Array(12));
+	return deriveVaultKey(password, salt, VAULT_ITERATIONS).then(function (key) {
+		return crypto.subtle.encrypt(
+			{name: "AES-GCM", iv: nonce, additionalData: envelopeEncoder.encode(BACKUP_CONTEXT)},
+			key,
+			envelopeEncoder.encode(JSON.stringify({entries: entries}))
+		);
+	}).then(function (data) {
+		return JSON.stringify({
+			format: BACKUP_FORMAT,
+			version: BACKUP_VERSION,
+			created: Date.now(),
+			kdf: "PBKDF2-SHA256",
+			iter: VAULT_ITERATIONS,
+			salt: bytesToBase64(salt),
+			nonce: bytesToBase64(nonce),
+			data: bytesToBase64(new Uint8Array(data))
+		}, null, "\t");
+	});
+}
+
+/****************************
+
+openBackup
+Resolves to the entries of a backup file.
+Rejects when the file is not a backup, has an unknown version or the password is wrong.
+
+****************************/
+
+function openBackup(text, password) {
+	var backup;
+	try {
+		backup = JSON.parse(text);
+	} catch(error) {
+		return Promise.reject(new Error("This is not a backup file"));
+	}
+	if(backup == null || backup.format != BACKUP_FORMAT) {
+		return Promise.reject(new Error("This is not a backup file"));
+	}
+	if(backup.version != BACKUP_VERSION) {
+		return Promise.reject(new Error("Backup version " + backup.version + " is not supported, update the extension"));
+	}
+	if(backup.kdf != "PBKDF2-SHA256" || !(backup.iter >= VAULT_ITERATIONS && backup.iter <= BACKUP_MAX_ITERATIONS)) {
+		return Promise.reject(new Error("Unsupported backup key derivation"));
+	}
+	return deriveVaultKey(password, base64ToBytes(backup.salt), backup.iter).then(function (key) {
+		return crypto.subtle.decrypt(
+			{name: "AES-GCM", iv: base64ToBytes(backup.nonce), additionalData: envelopeEncoder.encode(BACKUP_CONTEXT)},
+			key,
+			base64ToBytes(backup.data)
+		);
+	}).then(function (data) {
+		return JSON.parse(envelopeDecoder.decode(new Uint8Array(data))).entries;
+	}, function () {
+		throw new Error("Wrong backup password");
+	}).then(function (entries) {
+		for (var name in entries) {
+			if(BACKUP_SKIPPED_KEYS.indexOf(name) != -1 || (isVaultKey(name) && !isKeyRing(entries[name]))) {
+				throw new Error("The backup is damaged: " + name);
+			}
+		}
+		return entries;
+	});
+}
+
+/****************************
+
+compareBackup
+Names of the backup entries that conflict with what is stored, see above.
+Counts new and same entries in counts.
+
+****************************/
+
+function compareBackup(stored, entries, counts) {
+	var conflicts = [];
+	for (var name in entries) {
+		if(stored[name] == undefined) {
+			counts.added++;
+		} else if(JSON.stringify(stored[name]) == JSON.stringify(entries[name])) {
+			counts.same++;
+		} else {
+			conflicts.push(name);
+		}
+	}
+	return conflicts;
+}
+
+function backupFileName() {
+	return "xkr-backup-" + new Date().toISOString().substring(0, 10) + ".json";
+}
+
+function showBackupInfo(text) {
+	document.getElementById("backupinfo").textContent = text;
+}
+
+document.getElementById("backupexport").addEventListener("click", function (event) {
+	event.preventDefault();
+	var password = document.getElementById("backuppassword").value;
+	if(password.length < 8) {
+		showBackupInfo("Choose a backup password of at least 8 characters.");
+		return;
+	}
+	readKeyStore(function (obj, locked) {
+		if(locked) {
+			showBackupInfo("Your keys are locked. Unlock them from the popup first.");
+			return;
+		}
+		sealBackup(backupEntries(obj), password).then(function (text) {
+			var link = document.createElement("a");
+			link.href = URL.createObjectURL(new Blob([text], {type: "application/json"}));
+			link.download = backupFileName();
+			link.click();
+			URL.revokeObjectURL(link.href);
+			showBackupInfo("Done. Keep the file and its password apart.");
+		}).catch(function (error) {
+			showBackupInfo("Error. " + error.message);
+		});
+	});
+});
+
+/****************************
+
+Import
+Reading the file shows its conflicts, each with a choice. Import applies them.
+
+****************************/
+
+function conflictChoice(name, options) {
+	var select = document.createElement("select");
+	select.setAttribute("data-name", name);
+	options.forEach(function (option) {
+		var element = document.createElement("option");
+		element.value = option[0];
+		element.textContent = option[1];
+		select.appendChild(element);
+	});
+	return select;
+}
+
+function showConflicts(conflicts) {
+	var list = document.getElementById("backupconflicts");
+	list.textContent = "";
+	conflicts.forEach(function (name) {
+		var row = document.createElement("li");
+		var label = document.createElement("span");
+		label.textContent = (parseKeyRingName(name) != null ? ringLabel(name) + " " : "") + "(" + name + ") ";
+		row.appendChild(label);
+		var options = [["mine", "Keep mine"], ["backup", "Use the backup"]];
+		if(parseKeyRingName(name) != null) {
+			options.unshift(["merge", "Keep the keys of both"]);
+		}
+		row.appendChild(conflictChoice(name, options));
+		list.appendChild(row);
+	});
+}
+
+document.getElementById("backupread").addEventListener("click", function (event) {
+	event.preventDefault();
+	var file = document.getElementById("backupfile").files[0];
+	if(file == undefined) {
+		showBackupInfo("Pick a backup file first.");
+		return;
+	}
+	var entries;
+	file.text().then(function (text) {
+		return openBackup(text, document.getElementById("backuppassword").value);
+	}).then(function (opened) {
+		entries = opened;
+		readKeyStore(function (obj, locked) {
+			if(locked) {
+				showBackupInfo("Your keys are locked. Unlock them from the popup first.");
+				return;
+			}
+			var counts = {added: 0, same: 0};
+			var conflicts = compareBackup(backupEntries(obj), entries, counts);
+			backupimport = {entries: entries, stored: obj};
+			showConflicts(conflicts);
+			document.getElementById("backupimport").style.display = "";
+			showBackupInfo(counts.added + " new, " + counts.same + " unchanged and " + conflicts.length + " conflicting entries. " + (conflicts.length > 0 ? "Choose what to keep, then import." : "Import to add the new entries."));
+		});
+	}).catch(function (error) {
+		showBackupInfo("Error. " + error.message);
+	});
+});
+
+document.getElementById("backupimport").addEventListener("click", function (event) {
+	event.preventDefault();
+	if(backupimport == null) return;
+	var stored = backupimport.stored;
+	var entries = backupimport.entries;
+	var choices = {};
+	var selects = document.querySelectorAll("#backupconflicts select");
+	for (var i = 0; i < selects.length; i++) {
+		choices[selects[i].getAttribute("data-name")] = selects[i].value;
+	}
+
+	var rings = {};
+	var settings = {};
+	for (var name in entries) {
+		var value = entries[name];
+		if(stored[name] != undefined) {
+			if(choices[name] == undefined || choices[name] == "mine") continue; // unchanged, or kept
+			if(choices[name] == "merge") {
+				value = mergeKeyRings(readKeyRing(stored[name]), readKeyRing(entries[name]));
+			}
+		}
+		if(isVaultKey(name)) {
+			rings[name] = value;
+		} else {
+			settings[name] = value;
+		}
+	}
+	writeKeyStore(rings, function (error) {
+		if(error != null) {
+			showBackupInfo("Error. " + error);
+			return;
+		}
+		chrome.storage.local.set(settings, function () {
+			backupimport = null;
+			document.getElementById("backupconflicts").textContent = "";
+			document.getElementById("backupimport").style.display = "none";
+			showBackupInfo("Done. " + (Object.keys(rings).length + Object.keys(settings).length) + " entries have been imported.");
+		});
+	});
+});
@@ -0,0 +1,245 @@
+/****************************
+
+dashboard
+Every stored server and channel key ring on the options page, see keyring.js.
+
+Rows are labeled with the names inject.js saw in Discord ("keynames"),
+unless they were renamed here ("keylabels"). "keyused" has the last time
+inject.js used each key ring to encrypt or decrypt.
+The fingerprint of the active key is stretched like the keys of messages, see
+ringFingerprint, so showing it gives no shortcut for guessing the key.
+Teammates with the same key for a server or channel see the same fingerprint.
+
+Edit fixes the active key in place, e.g. a typo. To change a key for real,
+rotate it in the popup so older messages stay readable.
+
+Needs envelope.js, platforms.js, keyring.js, strength.js, vault.js and saveChrome from options.js.
+
+****************************/
+
+'use strict';
+
+var dashboard = {rings: {}, names: {}, labels: {}, used: {}, keystrength: DEFAULT_KEY_STRENGTH};
+var FINGERPRINT_CONTEXT = "xkr-fingerprint:";
+
+// 8 hex chars of key, salted with the ids of the server or channel of the ring name
+function ringFingerprint(name, key) {
+	var ids = parseKeyRingName(name);
+	var context = FINGERPRINT_CONTEXT + ids.guild + (ids.channel == null ? "" : "/" + ids.channel);
+	return crypto.subtle.digest("SHA-256", envelopeEncoder.encode(context)).then(function (hash) {
+		return stretchPassphrase(key, new Uint8Array(hash).slice(0, SALT_BYTES));
+	}).then(function (stretched) {
+		return expandBytes(stretched, FINGERPRINT_CONTEXT, 4);
+	}).then(bytesToHex);
+}
+
+function loadDashboard() {
+	readKeyStore(function (obj, locked) {
+		document.getElementById("keylocked").style.display = locked ? "" : "none";
+		dashboard.rings = {};
+		if(!locked) {
+			for (var name in obj) {
+				if(parseKeyRingName(name) != null) {
+					dashboard.rings[name] = readKeyRing(obj[name]);
+				}
+			}
+		}
+		dashboard.names = obj["keynames"] == undefined ? {} : obj["keynames"];
+		dashboard.labels = obj["keylabels"] == undefined ? {} : obj["keylabels"];
+		dashboard.used = obj["keyused"] == undefined ? {} : obj["keyused"];
+		dashboard.keystrength = readKeyStrength(obj["keystrength"]);
+		showDashboard();
+	});
+}
+
+/****************************
+
+ringLabel
+Label of a key ring: the name it was given here, else the server and channel
+names from the chat, else the platform and the ids.
+
+****************************/
+
+function ringLabel(name) {
+	if(dashboard.labels[name] != undefined) {
+		return dashboard.labels[name];
+	}
+	var ring = parseKeyRingName(name);
+	var guild = dashboard.names["guild:" + ring.guild];
+	if(guild == undefined && platformOfGuild(ring.guild).id != "discord") {
+		guild = platformOfGuild(ring.guild).name + " " + ring.guild.substring(ring.guild.indexOf(":") + 1);
+	} else if(guild == undefined) {
+		guild = ring.guild == "@me" ? "Direct messages" : "Server " + ring.guild;
+	}
+	if(ring.kind == "server") {
+		return guild;
+	}
+	var channel = dashboard.names["channel:" + ring.guild + "/" + ring.channel];
+	return guild + " / " + (channel == undefined ? "channel " + ring.channel : "#" + channel);
+}
+
+function describeRing(name) {
+	var ring = parseKeyRingName(name);
+	var kind = ring.kind == "server" ? "Server" : "Channel";
+	return ring.legacy ? kind + " (old format)" : kind;
+}
+
+function describeUse(name) {
+	var used = dashboard.used[name];
+	return used == undefined ? "never" : new Date(used).toLocaleString();
+}
+
+function dashboardLink(text, action) {
+	var link = document.createElement("a");
+	link.href = "#";
+	link.textContent = text;
+	link.className = "keyaction";
+	link.addEventListener("click", function (event) {
+		event.preventDefault();
+		action();
+	});
+	return link;
+}
+
+function dashboardCell(row, content) {
+	var cell = document.createElement("td");
+	if(typeof content == "string") {
+		cell.textContent = content;
+	} else {
+		cell.appendChild(content);
+	}
+	row.appendChild(cell);
+	return cell;
+}
+
+function showDashboard() {
+	var list = document.getElementById("keylist");
+	list.textContent = "";
+	var names = Object.keys(dashboard.rings).sort(function (a, b) {
+		return ringLabel(a).localeCompare(ringLabel(b));
+	});
+	document.getElementById("keyempty").style.display = names.length == 0 ? "" : "none";
+	document.getElementById("keyselectall").checked = false;
+	names.forEach(function (name) {
+		var ring = dashboard.rings[name];
+		var active = activeKey(ring);
+		var row = document.createElement("tr");
+
+		var select = document.createElement("input");
+		select.type = "checkbox";
+		select.className = "keyselect";
+		select.value = name;
+		dashboardCell(row, select);
+		dashboardCell(row, ringLabel(name)).title = name;
+		dashboardCell(row, describeRing(name));
+		var fingerprint = dashboardCell(row, active == null ? "no active key" : "");
+		if(active != null) {
+			ringFingerprint(name, active.key).then(function (id) {
+				fingerprint.textContent = id;
+			});
+		}
+		dashboardCell(row, ring.keys.length + (ring.keys.length == 1 ? " key" : " keys"));
+		dashboardCell(row, describeUse(name));
+
+		var actions = document.createElement("span");
+		actions.appendChild(dashboardLink("Rename", function () { renameRing(name); }));
+		if(active != null) {
+			actions.appendChild(dashboardLink("Edit", function () { editRing(name); }));
+			actions.appendChild(dashboardLink("Copy", function () { copyRing(name); }));
+		}
+		actions.appendChild(dashboardLink("Delete", function () { deleteRings([name]); }));
+		dashboardCell(row, actions);
+		list.appendChild(row);
+	});
+}
+
+function showKeyInfo(text) {
+	document.getElementById("keyinfo").textContent = text;
+}
+
+function renameRing(name) {
+	var label = prompt("Label for " + ringLabel(name), ringLabel(name));
+	if(label == null) return;
+	if(label.trim() == "") {
+		delete dashboard.labels[name]; // back to the name from Discord
+	} else {
+		dashboard.labels[name] = label.trim();
+	}
+	saveChrome("keylabels", dashboard.labels);
+}
+
+function editRing(name) {
+	var ring = dashboard.rings[name];
+	var active = activeKey(ring);
+	var key = prompt("Active key of " + ringLabel(name) + ". Messages encrypted with the old key can no longer be decrypted.", active.key);
+	if(key == null) return;
+	if(key == active.key) return;
+	var problem = keyProblem(key, dashboard.keystrength);
+	if(problem != null) {
+		alert(problem);
+		return;
+	}
+	active.key = key;
+	writeKeyStore({[name]: ring}, function (error) {
+		showKeyInfo(error == null ? "Done. The key has been changed." : "Error. " + error);
+	});
+}
+
+function copyRing(name) {
+	navigator.clipboard.writeText(activeKey(dashboard.rings[name]).key).then(function () {
+		showKeyInfo("The key of " + ringLabel(name) + " is on the clipboard.");
+	}).catch(function () {
+		showKeyInfo("Error. The key could not be copied.");
+	});
+}
+
+// Removes the key rings and everything the dashboard knows about them
+function deleteRings(names) {
+	if(names.length == 0) return;
+	var question = names.length == 1 ? "Delete the keys of " + ringLabel(names[0]) + "?" : "Delete the keys of " + names.length + " servers and channels?";
+	if(!confirm(question + " Messages encrypted with them can no longer be decrypted.")) return;
+	var entries = {};
+	names.forEach(function (name) {
+		entries[name] = null;
+		delete dashboard.names[name];
+		delete dashboard.labels[name];
+		delete dashboard.used[name];
+	});
+	writeKeyStore(entries, function (error) {
+		if(error != null) {
+			showKeyInfo("Error. " + error);
+			return;
+		}
+		chrome.storage.local.set({keynames: dashboard.names, keylabels: dashboard.labels, keyused: dashboard.used});
+		showKeyInfo("Done. " + names.length + (names.length == 1 ? " key ring has" : " key rings have") + " been deleted.");
+	});
+}
+
+document.getElementById("keyselectall").addEventListener("change", function (event) {
+	var selects = document.getElementsByClassName("keyselect");
+	for (var i = 0; i < selects.length; i++) {
+		selects[i].checked = event.target.checked;
+	}
+});
+
+document.getElementById("keydelete").addEventListener("click", function (event) {
+	event.preventDefault();
+	var selects = document.getElementsByClassName("keyselect");
+	var names = [];
+	for (var i = 0; i < selects.length; i++) {
+		if(selects[i].checked) names.push(selects[i].value);
+	}
+	deleteRings(names);
+});
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+	if(area != "local") return;
+	for (var key in changes) {
+		if(key == "vault" || key == "vaultstate" || key == "keynames" || key == "keylabels" || key == "keyused" || key == "keystrength" || parseKeyRingName(key) != null) {
+			loadDashboard();
+			return;
+		}
+	}
+});
+
+loadDashboard();
@@ -0,0 +1,106 @@
+/****************************
+
+embeds
+Providers of the media shown under links in decrypted messages.
+
+Loading media tells its host our IP address, and the host is picked by whoever
+sent the message. So media is not loaded until the user clicks it, and shows as
+a card with the provider and host instead. The user can load it once, or always
+load media from that host.
+
+Providers are tried in the order of EMBED_PROVIDERS, the first one that returns
+a src for a link embeds it:
+	{id, name, kind: "iframe" | "image", enabled, src(url) -> src or null}
+enabled is the default, the user turns providers on and off on the options page.
+
+Settings are stored as
+	"embeds"        {provider id: true | false}, providers that differ from the default
+	"embeddomains"  [host], hosts media is loaded from without asking
+
+****************************/
+
+'use strict';
+
+var IMAGE_EXTENSION_PATTERN = /\.(png|jpe?g|gif|webp)$/i;
+var IMAGE_HOSTS = ["i.imgur.com", "cdn.discordapp.com", "media.discordapp.net", "media.giphy.com", "i.redd.it", "pbs.twimg.com"];
+
+function embedLocation(url) {
+	try {
+		return new URL(url);
+	} catch(error) {
+		return null;
+	}
+}
+
+var EMBED_PROVIDERS = [
+	{id: "youtube", name: "YouTube", kind: "iframe", enabled: true, src: function (url) {
+		var location = embedLocation(url);
+		if(location == null || !/^(www\.|m\.)?youtube\.com$|^youtu\.be$/.test(location.hostname)) return null;
+		var watchcode = location.hostname == "youtu.be" ? location.pathname.substring(1) : location.searchParams.get("v");
+		return /^[A-Za-z0-9_-]{11}$/.test(watchcode) ? "https://www.youtube-nocookie.com/embed/" + watchcode : null;
+	}},
+	{id: "bitchute", name: "BitChute", kind: "iframe", enabled: true, src: function (url) {
+		var watchcode = /^https:\/\/(www\.)?bitchute\.com\/video\/([A-Za-z0-9_-]+)/.exec(url);
+		return watchcode == null ? null : "https://www.bitchute.com/embed/" + watchcode[2] + "/";
+	}},
+	{id: "vimeo", name: "Vimeo", kind: "iframe", enabled: true, src: function (url) {
+		var watchcode = /^https:\/\/(www\.)?vimeo\.com\/([0-9]+)(\/|\?|#|$)/.exec(url);
+		return watchcode == null ? null : "https://player.vimeo.com/video/" + watchcode[2] + "?dnt=1";
+	}},
+	{id: "imagehosts", name: "Images on Imgur, Discord, Giphy, Reddit and Twitter", kind: "image", enabled: true, src: function (url) {
+		var location = embedLocation(url);
+		return location != null && IMAGE_HOSTS.indexOf(location.hostname) != -1 && IMAGE_EXTENSION_PATTERN.test(location.pathname) ? url : null;
+	}},
+	{id: "images", name: "Images on other sites", kind: "image", enabled: true, src: function (url) {
+		var location = embedLocation(url);
+		return location != null && IMAGE_EXTENSION_PATTERN.test(location.pathname) ? url : null;
+	}},
+	{id: "links", name: "Any other link, shown as an image if it is one", kind: "image", enabled: false, src: function (url) {
+		return url;
+	}}
+];
+
+var embedsettings = {providers: {}, domains: []};
+
+function readEmbedSettings(obj) {
+	embedsettings = {
+		providers: obj["embeds"] == undefined ? {} : obj["embeds"],
+		domains: obj["embeddomains"] == undefined ? [] : obj["embeddomains"]
+	};
+}
+
+function embedProviderEnabled(provider, settings) {
+	return settings.providers[provider.id] == undefined ? provider.enabled : settings.providers[provider.id] == true;
+}
+
+/****************************
+
+embedFor
+The media token of url, {type: "media", provider, kind, src, host}, or null when
+no enabled provider embeds it. host is where the media is loaded from.
+
+****************************/
+
+function embedFor(url) {
+	for (var i = 0; i < EMBED_PROVIDERS.length; i++) {
+		var provider = EMBED_PROVIDERS[i];
+		if(!embedProviderEnabled(provider, embedsettings)) continue;
+		var src = provider.src(url);
+		if(src == null) continue;
+		var location = embedLocation(src);
+		if(location == null || location.protocol != "https:") return null;
+		return {type: "media", provider: provider.id, kind: provider.kind, src: src, host: location.hostname};
+	}
+	return null;
+}
+
+function isTrustedEmbedHost(host) {
+	return embedsettings.domains.indexOf(host) != -1;
+}
+
+// Changes embedsettings right away, messages rendered before storage reports the change load from host too
+function trustEmbedHost(host) {
+	if(isTrustedEmbedHost(host)) return;
+	embedsettings.domains.push(host);
+	chrome.storage.local.set({embeddomains: embedsettings.domains});
+}
@@ -0,0 +1,2333 @@
+/****************************
+
+emojis
+Standard emoji by their Discord shortcode without colons, 6441 shortcodes, see tokenizeText in renderer.js.
+Shortcodes and emoji from Emojibase 15.3.2, https://emojibase.dev, licensed MIT,
+with the JoyPixels names Discord uses and the GitHub names as aliases.
+
+****************************/
+
+'use strict';
+
+var EMOJI_SHORTCODES = {
+	"+1": "👍️", "+1_tone1": "👍🏻", "+1_tone2": "👍🏼", "+1_tone3": "👍🏽", "+1_tone4": "👍🏾",
+	"+1_tone5": "👍🏿", "-1": "👎️", "-1_tone1": "👎🏻", "-1_tone2": "👎🏼", "-1_tone3": "👎🏽",
+	"-1_tone4": "👎🏾", "-1_tone5": "👎🏿", "100": "💯", "1234": "🔢", "1st_place_medal": "🥇",
+	"2nd_place_medal": "🥈", "3rd_place_medal": "🥉", "8ball": "🎱", a: "🅰️", ab: "🆎", abacus: "🧮",
+	abc: "🔤", abcd: "🔡", ac: "🇦🇨", accept: "🉑", accordion: "🪗", ad: "🇦🇩", adhesive_bandage: "🩹",
+	admission_tickets: "🎟️", adult: "🧑", adult_dark_skin_tone: "🧑🏿", adult_light_skin_tone: "🧑🏻",
+	adult_medium_dark_skin_tone: "🧑🏾", adult_medium_light_skin_tone: "🧑🏼",
+	adult_medium_skin_tone: "🧑🏽", adult_tone1: "🧑🏻", adult_tone2: "🧑🏼", adult_tone3: "🧑🏽",
+	adult_tone4: "🧑🏾", adult_tone5: "🧑🏿", ae: "🇦🇪", aerial_tramway: "🚡", af: "🇦🇫",
+	afghanistan: "🇦🇫", ag: "🇦🇬", ai: "🇦🇮", airplane: "✈️", airplane_arriving: "🛬",
+	airplane_departure: "🛫", airplane_small: "🛩️", al: "🇦🇱", aland_islands: "🇦🇽", alarm_clock: "⏰️",
+	albania: "🇦🇱", alembic: "⚗️", algeria: "🇩🇿", alien: "👽️", alien_monster: "👾", am: "🇦🇲",
+	ambulance: "🚑️", american_samoa: "🇦🇸", amphora: "🏺", anatomical_heart: "🫀", anchor: "⚓️",
+	andorra: "🇦🇩", angel: "👼", angel_tone1: "👼🏻", angel_tone2: "👼🏼", angel_tone3: "👼🏽",
+	angel_tone4: "👼🏾", angel_tone5: "👼🏿", anger: "💢", anger_right: "🗯️", angola: "🇦🇴", angry: "😠",
+	angry_face: "😠", anguilla: "🇦🇮", anguished: "😧", ant: "🐜", antarctica: "🇦🇶", antenna_bars: "📶",
+	antigua_barbuda: "🇦🇬", ao: "🇦🇴", apple: "🍎", aq: "🇦🇶", aquarius: "♒️", ar: "🇦🇷",
+	archery: "🏹", argentina: "🇦🇷", aries: "♈️", armenia: "🇦🇲", arrow_backward: "◀️",
+	arrow_double_down: "⏬️", arrow_double_up: "⏫️", arrow_down: "⬇️", arrow_down_small: "🔽",
+	arrow_forward: "▶️", arrow_heading_down: "⤵️", arrow_heading_up: "⤴️", arrow_left: "⬅️",
+	arrow_lower_left: "↙️", arrow_lower_right: "↘️", arrow_right: "➡️", arrow_right_hook: "↪️",
+	arrow_up: "⬆️", arrow_up_down: "↕️", arrow_up_small: "🔼", arrow_upper_left: "↖️",
+	arrow_upper_right: "↗️", arrows_clockwise: "🔃", arrows_counterclockwise: "🔄", art: "🎨",
+	articulated_lorry: "🚛", artificial_satellite: "🛰️", artist: "🧑‍🎨",
+	artist_dark_skin_tone: "🧑🏿‍🎨", artist_light_skin_tone: "🧑🏻‍🎨",
+	artist_medium_dark_skin_tone: "🧑🏾‍🎨", artist_medium_light_skin_tone: "🧑🏼‍🎨",
+	artist_medium_skin_tone: "🧑🏽‍🎨", artist_tone1: "🧑🏻‍🎨", artist_tone2: "🧑🏼‍🎨",
+	artist_tone3: "🧑🏽‍🎨", artist_tone4: "🧑🏾‍🎨", artist_tone5: "🧑🏿‍🎨", aruba: "🇦🇼", as: "🇦🇸",
+	ascension_island: "🇦🇨", asterisk: "*️⃣", astonished: "😲", astronaut: "🧑‍🚀",
+	astronaut_dark_skin_tone: "🧑🏿‍🚀", astronaut_light_skin_tone: "🧑🏻‍🚀",
+	astronaut_medium_dark_skin_tone: "🧑🏾‍🚀", astronaut_medium_light_skin_tone: "🧑🏼‍🚀",
+	astronaut_medium_skin_tone: "🧑🏽‍🚀", astronaut_tone1: "🧑🏻‍🚀", astronaut_tone2: "🧑🏼‍🚀",
+	astronaut_tone3: "🧑🏽‍🚀", astronaut_tone4: "🧑🏾‍🚀", astronaut_tone5: "🧑🏿‍🚀", at: "🇦🇹",
+	athletic_shoe: "👟", atm: "🏧", atom: "⚛️", atom_symbol: "⚛️", au: "🇦🇺", australia: "🇦🇺",
+	austria: "🇦🇹", auto_rickshaw: "🛺", automobile: "🚗", avocado: "🥑", aw: "🇦🇼", ax: "🇦🇽",
+	axe: "🪓", az: "🇦🇿", azerbaijan: "🇦🇿", b: "🅱️", ba: "🇧🇦", baby: "👶", baby_angel: "👼",
+	baby_bottle: "🍼", baby_chick: "🐤", baby_symbol: "🚼️", baby_tone1: "👶🏻", baby_tone2: "👶🏼",
+	baby_tone3: "👶🏽", baby_tone4: "👶🏾", baby_tone5: "👶🏿", back: "🔙", back_arrow: "🔙",
+	back_of_hand: "🤚", back_of_hand_tone1: "🤚🏻", back_of_hand_tone2: "🤚🏼", back_of_hand_tone3: "🤚🏽",
+	back_of_hand_tone4: "🤚🏾", back_of_hand_tone5: "🤚🏿", backpack: "🎒", bacon: "🥓", badger: "🦡",
+	badminton: "🏸", bagel: "🥯", baggage_claim: "🛄", baguette_bread: "🥖", bahamas: "🇧🇸",
+	bahrain: "🇧🇭", balance_scale: "⚖️", bald: "🦲", bald_man: "👨‍🦲", bald_woman: "👩‍🦲",
+	ballet_shoes: "🩰", balloon: "🎈", ballot_box: "🗳️", ballot_box_with_ballot: "🗳️",
+	ballot_box_with_check: "☑️", bamboo: "🎍", banana: "🍌", bangbang: "‼️", bangladesh: "🇧🇩",
+	banjo: "🪕", bank: "🏦", bar_chart: "📊", barbados: "🇧🇧", barber: "💈", barber_pole: "💈",
+	baseball: "⚾️", basket: "🧺", basketball: "🏀", basketball_man: "⛹️‍♂️", basketball_player: "⛹️",
+	basketball_player_tone1: "⛹🏻", basketball_player_tone2: "⛹🏼", basketball_player_tone3: "⛹🏽",
+	basketball_player_tone4: "⛹🏾", basketball_player_tone5: "⛹🏿", basketball_woman: "⛹️‍♀️", bat: "🦇",
+	bath: "🛀", bath_tone1: "🛀🏻", bath_tone2: "🛀🏼", bath_tone3: "🛀🏽", bath_tone4: "🛀🏾",
+	bath_tone5: "🛀🏿", bathtub: "🛁", battery: "🔋", bb: "🇧🇧", bd: "🇧🇩", be: "🇧🇪", beach: "🏖️",
+	beach_umbrella: "⛱️", beach_with_umbrella: "🏖️", beans: "🫘", bear: "🐻", bearded_person: "🧔",
+	bearded_person_dark_skin_tone: "🧔🏿", bearded_person_light_skin_tone: "🧔🏻",
+	bearded_person_medium_dark_skin_tone: "🧔🏾", bearded_person_medium_light_skin_tone: "🧔🏼",
+	bearded_person_medium_skin_tone: "🧔🏽", bearded_person_tone1: "🧔🏻", bearded_person_tone2: "🧔🏼",
+	bearded_person_tone3: "🧔🏽", bearded_person_tone4: "🧔🏾", bearded_person_tone5: "🧔🏿",
+	beating_heart: "💓", beaver: "🦫", bed: "🛏️", bee: "🐝", beer: "🍺", beer_mug: "🍺", beers: "🍻",
+	beetle: "🪲", beginner: "🔰", belarus: "🇧🇾", belgium: "🇧🇪", belize: "🇧🇿", bell: "🔔",
+	bell_pepper: "🫑", bellhop: "🛎️", bellhop_bell: "🛎️", benin: "🇧🇯", bento: "🍱", bento_box: "🍱",
+	bermuda: "🇧🇲", beverage_box: "🧃", bf: "🇧🇫", bg: "🇧🇬", bh: "🇧🇭", bhutan: "🇧🇹", bi: "🇧🇮",
+	bicycle: "🚲️", bicyclist: "🚴", bicyclist_tone1: "🚴🏻", bicyclist_tone2: "🚴🏼",
+	bicyclist_tone3: "🚴🏽", bicyclist_tone4: "🚴🏾", bicyclist_tone5: "🚴🏿", bike: "🚲️",
+	biking_man: "🚴‍♂️", biking_woman: "🚴‍♀️", bikini: "👙", billed_cap: "🧢", biohazard: "☣️",
+	biohazard_sign: "☣️", bird: "🐦️", birthday: "🎂", birthday_cake: "🎂", bison: "🦬", biting_lip: "🫦",
+	bj: "🇧🇯", bl: "🇧🇱", black_bird: "🐦‍⬛", black_cat: "🐈‍⬛", black_circle: "⚫️", black_flag: "🏴",
+	black_heart: "🖤", black_joker: "🃏", black_large_square: "⬛️", black_medium_small_square: "◾️",
+	black_medium_square: "◼️", black_nib: "✒️", black_small_square: "▪️", black_square_button: "🔲",
+	"blond-haired_man": "👱‍♂️", "blond-haired_man_dark_skin_tone": "👱🏿‍♂️",
+	"blond-haired_man_light_skin_tone": "👱🏻‍♂️", "blond-haired_man_medium_dark_skin_tone": "👱🏾‍♂️",
+	"blond-haired_man_medium_light_skin_tone": "👱🏼‍♂️", "blond-haired_man_medium_skin_tone": "👱🏽‍♂️",
+	"blond-haired_man_tone1": "👱🏻‍♂️", "blond-haired_man_tone2": "👱🏼‍♂️",
+	"blond-haired_man_tone3": "👱🏽‍♂️", "blond-haired_man_tone4": "👱🏾‍♂️",
+	"blond-haired_man_tone5": "👱🏿‍♂️", "blond-haired_woman": "👱‍♀️",
+	"blond-haired_woman_dark_skin_tone": "👱🏿‍♀️", "blond-haired_woman_light_skin_tone": "👱🏻‍♀️",
+	"blond-haired_woman_medium_dark_skin_tone": "👱🏾‍♀️",
+	"blond-haired_woman_medium_light_skin_tone": "👱🏼‍♀️",
+	"blond-haired_woman_medium_skin_tone": "👱🏽‍♀️", "blond-haired_woman_tone1": "👱🏻‍♀️",
+	"blond-haired_woman_tone2": "👱🏼‍♀️", "blond-haired_woman_tone3": "👱🏽‍♀️",
+	"blond-haired_woman_tone4": "👱🏾‍♀️", "blond-haired_woman_tone5": "👱🏿‍♀️",
+	blond_haired_man: "👱‍♂️", blond_haired_person: "👱", blond_haired_person_tone1: "👱🏻",
+	blond_haired_person_tone2: "👱🏼", blond_haired_person_tone3: "👱🏽",
+	blond_haired_person_tone4: "👱🏾", blond_haired_person_tone5: "👱🏿", blond_haired_woman: "👱‍♀️",
+	blonde_woman: "👱‍♀️", blossom: "🌼", blowfish: "🐡", blue_book: "📘", blue_car: "🚙",
+	blue_circle: "🔵", blue_heart: "💙", blue_square: "🟦", blueberries: "🫐", blush: "😊", bm: "🇧🇲",
+	bn: "🇧🇳", bo: "🇧🇴", boar: "🐗", boat: "⛵️", bolivia: "🇧🇴", bomb: "💣️", bone: "🦴", book: "📖",
+	bookmark: "🔖", bookmark_tabs: "📑", books: "📚️", boom: "💥", boomerang: "🪃", boot: "👢",
+	bosnia_herzegovina: "🇧🇦", botswana: "🇧🇼", bottle_with_popping_cork: "🍾",
+	bouncing_ball_man: "⛹️‍♂️", bouncing_ball_person: "⛹️", bouncing_ball_woman: "⛹️‍♀️", bouquet: "💐",
+	bouvet_island: "🇧🇻", bow: "🙇", bow_and_arrow: "🏹", bow_tone1: "🙇🏻", bow_tone2: "🙇🏼",
+	bow_tone3: "🙇🏽", bow_tone4: "🙇🏾", bow_tone5: "🙇🏿", bowing_man: "🙇‍♂️", bowing_woman: "🙇‍♀️",
+	bowl_with_spoon: "🥣", bowling: "🎳", boxing_glove: "🥊", boxing_gloves: "🥊", boy: "👦",
+	boy_tone1: "👦🏻", boy_tone2: "👦🏼", boy_tone3: "👦🏽", boy_tone4: "👦🏾", boy_tone5: "👦🏿",
+	bq: "🇧🇶", br: "🇧🇷", brain: "🧠", brazil: "🇧🇷", bread: "🍞", breast_feeding: "🤱",
+	breast_feeding_dark_skin_tone: "🤱🏿", breast_feeding_light_skin_tone: "🤱🏻",
+	breast_feeding_medium_dark_skin_tone: "🤱🏾", breast_feeding_medium_light_skin_tone: "🤱🏼",
+	breast_feeding_medium_skin_tone: "🤱🏽", breast_feeding_tone1: "🤱🏻", breast_feeding_tone2: "🤱🏼",
+	breast_feeding_tone3: "🤱🏽", breast_feeding_tone4: "🤱🏾", breast_feeding_tone5: "🤱🏿", brick: "🧱",
+	bricks: "🧱", bride_with_veil: "👰‍♀️", bridge_at_night: "🌉", briefcase: "💼", briefs: "🩲",
+	british_indian_ocean_territory: "🇮🇴", british_virgin_islands: "🇻🇬", broccoli: "🥦",
+	broken_heart: "💔", broom: "🧹", brown_circle: "🟤", brown_heart: "🤎", brown_square: "🟫",
+	brunei: "🇧🇳", bs: "🇧🇸", bt: "🇧🇹", bubble_tea: "🧋", bubbles: "🫧", bucket: "🪣", bug: "🐛",
+	building_construction: "🏗️", bulb: "💡", bulgaria: "🇧🇬", bullet_train: "🚅",
+	bullettrain_front: "🚅", bullettrain_side: "🚄", burkina_faso: "🇧🇫", burrito: "🌯", burundi: "🇧🇮",
+	bus: "🚌", bus_stop: "🚏", business_suit_levitating: "🕴️", busstop: "🚏", bust_in_silhouette: "👤",
+	busts_in_silhouette: "👥", butter: "🧈", butterfly: "🦋", bv: "🇧🇻", bw: "🇧🇼", by: "🇧🇾",
+	bz: "🇧🇿", ca: "🇨🇦", cactus: "🌵", cake: "🍰", calendar: "📆", calendar_spiral: "🗓️",
+	call_me: "🤙", call_me_hand: "🤙", call_me_hand_tone1: "🤙🏻", call_me_hand_tone2: "🤙🏼",
+	call_me_hand_tone3: "🤙🏽", call_me_hand_tone4: "🤙🏾", call_me_hand_tone5: "🤙🏿",
+	call_me_tone1: "🤙🏻", call_me_tone2: "🤙🏼", call_me_tone3: "🤙🏽", call_me_tone4: "🤙🏾",
+	call_me_tone5: "🤙🏿", calling: "📲", cambodia: "🇰🇭", camel: "🐫", camera: "📷️", camera_flash: "📸",
+	camera_with_flash: "📸", cameroon: "🇨🇲", camping: "🏕️", canada: "🇨🇦", canary_islands: "🇮🇨",
+	cancer: "♋️", candle: "🕯️", candy: "🍬", canned_food: "🥫", canoe: "🛶", cape_verde: "🇨🇻",
+	capital_abcd: "🔠", capricorn: "♑️", car: "🚗", card_box: "🗃️", card_file_box: "🗃️",
+	card_index: "📇", card_index_dividers: "🗂️", caribbean_netherlands: "🇧🇶", carousel_horse: "🎠",
+	carp_streamer: "🎏", carpentry_saw: "🪚", carrot: "🥕", cartwheel: "🤸", cartwheel_tone1: "🤸🏻",
+	cartwheel_tone2: "🤸🏼", cartwheel_tone3: "🤸🏽", cartwheel_tone4: "🤸🏾", cartwheel_tone5: "🤸🏿",
+	cartwheeling: "🤸", castle: "🏰", cat: "🐱", cat2: "🐈️", cat_face: "🐱", cayman_islands: "🇰🇾",
+	cc: "🇨🇨", cd: "💿️", central_african_republic: "🇨🇫", ceuta_melilla: "🇪🇦", cf: "🇨🇫", cg: "🇨🇬",
+	ch: "🇨🇭", chad: "🇹🇩", chains: "⛓️", chair: "🪑", champagne: "🍾", champagne_glass: "🥂",
+	chart: "💹", chart_with_downwards_trend: "📉", chart_with_upwards_trend: "📈", check_mark: "✔️",
+	checkered_flag: "🏁", cheese: "🧀", cheese_wedge: "🧀", cherries: "🍒", cherry_blossom: "🌸",
+	chess_pawn: "♟️", chestnut: "🌰", chicken: "🐔", child: "🧒", child_dark_skin_tone: "🧒🏿",
+	child_light_skin_tone: "🧒🏻", child_medium_dark_skin_tone: "🧒🏾",
+	child_medium_light_skin_tone: "🧒🏼", child_medium_skin_tone: "🧒🏽", child_tone1: "🧒🏻",
+	child_tone2: "🧒🏼", child_tone3: "🧒🏽", child_tone4: "🧒🏾", child_tone5: "🧒🏿",
+	children_crossing: "🚸", chile: "🇨🇱", chipmunk: "🐿️", chocolate_bar: "🍫", chopsticks: "🥢",
+	christmas_island: "🇨🇽", christmas_tree: "🎄", church: "⛪️", ci: "🇨🇮", cigarette: "🚬",
+	cinema: "🎦", circled_m: "Ⓜ️", circus_tent: "🎪", city_dusk: "🌆", city_sunrise: "🌇",
+	city_sunset: "🌇", cityscape: "🏙️", ck: "🇨🇰", cl: "🆑", clamp: "🗜️", clap: "👏",
+	clap_tone1: "👏🏻", clap_tone2: "👏🏼", clap_tone3: "👏🏽", clap_tone4: "👏🏾", clap_tone5: "👏🏿",
+	clapper: "🎬️", clapper_board: "🎬️", classical_building: "🏛️", climbing: "🧗", climbing_man: "🧗‍♂️",
+	climbing_woman: "🧗‍♀️", clinking_glass: "🥂", clinking_glasses: "🥂", clipboard: "📋️",
+	clipperton_island: "🇨🇵", clock: "🕰️", clock1: "🕐️", clock10: "🕙️", clock1030: "🕥️",
+	clock11: "🕚️", clock1130: "🕦️", clock12: "🕛️", clock1230: "🕧️", clock130: "🕜️", clock2: "🕑️",
+	clock230: "🕝️", clock3: "🕒️", clock330: "🕞️", clock4: "🕓️", clock430: "🕟️", clock5: "🕔️",
+	clock530: "🕠️", clock6: "🕕️", clock630: "🕡️", clock7: "🕖️", clock730: "🕢️", clock8: "🕗️",
+	clock830: "🕣️", clock9: "🕘️", clock930: "🕤️", closed_book: "📕", closed_lock_with_key: "🔐",
+	closed_umbrella: "🌂", cloud: "☁️", cloud_lightning: "🌩️", cloud_rain: "🌧️", cloud_snow: "🌨️",
+	cloud_tornado: "🌪️", cloud_with_lightning: "🌩️", cloud_with_lightning_and_rain: "⛈️",
+	cloud_with_rain: "🌧️", cloud_with_snow: "🌨️", cloud_with_tornado: "🌪️", clown: "🤡",
+	clown_face: "🤡", club_suit: "♣️", clubs: "♣️", clutch_bag: "👝", cm: "🇨🇲", cn: "🇨🇳", co: "🇨🇴",
+	coat: "🧥", cockroach: "🪳", cocktail: "🍸️", coconut: "🥥", cocos_islands: "🇨🇨", coffee: "☕️",
+	coffin: "⚰️", coin: "🪙", cold_face: "🥶", cold_sweat: "😰", collision: "💥", colombia: "🇨🇴",
+	comet: "☄️", comoros: "🇰🇲", compass: "🧭", compression: "🗜️", computer: "💻️", computer_disk: "💽",
+	computer_mouse: "🖱️", confetti_ball: "🎊", confounded: "😖", confused: "😕", confused_face: "😕",
+	congo: "🇨🇩", congo_brazzaville: "🇨🇬", congo_kinshasa: "🇨🇩", congratulations: "㊗️",
+	construction: "🚧", construction_site: "🏗️", construction_worker: "👷",
+	construction_worker_man: "👷‍♂️", construction_worker_tone1: "👷🏻", construction_worker_tone2: "👷🏼",
+	construction_worker_tone3: "👷🏽", construction_worker_tone4: "👷🏾",
+	construction_worker_tone5: "👷🏿", construction_worker_woman: "👷‍♀️", control_knobs: "🎛️",
+	convenience_store: "🏪", cook: "🧑‍🍳", cook_dark_skin_tone: "🧑🏿‍🍳", cook_islands: "🇨🇰",
+	cook_light_skin_tone: "🧑🏻‍🍳", cook_medium_dark_skin_tone: "🧑🏾‍🍳",
+	cook_medium_light_skin_tone: "🧑🏼‍🍳", cook_medium_skin_tone: "🧑🏽‍🍳", cook_tone1: "🧑🏻‍🍳",
+	cook_tone2: "🧑🏼‍🍳", cook_tone3: "🧑🏽‍🍳", cook_tone4: "🧑🏾‍🍳", cook_tone5: "🧑🏿‍🍳",
+	cooked_rice: "🍚", cookie: "🍪", cooking: "🍳", cool: "🆒", cop: "👮", cop_tone1: "👮🏻",
+	cop_tone2: "👮🏼", cop_tone3: "👮🏽", cop_tone4: "👮🏾", cop_tone5: "👮🏿", copyright: "©️",
+	coral: "🪸", corn: "🌽", costa_rica: "🇨🇷", cote_divoire: "🇨🇮", couch: "🛋️", couch_and_lamp: "🛋️",
+	couple: "👫", couple_mm: "👨‍❤️‍👨", couple_with_heart: "💑", couple_with_heart_dark_skin_tone: "💑🏿",
+	couple_with_heart_light_skin_tone: "💑🏻", couple_with_heart_man_man: "👨‍❤️‍👨",
+	couple_with_heart_man_man_dark_skin_tone: "👨🏿‍❤️‍👨🏿",
+	couple_with_heart_man_man_dark_skin_tone_light_skin_tone: "👨🏿‍❤️‍👨🏻",
+	couple_with_heart_man_man_dark_skin_tone_medium_dark_skin_tone: "👨🏿‍❤️‍👨🏾",
+	couple_with_heart_man_man_dark_skin_tone_medium_light_skin_tone: "👨🏿‍❤️‍👨🏼",
+	couple_with_heart_man_man_dark_skin_tone_medium_skin_tone: "👨🏿‍❤️‍👨🏽",
+	couple_with_heart_man_man_light_skin_tone: "👨🏻‍❤️‍👨🏻",
+	couple_with_heart_man_man_light_skin_tone_dark_skin_tone: "👨🏻‍❤️‍👨🏿",
+	couple_with_heart_man_man_light_skin_tone_medium_dark_skin_tone: "👨🏻‍❤️‍👨🏾",
+	couple_with_heart_man_man_light_skin_tone_medium_light_skin_tone: "👨🏻‍❤️‍👨🏼",
+	couple_with_heart_man_man_light_skin_tone_medium_skin_tone: "👨🏻‍❤️‍👨🏽",
+	couple_with_heart_man_man_medium_dark_skin_tone: "👨🏾‍❤️‍👨🏾",
+	couple_with_heart_man_man_medium_dark_skin_tone_dark_skin_tone: "👨🏾‍❤️‍👨🏿",
+	couple_with_heart_man_man_medium_dark_skin_tone_light_skin_tone: "👨🏾‍❤️‍👨🏻",
+	couple_with_heart_man_man_medium_dark_skin_tone_medium_light_skin_tone: "👨🏾‍❤️‍👨🏼",
+	couple_with_heart_man_man_medium_dark_skin_tone_medium_skin_tone: "👨🏾‍❤️‍👨🏽",
+	couple_with_heart_man_man_medium_light_skin_tone: "👨🏼‍❤️‍👨🏼",
+	couple_with_heart_man_man_medium_light_skin_tone_dark_skin_tone: "👨🏼‍❤️‍👨🏿",
+	couple_with_heart_man_man_medium_light_skin_tone_light_skin_tone: "👨🏼‍❤️‍👨🏻",
+	couple_with_heart_man_man_medium_light_skin_tone_medium_dark_skin_tone: "👨🏼‍❤️‍👨🏾",
+	couple_with_heart_man_man_medium_light_skin_tone_medium_skin_tone: "👨🏼‍❤️‍👨🏽",
+	couple_with_heart_man_man_medium_skin_tone: "👨🏽‍❤️‍👨🏽",
+	couple_with_heart_man_man_medium_skin_tone_dark_skin_tone: "👨🏽‍❤️‍👨🏿",
+	couple_with_heart_man_man_medium_skin_tone_light_skin_tone: "👨🏽‍❤️‍👨🏻",
+	couple_with_heart_man_man_medium_skin_tone_medium_dark_skin_tone: "👨🏽‍❤️‍👨🏾",
+	couple_with_heart_man_man_medium_skin_tone_medium_light_skin_tone: "👨🏽‍❤️‍👨🏼",
+	couple_with_heart_man_man_tone1: "👨🏻‍❤️‍👨🏻", couple_with_heart_man_man_tone1_tone2: "👨🏻‍❤️‍👨🏼",
+	couple_with_heart_man_man_tone1_tone3: "👨🏻‍❤️‍👨🏽",
+	couple_with_heart_man_man_tone1_tone4: "👨🏻‍❤️‍👨🏾",
+	couple_with_heart_man_man_tone1_tone5: "👨🏻‍❤️‍👨🏿", couple_with_heart_man_man_tone2: "👨🏼‍❤️‍👨🏼",
+	couple_with_heart_man_man_tone2_tone1: "👨🏼‍❤️‍👨🏻",
+	couple_with_heart_man_man_tone2_tone3: "👨🏼‍❤️‍👨🏽",
+	couple_with_heart_man_man_tone2_tone4: "👨🏼‍❤️‍👨🏾",
+	couple_with_heart_man_man_tone2_tone5: "👨🏼‍❤️‍👨🏿", couple_with_heart_man_man_tone3: "👨🏽‍❤️‍👨🏽",
+	couple_with_heart_man_man_tone3_tone1: "👨🏽‍❤️‍👨🏻",
+	couple_with_heart_man_man_tone3_tone2: "👨🏽‍❤️‍👨🏼",
+	couple_with_heart_man_man_tone3_tone4: "👨🏽‍❤️‍👨🏾",
+	couple_with_heart_man_man_tone3_tone5: "👨🏽‍❤️‍👨🏿", couple_with_heart_man_man_tone4: "👨🏾‍❤️‍👨🏾",
+	couple_with_heart_man_man_tone4_tone1: "👨🏾‍❤️‍👨🏻",
+	couple_with_heart_man_man_tone4_tone2: "👨🏾‍❤️‍👨🏼",
+	couple_with_heart_man_man_tone4_tone3: "👨🏾‍❤️‍👨🏽",
+	couple_with_heart_man_man_tone4_tone5: "👨🏾‍❤️‍👨🏿", couple_with_heart_man_man_tone5: "👨🏿‍❤️‍👨🏿",
+	couple_with_heart_man_man_tone5_tone1: "👨🏿‍❤️‍👨🏻",
+	couple_with_heart_man_man_tone5_tone2: "👨🏿‍❤️‍👨🏼",
+	couple_with_heart_man_man_tone5_tone3: "👨🏿‍❤️‍👨🏽",
+	couple_with_heart_man_man_tone5_tone4: "👨🏿‍❤️‍👨🏾", couple_with_heart_medium_dark_skin_tone: "💑🏾",
+	couple_with_heart_medium_light_skin_tone: "💑🏼", couple_with_heart_medium_skin_tone: "💑🏽",
+	couple_with_heart_mm: "👨‍❤️‍👨",
+	couple_with_heart_person_person_dark_skin_tone_light_skin_tone: "🧑🏿‍❤️‍🧑🏻",
+	couple_with_heart_person_person_dark_skin_tone_medium_dark_skin_tone: "🧑🏿‍❤️‍🧑🏾",
+	couple_with_heart_person_person_dark_skin_tone_medium_light_skin_tone: "🧑🏿‍❤️‍🧑🏼",
+	couple_with_heart_person_person_dark_skin_tone_medium_skin_tone: "🧑🏿‍❤️‍🧑🏽",
+	couple_with_heart_person_person_light_skin_tone_dark_skin_tone: "🧑🏻‍❤️‍🧑🏿",
+	couple_with_heart_person_person_light_skin_tone_medium_dark_skin_tone: "🧑🏻‍❤️‍🧑🏾",
+	couple_with_heart_person_person_light_skin_tone_medium_light_skin_tone: "🧑🏻‍❤️‍🧑🏼",
+	couple_with_heart_person_person_light_skin_tone_medium_skin_tone: "🧑🏻‍❤️‍🧑🏽",
+	couple_with_heart_person_person_medium_dark_skin_tone_dark_skin_tone: "🧑🏾‍❤️‍🧑🏿",
+	couple_with_heart_person_person_medium_dark_skin_tone_light_skin_tone: "🧑🏾‍❤️‍🧑🏻",
+	couple_with_heart_person_person_medium_dark_skin_tone_medium_light_skin_tone: "🧑🏾‍❤️‍🧑🏼",
+	couple_with_heart_person_person_medium_dark_skin_tone_medium_skin_tone: "🧑🏾‍❤️‍🧑🏽",
+	couple_with_heart_person_person_medium_light_skin_tone_dark_skin_tone: "🧑🏼‍❤️‍🧑🏿",
+	couple_with_heart_person_person_medium_light_skin_tone_light_skin_tone: "🧑🏼‍❤️‍🧑🏻",
+	couple_with_heart_person_person_medium_light_skin_tone_medium_dark_skin_tone: "🧑🏼‍❤️‍🧑🏾",
+	couple_with_heart_person_person_medium_light_skin_tone_medium_skin_tone: "🧑🏼‍❤️‍🧑🏽",
+	couple_with_heart_person_person_medium_skin_tone_dark_skin_tone: "🧑🏽‍❤️‍🧑🏿",
+	couple_with_heart_person_person_medium_skin_tone_light_skin_tone: "🧑🏽‍❤️‍🧑🏻",
+	couple_with_heart_person_person_medium_skin_tone_medium_dark_skin_tone: "🧑🏽‍❤️‍🧑🏾",
+	couple_with_heart_person_person_medium_skin_tone_medium_light_skin_tone: "🧑🏽‍❤️‍🧑🏼",
+	couple_with_heart_person_person_tone1_tone2: "🧑🏻‍❤️‍🧑🏼",
+	couple_with_heart_person_person_tone1_tone3: "🧑🏻‍❤️‍🧑🏽",
+	couple_with_heart_person_person_tone1_tone4: "🧑🏻‍❤️‍🧑🏾",
+	couple_with_heart_person_person_tone1_tone5: "🧑🏻‍❤️‍🧑🏿",
+	couple_with_heart_person_person_tone2_tone1: "🧑🏼‍❤️‍🧑🏻",
+	couple_with_heart_person_person_tone2_tone3: "🧑🏼‍❤️‍🧑🏽",
+	couple_with_heart_person_person_tone2_tone4: "🧑🏼‍❤️‍🧑🏾",
+	couple_with_heart_person_person_tone2_tone5: "🧑🏼‍❤️‍🧑🏿",
+	couple_with_heart_person_person_tone3_tone1: "🧑🏽‍❤️‍🧑🏻",
+	couple_with_heart_person_person_tone3_tone2: "🧑🏽‍❤️‍🧑🏼",
+	couple_with_heart_person_person_tone3_tone4: "🧑🏽‍❤️‍🧑🏾",
+	couple_with_heart_person_person_tone3_tone5: "🧑🏽‍❤️‍🧑🏿",
+	couple_with_heart_person_person_tone4_tone1: "🧑🏾‍❤️‍🧑🏻",
+	couple_with_heart_person_person_tone4_tone2: "🧑🏾‍❤️‍🧑🏼",
+	couple_with_heart_person_person_tone4_tone3: "🧑🏾‍❤️‍🧑🏽",
+	couple_with_heart_person_person_tone4_tone5: "🧑🏾‍❤️‍🧑🏿",
+	couple_with_heart_person_person_tone5_tone1: "🧑🏿‍❤️‍🧑🏻",
+	couple_with_heart_person_person_tone5_tone2: "🧑🏿‍❤️‍🧑🏼",
+	couple_with_heart_person_person_tone5_tone3: "🧑🏿‍❤️‍🧑🏽",
+	couple_with_heart_person_person_tone5_tone4: "🧑🏿‍❤️‍🧑🏾", couple_with_heart_tone1: "💑🏻",
+	couple_with_heart_tone2: "💑🏼", couple_with_heart_tone3: "💑🏽", couple_with_heart_tone4: "💑🏾",
+	couple_with_heart_tone5: "💑🏿", couple_with_heart_woman_man: "👩‍❤️‍👨",
+	couple_with_heart_woman_man_dark_skin_tone: "👩🏿‍❤️‍👨🏿",
+	couple_with_heart_woman_man_dark_skin_tone_light_skin_tone: "👩🏿‍❤️‍👨🏻",
+	couple_with_heart_woman_man_dark_skin_tone_medium_dark_skin_tone: "👩🏿‍❤️‍👨🏾",
+	couple_with_heart_woman_man_dark_skin_tone_medium_light_skin_tone: "👩🏿‍❤️‍👨🏼",
+	couple_with_heart_woman_man_dark_skin_tone_medium_skin_tone: "👩🏿‍❤️‍👨🏽",
+	couple_with_heart_woman_man_light_skin_tone: "👩🏻‍❤️‍👨🏻",
+	couple_with_heart_woman_man_light_skin_tone_dark_skin_tone: "👩🏻‍❤️‍👨🏿",
+	couple_with_heart_woman_man_light_skin_tone_medium_dark_skin_tone: "👩🏻‍❤️‍👨🏾",
+	couple_with_heart_woman_man_light_skin_tone_medium_light_skin_tone: "👩🏻‍❤️‍👨🏼",
+	couple_with_heart_woman_man_light_skin_tone_medium_skin_tone: "👩🏻‍❤️‍👨🏽",
+	couple_with_heart_woman_man_medium_dark_skin_tone: "👩🏾‍❤️‍👨🏾",
+	couple_with_heart_woman_man_medium_dark_skin_tone_dark_skin_tone: "👩🏾‍❤️‍👨🏿",
+	couple_with_heart_woman_man_medium_dark_skin_tone_light_skin_tone: "👩🏾‍❤️‍👨🏻",
+	couple_with_heart_woman_man_medium_dark_skin_tone_medium_light_skin_tone: "👩🏾‍❤️‍👨🏼",
+	couple_with_heart_woman_man_medium_dark_skin_tone_medium_skin_tone: "👩🏾‍❤️‍👨🏽",
+	couple_with_heart_woman_man_medium_light_skin_tone: "👩🏼‍❤️‍👨🏼",
+	couple_with_heart_woman_man_medium_light_skin_tone_dark_skin_tone: "👩🏼‍❤️‍👨🏿",
+	couple_with_heart_woman_man_medium_light_skin_tone_light_skin_tone: "👩🏼‍❤️‍👨🏻",
+	couple_with_heart_woman_man_medium_light_skin_tone_medium_dark_skin_tone: "👩🏼‍❤️‍👨🏾",
+	couple_with_heart_woman_man_medium_light_skin_tone_medium_skin_tone: "👩🏼‍❤️‍👨🏽",
+	couple_with_heart_woman_man_medium_skin_tone: "👩🏽‍❤️‍👨🏽",
+	couple_with_heart_woman_man_medium_skin_tone_dark_skin_tone: "👩🏽‍❤️‍👨🏿",
+	couple_with_heart_woman_man_medium_skin_tone_light_skin_tone: "👩🏽‍❤️‍👨🏻",
+	couple_with_heart_woman_man_medium_skin_tone_medium_dark_skin_tone: "👩🏽‍❤️‍👨🏾",
+	couple_with_heart_woman_man_medium_skin_tone_medium_light_skin_tone: "👩🏽‍❤️‍👨🏼",
+	couple_with_heart_woman_man_tone1: "👩🏻‍❤️‍👨🏻",
+	couple_with_heart_woman_man_tone1_tone2: "👩🏻‍❤️‍👨🏼",
+	couple_with_heart_woman_man_tone1_tone3: "👩🏻‍❤️‍👨🏽",
+	couple_with_heart_woman_man_tone1_tone4: "👩🏻‍❤️‍👨🏾",
+	couple_with_heart_woman_man_tone1_tone5: "👩🏻‍❤️‍👨🏿",
+	couple_with_heart_woman_man_tone2: "👩🏼‍❤️‍👨🏼",
+	couple_with_heart_woman_man_tone2_tone1: "👩🏼‍❤️‍👨🏻",
+	couple_with_heart_woman_man_tone2_tone3: "👩🏼‍❤️‍👨🏽",
+	couple_with_heart_woman_man_tone2_tone4: "👩🏼‍❤️‍👨🏾",
+	couple_with_heart_woman_man_tone2_tone5: "👩🏼‍❤️‍👨🏿",
+	couple_with_heart_woman_man_tone3: "👩🏽‍❤️‍👨🏽",
+	couple_with_heart_woman_man_tone3_tone1: "👩🏽‍❤️‍👨🏻",
+	couple_with_heart_woman_man_tone3_tone2: "👩🏽‍❤️‍👨🏼",
+	couple_with_heart_woman_man_tone3_tone4: "👩🏽‍❤️‍👨🏾",
+	couple_with_heart_woman_man_tone3_tone5: "👩🏽‍❤️‍👨🏿",
+	couple_with_heart_woman_man_tone4: "👩🏾‍❤️‍👨🏾",
+	couple_with_heart_woman_man_tone4_tone1: "👩🏾‍❤️‍👨🏻",
+	couple_with_heart_woman_man_tone4_tone2: "👩🏾‍❤️‍👨🏼",
+	couple_with_heart_woman_man_tone4_tone3: "👩🏾‍❤️‍👨🏽",
+	couple_with_heart_woman_man_tone4_tone5: "👩🏾‍❤️‍👨🏿",
+	couple_with_heart_woman_man_tone5: "👩🏿‍❤️‍👨🏿",
+	couple_with_heart_woman_man_tone5_tone1: "👩🏿‍❤️‍👨🏻",
+	couple_with_heart_woman_man_tone5_tone2: "👩🏿‍❤️‍👨🏼",
+	couple_with_heart_woman_man_tone5_tone3: "👩🏿‍❤️‍👨🏽",
+	couple_with_heart_woman_man_tone5_tone4: "👩🏿‍❤️‍👨🏾", couple_with_heart_woman_woman: "👩‍❤️‍👩",
+	couple_with_heart_woman_woman_dark_skin_tone: "👩🏿‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_dark_skin_tone_light_skin_tone: "👩🏿‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_dark_skin_tone_medium_dark_skin_tone: "👩🏿‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_dark_skin_tone_medium_light_skin_tone: "👩🏿‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_dark_skin_tone_medium_skin_tone: "👩🏿‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_light_skin_tone: "👩🏻‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_light_skin_tone_dark_skin_tone: "👩🏻‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_light_skin_tone_medium_dark_skin_tone: "👩🏻‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_light_skin_tone_medium_light_skin_tone: "👩🏻‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_light_skin_tone_medium_skin_tone: "👩🏻‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_medium_dark_skin_tone: "👩🏾‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_medium_dark_skin_tone_dark_skin_tone: "👩🏾‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_medium_dark_skin_tone_light_skin_tone: "👩🏾‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_medium_dark_skin_tone_medium_light_skin_tone: "👩🏾‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_medium_dark_skin_tone_medium_skin_tone: "👩🏾‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_medium_light_skin_tone: "👩🏼‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_medium_light_skin_tone_dark_skin_tone: "👩🏼‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_medium_light_skin_tone_light_skin_tone: "👩🏼‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_medium_light_skin_tone_medium_dark_skin_tone: "👩🏼‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_medium_light_skin_tone_medium_skin_tone: "👩🏼‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_medium_skin_tone: "👩🏽‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_medium_skin_tone_dark_skin_tone: "👩🏽‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_medium_skin_tone_light_skin_tone: "👩🏽‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_medium_skin_tone_medium_dark_skin_tone: "👩🏽‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_medium_skin_tone_medium_light_skin_tone: "👩🏽‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_tone1: "👩🏻‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_tone1_tone2: "👩🏻‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_tone1_tone3: "👩🏻‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_tone1_tone4: "👩🏻‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_tone1_tone5: "👩🏻‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_tone2: "👩🏼‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_tone2_tone1: "👩🏼‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_tone2_tone3: "👩🏼‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_tone2_tone4: "👩🏼‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_tone2_tone5: "👩🏼‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_tone3: "👩🏽‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_tone3_tone1: "👩🏽‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_tone3_tone2: "👩🏽‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_tone3_tone4: "👩🏽‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_tone3_tone5: "👩🏽‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_tone4: "👩🏾‍❤️‍👩🏾",
+	couple_with_heart_woman_woman_tone4_tone1: "👩🏾‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_tone4_tone2: "👩🏾‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_tone4_tone3: "👩🏾‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_tone4_tone5: "👩🏾‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_tone5: "👩🏿‍❤️‍👩🏿",
+	couple_with_heart_woman_woman_tone5_tone1: "👩🏿‍❤️‍👩🏻",
+	couple_with_heart_woman_woman_tone5_tone2: "👩🏿‍❤️‍👩🏼",
+	couple_with_heart_woman_woman_tone5_tone3: "👩🏿‍❤️‍👩🏽",
+	couple_with_heart_woman_woman_tone5_tone4: "👩🏿‍❤️‍👩🏾", couple_with_heart_ww: "👩‍❤️‍👩",
+	couple_ww: "👩‍❤️‍👩", couplekiss: "💏", couplekiss_man_man: "👨‍❤️‍💋‍👨",
+	couplekiss_man_woman: "👩‍❤️‍💋‍👨", couplekiss_mm: "👨‍❤️‍💋‍👨",
+	couplekiss_woman_woman: "👩‍❤️‍💋‍👩", couplekiss_ww: "👩‍❤️‍💋‍👩", cow: "🐮", cow2: "🐄",
+	cow_face: "🐮", cowboy: "🤠", cowboy_hat_face: "🤠", cp: "🇨🇵", cr: "🇨🇷", crab: "🦀", crayon: "🖍️",
+	credit_card: "💳️", crescent_moon: "🌙", cricket: "🦗", cricket_bat_ball: "🏏", cricket_game: "🏏",
+	croatia: "🇭🇷", crocodile: "🐊", croissant: "🥐", cross: "✝️", cross_mark: "❌️",
+	crossed_fingers: "🤞", crossed_flags: "🎌", crossed_swords: "⚔️", crown: "👑", cruise_ship: "🛳️",
+	crutch: "🩼", cry: "😢", crying_cat: "😿", crying_cat_face: "😿", crying_face: "😢",
+	crystal_ball: "🔮", cu: "🇨🇺", cuba: "🇨🇺", cucumber: "🥒", cup_with_straw: "🥤", cupcake: "🧁",
+	cupid: "💘", curacao: "🇨🇼", curling_stone: "🥌", curly_hair: "🦱", curly_haired: "🦱",
+	curly_haired_man: "👨‍🦱", curly_haired_woman: "👩‍🦱", curly_loop: "➰️", currency_exchange: "💱",
+	curry: "🍛", curry_rice: "🍛", cursing_face: "🤬", custard: "🍮", customs: "🛃", cut_of_meat: "🥩",
+	cv: "🇨🇻", cw: "🇨🇼", cx: "🇨🇽", cy: "🇨🇾", cyclone: "🌀", cyprus: "🇨🇾", cz: "🇨🇿",
+	czech_republic: "🇨🇿", dagger: "🗡️", dagger_knife: "🗡️", dancer: "💃", dancer_tone1: "💃🏻",
+	dancer_tone2: "💃🏼", dancer_tone3: "💃🏽", dancer_tone4: "💃🏾", dancer_tone5: "💃🏿", dancers: "👯",
+	dancing_men: "👯‍♂️", dancing_women: "👯‍♀️", dango: "🍡", dark_sunglasses: "🕶️", dart: "🎯",
+	dash: "💨", dashing_away: "💨", date: "📅", de: "🇩🇪", deaf_man: "🧏‍♂️",
+	deaf_man_dark_skin_tone: "🧏🏿‍♂️", deaf_man_light_skin_tone: "🧏🏻‍♂️",
+	deaf_man_medium_dark_skin_tone: "🧏🏾‍♂️", deaf_man_medium_light_skin_tone: "🧏🏼‍♂️",
+	deaf_man_medium_skin_tone: "🧏🏽‍♂️", deaf_man_tone1: "🧏🏻‍♂️", deaf_man_tone2: "🧏🏼‍♂️",
+	deaf_man_tone3: "🧏🏽‍♂️", deaf_man_tone4: "🧏🏾‍♂️", deaf_man_tone5: "🧏🏿‍♂️", deaf_person: "🧏",
+	deaf_person_dark_skin_tone: "🧏🏿", deaf_person_light_skin_tone: "🧏🏻",
+	deaf_person_medium_dark_skin_tone: "🧏🏾", deaf_person_medium_light_skin_tone: "🧏🏼",
+	deaf_person_medium_skin_tone: "🧏🏽", deaf_person_tone1: "🧏🏻", deaf_person_tone2: "🧏🏼",
+	deaf_person_tone3: "🧏🏽", deaf_person_tone4: "🧏🏾", deaf_person_tone5: "🧏🏿", deaf_woman: "🧏‍♀️",
+	deaf_woman_dark_skin_tone: "🧏🏿‍♀️", deaf_woman_light_skin_tone: "🧏🏻‍♀️",
+	deaf_woman_medium_dark_skin_tone: "🧏🏾‍♀️", deaf_woman_medium_light_skin_tone: "🧏🏼‍♀️",
+	deaf_woman_medium_skin_tone: "🧏🏽‍♀️", deaf_woman_tone1: "🧏🏻‍♀️", deaf_woman_tone2: "🧏🏼‍♀️",
+	deaf_woman_tone3: "🧏🏽‍♀️", deaf_woman_tone4: "🧏🏾‍♀️", deaf_woman_tone5: "🧏🏿‍♀️",
+	deciduous_tree: "🌳", deer: "🦌", denmark: "🇩🇰", department_store: "🏬", derelict_house: "🏚️",
+	derelict_house_building: "🏚️", desert: "🏜️", desert_island: "🏝️", desktop: "🖥️",
+	desktop_computer: "🖥️", detective: "🕵️", detective_tone1: "🕵🏻", detective_tone2: "🕵🏼",
+	detective_tone3: "🕵🏽", detective_tone4: "🕵🏾", detective_tone5: "🕵🏿", dg: "🇩🇬",
+	diamond_shape_with_a_dot_inside: "💠", diamond_suit: "♦️", diamonds: "♦️", diego_garcia: "🇩🇬",
+	direct_hit: "🎯", disappointed: "😞", disappointed_relieved: "😥", disguised_face: "🥸",
+	dividers: "🗂️", diving_mask: "🤿", diya_lamp: "🪔", dizzy: "💫", dizzy_face: "😵", dj: "🇩🇯",
+	djibouti: "🇩🇯", dk: "🇩🇰", dm: "🇩🇲", dna: "🧬", do: "🇩🇴", do_not_litter: "🚯", dodo: "🦤",
+	dog: "🐶", dog2: "🐕️", dog_face: "🐶", dollar: "💵", dolls: "🎎", dolphin: "🐬", dominica: "🇩🇲",
+	dominican_republic: "🇩🇴", donkey: "🫏", door: "🚪", dotted_line_face: "🫥",
+	double_vertical_bar: "⏸️", doughnut: "🍩", dove: "🕊️", dove_of_peace: "🕊️", down_arrow: "⬇️",
+	dragon: "🐉", dragon_face: "🐲", dress: "👗", dromedary_camel: "🐪", drool: "🤤", drooling_face: "🤤",
+	drop_of_blood: "🩸", droplet: "💧", drum: "🥁", drum_with_drumsticks: "🥁", duck: "🦆", dumpling: "🥟",
+	dvd: "📀", dz: "🇩🇿", "e-mail": "📧", e_mail: "📧", ea: "🇪🇦", eagle: "🦅", ear: "👂️",
+	ear_of_corn: "🌽", ear_of_rice: "🌾", ear_tone1: "👂🏻", ear_tone2: "👂🏼", ear_tone3: "👂🏽",
+	ear_tone4: "👂🏾", ear_tone5: "👂🏿", ear_with_hearing_aid: "🦻",
+	ear_with_hearing_aid_dark_skin_tone: "🦻🏿", ear_with_hearing_aid_light_skin_tone: "🦻🏻",
+	ear_with_hearing_aid_medium_dark_skin_tone: "🦻🏾",
+	ear_with_hearing_aid_medium_light_skin_tone: "🦻🏼", ear_with_hearing_aid_medium_skin_tone: "🦻🏽",
+	ear_with_hearing_aid_tone1: "🦻🏻", ear_with_hearing_aid_tone2: "🦻🏼",
+	ear_with_hearing_aid_tone3: "🦻🏽", ear_with_hearing_aid_tone4: "🦻🏾",
+	ear_with_hearing_aid_tone5: "🦻🏿", earth_africa: "🌍️", earth_americas: "🌎️", earth_asia: "🌏️",
+	ec: "🇪🇨", ecuador: "🇪🇨", ee: "🇪🇪", eg: "🇪🇬", egg: "🥚", eggplant: "🍆", egypt: "🇪🇬",
+	eh: "🇪🇭", eight: "8️⃣", eight_oclock: "🕗️", eight_pointed_black_star: "✴️",
+	eight_spoked_asterisk: "✳️", eight_thirty: "🕣️", eject: "⏏️", eject_button: "⏏️", eject_symbol: "⏏️",
+	el_salvador: "🇸🇻", electric_plug: "🔌", elephant: "🐘", elevator: "🛗", eleven_oclock: "🕚️",
+	eleven_thirty: "🕦️", elf: "🧝", elf_dark_skin_tone: "🧝🏿", elf_light_skin_tone: "🧝🏻",
+	elf_man: "🧝‍♂️", elf_medium_dark_skin_tone: "🧝🏾", elf_medium_light_skin_tone: "🧝🏼",
+	elf_medium_skin_tone: "🧝🏽", elf_tone1: "🧝🏻", elf_tone2: "🧝🏼", elf_tone3: "🧝🏽",
+	elf_tone4: "🧝🏾", elf_tone5: "🧝🏿", elf_woman: "🧝‍♀️", email: "📧", empty_nest: "🪹", end: "🔚",
+	end_arrow: "🔚", england: "🏴󠁧󠁢󠁥󠁮󠁧󠁿", envelope: "✉️", envelope_with_arrow: "📩",
+	equatorial_guinea: "🇬🇶", er: "🇪🇷", eritrea: "🇪🇷", es: "🇪🇸", estonia: "🇪🇪", et: "🇪🇹",
+	ethiopia: "🇪🇹", eu: "🇪🇺", euro: "💶", euro_banknote: "💶", european_castle: "🏰",
+	european_post_office: "🏤", european_union: "🇪🇺", evergreen_tree: "🌲", ewe: "🐑", exclamation: "❗️",
+	expecting_woman: "🤰", expecting_woman_tone1: "🤰🏻", expecting_woman_tone2: "🤰🏼",
+	expecting_woman_tone3: "🤰🏽", expecting_woman_tone4: "🤰🏾", expecting_woman_tone5: "🤰🏿",
+	exploding_head: "🤯", expressionless: "😑", eye: "👁️", eye_in_speech_bubble: "👁️‍🗨️",
+	eye_speech_bubble: "👁️‍🗨️", eyeglasses: "👓️", eyes: "👀", face_exhaling: "😮‍💨",
+	face_holding_back_tears: "🥹", face_in_clouds: "😶‍🌫️", face_palm: "🤦", face_palm_tone1: "🤦🏻",
+	face_palm_tone2: "🤦🏼", face_palm_tone3: "🤦🏽", face_palm_tone4: "🤦🏾", face_palm_tone5: "🤦🏿",
+	face_vomiting: "🤮", face_with_cowboy_hat: "🤠", face_with_diagonal_mouth: "🫤",
+	face_with_hand_over_mouth: "🤭", face_with_head_bandage: "🤕", face_with_monocle: "🧐",
+	face_with_open_eyes_and_hand_over_mouth: "🫢", face_with_peeking_eye: "🫣",
+	face_with_raised_eyebrow: "🤨", face_with_rolling_eyes: "🙄", face_with_spiral_eyes: "😵‍💫",
+	face_with_symbols_over_mouth: "🤬", face_with_thermometer: "🤒", facepalm: "🤦",
+	facepalm_tone1: "🤦🏻", facepalm_tone2: "🤦🏼", facepalm_tone3: "🤦🏽", facepalm_tone4: "🤦🏾",
+	facepalm_tone5: "🤦🏿", facepunch: "👊", factory: "🏭️", factory_worker: "🧑‍🏭",
+	factory_worker_dark_skin_tone: "🧑🏿‍🏭", factory_worker_light_skin_tone: "🧑🏻‍🏭",
+	factory_worker_medium_dark_skin_tone: "🧑🏾‍🏭", factory_worker_medium_light_skin_tone: "🧑🏼‍🏭",
+	factory_worker_medium_skin_tone: "🧑🏽‍🏭", factory_worker_tone1: "🧑🏻‍🏭",
+	factory_worker_tone2: "🧑🏼‍🏭", factory_worker_tone3: "🧑🏽‍🏭", factory_worker_tone4: "🧑🏾‍🏭",
+	factory_worker_tone5: "🧑🏿‍🏭", fairy: "🧚", fairy_dark_skin_tone: "🧚🏿",
+	fairy_light_skin_tone: "🧚🏻", fairy_man: "🧚‍♂️", fairy_medium_dark_skin_tone: "🧚🏾",
+	fairy_medium_light_skin_tone: "🧚🏼", fairy_medium_skin_tone: "🧚🏽", fairy_tone1: "🧚🏻",
+	fairy_tone2: "🧚🏼", fairy_tone3: "🧚🏽", fairy_tone4: "🧚🏾", fairy_tone5: "🧚🏿",
+	fairy_woman: "🧚‍♀️", falafel: "🧆", falkland_islands: "🇫🇰", fallen_leaf: "🍂", family: "👪️",
+	family_man_boy: "👨‍👦", family_man_boy_boy: "👨‍👦‍👦", family_man_girl: "👨‍👧",
+	family_man_girl_boy: "👨‍👧‍👦", family_man_girl_girl: "👨‍👧‍👧", family_man_man_boy: "👨‍👨‍👦",
+	family_man_man_boy_boy: "👨‍👨‍👦‍👦", family_man_man_girl: "👨‍👨‍👧",
+	family_man_man_girl_boy: "👨‍👨‍👧‍👦", family_man_man_girl_girl: "👨‍👨‍👧‍👧",
+	family_man_woman_boy: "👨‍👩‍👦", family_man_woman_boy_boy: "👨‍👩‍👦‍👦",
+	family_man_woman_girl: "👨‍👩‍👧", family_man_woman_girl_boy: "👨‍👩‍👧‍👦",
+	family_man_woman_girl_girl: "👨‍👩‍👧‍👧", family_mmb: "👨‍👨‍👦", family_mmbb: "👨‍👨‍👦‍👦",
+	family_mmg: "👨‍👨‍👧", family_mmgb: "👨‍👨‍👧‍👦", family_mmgg: "👨‍👨‍👧‍👧",
+	family_mwbb: "👨‍👩‍👦‍👦", family_mwg: "👨‍👩‍👧", family_mwgb: "👨‍👩‍👧‍👦",
+	family_mwgg: "👨‍👩‍👧‍👧", family_woman_boy: "👩‍👦", family_woman_boy_boy: "👩‍👦‍👦",
+	family_woman_girl: "👩‍👧", family_woman_girl_boy: "👩‍👧‍👦", family_woman_girl_girl: "👩‍👧‍👧",
+	family_woman_woman_boy: "👩‍👩‍👦", family_woman_woman_boy_boy: "👩‍👩‍👦‍👦",
+	family_woman_woman_girl: "👩‍👩‍👧", family_woman_woman_girl_boy: "👩‍👩‍👧‍👦",
+	family_woman_woman_girl_girl: "👩‍👩‍👧‍👧", family_wwb: "👩‍👩‍👦", family_wwbb: "👩‍👩‍👦‍👦",
+	family_wwg: "👩‍👩‍👧", family_wwgb: "👩‍👩‍👧‍👦", family_wwgg: "👩‍👩‍👧‍👧", farmer: "🧑‍🌾",
+	farmer_dark_skin_tone: "🧑🏿‍🌾", farmer_light_skin_tone: "🧑🏻‍🌾",
+	farmer_medium_dark_skin_tone: "🧑🏾‍🌾", farmer_medium_light_skin_tone: "🧑🏼‍🌾",
+	farmer_medium_skin_tone: "🧑🏽‍🌾", farmer_tone1: "🧑🏻‍🌾", farmer_tone2: "🧑🏼‍🌾",
+	farmer_tone3: "🧑🏽‍🌾", farmer_tone4: "🧑🏾‍🌾", farmer_tone5: "🧑🏿‍🌾", faroe_islands: "🇫🇴",
+	fast_forward: "⏩️", fax: "📠", fax_machine: "📠", fearful: "😨", fearful_face: "😨", feather: "🪶",
+	feet: "🐾", female_detective: "🕵️‍♀️", female_sign: "♀️", fencer: "🤺", fencing: "🤺",
+	ferris_wheel: "🎡", ferry: "⛴️", fi: "🇫🇮", field_hockey: "🏑", fiji: "🇫🇯", file_cabinet: "🗄️",
+	file_folder: "📁", film_frames: "🎞️", film_projector: "📽️", film_strip: "🎞️", fingers_crossed: "🤞",
+	fingers_crossed_tone1: "🤞🏻", fingers_crossed_tone2: "🤞🏼", fingers_crossed_tone3: "🤞🏽",
+	fingers_crossed_tone4: "🤞🏾", fingers_crossed_tone5: "🤞🏿", finland: "🇫🇮", fire: "🔥",
+	fire_engine: "🚒", fire_extinguisher: "🧯", firecracker: "🧨", firefighter: "🧑‍🚒",
+	firefighter_dark_skin_tone: "🧑🏿‍🚒", firefighter_light_skin_tone: "🧑🏻‍🚒",
+	firefighter_medium_dark_skin_tone: "🧑🏾‍🚒", firefighter_medium_light_skin_tone: "🧑🏼‍🚒",
+	firefighter_medium_skin_tone: "🧑🏽‍🚒", firefighter_tone1: "🧑🏻‍🚒", firefighter_tone2: "🧑🏼‍🚒",
+	firefighter_tone3: "🧑🏽‍🚒", firefighter_tone4: "🧑🏾‍🚒", firefighter_tone5: "🧑🏿‍🚒",
+	fireworks: "🎆", first_place: "🥇", first_place_medal: "🥇", first_quarter_moon: "🌓",
+	first_quarter_moon_with_face: "🌛", fish: "🐟️", fish_cake: "🍥", fishing_pole: "🎣",
+	fishing_pole_and_fish: "🎣", fist: "✊️", fist_left: "🤛", fist_oncoming: "👊", fist_raised: "✊️",
+	fist_right: "🤜", fist_tone1: "✊🏻", fist_tone2: "✊🏼", fist_tone3: "✊🏽", fist_tone4: "✊🏾",
+	fist_tone5: "✊🏿", five: "5️⃣", five_oclock: "🕔️", five_thirty: "🕠️", fj: "🇫🇯", fk: "🇫🇰",
+	flag_ac: "🇦🇨", flag_ad: "🇦🇩", flag_ae: "🇦🇪", flag_af: "🇦🇫", flag_ag: "🇦🇬", flag_ai: "🇦🇮",
+	flag_al: "🇦🇱", flag_am: "🇦🇲", flag_ao: "🇦🇴", flag_aq: "🇦🇶", flag_ar: "🇦🇷", flag_as: "🇦🇸",
+	flag_at: "🇦🇹", flag_au: "🇦🇺", flag_aw: "🇦🇼", flag_ax: "🇦🇽", flag_az: "🇦🇿", flag_ba: "🇧🇦",
+	flag_bb: "🇧🇧", flag_bd: "🇧🇩", flag_be: "🇧🇪", flag_bf: "🇧🇫", flag_bg: "🇧🇬", flag_bh: "🇧🇭",
+	flag_bi: "🇧🇮", flag_bj: "🇧🇯", flag_bl: "🇧🇱", flag_black: "🏴", flag_bm: "🇧🇲", flag_bn: "🇧🇳",
+	flag_bo: "🇧🇴", flag_bq: "🇧🇶", flag_br: "🇧🇷", flag_bs: "🇧🇸", flag_bt: "🇧🇹", flag_bv: "🇧🇻",
+	flag_bw: "🇧🇼", flag_by: "🇧🇾", flag_bz: "🇧🇿", flag_ca: "🇨🇦", flag_cc: "🇨🇨", flag_cd: "🇨🇩",
+	flag_cf: "🇨🇫", flag_cg: "🇨🇬", flag_ch: "🇨🇭", flag_ci: "🇨🇮", flag_ck: "🇨🇰", flag_cl: "🇨🇱",
+	flag_cm: "🇨🇲", flag_cn: "🇨🇳", flag_co: "🇨🇴", flag_cp: "🇨🇵", flag_cr: "🇨🇷", flag_cu: "🇨🇺",
+	flag_cv: "🇨🇻", flag_cw: "🇨🇼", flag_cx: "🇨🇽", flag_cy: "🇨🇾", flag_cz: "🇨🇿", flag_de: "🇩🇪",
+	flag_dg: "🇩🇬", flag_dj: "🇩🇯", flag_dk: "🇩🇰", flag_dm: "🇩🇲", flag_do: "🇩🇴", flag_dz: "🇩🇿",
+	flag_ea: "🇪🇦", flag_ec: "🇪🇨", flag_ee: "🇪🇪", flag_eg: "🇪🇬", flag_eh: "🇪🇭", flag_er: "🇪🇷",
+	flag_es: "🇪🇸", flag_et: "🇪🇹", flag_eu: "🇪🇺", flag_fi: "🇫🇮", flag_fj: "🇫🇯", flag_fk: "🇫🇰",
+	flag_fm: "🇫🇲", flag_fo: "🇫🇴", flag_fr: "🇫🇷", flag_ga: "🇬🇦", flag_gb: "🇬🇧", flag_gd: "🇬🇩",
+	flag_ge: "🇬🇪", flag_gf: "🇬🇫", flag_gg: "🇬🇬", flag_gh: "🇬🇭", flag_gi: "🇬🇮", flag_gl: "🇬🇱",
+	flag_gm: "🇬🇲", flag_gn: "🇬🇳", flag_gp: "🇬🇵", flag_gq: "🇬🇶", flag_gr: "🇬🇷", flag_gs: "🇬🇸",
+	flag_gt: "🇬🇹", flag_gu: "🇬🇺", flag_gw: "🇬🇼", flag_gy: "🇬🇾", flag_hk: "🇭🇰", flag_hm: "🇭🇲",
+	flag_hn: "🇭🇳", flag_hr: "🇭🇷", flag_ht: "🇭🇹", flag_hu: "🇭🇺", flag_ic: "🇮🇨", flag_id: "🇮🇩",
+	flag_ie: "🇮🇪", flag_il: "🇮🇱", flag_im: "🇮🇲", flag_in: "🇮🇳", flag_in_hole: "⛳️",
+	flag_io: "🇮🇴", flag_iq: "🇮🇶", flag_ir: "🇮🇷", flag_is: "🇮🇸", flag_it: "🇮🇹", flag_je: "🇯🇪",
+	flag_jm: "🇯🇲", flag_jo: "🇯🇴", flag_jp: "🇯🇵", flag_ke: "🇰🇪", flag_kg: "🇰🇬", flag_kh: "🇰🇭",
+	flag_ki: "🇰🇮", flag_km: "🇰🇲", flag_kn: "🇰🇳", flag_kp: "🇰🇵", flag_kr: "🇰🇷", flag_kw: "🇰🇼",
+	flag_ky: "🇰🇾", flag_kz: "🇰🇿", flag_la: "🇱🇦", flag_lb: "🇱🇧", flag_lc: "🇱🇨", flag_li: "🇱🇮",
+	flag_lk: "🇱🇰", flag_lr: "🇱🇷", flag_ls: "🇱🇸", flag_lt: "🇱🇹", flag_lu: "🇱🇺", flag_lv: "🇱🇻",
+	flag_ly: "🇱🇾", flag_ma: "🇲🇦", flag_mc: "🇲🇨", flag_md: "🇲🇩", flag_me: "🇲🇪", flag_mf: "🇲🇫",
+	flag_mg: "🇲🇬", flag_mh: "🇲🇭", flag_mk: "🇲🇰", flag_ml: "🇲🇱", flag_mm: "🇲🇲", flag_mn: "🇲🇳",
+	flag_mo: "🇲🇴", flag_mp: "🇲🇵", flag_mq: "🇲🇶", flag_mr: "🇲🇷", flag_ms: "🇲🇸", flag_mt: "🇲🇹",
+	flag_mu: "🇲🇺", flag_mv: "🇲🇻", flag_mw: "🇲🇼", flag_mx: "🇲🇽", flag_my: "🇲🇾", flag_mz: "🇲🇿",
+	flag_na: "🇳🇦", flag_nc: "🇳🇨", flag_ne: "🇳🇪", flag_nf: "🇳🇫", flag_ng: "🇳🇬", flag_ni: "🇳🇮",
+	flag_nl: "🇳🇱", flag_no: "🇳🇴", flag_np: "🇳🇵", flag_nr: "🇳🇷", flag_nu: "🇳🇺", flag_nz: "🇳🇿",
+	flag_om: "🇴🇲", flag_pa: "🇵🇦", flag_pe: "🇵🇪", flag_pf: "🇵🇫", flag_pg: "🇵🇬", flag_ph: "🇵🇭",
+	flag_pk: "🇵🇰", flag_pl: "🇵🇱", flag_pm: "🇵🇲", flag_pn: "🇵🇳", flag_pr: "🇵🇷", flag_ps: "🇵🇸",
+	flag_pt: "🇵🇹", flag_pw: "🇵🇼", flag_py: "🇵🇾", flag_qa: "🇶🇦", flag_re: "🇷🇪", flag_ro: "🇷🇴",
+	flag_rs: "🇷🇸", flag_ru: "🇷🇺", flag_rw: "🇷🇼", flag_sa: "🇸🇦", flag_sb: "🇸🇧", flag_sc: "🇸🇨",
+	flag_sd: "🇸🇩", flag_se: "🇸🇪", flag_sg: "🇸🇬", flag_sh: "🇸🇭", flag_si: "🇸🇮", flag_sj: "🇸🇯",
+	flag_sk: "🇸🇰", flag_sl: "🇸🇱", flag_sm: "🇸🇲", flag_sn: "🇸🇳", flag_so: "🇸🇴", flag_sr: "🇸🇷",
+	flag_ss: "🇸🇸", flag_st: "🇸🇹", flag_sv: "🇸🇻", flag_sx: "🇸🇽", flag_sy: "🇸🇾", flag_sz: "🇸🇿",
+	flag_ta: "🇹🇦", flag_tc: "🇹🇨", flag_td: "🇹🇩", flag_tf: "🇹🇫", flag_tg: "🇹🇬", flag_th: "🇹🇭",
+	flag_tj: "🇹🇯", flag_tk: "🇹🇰", flag_tl: "🇹🇱", flag_tm: "🇹🇲", flag_tn: "🇹🇳", flag_to: "🇹🇴",
+	flag_tr: "🇹🇷", flag_tt: "🇹🇹", flag_tv: "🇹🇻", flag_tw: "🇹🇼", flag_tz: "🇹🇿", flag_ua: "🇺🇦",
+	flag_ug: "🇺🇬", flag_um: "🇺🇲", flag_us: "🇺🇸", flag_uy: "🇺🇾", flag_uz: "🇺🇿", flag_va: "🇻🇦",
+	flag_vc: "🇻🇨", flag_ve: "🇻🇪", flag_vg: "🇻🇬", flag_vi: "🇻🇮", flag_vn: "🇻🇳", flag_vu: "🇻🇺",
+	flag_wf: "🇼🇫", flag_white: "🏳️", flag_ws: "🇼🇸", flag_xk: "🇽🇰", flag_ye: "🇾🇪", flag_yt: "🇾🇹",
+	flag_za: "🇿🇦", flag_zm: "🇿🇲", flag_zw: "🇿🇼", flags: "🎏", flame: "🔥", flamingo: "🦩",
+	flan: "🍮", flashlight: "🔦", flat_shoe: "🥿", flatbread: "🫓", "fleur-de-lis": "⚜️",
+	fleur_de_lis: "⚜️", flexed_biceps: "💪", flight_arrival: "🛬", flight_departure: "🛫", flipper: "🐬",
+	floppy_disk: "💾", flower_playing_cards: "🎴", flushed: "😳", flushed_face: "😳", flute: "🪈",
+	fly: "🪰", flying_disc: "🥏", flying_saucer: "🛸", fm: "🇫🇲", fo: "🇫🇴", fog: "🌫️", foggy: "🌁",
+	folded_hands: "🙏", folding_hand_fan: "🪭", fondue: "🫕", foot: "🦶", foot_dark_skin_tone: "🦶🏿",
+	foot_light_skin_tone: "🦶🏻", foot_medium_dark_skin_tone: "🦶🏾", foot_medium_light_skin_tone: "🦶🏼",
+	foot_medium_skin_tone: "🦶🏽", foot_tone1: "🦶🏻", foot_tone2: "🦶🏼", foot_tone3: "🦶🏽",
+	foot_tone4: "🦶🏾", foot_tone5: "🦶🏿", football: "🏈", footprints: "👣", fork_and_knife: "🍴",
+	fork_and_knife_with_plate: "🍽️", fork_knife_plate: "🍽️", fortune_cookie: "🥠", fountain: "⛲️",
+	fountain_pen: "🖋️", four: "4️⃣", four_leaf_clover: "🍀", four_oclock: "🕓️", four_thirty: "🕟️",
+	fox: "🦊", fox_face: "🦊", fr: "🇫🇷", frame_photo: "🖼️", frame_with_picture: "🖼️",
+	framed_picture: "🖼️", free: "🆓", french_bread: "🥖", french_fries: "🍟", french_guiana: "🇬🇫",
+	french_polynesia: "🇵🇫", french_southern_territories: "🇹🇫", fried_egg: "🍳", fried_shrimp: "🍤",
+	fries: "🍟", frog: "🐸", frowning: "😦", frowning2: "☹️", frowning_face: "☹️", frowning_man: "🙍‍♂️",
+	frowning_person: "🙍", frowning_woman: "🙍‍♀️", fu: "🖕", fuel_pump: "⛽️", fuelpump: "⛽️",
+	full_moon: "🌕️", full_moon_with_face: "🌝", funeral_urn: "⚱️", ga: "🇬🇦", gabon: "🇬🇦",
+	gambia: "🇬🇲", game_die: "🎲", garlic: "🧄", gay_pride_flag: "🏳️‍🌈", gb: "🇬🇧", gd: "🇬🇩",
+	ge: "🇬🇪", gear: "⚙️", gem: "💎", gem_stone: "💎", gemini: "♊️", genie: "🧞", genie_man: "🧞‍♂️",
+	genie_woman: "🧞‍♀️", georgia: "🇬🇪", gf: "🇬🇫", gg: "🇬🇬", gh: "🇬🇭", ghana: "🇬🇭", ghost: "👻",
+	gi: "🇬🇮", gibraltar: "🇬🇮", gift: "🎁", gift_heart: "💝", ginger_root: "🫚", giraffe: "🦒",
+	girl: "👧", girl_tone1: "👧🏻", girl_tone2: "👧🏼", girl_tone3: "👧🏽", girl_tone4: "👧🏾",
+	girl_tone5: "👧🏿", gl: "🇬🇱", glass_of_milk: "🥛", glasses: "👓️", globe_with_meridians: "🌐",
+	gloves: "🧤", glowing_star: "🌟", gm: "🇬🇲", gn: "🇬🇳", goal: "🥅", goal_net: "🥅", goat: "🐐",
+	goblin: "👺", goggles: "🥽", golf: "⛳️", golfer: "🏌️", golfing: "🏌️", golfing_man: "🏌️‍♂️",
+	golfing_woman: "🏌️‍♀️", goose: "🪿", gorilla: "🦍", gp: "🇬🇵", gq: "🇬🇶", gr: "🇬🇷", grandma: "👵",
+	grandma_tone1: "👵🏻", grandma_tone2: "👵🏼", grandma_tone3: "👵🏽", grandma_tone4: "👵🏾",
+	grandma_tone5: "👵🏿", grapes: "🍇", greece: "🇬🇷", green_apple: "🍏", green_book: "📗",
+	green_circle: "🟢", green_heart: "💚", green_salad: "🥗", green_square: "🟩", greenland: "🇬🇱",
+	grenada: "🇬🇩", grey_exclamation: "❕️", grey_heart: "🩶", grey_question: "❔️", grimacing: "😬",
+	grin: "😁", grinning: "😀", grinning_cat: "😺", grinning_face: "😀", growing_heart: "💗", gs: "🇬🇸",
+	gt: "🇬🇹", gu: "🇬🇺", guadeloupe: "🇬🇵", guam: "🇬🇺", guard: "💂", guard_tone1: "💂🏻",
+	guard_tone2: "💂🏼", guard_tone3: "💂🏽", guard_tone4: "💂🏾", guard_tone5: "💂🏿", guardsman: "💂",
+	guardsman_tone1: "💂🏻", guardsman_tone2: "💂🏼", guardsman_tone3: "💂🏽", guardsman_tone4: "💂🏾",
+	guardsman_tone5: "💂🏿", guardswoman: "💂‍♀️", guatemala: "🇬🇹", guernsey: "🇬🇬", guide_dog: "🦮",
+	guinea: "🇬🇳", guinea_bissau: "🇬🇼", guitar: "🎸", gun: "🔫", guyana: "🇬🇾", gw: "🇬🇼", gy: "🇬🇾",
+	hair_pick: "🪮", haircut: "💇", haircut_man: "💇‍♂️", haircut_tone1: "💇🏻", haircut_tone2: "💇🏼",
+	haircut_tone3: "💇🏽", haircut_tone4: "💇🏾", haircut_tone5: "💇🏿", haircut_woman: "💇‍♀️",
+	haiti: "🇭🇹", hamburger: "🍔", hammer: "🔨", hammer_and_pick: "⚒️", hammer_and_wrench: "🛠️",
+	hammer_pick: "⚒️", hamsa: "🪬", hamster: "🐹", hand: "✋️", hand_over_mouth: "🤭", hand_splayed: "🖐️",
+	hand_splayed_tone1: "🖐🏻", hand_splayed_tone2: "🖐🏼", hand_splayed_tone3: "🖐🏽",
+	hand_splayed_tone4: "🖐🏾", hand_splayed_tone5: "🖐🏿",
+	hand_with_index_and_middle_finger_crossed: "🤞",
+	hand_with_index_and_middle_fingers_crossed_tone1: "🤞🏻",
+	hand_with_index_and_middle_fingers_crossed_tone2: "🤞🏼",
+	hand_with_index_and_middle_fingers_crossed_tone3: "🤞🏽",
+	hand_with_index_and_middle_fingers_crossed_tone4: "🤞🏾",
+	hand_with_index_and_middle_fingers_crossed_tone5: "🤞🏿",
+	hand_with_index_finger_and_thumb_crossed: "🫰",
+	hand_with_index_finger_and_thumb_crossed_dark_skin_tone: "🫰🏿",
+	hand_with_index_finger_and_thumb_crossed_light_skin_tone: "🫰🏻",
+	hand_with_index_finger_and_thumb_crossed_medium_dark_skin_tone: "🫰🏾",
+	hand_with_index_finger_and_thumb_crossed_medium_light_skin_tone: "🫰🏼",
+	hand_with_index_finger_and_thumb_crossed_medium_skin_tone: "🫰🏽",
+	hand_with_index_finger_and_thumb_crossed_tone1: "🫰🏻",
+	hand_with_index_finger_and_thumb_crossed_tone2: "🫰🏼",
+	hand_with_index_finger_and_thumb_crossed_tone3: "🫰🏽",
+	hand_with_index_finger_and_thumb_crossed_tone4: "🫰🏾",
+	hand_with_index_finger_and_thumb_crossed_tone5: "🫰🏿", handbag: "👜", handball: "🤾",
+	handball_person: "🤾", handball_tone1: "🤾🏻", handball_tone2: "🤾🏼", handball_tone3: "🤾🏽",
+	handball_tone4: "🤾🏾", handball_tone5: "🤾🏿", handshake: "🤝", handshake_dark_skin_tone: "🤝🏿",
+	handshake_dark_skin_tone_light_skin_tone: "🫱🏿‍🫲🏻",
+	handshake_dark_skin_tone_medium_dark_skin_tone: "🫱🏿‍🫲🏾",
+	handshake_dark_skin_tone_medium_light_skin_tone: "🫱🏿‍🫲🏼",
+	handshake_dark_skin_tone_medium_skin_tone: "🫱🏿‍🫲🏽", handshake_light_skin_tone: "🤝🏻",
+	handshake_light_skin_tone_dark_skin_tone: "🫱🏻‍🫲🏿",
+	handshake_light_skin_tone_medium_dark_skin_tone: "🫱🏻‍🫲🏾",
+	handshake_light_skin_tone_medium_light_skin_tone: "🫱🏻‍🫲🏼",
+	handshake_light_skin_tone_medium_skin_tone: "🫱🏻‍🫲🏽", handshake_medium_dark_skin_tone: "🤝🏾",
+	handshake_medium_dark_skin_tone_dark_skin_tone: "🫱🏾‍🫲🏿",
+	handshake_medium_dark_skin_tone_light_skin_tone: "🫱🏾‍🫲🏻",
+	handshake_medium_dark_skin_tone_medium_light_skin_tone: "🫱🏾‍🫲🏼",
+	handshake_medium_dark_skin_tone_medium_skin_tone: "🫱🏾‍🫲🏽",
+	handshake_medium_light_skin_tone: "🤝🏼", handshake_medium_light_skin_tone_dark_skin_tone: "🫱🏼‍🫲🏿",
+	handshake_medium_light_skin_tone_light_skin_tone: "🫱🏼‍🫲🏻",
+	handshake_medium_light_skin_tone_medium_dark_skin_tone: "🫱🏼‍🫲🏾",
+	handshake_medium_light_skin_tone_medium_skin_tone: "🫱🏼‍🫲🏽", handshake_medium_skin_tone: "🤝🏽",
+	handshake_medium_skin_tone_dark_skin_tone: "🫱🏽‍🫲🏿",
+	handshake_medium_skin_tone_light_skin_tone: "🫱🏽‍🫲🏻",
+	handshake_medium_skin_tone_medium_dark_skin_tone: "🫱🏽‍🫲🏾",
+	handshake_medium_skin_tone_medium_light_skin_tone: "🫱🏽‍🫲🏼", handshake_tone1: "🤝🏻",
+	handshake_tone1_tone2: "🫱🏻‍🫲🏼", handshake_tone1_tone3: "🫱🏻‍🫲🏽",
+	handshake_tone1_tone4: "🫱🏻‍🫲🏾", handshake_tone1_tone5: "🫱🏻‍🫲🏿", handshake_tone2: "🤝🏼",
+	handshake_tone2_tone1: "🫱🏼‍🫲🏻", handshake_tone2_tone3: "🫱🏼‍🫲🏽",
+	handshake_tone2_tone4: "🫱🏼‍🫲🏾", handshake_tone2_tone5: "🫱🏼‍🫲🏿", handshake_tone3: "🤝🏽",
+	handshake_tone3_tone1: "🫱🏽‍🫲🏻", handshake_tone3_tone2: "🫱🏽‍🫲🏼",
+	handshake_tone3_tone4: "🫱🏽‍🫲🏾", handshake_tone3_tone5: "🫱🏽‍🫲🏿", handshake_tone4: "🤝🏾",
+	handshake_tone4_tone1: "🫱🏾‍🫲🏻", handshake_tone4_tone2: "🫱🏾‍🫲🏼",
+	handshake_tone4_tone3: "🫱🏾‍🫲🏽", handshake_tone4_tone5: "🫱🏾‍🫲🏿", handshake_tone5: "🤝🏿",
+	handshake_tone5_tone1: "🫱🏿‍🫲🏻", handshake_tone5_tone2: "🫱🏿‍🫲🏼",
+	handshake_tone5_tone3: "🫱🏿‍🫲🏽", handshake_tone5_tone4: "🫱🏿‍🫲🏾", hankey: "💩", hash: "#️⃣",
+	hatched_chick: "🐥", hatching_chick: "🐣", head_bandage: "🤕", headphone: "🎧️", headphones: "🎧️",
+	headstone: "🪦", health_worker: "🧑‍⚕️", health_worker_dark_skin_tone: "🧑🏿‍⚕️",
+	health_worker_light_skin_tone: "🧑🏻‍⚕️", health_worker_medium_dark_skin_tone: "🧑🏾‍⚕️",
+	health_worker_medium_light_skin_tone: "🧑🏼‍⚕️", health_worker_medium_skin_tone: "🧑🏽‍⚕️",
+	health_worker_tone1: "🧑🏻‍⚕️", health_worker_tone2: "🧑🏼‍⚕️", health_worker_tone3: "🧑🏽‍⚕️",
+	health_worker_tone4: "🧑🏾‍⚕️", health_worker_tone5: "🧑🏿‍⚕️", hear_no_evil: "🙉",
+	heard_mcdonald_islands: "🇭🇲", heart: "❤️", heart_decoration: "💟", heart_exclamation: "❣️",
+	heart_eyes: "😍", heart_eyes_cat: "😻", heart_hands: "🫶", heart_hands_dark_skin_tone: "🫶🏿",
+	heart_hands_light_skin_tone: "🫶🏻", heart_hands_medium_dark_skin_tone: "🫶🏾",
+	heart_hands_medium_light_skin_tone: "🫶🏼", heart_hands_medium_skin_tone: "🫶🏽",
+	heart_hands_tone1: "🫶🏻", heart_hands_tone2: "🫶🏼", heart_hands_tone3: "🫶🏽",
+	heart_hands_tone4: "🫶🏾", heart_hands_tone5: "🫶🏿", heart_on_fire: "❤️‍🔥", heart_suit: "♥️",
+	heartbeat: "💓", heartpulse: "💗", hearts: "♥️", heavy_check_mark: "✔️", heavy_division_sign: "➗️",
+	heavy_dollar_sign: "💲", heavy_equals_sign: "🟰", heavy_exclamation_mark: "❗️",
+	heavy_heart_exclamation: "❣️", heavy_heart_exclamation_mark_ornament: "❣️", heavy_minus_sign: "➖️",
+	heavy_multiplication_x: "✖️", heavy_plus_sign: "➕️", hedgehog: "🦔", helicopter: "🚁",
+	helmet_with_cross: "⛑️", helmet_with_white_cross: "⛑️", herb: "🌿", hibiscus: "🌺",
+	high_brightness: "🔆", high_heel: "👠", high_voltage: "⚡️", hiking_boot: "🥾", hindu_temple: "🛕",
+	hippopotamus: "🦛", hk: "🇭🇰", hm: "🇭🇲", hn: "🇭🇳", hocho: "🔪", hockey: "🏒", hole: "🕳️",
+	homes: "🏘️", honduras: "🇭🇳", honey_pot: "🍯", honeybee: "🐝", hong_kong: "🇭🇰", hook: "🪝",
+	horse: "🐴", horse_face: "🐴", horse_racing: "🏇", horse_racing_tone1: "🏇🏻",
+	horse_racing_tone2: "🏇🏼", horse_racing_tone3: "🏇🏽", horse_racing_tone4: "🏇🏾",
+	horse_racing_tone5: "🏇🏿", hospital: "🏥", hot_beverage: "☕️", hot_dog: "🌭", hot_face: "🥵",
+	hot_pepper: "🌶️", hot_springs: "♨️", hotdog: "🌭", hotel: "🏨", hotsprings: "♨️", hourglass: "⌛️",
+	hourglass_flowing_sand: "⏳️", house: "🏠️", house_abandoned: "🏚️", house_buildings: "🏘️",
+	house_with_garden: "🏡", houses: "🏘️", hr: "🇭🇷", ht: "🇭🇹", hu: "🇭🇺", hugging: "🤗",
+	hugging_face: "🤗", hugs: "🤗", hungary: "🇭🇺", hushed: "😯", hushed_face: "😯", hut: "🛖",
+	hyacinth: "🪻", ic: "🇮🇨", ice_cream: "🍨", ice_cube: "🧊", ice_hockey: "🏒", ice_skate: "⛸️",
+	icecream: "🍦", iceland: "🇮🇸", id: "🆔", identification_card: "🪪", ideograph_advantage: "🉐",
+	ie: "🇮🇪", il: "🇮🇱", im: "🇮🇲", imp: "👿", in: "🇮🇳", inbox_tray: "📥️", incoming_envelope: "📨",
+	index_pointing_at_the_viewer: "🫵", index_pointing_at_the_viewer_dark_skin_tone: "🫵🏿",
+	index_pointing_at_the_viewer_light_skin_tone: "🫵🏻",
+	index_pointing_at_the_viewer_medium_dark_skin_tone: "🫵🏾",
+	index_pointing_at_the_viewer_medium_light_skin_tone: "🫵🏼",
+	index_pointing_at_the_viewer_medium_skin_tone: "🫵🏽", index_pointing_at_the_viewer_tone1: "🫵🏻",
+	index_pointing_at_the_viewer_tone2: "🫵🏼", index_pointing_at_the_viewer_tone3: "🫵🏽",
+	index_pointing_at_the_viewer_tone4: "🫵🏾", index_pointing_at_the_viewer_tone5: "🫵🏿", india: "🇮🇳",
+	indonesia: "🇮🇩", infinity: "♾️", information: "ℹ️", information_desk_person: "💁",
+	information_desk_person_tone1: "💁🏻", information_desk_person_tone2: "💁🏼",
+	information_desk_person_tone3: "💁🏽", information_desk_person_tone4: "💁🏾",
+	information_desk_person_tone5: "💁🏿", information_source: "ℹ️", innocent: "😇", input_numbers: "🔢",
+	input_symbols: "🔣", interrobang: "⁉️", io: "🇮🇴", iphone: "📱", iq: "🇮🇶", ir: "🇮🇷", iran: "🇮🇷",
+	iraq: "🇮🇶", ireland: "🇮🇪", is: "🇮🇸", island: "🏝️", isle_of_man: "🇮🇲", israel: "🇮🇱",
+	it: "🇮🇹", izakaya_lantern: "🏮", jack_o_lantern: "🎃", jamaica: "🇯🇲", japan: "🗾",
+	japanese_castle: "🏯", japanese_goblin: "👺", japanese_ogre: "👹", jar: "🫙", je: "🇯🇪", jeans: "👖",
+	jellyfish: "🪼", jersey: "🇯🇪", jigsaw: "🧩", jm: "🇯🇲", jo: "🇯🇴", joker: "🃏", jordan: "🇯🇴",
+	joy: "😂", joy_cat: "😹", joystick: "🕹️", jp: "🇯🇵", judge: "🧑‍⚖️", judge_dark_skin_tone: "🧑🏿‍⚖️",
+	judge_light_skin_tone: "🧑🏻‍⚖️", judge_medium_dark_skin_tone: "🧑🏾‍⚖️",
+	judge_medium_light_skin_tone: "🧑🏼‍⚖️", judge_medium_skin_tone: "🧑🏽‍⚖️", judge_tone1: "🧑🏻‍⚖️",
+	judge_tone2: "🧑🏼‍⚖️", judge_tone3: "🧑🏽‍⚖️", judge_tone4: "🧑🏾‍⚖️", judge_tone5: "🧑🏿‍⚖️",
+	juggler: "🤹", juggler_tone1: "🤹🏻", juggler_tone2: "🤹🏼", juggler_tone3: "🤹🏽",
+	juggler_tone4: "🤹🏾", juggler_tone5: "🤹🏿", juggling: "🤹", juggling_person: "🤹",
+	juggling_tone1: "🤹🏻", juggling_tone2: "🤹🏼", juggling_tone3: "🤹🏽", juggling_tone4: "🤹🏾",
+	juggling_tone5: "🤹🏿", kaaba: "🕋", kangaroo: "🦘", karate_uniform: "🥋", kayak: "🛶",
+	kazakhstan: "🇰🇿", ke: "🇰🇪", kenya: "🇰🇪", key: "🔑", key2: "🗝️", keyboard: "⌨️",
+	keycap_asterisk: "*️⃣", keycap_ten: "🔟", kg: "🇰🇬", kh: "🇰🇭", khanda: "🪯", ki: "🇰🇮",
+	kick_scooter: "🛴", kimono: "👘", kiribati: "🇰🇮", kiss: "💋", kiss_dark_skin_tone: "💏🏿",
+	kiss_light_skin_tone: "💏🏻", kiss_man_man: "👨‍❤️‍💋‍👨",
+	kiss_man_man_dark_skin_tone: "👨🏿‍❤️‍💋‍👨🏿",
+	kiss_man_man_dark_skin_tone_light_skin_tone: "👨🏿‍❤️‍💋‍👨🏻",
+	kiss_man_man_dark_skin_tone_medium_dark_skin_tone: "👨🏿‍❤️‍💋‍👨🏾",
+	kiss_man_man_dark_skin_tone_medium_light_skin_tone: "👨🏿‍❤️‍💋‍👨🏼",
+	kiss_man_man_dark_skin_tone_medium_skin_tone: "👨🏿‍❤️‍💋‍👨🏽",
+	kiss_man_man_light_skin_tone: "👨🏻‍❤️‍💋‍👨🏻",
+	kiss_man_man_light_skin_tone_dark_skin_tone: "👨🏻‍❤️‍💋‍👨🏿",
+	kiss_man_man_light_skin_tone_medium_dark_skin_tone: "👨🏻‍❤️‍💋‍👨🏾",
+	kiss_man_man_light_skin_tone_medium_light_skin_tone: "👨🏻‍❤️‍💋‍👨🏼",
+	kiss_man_man_light_skin_tone_medium_skin_tone: "👨🏻‍❤️‍💋‍👨🏽",
+	kiss_man_man_medium_dark_skin_tone: "👨🏾‍❤️‍💋‍👨🏾",
+	kiss_man_man_medium_dark_skin_tone_dark_skin_tone: "👨🏾‍❤️‍💋‍👨🏿",
+	kiss_man_man_medium_dark_skin_tone_light_skin_tone: "👨🏾‍❤️‍💋‍👨🏻",
+	kiss_man_man_medium_dark_skin_tone_medium_light_skin_tone: "👨🏾‍❤️‍💋‍👨🏼",
+	kiss_man_man_medium_dark_skin_tone_medium_skin_tone: "👨🏾‍❤️‍💋‍👨🏽",
+	kiss_man_man_medium_light_skin_tone: "👨🏼‍❤️‍💋‍👨🏼",
+	kiss_man_man_medium_light_skin_tone_dark_skin_tone: "👨🏼‍❤️‍💋‍👨🏿",
+	kiss_man_man_medium_light_skin_tone_light_skin_tone: "👨🏼‍❤️‍💋‍👨🏻",
+	kiss_man_man_medium_light_skin_tone_medium_dark_skin_tone: "👨🏼‍❤️‍💋‍👨🏾",
+	kiss_man_man_medium_light_skin_tone_medium_skin_tone: "👨🏼‍❤️‍💋‍👨🏽",
+	kiss_man_man_medium_skin_tone: "👨🏽‍❤️‍💋‍👨🏽",
+	kiss_man_man_medium_skin_tone_dark_skin_tone: "👨🏽‍❤️‍💋‍👨🏿",
+	kiss_man_man_medium_skin_tone_light_skin_tone: "👨🏽‍❤️‍💋‍👨🏻",
+	kiss_man_man_medium_skin_tone_medium_dark_skin_tone: "👨🏽‍❤️‍💋‍👨🏾",
+	kiss_man_man_medium_skin_tone_medium_light_skin_tone: "👨🏽‍❤️‍💋‍👨🏼",
+	kiss_man_man_tone1: "👨🏻‍❤️‍💋‍👨🏻", kiss_man_man_tone1_tone2: "👨🏻‍❤️‍💋‍👨🏼",
+	kiss_man_man_tone1_tone3: "👨🏻‍❤️‍💋‍👨🏽", kiss_man_man_tone1_tone4: "👨🏻‍❤️‍💋‍👨🏾",
+	kiss_man_man_tone1_tone5: "👨🏻‍❤️‍💋‍👨🏿", kiss_man_man_tone2: "👨🏼‍❤️‍💋‍👨🏼",
+	kiss_man_man_tone2_tone1: "👨🏼‍❤️‍💋‍👨🏻", kiss_man_man_tone2_tone3: "👨🏼‍❤️‍💋‍👨🏽",
+	kiss_man_man_tone2_tone4: "👨🏼‍❤️‍💋‍👨🏾", kiss_man_man_tone2_tone5: "👨🏼‍❤️‍💋‍👨🏿",
+	kiss_man_man_tone3: "👨🏽‍❤️‍💋‍👨🏽", kiss_man_man_tone3_tone1: "👨🏽‍❤️‍💋‍👨🏻",
+	kiss_man_man_tone3_tone2: "👨🏽‍❤️‍💋‍👨🏼", kiss_man_man_tone3_tone4: "👨🏽‍❤️‍💋‍👨🏾",
+	kiss_man_man_tone3_tone5: "👨🏽‍❤️‍💋‍👨🏿", kiss_man_man_tone4: "👨🏾‍❤️‍💋‍👨🏾",
+	kiss_man_man_tone4_tone1: "👨🏾‍❤️‍💋‍👨🏻", kiss_man_man_tone4_tone2: "👨🏾‍❤️‍💋‍👨🏼",
+	kiss_man_man_tone4_tone3: "👨🏾‍❤️‍💋‍👨🏽", kiss_man_man_tone4_tone5: "👨🏾‍❤️‍💋‍👨🏿",
+	kiss_man_man_tone5: "👨🏿‍❤️‍💋‍👨🏿", kiss_man_man_tone5_tone1: "👨🏿‍❤️‍💋‍👨🏻",
+	kiss_man_man_tone5_tone2: "👨🏿‍❤️‍💋‍👨🏼", kiss_man_man_tone5_tone3: "👨🏿‍❤️‍💋‍👨🏽",
+	kiss_man_man_tone5_tone4: "👨🏿‍❤️‍💋‍👨🏾", kiss_mark: "💋", kiss_medium_dark_skin_tone: "💏🏾",
+	kiss_medium_light_skin_tone: "💏🏼", kiss_medium_skin_tone: "💏🏽", kiss_mm: "👨‍❤️‍💋‍👨",
+	kiss_person_person_dark_skin_tone_light_skin_tone: "🧑🏿‍❤️‍💋‍🧑🏻",
+	kiss_person_person_dark_skin_tone_medium_dark_skin_tone: "🧑🏿‍❤️‍💋‍🧑🏾",
+	kiss_person_person_dark_skin_tone_medium_light_skin_tone: "🧑🏿‍❤️‍💋‍🧑🏼",
+	kiss_person_person_dark_skin_tone_medium_skin_tone: "🧑🏿‍❤️‍💋‍🧑🏽",
+	kiss_person_person_light_skin_tone_dark_skin_tone: "🧑🏻‍❤️‍💋‍🧑🏿",
+	kiss_person_person_light_skin_tone_medium_dark_skin_tone: "🧑🏻‍❤️‍💋‍🧑🏾",
+	kiss_person_person_light_skin_tone_medium_light_skin_tone: "🧑🏻‍❤️‍💋‍🧑🏼",
+	kiss_person_person_light_skin_tone_medium_skin_tone: "🧑🏻‍❤️‍💋‍🧑🏽",
+	kiss_person_person_medium_dark_skin_tone_dark_skin_tone: "🧑🏾‍❤️‍💋‍🧑🏿",
+	kiss_person_person_medium_dark_skin_tone_light_skin_tone: "🧑🏾‍❤️‍💋‍🧑🏻",
+	kiss_person_person_medium_dark_skin_tone_medium_light_skin_tone: "🧑🏾‍❤️‍💋‍🧑🏼",
+	kiss_person_person_medium_dark_skin_tone_medium_skin_tone: "🧑🏾‍❤️‍💋‍🧑🏽",
+	kiss_person_person_medium_light_skin_tone_dark_skin_tone: "🧑🏼‍❤️‍💋‍🧑🏿",
+	kiss_person_person_medium_light_skin_tone_light_skin_tone: "🧑🏼‍❤️‍💋‍🧑🏻",
+	kiss_person_person_medium_light_skin_tone_medium_dark_skin_tone: "🧑🏼‍❤️‍💋‍🧑🏾",
+	kiss_person_person_medium_light_skin_tone_medium_skin_tone: "🧑🏼‍❤️‍💋‍🧑🏽",
+	kiss_person_person_medium_skin_tone_dark_skin_tone: "🧑🏽‍❤️‍💋‍🧑🏿",
+	kiss_person_person_medium_skin_tone_light_skin_tone: "🧑🏽‍❤️‍💋‍🧑🏻",
+	kiss_person_person_medium_skin_tone_medium_dark_skin_tone: "🧑🏽‍❤️‍💋‍🧑🏾",
+	kiss_person_person_medium_skin_tone_medium_light_skin_tone: "🧑🏽‍❤️‍💋‍🧑🏼",
+	kiss_person_person_tone1_tone2: "🧑🏻‍❤️‍💋‍🧑🏼", kiss_person_person_tone1_tone3: "🧑🏻‍❤️‍💋‍🧑🏽",
+	kiss_person_person_tone1_tone4: "🧑🏻‍❤️‍💋‍🧑🏾", kiss_person_person_tone1_tone5: "🧑🏻‍❤️‍💋‍🧑🏿",
+	kiss_person_person_tone2_tone1: "🧑🏼‍❤️‍💋‍🧑🏻", kiss_person_person_tone2_tone3: "🧑🏼‍❤️‍💋‍🧑🏽",
+	kiss_person_person_tone2_tone4: "🧑🏼‍❤️‍💋‍🧑🏾", kiss_person_person_tone2_tone5: "🧑🏼‍❤️‍💋‍🧑🏿",
+	kiss_person_person_tone3_tone1: "🧑🏽‍❤️‍💋‍🧑🏻", kiss_person_person_tone3_tone2: "🧑🏽‍❤️‍💋‍🧑🏼",
+	kiss_person_person_tone3_tone4: "🧑🏽‍❤️‍💋‍🧑🏾", kiss_person_person_tone3_tone5: "🧑🏽‍❤️‍💋‍🧑🏿",
+	kiss_person_person_tone4_tone1: "🧑🏾‍❤️‍💋‍🧑🏻", kiss_person_person_tone4_tone2: "🧑🏾‍❤️‍💋‍🧑🏼",
+	kiss_person_person_tone4_tone3: "🧑🏾‍❤️‍💋‍🧑🏽", kiss_person_person_tone4_tone5: "🧑🏾‍❤️‍💋‍🧑🏿",
+	kiss_person_person_tone5_tone1: "🧑🏿‍❤️‍💋‍🧑🏻", kiss_person_person_tone5_tone2: "🧑🏿‍❤️‍💋‍🧑🏼",
+	kiss_person_person_tone5_tone3: "🧑🏿‍❤️‍💋‍🧑🏽", kiss_person_person_tone5_tone4: "🧑🏿‍❤️‍💋‍🧑🏾",
+	kiss_tone1: "💏🏻", kiss_tone2: "💏🏼", kiss_tone3: "💏🏽", kiss_tone4: "💏🏾", kiss_tone5: "💏🏿",
+	kiss_woman_man: "👩‍❤️‍💋‍👨", kiss_woman_man_dark_skin_tone: "👩🏿‍❤️‍💋‍👨🏿",
+	kiss_woman_man_dark_skin_tone_light_skin_tone: "👩🏿‍❤️‍💋‍👨🏻",
+	kiss_woman_man_dark_skin_tone_medium_dark_skin_tone: "👩🏿‍❤️‍💋‍👨🏾",
+	kiss_woman_man_dark_skin_tone_medium_light_skin_tone: "👩🏿‍❤️‍💋‍👨🏼",
+	kiss_woman_man_dark_skin_tone_medium_skin_tone: "👩🏿‍❤️‍💋‍👨🏽",
+	kiss_woman_man_light_skin_tone: "👩🏻‍❤️‍💋‍👨🏻",
+	kiss_woman_man_light_skin_tone_dark_skin_tone: "👩🏻‍❤️‍💋‍👨🏿",
+	kiss_woman_man_light_skin_tone_medium_dark_skin_tone: "👩🏻‍❤️‍💋‍👨🏾",
+	kiss_woman_man_light_skin_tone_medium_light_skin_tone: "👩🏻‍❤️‍💋‍👨🏼",
+	kiss_woman_man_light_skin_tone_medium_skin_tone: "👩🏻‍❤️‍💋‍👨🏽",
+	kiss_woman_man_medium_dark_skin_tone: "👩🏾‍❤️‍💋‍👨🏾",
+	kiss_woman_man_medium_dark_skin_tone_dark_skin_tone: "👩🏾‍❤️‍💋‍👨🏿",
+	kiss_woman_man_medium_dark_skin_tone_light_skin_tone: "👩🏾‍❤️‍💋‍👨🏻",
+	kiss_woman_man_medium_dark_skin_tone_medium_light_skin_tone: "👩🏾‍❤️‍💋‍👨🏼",
+	kiss_woman_man_medium_dark_skin_tone_medium_skin_tone: "👩🏾‍❤️‍💋‍👨🏽",
+	kiss_woman_man_medium_light_skin_tone: "👩🏼‍❤️‍💋‍👨🏼",
+	kiss_woman_man_medium_light_skin_tone_dark_skin_tone: "👩🏼‍❤️‍💋‍👨🏿",
+	kiss_woman_man_medium_light_skin_tone_light_skin_tone: "👩🏼‍❤️‍💋‍👨🏻",
+	kiss_woman_man_medium_light_skin_tone_medium_dark_skin_tone: "👩🏼‍❤️‍💋‍👨🏾",
+	kiss_woman_man_medium_light_skin_tone_medium_skin_tone: "👩🏼‍❤️‍💋‍👨🏽",
+	kiss_woman_man_medium_skin_tone: "👩🏽‍❤️‍💋‍👨🏽",
+	kiss_woman_man_medium_skin_tone_dark_skin_tone: "👩🏽‍❤️‍💋‍👨🏿",
+	kiss_woman_man_medium_skin_tone_light_skin_tone: "👩🏽‍❤️‍💋‍👨🏻",
+	kiss_woman_man_medium_skin_tone_medium_dark_skin_tone: "👩🏽‍❤️‍💋‍👨🏾",
+	kiss_woman_man_medium_skin_tone_medium_light_skin_tone: "👩🏽‍❤️‍💋‍👨🏼",
+	kiss_woman_man_tone1: "👩🏻‍❤️‍💋‍👨🏻", kiss_woman_man_tone1_tone2: "👩🏻‍❤️‍💋‍👨🏼",
+	kiss_woman_man_tone1_tone3: "👩🏻‍❤️‍💋‍👨🏽", kiss_woman_man_tone1_tone4: "👩🏻‍❤️‍💋‍👨🏾",
+	kiss_woman_man_tone1_tone5: "👩🏻‍❤️‍💋‍👨🏿", kiss_woman_man_tone2: "👩🏼‍❤️‍💋‍👨🏼",
+	kiss_woman_man_tone2_tone1: "👩🏼‍❤️‍💋‍👨🏻", kiss_woman_man_tone2_tone3: "👩🏼‍❤️‍💋‍👨🏽",
+	kiss_woman_man_tone2_tone4: "👩🏼‍❤️‍💋‍👨🏾", kiss_woman_man_tone2_tone5: "👩🏼‍❤️‍💋‍👨🏿",
+	kiss_woman_man_tone3: "👩🏽‍❤️‍💋‍👨🏽", kiss_woman_man_tone3_tone1: "👩🏽‍❤️‍💋‍👨🏻",
+	kiss_woman_man_tone3_tone2: "👩🏽‍❤️‍💋‍👨🏼", kiss_woman_man_tone3_tone4: "👩🏽‍❤️‍💋‍👨🏾",
+	kiss_woman_man_tone3_tone5: "👩🏽‍❤️‍💋‍👨🏿", kiss_woman_man_tone4: "👩🏾‍❤️‍💋‍👨🏾",
+	kiss_woman_man_tone4_tone1: "👩🏾‍❤️‍💋‍👨🏻", kiss_woman_man_tone4_tone2: "👩🏾‍❤️‍💋‍👨🏼",
+	kiss_woman_man_tone4_tone3: "👩🏾‍❤️‍💋‍👨🏽", kiss_woman_man_tone4_tone5: "👩🏾‍❤️‍💋‍👨🏿",
+	kiss_woman_man_tone5: "👩🏿‍❤️‍💋‍👨🏿", kiss_woman_man_tone5_tone1: "👩🏿‍❤️‍💋‍👨🏻",
+	kiss_woman_man_tone5_tone2: "👩🏿‍❤️‍💋‍👨🏼", kiss_woman_man_tone5_tone3: "👩🏿‍❤️‍💋‍👨🏽",
+	kiss_woman_man_tone5_tone4: "👩🏿‍❤️‍💋‍👨🏾", kiss_woman_woman_dark_skin_tone: "👩🏿‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_dark_skin_tone_light_skin_tone: "👩🏿‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_dark_skin_tone_medium_dark_skin_tone: "👩🏿‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_dark_skin_tone_medium_light_skin_tone: "👩🏿‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_dark_skin_tone_medium_skin_tone: "👩🏿‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_light_skin_tone: "👩🏻‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_light_skin_tone_dark_skin_tone: "👩🏻‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_light_skin_tone_medium_dark_skin_tone: "👩🏻‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_light_skin_tone_medium_light_skin_tone: "👩🏻‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_light_skin_tone_medium_skin_tone: "👩🏻‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_medium_dark_skin_tone: "👩🏾‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_medium_dark_skin_tone_dark_skin_tone: "👩🏾‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_medium_dark_skin_tone_light_skin_tone: "👩🏾‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_medium_dark_skin_tone_medium_light_skin_tone: "👩🏾‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_medium_dark_skin_tone_medium_skin_tone: "👩🏾‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_medium_light_skin_tone: "👩🏼‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_medium_light_skin_tone_dark_skin_tone: "👩🏼‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_medium_light_skin_tone_light_skin_tone: "👩🏼‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_medium_light_skin_tone_medium_dark_skin_tone: "👩🏼‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_medium_light_skin_tone_medium_skin_tone: "👩🏼‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_medium_skin_tone: "👩🏽‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_medium_skin_tone_dark_skin_tone: "👩🏽‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_medium_skin_tone_light_skin_tone: "👩🏽‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_medium_skin_tone_medium_dark_skin_tone: "👩🏽‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_medium_skin_tone_medium_light_skin_tone: "👩🏽‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_tone1: "👩🏻‍❤️‍💋‍👩🏻", kiss_woman_woman_tone1_tone2: "👩🏻‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_tone1_tone3: "👩🏻‍❤️‍💋‍👩🏽", kiss_woman_woman_tone1_tone4: "👩🏻‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_tone1_tone5: "👩🏻‍❤️‍💋‍👩🏿", kiss_woman_woman_tone2: "👩🏼‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_tone2_tone1: "👩🏼‍❤️‍💋‍👩🏻", kiss_woman_woman_tone2_tone3: "👩🏼‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_tone2_tone4: "👩🏼‍❤️‍💋‍👩🏾", kiss_woman_woman_tone2_tone5: "👩🏼‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_tone3: "👩🏽‍❤️‍💋‍👩🏽", kiss_woman_woman_tone3_tone1: "👩🏽‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_tone3_tone2: "👩🏽‍❤️‍💋‍👩🏼", kiss_woman_woman_tone3_tone4: "👩🏽‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_tone3_tone5: "👩🏽‍❤️‍💋‍👩🏿", kiss_woman_woman_tone4: "👩🏾‍❤️‍💋‍👩🏾",
+	kiss_woman_woman_tone4_tone1: "👩🏾‍❤️‍💋‍👩🏻", kiss_woman_woman_tone4_tone2: "👩🏾‍❤️‍💋‍👩🏼",
+	kiss_woman_woman_tone4_tone3: "👩🏾‍❤️‍💋‍👩🏽", kiss_woman_woman_tone4_tone5: "👩🏾‍❤️‍💋‍👩🏿",
+	kiss_woman_woman_tone5: "👩🏿‍❤️‍💋‍👩🏿", kiss_woman_woman_tone5_tone1: "👩🏿‍❤️‍💋‍👩🏻",
+	kiss_woman_woman_tone5_tone2: "👩🏿‍❤️‍💋‍👩🏼", kiss_woman_woman_tone5_tone3: "👩🏿‍❤️‍💋‍👩🏽",
+	kiss_woman_woman_tone5_tone4: "👩🏿‍❤️‍💋‍👩🏾", kiss_ww: "👩‍❤️‍💋‍👩", kissing: "😗",
+	kissing_cat: "😽", kissing_closed_eyes: "😚", kissing_face: "😗", kissing_heart: "😘",
+	kissing_smiling_eyes: "😙", kitchen_knife: "🔪", kite: "🪁", kiwi: "🥝", kiwi_fruit: "🥝",
+	kiwifruit: "🥝", km: "🇰🇲", kn: "🇰🇳", kneeling_man: "🧎‍♂️", kneeling_person: "🧎",
+	kneeling_woman: "🧎‍♀️", knife: "🔪", knot: "🪢", koala: "🐨", koko: "🈁", kosovo: "🇽🇰", kp: "🇰🇵",
+	kr: "🇰🇷", kuwait: "🇰🇼", kw: "🇰🇼", ky: "🇰🇾", kyrgyzstan: "🇰🇬", kz: "🇰🇿", la: "🇱🇦",
+	lab_coat: "🥼", label: "🏷️", lacrosse: "🥍", ladder: "🪜", lady_beetle: "🐞", lantern: "🏮",
+	laos: "🇱🇦", large_blue_circle: "🔵", large_blue_diamond: "🔷", large_orange_diamond: "🔶",
+	last_quarter_moon: "🌗", last_quarter_moon_with_face: "🌜️", latin_cross: "✝️", latvia: "🇱🇻",
+	laughing: "😆", lb: "🇱🇧", lc: "🇱🇨", leafy_green: "🥬", leaves: "🍃", lebanon: "🇱🇧", ledger: "📒",
+	left_arrow: "⬅️", left_facing_fist: "🤛", left_facing_fist_tone1: "🤛🏻",
+	left_facing_fist_tone2: "🤛🏼", left_facing_fist_tone3: "🤛🏽", left_facing_fist_tone4: "🤛🏾",
+	left_facing_fist_tone5: "🤛🏿", left_fist: "🤛", left_fist_tone1: "🤛🏻", left_fist_tone2: "🤛🏼",
+	left_fist_tone3: "🤛🏽", left_fist_tone4: "🤛🏾", left_fist_tone5: "🤛🏿", left_luggage: "🛅",
+	left_right_arrow: "↔️", left_speech_bubble: "🗨️", leftwards_arrow_with_hook: "↩️",
+	leftwards_hand: "🫲", leftwards_hand_dark_skin_tone: "🫲🏿", leftwards_hand_light_skin_tone: "🫲🏻",
+	leftwards_hand_medium_dark_skin_tone: "🫲🏾", leftwards_hand_medium_light_skin_tone: "🫲🏼",
+	leftwards_hand_medium_skin_tone: "🫲🏽", leftwards_hand_tone1: "🫲🏻", leftwards_hand_tone2: "🫲🏼",
+	leftwards_hand_tone3: "🫲🏽", leftwards_hand_tone4: "🫲🏾", leftwards_hand_tone5: "🫲🏿",
+	leftwards_pushing_hand: "🫷", leftwards_pushing_hand_dark_skin_tone: "🫷🏿",
+	leftwards_pushing_hand_light_skin_tone: "🫷🏻", leftwards_pushing_hand_medium_dark_skin_tone: "🫷🏾",
+	leftwards_pushing_hand_medium_light_skin_tone: "🫷🏼", leftwards_pushing_hand_medium_skin_tone: "🫷🏽",
+	leftwards_pushing_hand_tone1: "🫷🏻", leftwards_pushing_hand_tone2: "🫷🏼",
+	leftwards_pushing_hand_tone3: "🫷🏽", leftwards_pushing_hand_tone4: "🫷🏾",
+	leftwards_pushing_hand_tone5: "🫷🏿", leg: "🦵", leg_dark_skin_tone: "🦵🏿",
+	leg_light_skin_tone: "🦵🏻", leg_medium_dark_skin_tone: "🦵🏾", leg_medium_light_skin_tone: "🦵🏼",
+	leg_medium_skin_tone: "🦵🏽", leg_tone1: "🦵🏻", leg_tone2: "🦵🏼", leg_tone3: "🦵🏽",
+	leg_tone4: "🦵🏾", leg_tone5: "🦵🏿", lemon: "🍋", leo: "♌️", leopard: "🐆", lesotho: "🇱🇸",
+	level_slider: "🎚️", levitate: "🕴️", levitate_tone1: "🕴🏻", levitate_tone2: "🕴🏼",
+	levitate_tone3: "🕴🏽", levitate_tone4: "🕴🏾", levitate_tone5: "🕴🏿", li: "🇱🇮", liar: "🤥",
+	liberia: "🇱🇷", libra: "♎️", libya: "🇱🇾", liechtenstein: "🇱🇮", lifter: "🏋️",
+	lifter_tone1: "🏋🏻", lifter_tone2: "🏋🏼", lifter_tone3: "🏋🏽", lifter_tone4: "🏋🏾",
+	lifter_tone5: "🏋🏿", light_blue_heart: "🩵", light_bulb: "💡", light_rail: "🚈", link: "🔗",
+	linked_paperclips: "🖇️", lion: "🦁", lion_face: "🦁", lips: "👄", lipstick: "💄", lithuania: "🇱🇹",
+	lizard: "🦎", lk: "🇱🇰", llama: "🦙", lobster: "🦞", lock: "🔒️", lock_with_ink_pen: "🔏",
+	locked: "🔒️", locomotive: "🚂", lollipop: "🍭", long_drum: "🪘", loop: "➿️", lotion_bottle: "🧴",
+	lotus: "🪷", lotus_position: "🧘", lotus_position_man: "🧘‍♂️", lotus_position_woman: "🧘‍♀️",
+	loud_sound: "🔊", loudspeaker: "📢", love_hotel: "🏩", love_letter: "💌", love_you_gesture: "🤟",
+	love_you_gesture_dark_skin_tone: "🤟🏿", love_you_gesture_light_skin_tone: "🤟🏻",
+	love_you_gesture_medium_dark_skin_tone: "🤟🏾", love_you_gesture_medium_light_skin_tone: "🤟🏼",
+	love_you_gesture_medium_skin_tone: "🤟🏽", love_you_gesture_tone1: "🤟🏻",
+	love_you_gesture_tone2: "🤟🏼", love_you_gesture_tone3: "🤟🏽", love_you_gesture_tone4: "🤟🏾",
+	love_you_gesture_tone5: "🤟🏿", low_battery: "🪫", low_brightness: "🔅",
+	lower_left_ballpoint_pen: "🖊️", lower_left_crayon: "🖍️", lower_left_fountain_pen: "🖋️",
+	lower_left_paintbrush: "🖌️", lr: "🇱🇷", ls: "🇱🇸", lt: "🇱🇹", lu: "🇱🇺", luggage: "🧳",
+	lungs: "🫁", luxembourg: "🇱🇺", lv: "🇱🇻", ly: "🇱🇾", lying_face: "🤥", m: "Ⓜ️", ma: "🇲🇦",
+	macau: "🇲🇴", macedonia: "🇲🇰", madagascar: "🇲🇬", mag: "🔍️", mag_right: "🔎", mage: "🧙",
+	mage_dark_skin_tone: "🧙🏿", mage_light_skin_tone: "🧙🏻", mage_man: "🧙‍♂️",
+	mage_medium_dark_skin_tone: "🧙🏾", mage_medium_light_skin_tone: "🧙🏼", mage_medium_skin_tone: "🧙🏽",
+	mage_tone1: "🧙🏻", mage_tone2: "🧙🏼", mage_tone3: "🧙🏽", mage_tone4: "🧙🏾", mage_tone5: "🧙🏿",
+	mage_woman: "🧙‍♀️", magic_wand: "🪄", magnet: "🧲", mahjong: "🀄️", mailbox: "📫️",
+	mailbox_closed: "📪️", mailbox_with_mail: "📬️", mailbox_with_no_mail: "📭️", malawi: "🇲🇼",
+	malaysia: "🇲🇾", maldives: "🇲🇻", male_dancer: "🕺", male_dancer_tone1: "🕺🏻",
+	male_dancer_tone2: "🕺🏼", male_dancer_tone3: "🕺🏽", male_dancer_tone4: "🕺🏾",
+	male_dancer_tone5: "🕺🏿", male_detective: "🕵️‍♂️", male_sign: "♂️", mali: "🇲🇱", malta: "🇲🇹",
+	mammoth: "🦣", man: "👨", man_artist: "👨‍🎨", man_artist_dark_skin_tone: "👨🏿‍🎨",
+	man_artist_light_skin_tone: "👨🏻‍🎨", man_artist_medium_dark_skin_tone: "👨🏾‍🎨",
+	man_artist_medium_light_skin_tone: "👨🏼‍🎨", man_artist_medium_skin_tone: "👨🏽‍🎨",
+	man_artist_tone1: "👨🏻‍🎨", man_artist_tone2: "👨🏼‍🎨", man_artist_tone3: "👨🏽‍🎨",
+	man_artist_tone4: "👨🏾‍🎨", man_artist_tone5: "👨🏿‍🎨", man_astronaut: "👨‍🚀",
+	man_astronaut_dark_skin_tone: "👨🏿‍🚀", man_astronaut_light_skin_tone: "👨🏻‍🚀",
+	man_astronaut_medium_dark_skin_tone: "👨🏾‍🚀", man_astronaut_medium_light_skin_tone: "👨🏼‍🚀",
+	man_astronaut_medium_skin_tone: "👨🏽‍🚀", man_astronaut_tone1: "👨🏻‍🚀",
+	man_astronaut_tone2: "👨🏼‍🚀", man_astronaut_tone3: "👨🏽‍🚀", man_astronaut_tone4: "👨🏾‍🚀",
+	man_astronaut_tone5: "👨🏿‍🚀", man_bald: "👨‍🦲", man_bald_dark_skin_tone: "👨🏿‍🦲",
+	man_bald_light_skin_tone: "👨🏻‍🦲", man_bald_medium_dark_skin_tone: "👨🏾‍🦲",
+	man_bald_medium_light_skin_tone: "👨🏼‍🦲", man_bald_medium_skin_tone: "👨🏽‍🦲",
+	man_bald_tone1: "👨🏻‍🦲", man_bald_tone2: "👨🏼‍🦲", man_bald_tone3: "👨🏽‍🦲",
+	man_bald_tone4: "👨🏾‍🦲", man_bald_tone5: "👨🏿‍🦲", man_beard: "🧔‍♂️", man_biking: "🚴‍♂️",
+	man_biking_dark_skin_tone: "🚴🏿‍♂️", man_biking_light_skin_tone: "🚴🏻‍♂️",
+	man_biking_medium_dark_skin_tone: "🚴🏾‍♂️", man_biking_medium_light_skin_tone: "🚴🏼‍♂️",
+	man_biking_medium_skin_tone: "🚴🏽‍♂️", man_biking_tone1: "🚴🏻‍♂️", man_biking_tone2: "🚴🏼‍♂️",
+	man_biking_tone3: "🚴🏽‍♂️", man_biking_tone4: "🚴🏾‍♂️", man_biking_tone5: "🚴🏿‍♂️",
+	man_bouncing_ball: "⛹️‍♂️", man_bouncing_ball_dark_skin_tone: "⛹🏿‍♂️",
+	man_bouncing_ball_light_skin_tone: "⛹🏻‍♂️", man_bouncing_ball_medium_dark_skin_tone: "⛹🏾‍♂️",
+	man_bouncing_ball_medium_light_skin_tone: "⛹🏼‍♂️", man_bouncing_ball_medium_skin_tone: "⛹🏽‍♂️",
+	man_bouncing_ball_tone1: "⛹🏻‍♂️", man_bouncing_ball_tone2: "⛹🏼‍♂️",
+	man_bouncing_ball_tone3: "⛹🏽‍♂️", man_bouncing_ball_tone4: "⛹🏾‍♂️",
+	man_bouncing_ball_tone5: "⛹🏿‍♂️", man_bowing: "🙇‍♂️", man_bowing_dark_skin_tone: "🙇🏿‍♂️",
+	man_bowing_light_skin_tone: "🙇🏻‍♂️", man_bowing_medium_dark_skin_tone: "🙇🏾‍♂️",
+	man_bowing_medium_light_skin_tone: "🙇🏼‍♂️", man_bowing_medium_skin_tone: "🙇🏽‍♂️",
+	man_bowing_tone1: "🙇🏻‍♂️", man_bowing_tone2: "🙇🏼‍♂️", man_bowing_tone3: "🙇🏽‍♂️",
+	man_bowing_tone4: "🙇🏾‍♂️", man_bowing_tone5: "🙇🏿‍♂️", man_cartwheeling: "🤸‍♂️",
+	man_cartwheeling_dark_skin_tone: "🤸🏿‍♂️", man_cartwheeling_light_skin_tone: "🤸🏻‍♂️",
+	man_cartwheeling_medium_dark_skin_tone: "🤸🏾‍♂️", man_cartwheeling_medium_light_skin_tone: "🤸🏼‍♂️",
+	man_cartwheeling_medium_skin_tone: "🤸🏽‍♂️", man_cartwheeling_tone1: "🤸🏻‍♂️",
+	man_cartwheeling_tone2: "🤸🏼‍♂️", man_cartwheeling_tone3: "🤸🏽‍♂️",
+	man_cartwheeling_tone4: "🤸🏾‍♂️", man_cartwheeling_tone5: "🤸🏿‍♂️", man_climbing: "🧗‍♂️",
+	man_climbing_dark_skin_tone: "🧗🏿‍♂️", man_climbing_light_skin_tone: "🧗🏻‍♂️",
+	man_climbing_medium_dark_skin_tone: "🧗🏾‍♂️", man_climbing_medium_light_skin_tone: "🧗🏼‍♂️",
+	man_climbing_medium_skin_tone: "🧗🏽‍♂️", man_climbing_tone1: "🧗🏻‍♂️", man_climbing_tone2: "🧗🏼‍♂️",
+	man_climbing_tone3: "🧗🏽‍♂️", man_climbing_tone4: "🧗🏾‍♂️", man_climbing_tone5: "🧗🏿‍♂️",
+	man_construction_worker: "👷‍♂️", man_construction_worker_dark_skin_tone: "👷🏿‍♂️",
+	man_construction_worker_light_skin_tone: "👷🏻‍♂️",
+	man_construction_worker_medium_dark_skin_tone: "👷🏾‍♂️",
+	man_construction_worker_medium_light_skin_tone: "👷🏼‍♂️",
+	man_construction_worker_medium_skin_tone: "👷🏽‍♂️", man_construction_worker_tone1: "👷🏻‍♂️",
+	man_construction_worker_tone2: "👷🏼‍♂️", man_construction_worker_tone3: "👷🏽‍♂️",
+	man_construction_worker_tone4: "👷🏾‍♂️", man_construction_worker_tone5: "👷🏿‍♂️", man_cook: "👨‍🍳",
+	man_cook_dark_skin_tone: "👨🏿‍🍳", man_cook_light_skin_tone: "👨🏻‍🍳",
+	man_cook_medium_dark_skin_tone: "👨🏾‍🍳", man_cook_medium_light_skin_tone: "👨🏼‍🍳",
+	man_cook_medium_skin_tone: "👨🏽‍🍳", man_cook_tone1: "👨🏻‍🍳", man_cook_tone2: "👨🏼‍🍳",
+	man_cook_tone3: "👨🏽‍🍳", man_cook_tone4: "👨🏾‍🍳", man_cook_tone5: "👨🏿‍🍳",
+	man_curly_haired: "👨‍🦱", man_curly_haired_dark_skin_tone: "👨🏿‍🦱",
+	man_curly_haired_light_skin_tone: "👨🏻‍🦱", man_curly_haired_medium_dark_skin_tone: "👨🏾‍🦱",
+	man_curly_haired_medium_light_skin_tone: "👨🏼‍🦱", man_curly_haired_medium_skin_tone: "👨🏽‍🦱",
+	man_curly_haired_tone1: "👨🏻‍🦱", man_curly_haired_tone2: "👨🏼‍🦱",
+	man_curly_haired_tone3: "👨🏽‍🦱", man_curly_haired_tone4: "👨🏾‍🦱",
+	man_curly_haired_tone5: "👨🏿‍🦱", man_dancing: "🕺", man_dancing_tone1: "🕺🏻",
+	man_dancing_tone2: "🕺🏼", man_dancing_tone3: "🕺🏽", man_dancing_tone4: "🕺🏾",
+	man_dancing_tone5: "🕺🏿", man_dark_skin_tone_beard: "🧔🏿‍♂️", man_detective: "🕵️‍♂️",
+	man_detective_dark_skin_tone: "🕵🏿‍♂️", man_detective_light_skin_tone: "🕵🏻‍♂️",
+	man_detective_medium_dark_skin_tone: "🕵🏾‍♂️", man_detective_medium_light_skin_tone: "🕵🏼‍♂️",
+	man_detective_medium_skin_tone: "🕵🏽‍♂️", man_detective_tone1: "🕵🏻‍♂️",
+	man_detective_tone2: "🕵🏼‍♂️", man_detective_tone3: "🕵🏽‍♂️", man_detective_tone4: "🕵🏾‍♂️",
+	man_detective_tone5: "🕵🏿‍♂️", man_elf: "🧝‍♂️", man_elf_dark_skin_tone: "🧝🏿‍♂️",
+	man_elf_light_skin_tone: "🧝🏻‍♂️", man_elf_medium_dark_skin_tone: "🧝🏾‍♂️",
+	man_elf_medium_light_skin_tone: "🧝🏼‍♂️", man_elf_medium_skin_tone: "🧝🏽‍♂️",
+	man_elf_tone1: "🧝🏻‍♂️", man_elf_tone2: "🧝🏼‍♂️", man_elf_tone3: "🧝🏽‍♂️", man_elf_tone4: "🧝🏾‍♂️",
+	man_elf_tone5: "🧝🏿‍♂️", man_facepalming: "🤦‍♂️", man_facepalming_dark_skin_tone: "🤦🏿‍♂️",
+	man_facepalming_light_skin_tone: "🤦🏻‍♂️", man_facepalming_medium_dark_skin_tone: "🤦🏾‍♂️",
+	man_facepalming_medium_light_skin_tone: "🤦🏼‍♂️", man_facepalming_medium_skin_tone: "🤦🏽‍♂️",
+	man_facepalming_tone1: "🤦🏻‍♂️", man_facepalming_tone2: "🤦🏼‍♂️", man_facepalming_tone3: "🤦🏽‍♂️",
+	man_facepalming_tone4: "🤦🏾‍♂️", man_facepalming_tone5: "🤦🏿‍♂️", man_factory_worker: "👨‍🏭",
+	man_factory_worker_dark_skin_tone: "👨🏿‍🏭", man_factory_worker_light_skin_tone: "👨🏻‍🏭",
+	man_factory_worker_medium_dark_skin_tone: "👨🏾‍🏭",
+	man_factory_worker_medium_light_skin_tone: "👨🏼‍🏭", man_factory_worker_medium_skin_tone: "👨🏽‍🏭",
+	man_factory_worker_tone1: "👨🏻‍🏭", man_factory_worker_tone2: "👨🏼‍🏭",
+	man_factory_worker_tone3: "👨🏽‍🏭", man_factory_worker_tone4: "👨🏾‍🏭",
+	man_factory_worker_tone5: "👨🏿‍🏭", man_fairy: "🧚‍♂️", man_fairy_dark_skin_tone: "🧚🏿‍♂️",
+	man_fairy_light_skin_tone: "🧚🏻‍♂️", man_fairy_medium_dark_skin_tone: "🧚🏾‍♂️",
+	man_fairy_medium_light_skin_tone: "🧚🏼‍♂️", man_fairy_medium_skin_tone: "🧚🏽‍♂️",
+	man_fairy_tone1: "🧚🏻‍♂️", man_fairy_tone2: "🧚🏼‍♂️", man_fairy_tone3: "🧚🏽‍♂️",
+	man_fairy_tone4: "🧚🏾‍♂️", man_fairy_tone5: "🧚🏿‍♂️", man_farmer: "👨‍🌾",
+	man_farmer_dark_skin_tone: "👨🏿‍🌾", man_farmer_light_skin_tone: "👨🏻‍🌾",
+	man_farmer_medium_dark_skin_tone: "👨🏾‍🌾", man_farmer_medium_light_skin_tone: "👨🏼‍🌾",
+	man_farmer_medium_skin_tone: "👨🏽‍🌾", man_farmer_tone1: "👨🏻‍🌾", man_farmer_tone2: "👨🏼‍🌾",
+	man_farmer_tone3: "👨🏽‍🌾", man_farmer_tone4: "👨🏾‍🌾", man_farmer_tone5: "👨🏿‍🌾",
+	man_feeding_baby: "👨‍🍼", man_feeding_baby_dark_skin_tone: "👨🏿‍🍼",
+	man_feeding_baby_light_skin_tone: "👨🏻‍🍼", man_feeding_baby_medium_dark_skin_tone: "👨🏾‍🍼",
+	man_feeding_baby_medium_light_skin_tone: "👨🏼‍🍼", man_feeding_baby_medium_skin_tone: "👨🏽‍🍼",
+	man_feeding_baby_tone1: "👨🏻‍🍼", man_feeding_baby_tone2: "👨🏼‍🍼",
+	man_feeding_baby_tone3: "👨🏽‍🍼", man_feeding_baby_tone4: "👨🏾‍🍼",
+	man_feeding_baby_tone5: "👨🏿‍🍼", man_firefighter: "👨‍🚒", man_firefighter_dark_skin_tone: "👨🏿‍🚒",
+	man_firefighter_light_skin_tone: "👨🏻‍🚒", man_firefighter_medium_dark_skin_tone: "👨🏾‍🚒",
+	man_firefighter_medium_light_skin_tone: "👨🏼‍🚒", man_firefighter_medium_skin_tone: "👨🏽‍🚒",
+	man_firefighter_tone1: "👨🏻‍🚒", man_firefighter_tone2: "👨🏼‍🚒", man_firefighter_tone3: "👨🏽‍🚒",
+	man_firefighter_tone4: "👨🏾‍🚒", man_firefighter_tone5: "👨🏿‍🚒", man_frowning: "🙍‍♂️",
+	man_frowning_dark_skin_tone: "🙍🏿‍♂️", man_frowning_light_skin_tone: "🙍🏻‍♂️",
+	man_frowning_medium_dark_skin_tone: "🙍🏾‍♂️", man_frowning_medium_light_skin_tone: "🙍🏼‍♂️",
+	man_frowning_medium_skin_tone: "🙍🏽‍♂️", man_frowning_tone1: "🙍🏻‍♂️", man_frowning_tone2: "🙍🏼‍♂️",
+	man_frowning_tone3: "🙍🏽‍♂️", man_frowning_tone4: "🙍🏾‍♂️", man_frowning_tone5: "🙍🏿‍♂️",
+	man_genie: "🧞‍♂️", man_gesturing_no: "🙅‍♂️", man_gesturing_no_dark_skin_tone: "🙅🏿‍♂️",
+	man_gesturing_no_light_skin_tone: "🙅🏻‍♂️", man_gesturing_no_medium_dark_skin_tone: "🙅🏾‍♂️",
+	man_gesturing_no_medium_light_skin_tone: "🙅🏼‍♂️", man_gesturing_no_medium_skin_tone: "🙅🏽‍♂️",
+	man_gesturing_no_tone1: "🙅🏻‍♂️", man_gesturing_no_tone2: "🙅🏼‍♂️",
+	man_gesturing_no_tone3: "🙅🏽‍♂️", man_gesturing_no_tone4: "🙅🏾‍♂️",
+	man_gesturing_no_tone5: "🙅🏿‍♂️", man_gesturing_ok: "🙆‍♂️",
+	man_gesturing_ok_dark_skin_tone: "🙆🏿‍♂️", man_gesturing_ok_light_skin_tone: "🙆🏻‍♂️",
+	man_gesturing_ok_medium_dark_skin_tone: "🙆🏾‍♂️", man_gesturing_ok_medium_light_skin_tone: "🙆🏼‍♂️",
+	man_gesturing_ok_medium_skin_tone: "🙆🏽‍♂️", man_gesturing_ok_tone1: "🙆🏻‍♂️",
+	man_gesturing_ok_tone2: "🙆🏼‍♂️", man_gesturing_ok_tone3: "🙆🏽‍♂️",
+	man_gesturing_ok_tone4: "🙆🏾‍♂️", man_gesturing_ok_tone5: "🙆🏿‍♂️",
+	man_getting_face_massage: "💆‍♂️", man_getting_face_massage_dark_skin_tone: "💆🏿‍♂️",
+	man_getting_face_massage_light_skin_tone: "💆🏻‍♂️",
+	man_getting_face_massage_medium_dark_skin_tone: "💆🏾‍♂️",
+	man_getting_face_massage_medium_light_skin_tone: "💆🏼‍♂️",
+	man_getting_face_massage_medium_skin_tone: "💆🏽‍♂️", man_getting_face_massage_tone1: "💆🏻‍♂️",
+	man_getting_face_massage_tone2: "💆🏼‍♂️", man_getting_face_massage_tone3: "💆🏽‍♂️",
+	man_getting_face_massage_tone4: "💆🏾‍♂️", man_getting_face_massage_tone5: "💆🏿‍♂️",
+	man_getting_haircut: "💇‍♂️", man_getting_haircut_dark_skin_tone: "💇🏿‍♂️",
+	man_getting_haircut_light_skin_tone: "💇🏻‍♂️", man_getting_haircut_medium_dark_skin_tone: "💇🏾‍♂️",
+	man_getting_haircut_medium_light_skin_tone: "💇🏼‍♂️", man_getting_haircut_medium_skin_tone: "💇🏽‍♂️",
+	man_getting_haircut_tone1: "💇🏻‍♂️", man_getting_haircut_tone2: "💇🏼‍♂️",
+	man_getting_haircut_tone3: "💇🏽‍♂️", man_getting_haircut_tone4: "💇🏾‍♂️",
+	man_getting_haircut_tone5: "💇🏿‍♂️", man_golfing: "🏌️‍♂️", man_golfing_dark_skin_tone: "🏌🏿‍♂️",
+	man_golfing_light_skin_tone: "🏌🏻‍♂️", man_golfing_medium_dark_skin_tone: "🏌🏾‍♂️",
+	man_golfing_medium_light_skin_tone: "🏌🏼‍♂️", man_golfing_medium_skin_tone: "🏌🏽‍♂️",
+	man_golfing_tone1: "🏌🏻‍♂️", man_golfing_tone2: "🏌🏼‍♂️", man_golfing_tone3: "🏌🏽‍♂️",
+	man_golfing_tone4: "🏌🏾‍♂️", man_golfing_tone5: "🏌🏿‍♂️", man_guard: "💂‍♂️",
+	man_guard_dark_skin_tone: "💂🏿‍♂️", man_guard_light_skin_tone: "💂🏻‍♂️",
+	man_guard_medium_dark_skin_tone: "💂🏾‍♂️", man_guard_medium_light_skin_tone: "💂🏼‍♂️",
+	man_guard_medium_skin_tone: "💂🏽‍♂️", man_guard_tone1: "💂🏻‍♂️", man_guard_tone2: "💂🏼‍♂️",
+	man_guard_tone3: "💂🏽‍♂️", man_guard_tone4: "💂🏾‍♂️", man_guard_tone5: "💂🏿‍♂️",
+	man_health_worker: "👨‍⚕️", man_health_worker_dark_skin_tone: "👨🏿‍⚕️",
+	man_health_worker_light_skin_tone: "👨🏻‍⚕️", man_health_worker_medium_dark_skin_tone: "👨🏾‍⚕️",
+	man_health_worker_medium_light_skin_tone: "👨🏼‍⚕️", man_health_worker_medium_skin_tone: "👨🏽‍⚕️",
+	man_health_worker_tone1: "👨🏻‍⚕️", man_health_worker_tone2: "👨🏼‍⚕️",
+	man_health_worker_tone3: "👨🏽‍⚕️", man_health_worker_tone4: "👨🏾‍⚕️",
+	man_health_worker_tone5: "👨🏿‍⚕️", man_in_business_suit_levitating: "🕴️",
+	man_in_business_suit_levitating_dark_skin_tone: "🕴🏿",
+	man_in_business_suit_levitating_light_skin_tone: "🕴🏻",
+	man_in_business_suit_levitating_medium_dark_skin_tone: "🕴🏾",
+	man_in_business_suit_levitating_medium_light_skin_tone: "🕴🏼",
+	man_in_business_suit_levitating_medium_skin_tone: "🕴🏽",
+	man_in_business_suit_levitating_tone1: "🕴🏻", man_in_business_suit_levitating_tone2: "🕴🏼",
+	man_in_business_suit_levitating_tone3: "🕴🏽", man_in_business_suit_levitating_tone4: "🕴🏾",
+	man_in_business_suit_levitating_tone5: "🕴🏿", man_in_lotus_position: "🧘‍♂️",
+	man_in_lotus_position_dark_skin_tone: "🧘🏿‍♂️", man_in_lotus_position_light_skin_tone: "🧘🏻‍♂️",
+	man_in_lotus_position_medium_dark_skin_tone: "🧘🏾‍♂️",
+	man_in_lotus_position_medium_light_skin_tone: "🧘🏼‍♂️",
+	man_in_lotus_position_medium_skin_tone: "🧘🏽‍♂️", man_in_lotus_position_tone1: "🧘🏻‍♂️",
+	man_in_lotus_position_tone2: "🧘🏼‍♂️", man_in_lotus_position_tone3: "🧘🏽‍♂️",
+	man_in_lotus_position_tone4: "🧘🏾‍♂️", man_in_lotus_position_tone5: "🧘🏿‍♂️",
+	man_in_manual_wheelchair: "👨‍🦽", man_in_manual_wheelchair_dark_skin_tone: "👨🏿‍🦽",
+	man_in_manual_wheelchair_light_skin_tone: "👨🏻‍🦽",
+	man_in_manual_wheelchair_medium_dark_skin_tone: "👨🏾‍🦽",
+	man_in_manual_wheelchair_medium_light_skin_tone: "👨🏼‍🦽",
+	man_in_manual_wheelchair_medium_skin_tone: "👨🏽‍🦽", man_in_manual_wheelchair_tone1: "👨🏻‍🦽",
+	man_in_manual_wheelchair_tone2: "👨🏼‍🦽", man_in_manual_wheelchair_tone3: "👨🏽‍🦽",
+	man_in_manual_wheelchair_tone4: "👨🏾‍🦽", man_in_manual_wheelchair_tone5: "👨🏿‍🦽",
+	man_in_motorized_wheelchair: "👨‍🦼", man_in_motorized_wheelchair_dark_skin_tone: "👨🏿‍🦼",
+	man_in_motorized_wheelchair_light_skin_tone: "👨🏻‍🦼",
+	man_in_motorized_wheelchair_medium_dark_skin_tone: "👨🏾‍🦼",
+	man_in_motorized_wheelchair_medium_light_skin_tone: "👨🏼‍🦼",
+	man_in_motorized_wheelchair_medium_skin_tone: "👨🏽‍🦼", man_in_motorized_wheelchair_tone1: "👨🏻‍🦼",
+	man_in_motorized_wheelchair_tone2: "👨🏼‍🦼", man_in_motorized_wheelchair_tone3: "👨🏽‍🦼",
+	man_in_motorized_wheelchair_tone4: "👨🏾‍🦼", man_in_motorized_wheelchair_tone5: "👨🏿‍🦼",
+	man_in_steamy_room: "🧖‍♂️", man_in_steamy_room_dark_skin_tone: "🧖🏿‍♂️",
+	man_in_steamy_room_light_skin_tone: "🧖🏻‍♂️", man_in_steamy_room_medium_dark_skin_tone: "🧖🏾‍♂️",
+	man_in_steamy_room_medium_light_skin_tone: "🧖🏼‍♂️", man_in_steamy_room_medium_skin_tone: "🧖🏽‍♂️",
+	man_in_steamy_room_tone1: "🧖🏻‍♂️", man_in_steamy_room_tone2: "🧖🏼‍♂️",
+	man_in_steamy_room_tone3: "🧖🏽‍♂️", man_in_steamy_room_tone4: "🧖🏾‍♂️",
+	man_in_steamy_room_tone5: "🧖🏿‍♂️", man_in_tuxedo: "🤵‍♂️", man_in_tuxedo_dark_skin_tone: "🤵🏿‍♂️",
+	man_in_tuxedo_light_skin_tone: "🤵🏻‍♂️", man_in_tuxedo_medium_dark_skin_tone: "🤵🏾‍♂️",
+	man_in_tuxedo_medium_light_skin_tone: "🤵🏼‍♂️", man_in_tuxedo_medium_skin_tone: "🤵🏽‍♂️",
+	man_in_tuxedo_tone1: "🤵🏻‍♂️", man_in_tuxedo_tone2: "🤵🏼‍♂️", man_in_tuxedo_tone3: "🤵🏽‍♂️",
+	man_in_tuxedo_tone4: "🤵🏾‍♂️", man_in_tuxedo_tone5: "🤵🏿‍♂️", man_judge: "👨‍⚖️",
+	man_judge_dark_skin_tone: "👨🏿‍⚖️", man_judge_light_skin_tone: "👨🏻‍⚖️",
+	man_judge_medium_dark_skin_tone: "👨🏾‍⚖️", man_judge_medium_light_skin_tone: "👨🏼‍⚖️",
+	man_judge_medium_skin_tone: "👨🏽‍⚖️", man_judge_tone1: "👨🏻‍⚖️", man_judge_tone2: "👨🏼‍⚖️",
+	man_judge_tone3: "👨🏽‍⚖️", man_judge_tone4: "👨🏾‍⚖️", man_judge_tone5: "👨🏿‍⚖️",
+	man_juggling: "🤹‍♂️", man_juggling_dark_skin_tone: "🤹🏿‍♂️", man_juggling_light_skin_tone: "🤹🏻‍♂️",
+	man_juggling_medium_dark_skin_tone: "🤹🏾‍♂️", man_juggling_medium_light_skin_tone: "🤹🏼‍♂️",
+	man_juggling_medium_skin_tone: "🤹🏽‍♂️", man_juggling_tone1: "🤹🏻‍♂️", man_juggling_tone2: "🤹🏼‍♂️",
+	man_juggling_tone3: "🤹🏽‍♂️", man_juggling_tone4: "🤹🏾‍♂️", man_juggling_tone5: "🤹🏿‍♂️",
+	man_kneeling: "🧎‍♂️", man_kneeling_dark_skin_tone: "🧎🏿‍♂️", man_kneeling_light_skin_tone: "🧎🏻‍♂️",
+	man_kneeling_medium_dark_skin_tone: "🧎🏾‍♂️", man_kneeling_medium_light_skin_tone: "🧎🏼‍♂️",
+	man_kneeling_medium_skin_tone: "🧎🏽‍♂️", man_kneeling_tone1: "🧎🏻‍♂️", man_kneeling_tone2: "🧎🏼‍♂️",
+	man_kneeling_tone3: "🧎🏽‍♂️", man_kneeling_tone4: "🧎🏾‍♂️", man_kneeling_tone5: "🧎🏿‍♂️",
+	man_lifting_weights: "🏋️‍♂️", man_lifting_weights_dark_skin_tone: "🏋🏿‍♂️",
+	man_lifting_weights_light_skin_tone: "🏋🏻‍♂️", man_lifting_weights_medium_dark_skin_tone: "🏋🏾‍♂️",
+	man_lifting_weights_medium_light_skin_tone: "🏋🏼‍♂️", man_lifting_weights_medium_skin_tone: "🏋🏽‍♂️",
+	man_lifting_weights_tone1: "🏋🏻‍♂️", man_lifting_weights_tone2: "🏋🏼‍♂️",
+	man_lifting_weights_tone3: "🏋🏽‍♂️", man_lifting_weights_tone4: "🏋🏾‍♂️",
+	man_lifting_weights_tone5: "🏋🏿‍♂️", man_light_skin_tone_beard: "🧔🏻‍♂️", man_mage: "🧙‍♂️",
+	man_mage_dark_skin_tone: "🧙🏿‍♂️", man_mage_light_skin_tone: "🧙🏻‍♂️",
+	man_mage_medium_dark_skin_tone: "🧙🏾‍♂️", man_mage_medium_light_skin_tone: "🧙🏼‍♂️",
+	man_mage_medium_skin_tone: "🧙🏽‍♂️", man_mage_tone1: "🧙🏻‍♂️", man_mage_tone2: "🧙🏼‍♂️",
+	man_mage_tone3: "🧙🏽‍♂️", man_mage_tone4: "🧙🏾‍♂️", man_mage_tone5: "🧙🏿‍♂️", man_mechanic: "👨‍🔧",
+	man_mechanic_dark_skin_tone: "👨🏿‍🔧", man_mechanic_light_skin_tone: "👨🏻‍🔧",
+	man_mechanic_medium_dark_skin_tone: "👨🏾‍🔧", man_mechanic_medium_light_skin_tone: "👨🏼‍🔧",
+	man_mechanic_medium_skin_tone: "👨🏽‍🔧", man_mechanic_tone1: "👨🏻‍🔧", man_mechanic_tone2: "👨🏼‍🔧",
+	man_mechanic_tone3: "👨🏽‍🔧", man_mechanic_tone4: "👨🏾‍🔧", man_mechanic_tone5: "👨🏿‍🔧",
+	man_medium_dark_skin_tone_beard: "🧔🏾‍♂️", man_medium_light_skin_tone_beard: "🧔🏼‍♂️",
+	man_medium_skin_tone_beard: "🧔🏽‍♂️", man_mountain_biking: "🚵‍♂️",
+	man_mountain_biking_dark_skin_tone: "🚵🏿‍♂️", man_mountain_biking_light_skin_tone: "🚵🏻‍♂️",
+	man_mountain_biking_medium_dark_skin_tone: "🚵🏾‍♂️",
+	man_mountain_biking_medium_light_skin_tone: "🚵🏼‍♂️", man_mountain_biking_medium_skin_tone: "🚵🏽‍♂️",
+	man_mountain_biking_tone1: "🚵🏻‍♂️", man_mountain_biking_tone2: "🚵🏼‍♂️",
+	man_mountain_biking_tone3: "🚵🏽‍♂️", man_mountain_biking_tone4: "🚵🏾‍♂️",
+	man_mountain_biking_tone5: "🚵🏿‍♂️", man_office_worker: "👨‍💼",
+	man_office_worker_dark_skin_tone: "👨🏿‍💼", man_office_worker_light_skin_tone: "👨🏻‍💼",
+	man_office_worker_medium_dark_skin_tone: "👨🏾‍💼",
+	man_office_worker_medium_light_skin_tone: "👨🏼‍💼", man_office_worker_medium_skin_tone: "👨🏽‍💼",
+	man_office_worker_tone1: "👨🏻‍💼", man_office_worker_tone2: "👨🏼‍💼",
+	man_office_worker_tone3: "👨🏽‍💼", man_office_worker_tone4: "👨🏾‍💼",
+	man_office_worker_tone5: "👨🏿‍💼", man_pilot: "👨‍✈️", man_pilot_dark_skin_tone: "👨🏿‍✈️",
+	man_pilot_light_skin_tone: "👨🏻‍✈️", man_pilot_medium_dark_skin_tone: "👨🏾‍✈️",
+	man_pilot_medium_light_skin_tone: "👨🏼‍✈️", man_pilot_medium_skin_tone: "👨🏽‍✈️",
+	man_pilot_tone1: "👨🏻‍✈️", man_pilot_tone2: "👨🏼‍✈️", man_pilot_tone3: "👨🏽‍✈️",
+	man_pilot_tone4: "👨🏾‍✈️", man_pilot_tone5: "👨🏿‍✈️", man_playing_handball: "🤾‍♂️",
+	man_playing_handball_dark_skin_tone: "🤾🏿‍♂️", man_playing_handball_light_skin_tone: "🤾🏻‍♂️",
+	man_playing_handball_medium_dark_skin_tone: "🤾🏾‍♂️",
+	man_playing_handball_medium_light_skin_tone: "🤾🏼‍♂️",
+	man_playing_handball_medium_skin_tone: "🤾🏽‍♂️", man_playing_handball_tone1: "🤾🏻‍♂️",
+	man_playing_handball_tone2: "🤾🏼‍♂️", man_playing_handball_tone3: "🤾🏽‍♂️",
+	man_playing_handball_tone4: "🤾🏾‍♂️", man_playing_handball_tone5: "🤾🏿‍♂️",
+	man_playing_water_polo: "🤽‍♂️", man_playing_water_polo_dark_skin_tone: "🤽🏿‍♂️",
+	man_playing_water_polo_light_skin_tone: "🤽🏻‍♂️",
+	man_playing_water_polo_medium_dark_skin_tone: "🤽🏾‍♂️",
+	man_playing_water_polo_medium_light_skin_tone: "🤽🏼‍♂️",
+	man_playing_water_polo_medium_skin_tone: "🤽🏽‍♂️", man_playing_water_polo_tone1: "🤽🏻‍♂️",
+	man_playing_water_polo_tone2: "🤽🏼‍♂️", man_playing_water_polo_tone3: "🤽🏽‍♂️",
+	man_playing_water_polo_tone4: "🤽🏾‍♂️", man_playing_water_polo_tone5: "🤽🏿‍♂️",
+	man_police_officer: "👮‍♂️", man_police_officer_dark_skin_tone: "👮🏿‍♂️",
+	man_police_officer_light_skin_tone: "👮🏻‍♂️", man_police_officer_medium_dark_skin_tone: "👮🏾‍♂️",
+	man_police_officer_medium_light_skin_tone: "👮🏼‍♂️", man_police_officer_medium_skin_tone: "👮🏽‍♂️",
+	man_police_officer_tone1: "👮🏻‍♂️", man_police_officer_tone2: "👮🏼‍♂️",
+	man_police_officer_tone3: "👮🏽‍♂️", man_police_officer_tone4: "👮🏾‍♂️",
+	man_police_officer_tone5: "👮🏿‍♂️", man_pouting: "🙎‍♂️", man_pouting_dark_skin_tone: "🙎🏿‍♂️",
+	man_pouting_light_skin_tone: "🙎🏻‍♂️", man_pouting_medium_dark_skin_tone: "🙎🏾‍♂️",
+	man_pouting_medium_light_skin_tone: "🙎🏼‍♂️", man_pouting_medium_skin_tone: "🙎🏽‍♂️",
+	man_pouting_tone1: "🙎🏻‍♂️", man_pouting_tone2: "🙎🏼‍♂️", man_pouting_tone3: "🙎🏽‍♂️",
+	man_pouting_tone4: "🙎🏾‍♂️", man_pouting_tone5: "🙎🏿‍♂️", man_raising_hand: "🙋‍♂️",
+	man_raising_hand_dark_skin_tone: "🙋🏿‍♂️", man_raising_hand_light_skin_tone: "🙋🏻‍♂️",
+	man_raising_hand_medium_dark_skin_tone: "🙋🏾‍♂️", man_raising_hand_medium_light_skin_tone: "🙋🏼‍♂️",
+	man_raising_hand_medium_skin_tone: "🙋🏽‍♂️", man_raising_hand_tone1: "🙋🏻‍♂️",
+	man_raising_hand_tone2: "🙋🏼‍♂️", man_raising_hand_tone3: "🙋🏽‍♂️",
+	man_raising_hand_tone4: "🙋🏾‍♂️", man_raising_hand_tone5: "🙋🏿‍♂️", man_red_hair: "👨‍🦰",
+	man_red_haired: "👨‍🦰", man_red_haired_dark_skin_tone: "👨🏿‍🦰",
+	man_red_haired_light_skin_tone: "👨🏻‍🦰", man_red_haired_medium_dark_skin_tone: "👨🏾‍🦰",
+	man_red_haired_medium_light_skin_tone: "👨🏼‍🦰", man_red_haired_medium_skin_tone: "👨🏽‍🦰",
+	man_red_haired_tone1: "👨🏻‍🦰", man_red_haired_tone2: "👨🏼‍🦰", man_red_haired_tone3: "👨🏽‍🦰",
+	man_red_haired_tone4: "👨🏾‍🦰", man_red_haired_tone5: "👨🏿‍🦰", man_rowing_boat: "🚣‍♂️",
+	man_rowing_boat_dark_skin_tone: "🚣🏿‍♂️", man_rowing_boat_light_skin_tone: "🚣🏻‍♂️",
+	man_rowing_boat_medium_dark_skin_tone: "🚣🏾‍♂️", man_rowing_boat_medium_light_skin_tone: "🚣🏼‍♂️",
+	man_rowing_boat_medium_skin_tone: "🚣🏽‍♂️", man_rowing_boat_tone1: "🚣🏻‍♂️",
+	man_rowing_boat_tone2: "🚣🏼‍♂️", man_rowing_boat_tone3: "🚣🏽‍♂️", man_rowing_boat_tone4: "🚣🏾‍♂️",
+	man_rowing_boat_tone5: "🚣🏿‍♂️", man_running: "🏃‍♂️", man_running_dark_skin_tone: "🏃🏿‍♂️",
+	man_running_light_skin_tone: "🏃🏻‍♂️", man_running_medium_dark_skin_tone: "🏃🏾‍♂️",
+	man_running_medium_light_skin_tone: "🏃🏼‍♂️", man_running_medium_skin_tone: "🏃🏽‍♂️",
+	man_running_tone1: "🏃🏻‍♂️", man_running_tone2: "🏃🏼‍♂️", man_running_tone3: "🏃🏽‍♂️",
+	man_running_tone4: "🏃🏾‍♂️", man_running_tone5: "🏃🏿‍♂️", man_scientist: "👨‍🔬",
+	man_scientist_dark_skin_tone: "👨🏿‍🔬", man_scientist_light_skin_tone: "👨🏻‍🔬",
+	man_scientist_medium_dark_skin_tone: "👨🏾‍🔬", man_scientist_medium_light_skin_tone: "👨🏼‍🔬",
+	man_scientist_medium_skin_tone: "👨🏽‍🔬", man_scientist_tone1: "👨🏻‍🔬",
+	man_scientist_tone2: "👨🏼‍🔬", man_scientist_tone3: "👨🏽‍🔬", man_scientist_tone4: "👨🏾‍🔬",
+	man_scientist_tone5: "👨🏿‍🔬", man_shrugging: "🤷‍♂️", man_shrugging_dark_skin_tone: "🤷🏿‍♂️",
+	man_shrugging_light_skin_tone: "🤷🏻‍♂️", man_shrugging_medium_dark_skin_tone: "🤷🏾‍♂️",
+	man_shrugging_medium_light_skin_tone: "🤷🏼‍♂️", man_shrugging_medium_skin_tone: "🤷🏽‍♂️",
+	man_shrugging_tone1: "🤷🏻‍♂️", man_shrugging_tone2: "🤷🏼‍♂️", man_shrugging_tone3: "🤷🏽‍♂️",
+	man_shrugging_tone4: "🤷🏾‍♂️", man_shrugging_tone5: "🤷🏿‍♂️", man_singer: "👨‍🎤",
+	man_singer_dark_skin_tone: "👨🏿‍🎤", man_singer_light_skin_tone: "👨🏻‍🎤",
+	man_singer_medium_dark_skin_tone: "👨🏾‍🎤", man_singer_medium_light_skin_tone: "👨🏼‍🎤",
+	man_singer_medium_skin_tone: "👨🏽‍🎤", man_singer_tone1: "👨🏻‍🎤", man_singer_tone2: "👨🏼‍🎤",
+	man_singer_tone3: "👨🏽‍🎤", man_singer_tone4: "👨🏾‍🎤", man_singer_tone5: "👨🏿‍🎤",
+	man_standing: "🧍‍♂️", man_standing_dark_skin_tone: "🧍🏿‍♂️", man_standing_light_skin_tone: "🧍🏻‍♂️",
+	man_standing_medium_dark_skin_tone: "🧍🏾‍♂️", man_standing_medium_light_skin_tone: "🧍🏼‍♂️",
+	man_standing_medium_skin_tone: "🧍🏽‍♂️", man_standing_tone1: "🧍🏻‍♂️", man_standing_tone2: "🧍🏼‍♂️",
+	man_standing_tone3: "🧍🏽‍♂️", man_standing_tone4: "🧍🏾‍♂️", man_standing_tone5: "🧍🏿‍♂️",
+	man_student: "👨‍🎓", man_student_dark_skin_tone: "👨🏿‍🎓", man_student_light_skin_tone: "👨🏻‍🎓",
+	man_student_medium_dark_skin_tone: "👨🏾‍🎓", man_student_medium_light_skin_tone: "👨🏼‍🎓",
+	man_student_medium_skin_tone: "👨🏽‍🎓", man_student_tone1: "👨🏻‍🎓", man_student_tone2: "👨🏼‍🎓",
+	man_student_tone3: "👨🏽‍🎓", man_student_tone4: "👨🏾‍🎓", man_student_tone5: "👨🏿‍🎓",
+	man_superhero: "🦸‍♂️", man_superhero_dark_skin_tone: "🦸🏿‍♂️",
+	man_superhero_light_skin_tone: "🦸🏻‍♂️", man_superhero_medium_dark_skin_tone: "🦸🏾‍♂️",
+	man_superhero_medium_light_skin_tone: "🦸🏼‍♂️", man_superhero_medium_skin_tone: "🦸🏽‍♂️",
+	man_superhero_tone1: "🦸🏻‍♂️", man_superhero_tone2: "🦸🏼‍♂️", man_superhero_tone3: "🦸🏽‍♂️",
+	man_superhero_tone4: "🦸🏾‍♂️", man_superhero_tone5: "🦸🏿‍♂️", man_supervillain: "🦹‍♂️",
+	man_supervillain_dark_skin_tone: "🦹🏿‍♂️", man_supervillain_light_skin_tone: "🦹🏻‍♂️",
+	man_supervillain_medium_dark_skin_tone: "🦹🏾‍♂️", man_supervillain_medium_light_skin_tone: "🦹🏼‍♂️",
+	man_supervillain_medium_skin_tone: "🦹🏽‍♂️", man_supervillain_tone1: "🦹🏻‍♂️",
+	man_supervillain_tone2: "🦹🏼‍♂️", man_supervillain_tone3: "🦹🏽‍♂️",
+	man_supervillain_tone4: "🦹🏾‍♂️", man_supervillain_tone5: "🦹🏿‍♂️", man_surfing: "🏄‍♂️",
+	man_surfing_dark_skin_tone: "🏄🏿‍♂️", man_surfing_light_skin_tone: "🏄🏻‍♂️",
+	man_surfing_medium_dark_skin_tone: "🏄🏾‍♂️", man_surfing_medium_light_skin_tone: "🏄🏼‍♂️",
+	man_surfing_medium_skin_tone: "🏄🏽‍♂️", man_surfing_tone1: "🏄🏻‍♂️", man_surfing_tone2: "🏄🏼‍♂️",
+	man_surfing_tone3: "🏄🏽‍♂️", man_surfing_tone4: "🏄🏾‍♂️", man_surfing_tone5: "🏄🏿‍♂️",
+	man_swimming: "🏊‍♂️", man_swimming_dark_skin_tone: "🏊🏿‍♂️", man_swimming_light_skin_tone: "🏊🏻‍♂️",
+	man_swimming_medium_dark_skin_tone: "🏊🏾‍♂️", man_swimming_medium_light_skin_tone: "🏊🏼‍♂️",
+	man_swimming_medium_skin_tone: "🏊🏽‍♂️", man_swimming_tone1: "🏊🏻‍♂️", man_swimming_tone2: "🏊🏼‍♂️",
+	man_swimming_tone3: "🏊🏽‍♂️", man_swimming_tone4: "🏊🏾‍♂️", man_swimming_tone5: "🏊🏿‍♂️",
+	man_teacher: "👨‍🏫", man_teacher_dark_skin_tone: "👨🏿‍🏫", man_teacher_light_skin_tone: "👨🏻‍🏫",
+	man_teacher_medium_dark_skin_tone: "👨🏾‍🏫", man_teacher_medium_light_skin_tone: "👨🏼‍🏫",
+	man_teacher_medium_skin_tone: "👨🏽‍🏫", man_teacher_tone1: "👨🏻‍🏫", man_teacher_tone2: "👨🏼‍🏫",
+	man_teacher_tone3: "👨🏽‍🏫", man_teacher_tone4: "👨🏾‍🏫", man_teacher_tone5: "👨🏿‍🏫",
+	man_technologist: "👨‍💻", man_technologist_dark_skin_tone: "👨🏿‍💻",
+	man_technologist_light_skin_tone: "👨🏻‍💻", man_technologist_medium_dark_skin_tone: "👨🏾‍💻",
+	man_technologist_medium_light_skin_tone: "👨🏼‍💻", man_technologist_medium_skin_tone: "👨🏽‍💻",
+	man_technologist_tone1: "👨🏻‍💻", man_technologist_tone2: "👨🏼‍💻",
+	man_technologist_tone3: "👨🏽‍💻", man_technologist_tone4: "👨🏾‍💻",
+	man_technologist_tone5: "👨🏿‍💻", man_tipping_hand: "💁‍♂️",
+	man_tipping_hand_dark_skin_tone: "💁🏿‍♂️", man_tipping_hand_light_skin_tone: "💁🏻‍♂️",
+	man_tipping_hand_medium_dark_skin_tone: "💁🏾‍♂️", man_tipping_hand_medium_light_skin_tone: "💁🏼‍♂️",
+	man_tipping_hand_medium_skin_tone: "💁🏽‍♂️", man_tipping_hand_tone1: "💁🏻‍♂️",
+	man_tipping_hand_tone2: "💁🏼‍♂️", man_tipping_hand_tone3: "💁🏽‍♂️",
+	man_tipping_hand_tone4: "💁🏾‍♂️", man_tipping_hand_tone5: "💁🏿‍♂️", man_tone1: "👨🏻",
+	man_tone1_beard: "🧔🏻‍♂️", man_tone2: "👨🏼", man_tone2_beard: "🧔🏼‍♂️", man_tone3: "👨🏽",
+	man_tone3_beard: "🧔🏽‍♂️", man_tone4: "👨🏾", man_tone4_beard: "🧔🏾‍♂️", man_tone5: "👨🏿",
+	man_tone5_beard: "🧔🏿‍♂️", man_vampire: "🧛‍♂️", man_vampire_dark_skin_tone: "🧛🏿‍♂️",
+	man_vampire_light_skin_tone: "🧛🏻‍♂️", man_vampire_medium_dark_skin_tone: "🧛🏾‍♂️",
+	man_vampire_medium_light_skin_tone: "🧛🏼‍♂️", man_vampire_medium_skin_tone: "🧛🏽‍♂️",
+	man_vampire_tone1: "🧛🏻‍♂️", man_vampire_tone2: "🧛🏼‍♂️", man_vampire_tone3: "🧛🏽‍♂️",
+	man_vampire_tone4: "🧛🏾‍♂️", man_vampire_tone5: "🧛🏿‍♂️", man_walking: "🚶‍♂️",
+	man_walking_dark_skin_tone: "🚶🏿‍♂️", man_walking_light_skin_tone: "🚶🏻‍♂️",
+	man_walking_medium_dark_skin_tone: "🚶🏾‍♂️", man_walking_medium_light_skin_tone: "🚶🏼‍♂️",
+	man_walking_medium_skin_tone: "🚶🏽‍♂️", man_walking_tone1: "🚶🏻‍♂️", man_walking_tone2: "🚶🏼‍♂️",
+	man_walking_tone3: "🚶🏽‍♂️", man_walking_tone4: "🚶🏾‍♂️", man_walking_tone5: "🚶🏿‍♂️",
+	man_wearing_turban: "👳‍♂️", man_wearing_turban_dark_skin_tone: "👳🏿‍♂️",
+	man_wearing_turban_light_skin_tone: "👳🏻‍♂️", man_wearing_turban_medium_dark_skin_tone: "👳🏾‍♂️",
+	man_wearing_turban_medium_light_skin_tone: "👳🏼‍♂️", man_wearing_turban_medium_skin_tone: "👳🏽‍♂️",
+	man_wearing_turban_tone1: "👳🏻‍♂️", man_wearing_turban_tone2: "👳🏼‍♂️",
+	man_wearing_turban_tone3: "👳🏽‍♂️", man_wearing_turban_tone4: "👳🏾‍♂️",
+	man_wearing_turban_tone5: "👳🏿‍♂️", man_white_haired: "👨‍🦳",
+	man_white_haired_dark_skin_tone: "👨🏿‍🦳", man_white_haired_light_skin_tone: "👨🏻‍🦳",
+	man_white_haired_medium_dark_skin_tone: "👨🏾‍🦳", man_white_haired_medium_light_skin_tone: "👨🏼‍🦳",
+	man_white_haired_medium_skin_tone: "👨🏽‍🦳", man_white_haired_tone1: "👨🏻‍🦳",
+	man_white_haired_tone2: "👨🏼‍🦳", man_white_haired_tone3: "👨🏽‍🦳",
+	man_white_haired_tone4: "👨🏾‍🦳", man_white_haired_tone5: "👨🏿‍🦳", man_with_chinese_cap: "👲",
+	man_with_chinese_cap_tone1: "👲🏻", man_with_chinese_cap_tone2: "👲🏼",
+	man_with_chinese_cap_tone3: "👲🏽", man_with_chinese_cap_tone4: "👲🏾",
+	man_with_chinese_cap_tone5: "👲🏿", man_with_gua_pi_mao: "👲", man_with_gua_pi_mao_tone1: "👲🏻",
+	man_with_gua_pi_mao_tone2: "👲🏼", man_with_gua_pi_mao_tone3: "👲🏽",
+	man_with_gua_pi_mao_tone4: "👲🏾", man_with_gua_pi_mao_tone5: "👲🏿", man_with_probing_cane: "👨‍🦯",
+	man_with_probing_cane_dark_skin_tone: "👨🏿‍🦯", man_with_probing_cane_light_skin_tone: "👨🏻‍🦯",
+	man_with_probing_cane_medium_dark_skin_tone: "👨🏾‍🦯",
+	man_with_probing_cane_medium_light_skin_tone: "👨🏼‍🦯",
+	man_with_probing_cane_medium_skin_tone: "👨🏽‍🦯", man_with_probing_cane_tone1: "👨🏻‍🦯",
+	man_with_probing_cane_tone2: "👨🏼‍🦯", man_with_probing_cane_tone3: "👨🏽‍🦯",
+	man_with_probing_cane_tone4: "👨🏾‍🦯", man_with_probing_cane_tone5: "👨🏿‍🦯", man_with_turban: "👳",
+	man_with_turban_tone1: "👳🏻", man_with_turban_tone2: "👳🏼", man_with_turban_tone3: "👳🏽",
+	man_with_turban_tone4: "👳🏾", man_with_turban_tone5: "👳🏿", man_with_veil: "👰‍♂️",
+	man_with_veil_dark_skin_tone: "👰🏿‍♂️", man_with_veil_light_skin_tone: "👰🏻‍♂️",
+	man_with_veil_medium_dark_skin_tone: "👰🏾‍♂️", man_with_veil_medium_light_skin_tone: "👰🏼‍♂️",
+	man_with_veil_medium_skin_tone: "👰🏽‍♂️", man_with_veil_tone1: "👰🏻‍♂️",
+	man_with_veil_tone2: "👰🏼‍♂️", man_with_veil_tone3: "👰🏽‍♂️", man_with_veil_tone4: "👰🏾‍♂️",
+	man_with_veil_tone5: "👰🏿‍♂️", man_zombie: "🧟‍♂️", mandarin: "🍊", mango: "🥭", mans_shoe: "👞",
+	mantelpiece_clock: "🕰️", mantlepiece_clock: "🕰️", manual_wheelchair: "🦽", map: "🗺️",
+	map_of_japan: "🗾", maple_leaf: "🍁", maracas: "🪇", marshall_islands: "🇲🇭",
+	martial_arts_uniform: "🥋", martinique: "🇲🇶", mask: "😷", massage: "💆", massage_man: "💆‍♂️",
+	massage_tone1: "💆🏻", massage_tone2: "💆🏼", massage_tone3: "💆🏽", massage_tone4: "💆🏾",
+	massage_tone5: "💆🏿", massage_woman: "💆‍♀️", mate: "🧉", mauritania: "🇲🇷", mauritius: "🇲🇺",
+	mayotte: "🇾🇹", mc: "🇲🇨", md: "🇲🇩", me: "🇲🇪", meat_on_bone: "🍖", mechanic: "🧑‍🔧",
+	mechanic_dark_skin_tone: "🧑🏿‍🔧", mechanic_light_skin_tone: "🧑🏻‍🔧",
+	mechanic_medium_dark_skin_tone: "🧑🏾‍🔧", mechanic_medium_light_skin_tone: "🧑🏼‍🔧",
+	mechanic_medium_skin_tone: "🧑🏽‍🔧", mechanic_tone1: "🧑🏻‍🔧", mechanic_tone2: "🧑🏼‍🔧",
+	mechanic_tone3: "🧑🏽‍🔧", mechanic_tone4: "🧑🏾‍🔧", mechanic_tone5: "🧑🏿‍🔧", mechanical_arm: "🦾",
+	mechanical_leg: "🦿", medal: "🏅", medal_military: "🎖️", medal_sports: "🏅", medical_symbol: "⚕️",
+	mega: "📣", megaphone: "📣", melon: "🍈", melting_face: "🫠", memo: "📝",
+	men_holding_hands_dark_skin_tone: "👬🏿",
+	men_holding_hands_dark_skin_tone_light_skin_tone: "👨🏿‍🤝‍👨🏻",
+	men_holding_hands_dark_skin_tone_medium_dark_skin_tone: "👨🏿‍🤝‍👨🏾",
+	men_holding_hands_dark_skin_tone_medium_light_skin_tone: "👨🏿‍🤝‍👨🏼",
+	men_holding_hands_dark_skin_tone_medium_skin_tone: "👨🏿‍🤝‍👨🏽",
+	men_holding_hands_light_skin_tone: "👬🏻",
+	men_holding_hands_light_skin_tone_dark_skin_tone: "👨🏻‍🤝‍👨🏿",
+	men_holding_hands_light_skin_tone_medium_dark_skin_tone: "👨🏻‍🤝‍👨🏾",
+	men_holding_hands_light_skin_tone_medium_light_skin_tone: "👨🏻‍🤝‍👨🏼",
+	men_holding_hands_light_skin_tone_medium_skin_tone: "👨🏻‍🤝‍👨🏽",
+	men_holding_hands_medium_dark_skin_tone: "👬🏾",
+	men_holding_hands_medium_dark_skin_tone_dark_skin_tone: "👨🏾‍🤝‍👨🏿",
+	men_holding_hands_medium_dark_skin_tone_light_skin_tone: "👨🏾‍🤝‍👨🏻",
+	men_holding_hands_medium_dark_skin_tone_medium_light_skin_tone: "👨🏾‍🤝‍👨🏼",
+	men_holding_hands_medium_dark_skin_tone_medium_skin_tone: "👨🏾‍🤝‍👨🏽",
+	men_holding_hands_medium_light_skin_tone: "👬🏼",
+	men_holding_hands_medium_light_skin_tone_dark_skin_tone: "👨🏼‍🤝‍👨🏿",
+	men_holding_hands_medium_light_skin_tone_light_skin_tone: "👨🏼‍🤝‍👨🏻",
+	men_holding_hands_medium_light_skin_tone_medium_dark_skin_tone: "👨🏼‍🤝‍👨🏾",
+	men_holding_hands_medium_light_skin_tone_medium_skin_tone: "👨🏼‍🤝‍👨🏽",
+	men_holding_hands_medium_skin_tone: "👬🏽",
+	men_holding_hands_medium_skin_tone_dark_skin_tone: "👨🏽‍🤝‍👨🏿",
+	men_holding_hands_medium_skin_tone_light_skin_tone: "👨🏽‍🤝‍👨🏻",
+	men_holding_hands_medium_skin_tone_medium_dark_skin_tone: "👨🏽‍🤝‍👨🏾",
+	men_holding_hands_medium_skin_tone_medium_light_skin_tone: "👨🏽‍🤝‍👨🏼",
+	men_holding_hands_tone1: "👬🏻", men_holding_hands_tone1_tone2: "👨🏻‍🤝‍👨🏼",
+	men_holding_hands_tone1_tone3: "👨🏻‍🤝‍👨🏽", men_holding_hands_tone1_tone4: "👨🏻‍🤝‍👨🏾",
+	men_holding_hands_tone1_tone5: "👨🏻‍🤝‍👨🏿", men_holding_hands_tone2: "👬🏼",
+	men_holding_hands_tone2_tone1: "👨🏼‍🤝‍👨🏻", men_holding_hands_tone2_tone3: "👨🏼‍🤝‍👨🏽",
+	men_holding_hands_tone2_tone4: "👨🏼‍🤝‍👨🏾", men_holding_hands_tone2_tone5: "👨🏼‍🤝‍👨🏿",
+	men_holding_hands_tone3: "👬🏽", men_holding_hands_tone3_tone1: "👨🏽‍🤝‍👨🏻",
+	men_holding_hands_tone3_tone2: "👨🏽‍🤝‍👨🏼", men_holding_hands_tone3_tone4: "👨🏽‍🤝‍👨🏾",
+	men_holding_hands_tone3_tone5: "👨🏽‍🤝‍👨🏿", men_holding_hands_tone4: "👬🏾",
+	men_holding_hands_tone4_tone1: "👨🏾‍🤝‍👨🏻", men_holding_hands_tone4_tone2: "👨🏾‍🤝‍👨🏼",
+	men_holding_hands_tone4_tone3: "👨🏾‍🤝‍👨🏽", men_holding_hands_tone4_tone5: "👨🏾‍🤝‍👨🏿",
+	men_holding_hands_tone5: "👬🏿", men_holding_hands_tone5_tone1: "👨🏿‍🤝‍👨🏻",
+	men_holding_hands_tone5_tone2: "👨🏿‍🤝‍👨🏼", men_holding_hands_tone5_tone3: "👨🏿‍🤝‍👨🏽",
+	men_holding_hands_tone5_tone4: "👨🏿‍🤝‍👨🏾", men_with_bunny_ears_partying: "👯‍♂️",
+	men_wrestling: "🤼‍♂️", mending_heart: "❤️‍🩹", menorah: "🕎", mens: "🚹️", mens_room: "🚹️",
+	mermaid: "🧜‍♀️", mermaid_dark_skin_tone: "🧜🏿‍♀️", mermaid_light_skin_tone: "🧜🏻‍♀️",
+	mermaid_medium_dark_skin_tone: "🧜🏾‍♀️", mermaid_medium_light_skin_tone: "🧜🏼‍♀️",
+	mermaid_medium_skin_tone: "🧜🏽‍♀️", mermaid_tone1: "🧜🏻‍♀️", mermaid_tone2: "🧜🏼‍♀️",
+	mermaid_tone3: "🧜🏽‍♀️", mermaid_tone4: "🧜🏾‍♀️", mermaid_tone5: "🧜🏿‍♀️", merman: "🧜‍♂️",
+	merman_dark_skin_tone: "🧜🏿‍♂️", merman_light_skin_tone: "🧜🏻‍♂️",
+	merman_medium_dark_skin_tone: "🧜🏾‍♂️", merman_medium_light_skin_tone: "🧜🏼‍♂️",
+	merman_medium_skin_tone: "🧜🏽‍♂️", merman_tone1: "🧜🏻‍♂️", merman_tone2: "🧜🏼‍♂️",
+	merman_tone3: "🧜🏽‍♂️", merman_tone4: "🧜🏾‍♂️", merman_tone5: "🧜🏿‍♂️", merperson: "🧜",
+	merperson_dark_skin_tone: "🧜🏿", merperson_light_skin_tone: "🧜🏻",
+	merperson_medium_dark_skin_tone: "🧜🏾", merperson_medium_light_skin_tone: "🧜🏼",
+	merperson_medium_skin_tone: "🧜🏽", merperson_tone1: "🧜🏻", merperson_tone2: "🧜🏼",
+	merperson_tone3: "🧜🏽", merperson_tone4: "🧜🏾", merperson_tone5: "🧜🏿", metal: "🤘",
+	metal_tone1: "🤘🏻", metal_tone2: "🤘🏼", metal_tone3: "🤘🏽", metal_tone4: "🤘🏾",
+	metal_tone5: "🤘🏿", metro: "🚇️", mexico: "🇲🇽", mf: "🇲🇫", mg: "🇲🇬", mh: "🇲🇭", microbe: "🦠",
+	micronesia: "🇫🇲", microphone: "🎤", microphone2: "🎙️", microscope: "🔬", middle_finger: "🖕",
+	middle_finger_tone1: "🖕🏻", middle_finger_tone2: "🖕🏼", middle_finger_tone3: "🖕🏽",
+	middle_finger_tone4: "🖕🏾", middle_finger_tone5: "🖕🏿", military_helmet: "🪖", military_medal: "🎖️",
+	milk: "🥛", milk_glass: "🥛", milky_way: "🌌", minibus: "🚐", minidisc: "💽", mirror: "🪞",
+	mirror_ball: "🪩", mk: "🇲🇰", ml: "🇲🇱", mm: "🇲🇲", mn: "🇲🇳", mo: "🇲🇴", moai: "🗿",
+	mobile_phone: "📱", mobile_phone_off: "📴", moldova: "🇲🇩", monaco: "🇲🇨", money_bag: "💰️",
+	money_mouth: "🤑", money_mouth_face: "🤑", money_with_wings: "💸", moneybag: "💰️", mongolia: "🇲🇳",
+	monkey: "🐒", monkey_face: "🐵", monocle_face: "🧐", monorail: "🚝", montenegro: "🇲🇪",
+	montserrat: "🇲🇸", moon: "🌔", moon_cake: "🥮", moose: "🫎", morocco: "🇲🇦", mortar_board: "🎓️",
+	mosque: "🕌", mosquito: "🦟", mother_christmas: "🤶", mother_christmas_tone1: "🤶🏻",
+	mother_christmas_tone2: "🤶🏼", mother_christmas_tone3: "🤶🏽", mother_christmas_tone4: "🤶🏾",
+	mother_christmas_tone5: "🤶🏿", motor_boat: "🛥️", motor_scooter: "🛵", motorbike: "🛵",
+	motorboat: "🛥️", motorcycle: "🏍️", motorized_wheelchair: "🦼", motorway: "🛣️", mount_fuji: "🗻",
+	mountain: "⛰️", mountain_bicyclist: "🚵", mountain_bicyclist_tone1: "🚵🏻",
+	mountain_bicyclist_tone2: "🚵🏼", mountain_bicyclist_tone3: "🚵🏽", mountain_bicyclist_tone4: "🚵🏾",
+	mountain_bicyclist_tone5: "🚵🏿", mountain_biking_man: "🚵‍♂️", mountain_biking_woman: "🚵‍♀️",
+	mountain_cableway: "🚠", mountain_railway: "🚞", mountain_snow: "🏔️", mouse: "🐭", mouse2: "🐁",
+	mouse_face: "🐭", mouse_three_button: "🖱️", mouse_trap: "🪤", mouth: "👄", movie_camera: "🎥",
+	moyai: "🗿", mozambique: "🇲🇿", mp: "🇲🇵", mq: "🇲🇶", mr: "🇲🇷", mrs_claus: "🤶",
+	mrs_claus_tone1: "🤶🏻", mrs_claus_tone2: "🤶🏼", mrs_claus_tone3: "🤶🏽", mrs_claus_tone4: "🤶🏾",
+	mrs_claus_tone5: "🤶🏿", ms: "🇲🇸", mt: "🇲🇹", mu: "🇲🇺", muscle: "💪", muscle_tone1: "💪🏻",
+	muscle_tone2: "💪🏼", muscle_tone3: "💪🏽", muscle_tone4: "💪🏾", muscle_tone5: "💪🏿", mushroom: "🍄",
+	musical_keyboard: "🎹", musical_note: "🎵", musical_notes: "🎶", musical_score: "🎼", mute: "🔇",
+	muted_speaker: "🔇", mv: "🇲🇻", mw: "🇲🇼", mx: "🇲🇽", mx_claus: "🧑‍🎄",
+	mx_claus_dark_skin_tone: "🧑🏿‍🎄", mx_claus_light_skin_tone: "🧑🏻‍🎄",
+	mx_claus_medium_dark_skin_tone: "🧑🏾‍🎄", mx_claus_medium_light_skin_tone: "🧑🏼‍🎄",
+	mx_claus_medium_skin_tone: "🧑🏽‍🎄", mx_claus_tone1: "🧑🏻‍🎄", mx_claus_tone2: "🧑🏼‍🎄",
+	mx_claus_tone3: "🧑🏽‍🎄", mx_claus_tone4: "🧑🏾‍🎄", mx_claus_tone5: "🧑🏿‍🎄", my: "🇲🇾",
+	myanmar: "🇲🇲", mz: "🇲🇿", na: "🇳🇦", nail_care: "💅", nail_care_tone1: "💅🏻",
+	nail_care_tone2: "💅🏼", nail_care_tone3: "💅🏽", nail_care_tone4: "💅🏾", nail_care_tone5: "💅🏿",
+	nail_polish: "💅", name_badge: "📛", namibia: "🇳🇦", national_park: "🏞️", nauru: "🇳🇷",
+	nauseated_face: "🤢", nazar_amulet: "🧿", nc: "🇳🇨", ne: "🇳🇪", necktie: "👔",
+	negative_squared_cross_mark: "❎️", nepal: "🇳🇵", nerd: "🤓", nerd_face: "🤓", nest_with_eggs: "🪺",
+	nesting_dolls: "🪆", netherlands: "🇳🇱", neutral_face: "😐️", new: "🆕", new_caledonia: "🇳🇨",
+	new_moon: "🌑", new_moon_face: "🌚", new_moon_with_face: "🌚", new_zealand: "🇳🇿", newspaper: "📰",
+	newspaper2: "🗞️", newspaper_roll: "🗞️", next_track: "⏭️", next_track_button: "⏭️", nf: "🇳🇫",
+	ng: "🆖", ng_man: "🙅‍♂️", ng_woman: "🙅‍♀️", ni: "🇳🇮", nicaragua: "🇳🇮", niger: "🇳🇪",
+	nigeria: "🇳🇬", night_with_stars: "🌃", nine: "9️⃣", nine_oclock: "🕘️", nine_thirty: "🕤️",
+	ninja: "🥷", ninja_dark_skin_tone: "🥷🏿", ninja_light_skin_tone: "🥷🏻",
+	ninja_medium_dark_skin_tone: "🥷🏾", ninja_medium_light_skin_tone: "🥷🏼",
+	ninja_medium_skin_tone: "🥷🏽", ninja_tone1: "🥷🏻", ninja_tone2: "🥷🏼", ninja_tone3: "🥷🏽",
+	ninja_tone4: "🥷🏾", ninja_tone5: "🥷🏿", niue: "🇳🇺", nl: "🇳🇱", no: "🇳🇴", no_bell: "🔕",
+	no_bicycles: "🚳", no_entry: "⛔️", no_entry_sign: "🚫", no_good: "🙅", no_good_man: "🙅‍♂️",
+	no_good_tone1: "🙅🏻", no_good_tone2: "🙅🏼", no_good_tone3: "🙅🏽", no_good_tone4: "🙅🏾",
+	no_good_tone5: "🙅🏿", no_good_woman: "🙅‍♀️", no_littering: "🚯", no_mobile_phones: "📵",
+	no_mouth: "😶", no_pedestrians: "🚷", no_smoking: "🚭️", "non-potable_water": "🚱",
+	norfolk_island: "🇳🇫", north_korea: "🇰🇵", northern_mariana_islands: "🇲🇵", norway: "🇳🇴",
+	nose: "👃", nose_tone1: "👃🏻", nose_tone2: "👃🏼", nose_tone3: "👃🏽", nose_tone4: "👃🏾",
+	nose_tone5: "👃🏿", notebook: "📓", notebook_with_decorative_cover: "📔", notepad_spiral: "🗒️",
+	notes: "🎶", np: "🇳🇵", nr: "🇳🇷", nu: "🇳🇺", nut_and_bolt: "🔩", nz: "🇳🇿", o: "⭕️", o2: "🅾️",
+	ocean: "🌊", octagonal_sign: "🛑", octopus: "🐙", oden: "🍢", office: "🏢", office_worker: "🧑‍💼",
+	office_worker_dark_skin_tone: "🧑🏿‍💼", office_worker_light_skin_tone: "🧑🏻‍💼",
+	office_worker_medium_dark_skin_tone: "🧑🏾‍💼", office_worker_medium_light_skin_tone: "🧑🏼‍💼",
+	office_worker_medium_skin_tone: "🧑🏽‍💼", office_worker_tone1: "🧑🏻‍💼",
+	office_worker_tone2: "🧑🏼‍💼", office_worker_tone3: "🧑🏽‍💼", office_worker_tone4: "🧑🏾‍💼",
+	office_worker_tone5: "🧑🏿‍💼", ogre: "👹", oil: "🛢️", oil_drum: "🛢️", ok: "🆗", ok_hand: "👌",
+	ok_hand_tone1: "👌🏻", ok_hand_tone2: "👌🏼", ok_hand_tone3: "👌🏽", ok_hand_tone4: "👌🏾",
+	ok_hand_tone5: "👌🏿", ok_man: "🙆‍♂️", ok_person: "🙆", ok_woman: "🙆", ok_woman_tone1: "🙆🏻",
+	ok_woman_tone2: "🙆🏼", ok_woman_tone3: "🙆🏽", ok_woman_tone4: "🙆🏾", ok_woman_tone5: "🙆🏿",
+	old_key: "🗝️", old_man: "👴", old_woman: "👵", older_adult: "🧓", older_adult_dark_skin_tone: "🧓🏿",
+	older_adult_light_skin_tone: "🧓🏻", older_adult_medium_dark_skin_tone: "🧓🏾",
+	older_adult_medium_light_skin_tone: "🧓🏼", older_adult_medium_skin_tone: "🧓🏽",
+	older_adult_tone1: "🧓🏻", older_adult_tone2: "🧓🏼", older_adult_tone3: "🧓🏽",
+	older_adult_tone4: "🧓🏾", older_adult_tone5: "🧓🏿", older_man: "👴", older_man_tone1: "👴🏻",
+	older_man_tone2: "👴🏼", older_man_tone3: "👴🏽", older_man_tone4: "👴🏾", older_man_tone5: "👴🏿",
+	older_person: "🧓", older_woman: "👵", older_woman_tone1: "👵🏻", older_woman_tone2: "👵🏼",
+	older_woman_tone3: "👵🏽", older_woman_tone4: "👵🏾", older_woman_tone5: "👵🏿", olive: "🫒",
+	om: "🇴🇲", om_symbol: "🕉️", oman: "🇴🇲", on: "🔛", on_arrow: "🔛", oncoming_automobile: "🚘️",
+	oncoming_bus: "🚍️", oncoming_fist: "👊", oncoming_police_car: "🚔️", oncoming_taxi: "🚖", one: "1️⃣",
+	one_oclock: "🕐️", one_piece_swimsuit: "🩱", one_thirty: "🕜️", onion: "🧅", open_book: "📖",
+	open_file_folder: "📂", open_hands: "👐", open_hands_tone1: "👐🏻", open_hands_tone2: "👐🏼",
+	open_hands_tone3: "👐🏽", open_hands_tone4: "👐🏾", open_hands_tone5: "👐🏿", open_mouth: "😮",
+	open_umbrella: "☂️", ophiuchus: "⛎️", optical_disk: "💿️", orange: "🍊", orange_book: "📙",
+	orange_circle: "🟠", orange_heart: "🧡", orange_square: "🟧", orangutan: "🦧", orthodox_cross: "☦️",
+	otter: "🦦", outbox_tray: "📤️", owl: "🦉", ox: "🐂", oyster: "🦪", pa: "🇵🇦", package: "📦️",
+	paella: "🥘", page_facing_up: "📄", page_with_curl: "📃", pager: "📟️", paintbrush: "🖌️",
+	pakistan: "🇵🇰", palau: "🇵🇼", palestinian_territories: "🇵🇸", palm_down_hand: "🫳",
+	palm_down_hand_dark_skin_tone: "🫳🏿", palm_down_hand_light_skin_tone: "🫳🏻",
+	palm_down_hand_medium_dark_skin_tone: "🫳🏾", palm_down_hand_medium_light_skin_tone: "🫳🏼",
+	palm_down_hand_medium_skin_tone: "🫳🏽", palm_down_hand_tone1: "🫳🏻", palm_down_hand_tone2: "🫳🏼",
+	palm_down_hand_tone3: "🫳🏽", palm_down_hand_tone4: "🫳🏾", palm_down_hand_tone5: "🫳🏿",
+	palm_tree: "🌴", palm_up_hand: "🫴", palm_up_hand_dark_skin_tone: "🫴🏿",
+	palm_up_hand_light_skin_tone: "🫴🏻", palm_up_hand_medium_dark_skin_tone: "🫴🏾",
+	palm_up_hand_medium_light_skin_tone: "🫴🏼", palm_up_hand_medium_skin_tone: "🫴🏽",
+	palm_up_hand_tone1: "🫴🏻", palm_up_hand_tone2: "🫴🏼", palm_up_hand_tone3: "🫴🏽",
+	palm_up_hand_tone4: "🫴🏾", palm_up_hand_tone5: "🫴🏿", palms_up_together: "🤲",
+	palms_up_together_dark_skin_tone: "🤲🏿", palms_up_together_light_skin_tone: "🤲🏻",
+	palms_up_together_medium_dark_skin_tone: "🤲🏾", palms_up_together_medium_light_skin_tone: "🤲🏼",
+	palms_up_together_medium_skin_tone: "🤲🏽", palms_up_together_tone1: "🤲🏻",
+	palms_up_together_tone2: "🤲🏼", palms_up_together_tone3: "🤲🏽", palms_up_together_tone4: "🤲🏾",
+	palms_up_together_tone5: "🤲🏿", panama: "🇵🇦", pancakes: "🥞", panda: "🐼", panda_face: "🐼",
+	paperclip: "📎", paperclips: "🖇️", papua_new_guinea: "🇵🇬", parachute: "🪂", paraguay: "🇵🇾",
+	parasol_on_ground: "⛱️", park: "🏞️", parking: "🅿️", parrot: "🦜", part_alternation_mark: "〽️",
+	partly_sunny: "⛅️", party_popper: "🎉", partying_face: "🥳", passenger_ship: "🛳️",
+	passport_control: "🛂", pause_button: "⏸️", paw_prints: "🐾", pe: "🇵🇪", pea_pod: "🫛", peace: "☮️",
+	peace_symbol: "☮️", peach: "🍑", peacock: "🦚", peanuts: "🥜", pear: "🍐", pen: "🖊️",
+	pen_ballpoint: "🖊️", pen_fountain: "🖋️", pencil: "📝", pencil2: "✏️", penguin: "🐧", pensive: "😔",
+	pensive_face: "😔", people_holding_hands: "🧑‍🤝‍🧑",
+	people_holding_hands_dark_skin_tone: "🧑🏿‍🤝‍🧑🏿",
+	people_holding_hands_dark_skin_tone_light_skin_tone: "🧑🏿‍🤝‍🧑🏻",
+	people_holding_hands_dark_skin_tone_medium_dark_skin_tone: "🧑🏿‍🤝‍🧑🏾",
+	people_holding_hands_dark_skin_tone_medium_light_skin_tone: "🧑🏿‍🤝‍🧑🏼",
+	people_holding_hands_dark_skin_tone_medium_skin_tone: "🧑🏿‍🤝‍🧑🏽",
+	people_holding_hands_light_skin_tone: "🧑🏻‍🤝‍🧑🏻",
+	people_holding_hands_light_skin_tone_dark_skin_tone: "🧑🏻‍🤝‍🧑🏿",
+	people_holding_hands_light_skin_tone_medium_dark_skin_tone: "🧑🏻‍🤝‍🧑🏾",
+	people_holding_hands_light_skin_tone_medium_light_skin_tone: "🧑🏻‍🤝‍🧑🏼",
+	people_holding_hands_light_skin_tone_medium_skin_tone: "🧑🏻‍🤝‍🧑🏽",
+	people_holding_hands_medium_dark_skin_tone: "🧑🏾‍🤝‍🧑🏾",
+	people_holding_hands_medium_dark_skin_tone_dark_skin_tone: "🧑🏾‍🤝‍🧑🏿",
+	people_holding_hands_medium_dark_skin_tone_light_skin_tone: "🧑🏾‍🤝‍🧑🏻",
+	people_holding_hands_medium_dark_skin_tone_medium_light_skin_tone: "🧑🏾‍🤝‍🧑🏼",
+	people_holding_hands_medium_dark_skin_tone_medium_skin_tone: "🧑🏾‍🤝‍🧑🏽",
+	people_holding_hands_medium_light_skin_tone: "🧑🏼‍🤝‍🧑🏼",
+	people_holding_hands_medium_light_skin_tone_dark_skin_tone: "🧑🏼‍🤝‍🧑🏿",
+	people_holding_hands_medium_light_skin_tone_light_skin_tone: "🧑🏼‍🤝‍🧑🏻",
+	people_holding_hands_medium_light_skin_tone_medium_dark_skin_tone: "🧑🏼‍🤝‍🧑🏾",
+	people_holding_hands_medium_light_skin_tone_medium_skin_tone: "🧑🏼‍🤝‍🧑🏽",
+	people_holding_hands_medium_skin_tone: "🧑🏽‍🤝‍🧑🏽",
+	people_holding_hands_medium_skin_tone_dark_skin_tone: "🧑🏽‍🤝‍🧑🏿",
+	people_holding_hands_medium_skin_tone_light_skin_tone: "🧑🏽‍🤝‍🧑🏻",
+	people_holding_hands_medium_skin_tone_medium_dark_skin_tone: "🧑🏽‍🤝‍🧑🏾",
+	people_holding_hands_medium_skin_tone_medium_light_skin_tone: "🧑🏽‍🤝‍🧑🏼",
+	people_holding_hands_tone1: "🧑🏻‍🤝‍🧑🏻", people_holding_hands_tone1_tone2: "🧑🏻‍🤝‍🧑🏼",
+	people_holding_hands_tone1_tone3: "🧑🏻‍🤝‍🧑🏽", people_holding_hands_tone1_tone4: "🧑🏻‍🤝‍🧑🏾",
+	people_holding_hands_tone1_tone5: "🧑🏻‍🤝‍🧑🏿", people_holding_hands_tone2: "🧑🏼‍🤝‍🧑🏼",
+	people_holding_hands_tone2_tone1: "🧑🏼‍🤝‍🧑🏻", people_holding_hands_tone2_tone3: "🧑🏼‍🤝‍🧑🏽",
+	people_holding_hands_tone2_tone4: "🧑🏼‍🤝‍🧑🏾", people_holding_hands_tone2_tone5: "🧑🏼‍🤝‍🧑🏿",
+	people_holding_hands_tone3: "🧑🏽‍🤝‍🧑🏽", people_holding_hands_tone3_tone1: "🧑🏽‍🤝‍🧑🏻",
+	people_holding_hands_tone3_tone2: "🧑🏽‍🤝‍🧑🏼", people_holding_hands_tone3_tone4: "🧑🏽‍🤝‍🧑🏾",
+	people_holding_hands_tone3_tone5: "🧑🏽‍🤝‍🧑🏿", people_holding_hands_tone4: "🧑🏾‍🤝‍🧑🏾",
+	people_holding_hands_tone4_tone1: "🧑🏾‍🤝‍🧑🏻", people_holding_hands_tone4_tone2: "🧑🏾‍🤝‍🧑🏼",
+	people_holding_hands_tone4_tone3: "🧑🏾‍🤝‍🧑🏽", people_holding_hands_tone4_tone5: "🧑🏾‍🤝‍🧑🏿",
+	people_holding_hands_tone5: "🧑🏿‍🤝‍🧑🏿", people_holding_hands_tone5_tone1: "🧑🏿‍🤝‍🧑🏻",
+	people_holding_hands_tone5_tone2: "🧑🏿‍🤝‍🧑🏼", people_holding_hands_tone5_tone3: "🧑🏿‍🤝‍🧑🏽",
+	people_holding_hands_tone5_tone4: "🧑🏿‍🤝‍🧑🏾", people_hugging: "🫂",
+	people_with_bunny_ears_partying: "👯", people_wrestling: "🤼", performing_arts: "🎭️", persevere: "😣",
+	person: "🧑", person_bald: "🧑‍🦲", person_beard: "🧔", person_biking: "🚴",
+	person_biking_tone1: "🚴🏻", person_biking_tone2: "🚴🏼", person_biking_tone3: "🚴🏽",
+	person_biking_tone4: "🚴🏾", person_biking_tone5: "🚴🏿", person_bouncing_ball: "⛹️",
+	person_bouncing_ball_tone1: "⛹🏻", person_bouncing_ball_tone2: "⛹🏼",
+	person_bouncing_ball_tone3: "⛹🏽", person_bouncing_ball_tone4: "⛹🏾",
+	person_bouncing_ball_tone5: "⛹🏿", person_bowing: "🙇", person_bowing_tone1: "🙇🏻",
+	person_bowing_tone2: "🙇🏼", person_bowing_tone3: "🙇🏽", person_bowing_tone4: "🙇🏾",
+	person_bowing_tone5: "🙇🏿", person_climbing: "🧗", person_climbing_dark_skin_tone: "🧗🏿",
+	person_climbing_light_skin_tone: "🧗🏻", person_climbing_medium_dark_skin_tone: "🧗🏾",
+	person_climbing_medium_light_skin_tone: "🧗🏼", person_climbing_medium_skin_tone: "🧗🏽",
+	person_climbing_tone1: "🧗🏻", person_climbing_tone2: "🧗🏼", person_climbing_tone3: "🧗🏽",
+	person_climbing_tone4: "🧗🏾", person_climbing_tone5: "🧗🏿", person_curly_hair: "🧑‍🦱",
+	person_dark_skin_tone_bald: "🧑🏿‍🦲", person_dark_skin_tone_curly_hair: "🧑🏿‍🦱",
+	person_dark_skin_tone_red_hair: "🧑🏿‍🦰", person_dark_skin_tone_white_hair: "🧑🏿‍🦳",
+	person_doing_cartwheel: "🤸", person_doing_cartwheel_tone1: "🤸🏻",
+	person_doing_cartwheel_tone2: "🤸🏼", person_doing_cartwheel_tone3: "🤸🏽",
+	person_doing_cartwheel_tone4: "🤸🏾", person_doing_cartwheel_tone5: "🤸🏿", person_facepalming: "🤦",
+	person_facepalming_tone1: "🤦🏻", person_facepalming_tone2: "🤦🏼", person_facepalming_tone3: "🤦🏽",
+	person_facepalming_tone4: "🤦🏾", person_facepalming_tone5: "🤦🏿", person_feeding_baby: "🧑‍🍼",
+	person_feeding_baby_dark_skin_tone: "🧑🏿‍🍼", person_feeding_baby_light_skin_tone: "🧑🏻‍🍼",
+	person_feeding_baby_medium_dark_skin_tone: "🧑🏾‍🍼",
+	person_feeding_baby_medium_light_skin_tone: "🧑🏼‍🍼", person_feeding_baby_medium_skin_tone: "🧑🏽‍🍼",
+	person_feeding_baby_tone1: "🧑🏻‍🍼", person_feeding_baby_tone2: "🧑🏼‍🍼",
+	person_feeding_baby_tone3: "🧑🏽‍🍼", person_feeding_baby_tone4: "🧑🏾‍🍼",
+	person_feeding_baby_tone5: "🧑🏿‍🍼", person_fencing: "🤺", person_frowning: "🙍",
+	person_frowning_tone1: "🙍🏻", person_frowning_tone2: "🙍🏼", person_frowning_tone3: "🙍🏽",
+	person_frowning_tone4: "🙍🏾", person_frowning_tone5: "🙍🏿", person_gesturing_no: "🙅",
+	person_gesturing_no_tone1: "🙅🏻", person_gesturing_no_tone2: "🙅🏼",
+	person_gesturing_no_tone3: "🙅🏽", person_gesturing_no_tone4: "🙅🏾",
+	person_gesturing_no_tone5: "🙅🏿", person_gesturing_ok: "🙆", person_gesturing_ok_tone1: "🙆🏻",
+	person_gesturing_ok_tone2: "🙆🏼", person_gesturing_ok_tone3: "🙆🏽",
+	person_gesturing_ok_tone4: "🙆🏾", person_gesturing_ok_tone5: "🙆🏿", person_getting_haircut: "💇",
+	person_getting_haircut_tone1: "💇🏻", person_getting_haircut_tone2: "💇🏼",
+	person_getting_haircut_tone3: "💇🏽", person_getting_haircut_tone4: "💇🏾",
+	person_getting_haircut_tone5: "💇🏿", person_getting_massage: "💆",
+	person_getting_massage_tone1: "💆🏻", person_getting_massage_tone2: "💆🏼",
+	person_getting_massage_tone3: "💆🏽", person_getting_massage_tone4: "💆🏾",
+	person_getting_massage_tone5: "💆🏿", person_golfing: "🏌️", person_golfing_dark_skin_tone: "🏌🏿",
+	person_golfing_light_skin_tone: "🏌🏻", person_golfing_medium_dark_skin_tone: "🏌🏾",
+	person_golfing_medium_light_skin_tone: "🏌🏼", person_golfing_medium_skin_tone: "🏌🏽",
+	person_golfing_tone1: "🏌🏻", person_golfing_tone2: "🏌🏼", person_golfing_tone3: "🏌🏽",
+	person_golfing_tone4: "🏌🏾", person_golfing_tone5: "🏌🏿", person_in_bed: "🛌",
+	person_in_bed_dark_skin_tone: "🛌🏿", person_in_bed_light_skin_tone: "🛌🏻",
+	person_in_bed_medium_dark_skin_tone: "🛌🏾", person_in_bed_medium_light_skin_tone: "🛌🏼",
+	person_in_bed_medium_skin_tone: "🛌🏽", person_in_bed_tone1: "🛌🏻", person_in_bed_tone2: "🛌🏼",
+	person_in_bed_tone3: "🛌🏽", person_in_bed_tone4: "🛌🏾", person_in_bed_tone5: "🛌🏿",
+	person_in_lotus_position: "🧘", person_in_lotus_position_dark_skin_tone: "🧘🏿",
+	person_in_lotus_position_light_skin_tone: "🧘🏻",
+	person_in_lotus_position_medium_dark_skin_tone: "🧘🏾",
+	person_in_lotus_position_medium_light_skin_tone: "🧘🏼",
+	person_in_lotus_position_medium_skin_tone: "🧘🏽", person_in_lotus_position_tone1: "🧘🏻",
+	person_in_lotus_position_tone2: "🧘🏼", person_in_lotus_position_tone3: "🧘🏽",
+	person_in_lotus_position_tone4: "🧘🏾", person_in_lotus_position_tone5: "🧘🏿",
+	person_in_manual_wheelchair: "🧑‍🦽", person_in_manual_wheelchair_dark_skin_tone: "🧑🏿‍🦽",
+	person_in_manual_wheelchair_light_skin_tone: "🧑🏻‍🦽",
+	person_in_manual_wheelchair_medium_dark_skin_tone: "🧑🏾‍🦽",
+	person_in_manual_wheelchair_medium_light_skin_tone: "🧑🏼‍🦽",
+	person_in_manual_wheelchair_medium_skin_tone: "🧑🏽‍🦽", person_in_manual_wheelchair_tone1: "🧑🏻‍🦽",
+	person_in_manual_wheelchair_tone2: "🧑🏼‍🦽", person_in_manual_wheelchair_tone3: "🧑🏽‍🦽",
+	person_in_manual_wheelchair_tone4: "🧑🏾‍🦽", person_in_manual_wheelchair_tone5: "🧑🏿‍🦽",
+	person_in_motorized_wheelchair: "🧑‍🦼", person_in_motorized_wheelchair_dark_skin_tone: "🧑🏿‍🦼",
+	person_in_motorized_wheelchair_light_skin_tone: "🧑🏻‍🦼",
+	person_in_motorized_wheelchair_medium_dark_skin_tone: "🧑🏾‍🦼",
+	person_in_motorized_wheelchair_medium_light_skin_tone: "🧑🏼‍🦼",
+	person_in_motorized_wheelchair_medium_skin_tone: "🧑🏽‍🦼",
+	person_in_motorized_wheelchair_tone1: "🧑🏻‍🦼", person_in_motorized_wheelchair_tone2: "🧑🏼‍🦼",
+	person_in_motorized_wheelchair_tone3: "🧑🏽‍🦼", person_in_motorized_wheelchair_tone4: "🧑🏾‍🦼",
+	person_in_motorized_wheelchair_tone5: "🧑🏿‍🦼", person_in_steamy_room: "🧖",
+	person_in_steamy_room_dark_skin_tone: "🧖🏿", person_in_steamy_room_light_skin_tone: "🧖🏻",
+	person_in_steamy_room_medium_dark_skin_tone: "🧖🏾",
+	person_in_steamy_room_medium_light_skin_tone: "🧖🏼", person_in_steamy_room_medium_skin_tone: "🧖🏽",
+	person_in_steamy_room_tone1: "🧖🏻", person_in_steamy_room_tone2: "🧖🏼",
+	person_in_steamy_room_tone3: "🧖🏽", person_in_steamy_room_tone4: "🧖🏾",
+	person_in_steamy_room_tone5: "🧖🏿", person_in_tuxedo: "🤵", person_in_tuxedo_tone1: "🤵🏻",
+	person_in_tuxedo_tone2: "🤵🏼", person_in_tuxedo_tone3: "🤵🏽", person_in_tuxedo_tone4: "🤵🏾",
+	person_in_tuxedo_tone5: "🤵🏿", person_juggling: "🤹", person_juggling_tone1: "🤹🏻",
+	person_juggling_tone2: "🤹🏼", person_juggling_tone3: "🤹🏽", person_juggling_tone4: "🤹🏾",
+	person_juggling_tone5: "🤹🏿", person_kneeling: "🧎", person_kneeling_dark_skin_tone: "🧎🏿",
+	person_kneeling_light_skin_tone: "🧎🏻", person_kneeling_medium_dark_skin_tone: "🧎🏾",
+	person_kneeling_medium_light_skin_tone: "🧎🏼", person_kneeling_medium_skin_tone: "🧎🏽",
+	person_kneeling_tone1: "🧎🏻", person_kneeling_tone2: "🧎🏼", person_kneeling_tone3: "🧎🏽",
+	person_kneeling_tone4: "🧎🏾", person_kneeling_tone5: "🧎🏿", person_lifting_weights: "🏋️",
+	person_lifting_weights_tone1: "🏋🏻", person_lifting_weights_tone2: "🏋🏼",
+	person_lifting_weights_tone3: "🏋🏽", person_lifting_weights_tone4: "🏋🏾",
+	person_lifting_weights_tone5: "🏋🏿", person_light_skin_tone_bald: "🧑🏻‍🦲",
+	person_light_skin_tone_curly_hair: "🧑🏻‍🦱", person_light_skin_tone_red_hair: "🧑🏻‍🦰",
+	person_light_skin_tone_white_hair: "🧑🏻‍🦳", person_medium_dark_skin_tone_bald: "🧑🏾‍🦲",
+	person_medium_dark_skin_tone_curly_hair: "🧑🏾‍🦱", person_medium_dark_skin_tone_red_hair: "🧑🏾‍🦰",
+	person_medium_dark_skin_tone_white_hair: "🧑🏾‍🦳", person_medium_light_skin_tone_bald: "🧑🏼‍🦲",
+	person_medium_light_skin_tone_curly_hair: "🧑🏼‍🦱", person_medium_light_skin_tone_red_hair: "🧑🏼‍🦰",
+	person_medium_light_skin_tone_white_hair: "🧑🏼‍🦳", person_medium_skin_tone_bald: "🧑🏽‍🦲",
+	person_medium_skin_tone_curly_hair: "🧑🏽‍🦱", person_medium_skin_tone_red_hair: "🧑🏽‍🦰",
+	person_medium_skin_tone_white_hair: "🧑🏽‍🦳", person_mountain_biking: "🚵",
+	person_mountain_biking_tone1: "🚵🏻", person_mountain_biking_tone2: "🚵🏼",
+	person_mountain_biking_tone3: "🚵🏽", person_mountain_biking_tone4: "🚵🏾",
+	person_mountain_biking_tone5: "🚵🏿", person_playing_handball: "🤾",
+	person_playing_handball_tone1: "🤾🏻", person_playing_handball_tone2: "🤾🏼",
+	person_playing_handball_tone3: "🤾🏽", person_playing_handball_tone4: "🤾🏾",
+	person_playing_handball_tone5: "🤾🏿", person_playing_water_polo: "🤽",
+	person_playing_water_polo_tone1: "🤽🏻", person_playing_water_polo_tone2: "🤽🏼",
+	person_playing_water_polo_tone3: "🤽🏽", person_playing_water_polo_tone4: "🤽🏾",
+	person_playing_water_polo_tone5: "🤽🏿", person_pouting: "🙎", person_pouting_tone1: "🙎🏻",
+	person_pouting_tone2: "🙎🏼", person_pouting_tone3: "🙎🏽", person_pouting_tone4: "🙎🏾",
+	person_pouting_tone5: "🙎🏿", person_raising_hand: "🙋", person_raising_hand_tone1: "🙋🏻",
+	person_raising_hand_tone2: "🙋🏼", person_raising_hand_tone3: "🙋🏽",
+	person_raising_hand_tone4: "🙋🏾", person_raising_hand_tone5: "🙋🏿", person_red_hair: "🧑‍🦰",
+	person_rowing_boat: "🚣", person_rowing_boat_tone1: "🚣🏻", person_rowing_boat_tone2: "🚣🏼",
+	person_rowing_boat_tone3: "🚣🏽", person_rowing_boat_tone4: "🚣🏾", person_rowing_boat_tone5: "🚣🏿",
+	person_running: "🏃", person_running_tone1: "🏃🏻", person_running_tone2: "🏃🏼",
+	person_running_tone3: "🏃🏽", person_running_tone4: "🏃🏾", person_running_tone5: "🏃🏿",
+	person_shrugging: "🤷", person_shrugging_tone1: "🤷🏻", person_shrugging_tone2: "🤷🏼",
+	person_shrugging_tone3: "🤷🏽", person_shrugging_tone4: "🤷🏾", person_shrugging_tone5: "🤷🏿",
+	person_standing: "🧍", person_standing_dark_skin_tone: "🧍🏿", person_standing_light_skin_tone: "🧍🏻",
+	person_standing_medium_dark_skin_tone: "🧍🏾", person_standing_medium_light_skin_tone: "🧍🏼",
+	person_standing_medium_skin_tone: "🧍🏽", person_standing_tone1: "🧍🏻", person_standing_tone2: "🧍🏼",
+	person_standing_tone3: "🧍🏽", person_standing_tone4: "🧍🏾", person_standing_tone5: "🧍🏿",
+	person_surfing: "🏄️", person_surfing_tone1: "🏄🏻", person_surfing_tone2: "🏄🏼",
+	person_surfing_tone3: "🏄🏽", person_surfing_tone4: "🏄🏾", person_surfing_tone5: "🏄🏿",
+	person_swimming: "🏊️", person_swimming_tone1: "🏊🏻", person_swimming_tone2: "🏊🏼",
+	person_swimming_tone3: "🏊🏽", person_swimming_tone4: "🏊🏾", person_swimming_tone5: "🏊🏿",
+	person_tipping_hand: "💁", person_tipping_hand_tone1: "💁🏻", person_tipping_hand_tone2: "💁🏼",
+	person_tipping_hand_tone3: "💁🏽", person_tipping_hand_tone4: "💁🏾",
+	person_tipping_hand_tone5: "💁🏿", person_tone1_bald: "🧑🏻‍🦲", person_tone1_curly_hair: "🧑🏻‍🦱",
+	person_tone1_red_hair: "🧑🏻‍🦰", person_tone1_white_hair: "🧑🏻‍🦳", person_tone2_bald: "🧑🏼‍🦲",
+	person_tone2_curly_hair: "🧑🏼‍🦱", person_tone2_red_hair: "🧑🏼‍🦰",
+	person_tone2_white_hair: "🧑🏼‍🦳", person_tone3_bald: "🧑🏽‍🦲", person_tone3_curly_hair: "🧑🏽‍🦱",
+	person_tone3_red_hair: "🧑🏽‍🦰", person_tone3_white_hair: "🧑🏽‍🦳", person_tone4_bald: "🧑🏾‍🦲",
+	person_tone4_curly_hair: "🧑🏾‍🦱", person_tone4_red_hair: "🧑🏾‍🦰",
+	person_tone4_white_hair: "🧑🏾‍🦳", person_tone5_bald: "🧑🏿‍🦲", person_tone5_curly_hair: "🧑🏿‍🦱",
+	person_tone5_red_hair: "🧑🏿‍🦰", person_tone5_white_hair: "🧑🏿‍🦳", person_walking: "🚶",
+	person_walking_tone1: "🚶🏻", person_walking_tone2: "🚶🏼", person_walking_tone3: "🚶🏽",
+	person_walking_tone4: "🚶🏾", person_walking_tone5: "🚶🏿", person_wearing_turban: "👳",
+	person_wearing_turban_tone1: "👳🏻", person_wearing_turban_tone2: "👳🏼",
+	person_wearing_turban_tone3: "👳🏽", person_wearing_turban_tone4: "👳🏾",
+	person_wearing_turban_tone5: "👳🏿", person_white_hair: "🧑‍🦳", person_with_ball: "⛹️",
+	person_with_ball_tone1: "⛹🏻", person_with_ball_tone2: "⛹🏼", person_with_ball_tone3: "⛹🏽",
+	person_with_ball_tone4: "⛹🏾", person_with_ball_tone5: "⛹🏿", person_with_blond_hair: "👱",
+	person_with_blond_hair_tone1: "👱🏻", person_with_blond_hair_tone2: "👱🏼",
+	person_with_blond_hair_tone3: "👱🏽", person_with_blond_hair_tone4: "👱🏾",
+	person_with_blond_hair_tone5: "👱🏿", person_with_crown: "🫅",
+	person_with_crown_dark_skin_tone: "🫅🏿", person_with_crown_light_skin_tone: "🫅🏻",
+	person_with_crown_medium_dark_skin_tone: "🫅🏾", person_with_crown_medium_light_skin_tone: "🫅🏼",
+	person_with_crown_medium_skin_tone: "🫅🏽", person_with_crown_tone1: "🫅🏻",
+	person_with_crown_tone2: "🫅🏼", person_with_crown_tone3: "🫅🏽", person_with_crown_tone4: "🫅🏾",
+	person_with_crown_tone5: "🫅🏿", person_with_pouting_face: "🙎",
+	person_with_pouting_face_tone1: "🙎🏻", person_with_pouting_face_tone2: "🙎🏼",
+	person_with_pouting_face_tone3: "🙎🏽", person_with_pouting_face_tone4: "🙎🏾",
+	person_with_pouting_face_tone5: "🙎🏿", person_with_probing_cane: "🧑‍🦯",
+	person_with_probing_cane_dark_skin_tone: "🧑🏿‍🦯",
+	person_with_probing_cane_light_skin_tone: "🧑🏻‍🦯",
+	person_with_probing_cane_medium_dark_skin_tone: "🧑🏾‍🦯",
+	person_with_probing_cane_medium_light_skin_tone: "🧑🏼‍🦯",
+	person_with_probing_cane_medium_skin_tone: "🧑🏽‍🦯", person_with_probing_cane_tone1: "🧑🏻‍🦯",
+	person_with_probing_cane_tone2: "🧑🏼‍🦯", person_with_probing_cane_tone3: "🧑🏽‍🦯",
+	person_with_probing_cane_tone4: "🧑🏾‍🦯", person_with_probing_cane_tone5: "🧑🏿‍🦯",
+	person_with_turban: "👳", person_with_veil: "👰", person_with_veil_tone1: "👰🏻",
+	person_with_veil_tone2: "👰🏼", person_with_veil_tone3: "👰🏽", person_with_veil_tone4: "👰🏾",
+	person_with_veil_tone5: "👰🏿", peru: "🇵🇪", petri_dish: "🧫", pf: "🇵🇫", pg: "🇵🇬", ph: "🇵🇭",
+	philippines: "🇵🇭", phone: "☎️", pick: "⛏️", pickup_truck: "🛻", pie: "🥧", pig: "🐷", pig2: "🐖",
+	pig_face: "🐷", pig_nose: "🐽", pile_of_poo: "💩", pill: "💊", pilot: "🧑‍✈️",
+	pilot_dark_skin_tone: "🧑🏿‍✈️", pilot_light_skin_tone: "🧑🏻‍✈️",
+	pilot_medium_dark_skin_tone: "🧑🏾‍✈️", pilot_medium_light_skin_tone: "🧑🏼‍✈️",
+	pilot_medium_skin_tone: "🧑🏽‍✈️", pilot_tone1: "🧑🏻‍✈️", pilot_tone2: "🧑🏼‍✈️",
+	pilot_tone3: "🧑🏽‍✈️", pilot_tone4: "🧑🏾‍✈️", pilot_tone5: "🧑🏿‍✈️", pinata: "🪅",
+	pinched_fingers: "🤌", pinched_fingers_dark_skin_tone: "🤌🏿", pinched_fingers_light_skin_tone: "🤌🏻",
+	pinched_fingers_medium_dark_skin_tone: "🤌🏾", pinched_fingers_medium_light_skin_tone: "🤌🏼",
+	pinched_fingers_medium_skin_tone: "🤌🏽", pinched_fingers_tone1: "🤌🏻", pinched_fingers_tone2: "🤌🏼",
+	pinched_fingers_tone3: "🤌🏽", pinched_fingers_tone4: "🤌🏾", pinched_fingers_tone5: "🤌🏿",
+	pinching_hand: "🤏", pinching_hand_dark_skin_tone: "🤏🏿", pinching_hand_light_skin_tone: "🤏🏻",
+	pinching_hand_medium_dark_skin_tone: "🤏🏾", pinching_hand_medium_light_skin_tone: "🤏🏼",
+	pinching_hand_medium_skin_tone: "🤏🏽", pinching_hand_tone1: "🤏🏻", pinching_hand_tone2: "🤏🏼",
+	pinching_hand_tone3: "🤏🏽", pinching_hand_tone4: "🤏🏾", pinching_hand_tone5: "🤏🏿", pineapple: "🍍",
+	ping_pong: "🏓", pink_heart: "🩷", pirate_flag: "🏴‍☠️", pisces: "♓️", pistol: "🔫",
+	pitcairn_islands: "🇵🇳", pizza: "🍕", pk: "🇵🇰", pl: "🇵🇱", placard: "🪧", place_of_worship: "🛐",
+	plate_with_cutlery: "🍽️", play_or_pause_button: "⏯️", play_pause: "⏯️", playground_slide: "🛝",
+	pleading_face: "🥺", plunger: "🪠", pm: "🇵🇲", pn: "🇵🇳", point_down: "👇️",
+	point_down_tone1: "👇🏻", point_down_tone2: "👇🏼", point_down_tone3: "👇🏽", point_down_tone4: "👇🏾",
+	point_down_tone5: "👇🏿", point_left: "👈️", point_left_tone1: "👈🏻", point_left_tone2: "👈🏼",
+	point_left_tone3: "👈🏽", point_left_tone4: "👈🏾", point_left_tone5: "👈🏿", point_right: "👉️",
+	point_right_tone1: "👉🏻", point_right_tone2: "👉🏼", point_right_tone3: "👉🏽",
+	point_right_tone4: "👉🏾", point_right_tone5: "👉🏿", point_up: "☝️", point_up_2: "👆️",
+	point_up_2_tone1: "👆🏻", point_up_2_tone2: "👆🏼", point_up_2_tone3: "👆🏽", point_up_2_tone4: "👆🏾",
+	point_up_2_tone5: "👆🏿", point_up_tone1: "☝🏻", point_up_tone2: "☝🏼", point_up_tone3: "☝🏽",
+	point_up_tone4: "☝🏾", point_up_tone5: "☝🏿", poland: "🇵🇱", polar_bear: "🐻‍❄️", police_car: "🚓",
+	police_officer: "👮", police_officer_tone1: "👮🏻", police_officer_tone2: "👮🏼",
+	police_officer_tone3: "👮🏽", police_officer_tone4: "👮🏾", police_officer_tone5: "👮🏿",
+	policeman: "👮‍♂️", policewoman: "👮‍♀️", poo: "💩", poodle: "🐩", poop: "💩", popcorn: "🍿",
+	portugal: "🇵🇹", post_office: "🏣", postal_horn: "📯", postbox: "📮", pot_of_food: "🍲",
+	potable_water: "🚰", potato: "🥔", potted_plant: "🪴", pouch: "👝", poultry_leg: "🍗", pound: "💷",
+	pouring_liquid: "🫗", pout: "😡", pouting_cat: "😾", pouting_face: "😡", pouting_man: "🙎‍♂️",
+	pouting_woman: "🙎‍♀️", pr: "🇵🇷", pray: "🙏", pray_tone1: "🙏🏻", pray_tone2: "🙏🏼",
+	pray_tone3: "🙏🏽", pray_tone4: "🙏🏾", pray_tone5: "🙏🏿", prayer_beads: "📿", pregnant_man: "🫃",
+	pregnant_man_dark_skin_tone: "🫃🏿", pregnant_man_light_skin_tone: "🫃🏻",
+	pregnant_man_medium_dark_skin_tone: "🫃🏾", pregnant_man_medium_light_skin_tone: "🫃🏼",
+	pregnant_man_medium_skin_tone: "🫃🏽", pregnant_man_tone1: "🫃🏻", pregnant_man_tone2: "🫃🏼",
+	pregnant_man_tone3: "🫃🏽", pregnant_man_tone4: "🫃🏾", pregnant_man_tone5: "🫃🏿",
+	pregnant_person: "🫄", pregnant_person_dark_skin_tone: "🫄🏿", pregnant_person_light_skin_tone: "🫄🏻",
+	pregnant_person_medium_dark_skin_tone: "🫄🏾", pregnant_person_medium_light_skin_tone: "🫄🏼",
+	pregnant_person_medium_skin_tone: "🫄🏽", pregnant_person_tone1: "🫄🏻", pregnant_person_tone2: "🫄🏼",
+	pregnant_person_tone3: "🫄🏽", pregnant_person_tone4: "🫄🏾", pregnant_person_tone5: "🫄🏿",
+	pregnant_woman: "🤰", pregnant_woman_tone1: "🤰🏻", pregnant_woman_tone2: "🤰🏼",
+	pregnant_woman_tone3: "🤰🏽", pregnant_woman_tone4: "🤰🏾", pregnant_woman_tone5: "🤰🏿",
+	pretzel: "🥨", previous_track: "⏮️", previous_track_button: "⏮️", prince: "🤴", prince_tone1: "🤴🏻",
+	prince_tone2: "🤴🏼", prince_tone3: "🤴🏽", prince_tone4: "🤴🏾", prince_tone5: "🤴🏿", princess: "👸",
+	princess_tone1: "👸🏻", princess_tone2: "👸🏼", princess_tone3: "👸🏽", princess_tone4: "👸🏾",
+	princess_tone5: "👸🏿", printer: "🖨️", probing_cane: "🦯", prohibited: "🚫", projector: "📽️",
+	ps: "🇵🇸", pt: "🇵🇹", pudding: "🍮", puerto_rico: "🇵🇷", punch: "👊", punch_tone1: "👊🏻",
+	punch_tone2: "👊🏼", punch_tone3: "👊🏽", punch_tone4: "👊🏾", punch_tone5: "👊🏿",
+	purple_circle: "🟣", purple_heart: "💜", purple_square: "🟪", purse: "👛", pushpin: "📌",
+	put_litter_in_its_place: "🚮", puzzle_piece: "🧩", pw: "🇵🇼", py: "🇵🇾", qa: "🇶🇦", qatar: "🇶🇦",
+	question: "❓️", question_mark: "❓️", rabbit: "🐰", rabbit2: "🐇", rabbit_face: "🐰", raccoon: "🦝",
+	race_car: "🏎️", racehorse: "🐎", racing_car: "🏎️", racing_motorcycle: "🏍️", radio: "📻️",
+	radio_button: "🔘", radioactive: "☢️", radioactive_sign: "☢️", rage: "😡", railroad_track: "🛤️",
+	railway_car: "🚃", railway_track: "🛤️", rainbow: "🌈", rainbow_flag: "🏳️‍🌈",
+	raised_back_of_hand: "🤚", raised_back_of_hand_tone1: "🤚🏻", raised_back_of_hand_tone2: "🤚🏼",
+	raised_back_of_hand_tone3: "🤚🏽", raised_back_of_hand_tone4: "🤚🏾",
+	raised_back_of_hand_tone5: "🤚🏿", raised_eyebrow: "🤨", raised_fist: "✊️", raised_hand: "✋️",
+	raised_hand_tone1: "✋🏻", raised_hand_tone2: "✋🏼", raised_hand_tone3: "✋🏽", raised_hand_tone4: "✋🏾",
+	raised_hand_tone5: "✋🏿", raised_hand_with_fingers_splayed: "🖐️",
+	raised_hand_with_fingers_splayed_tone1: "🖐🏻", raised_hand_with_fingers_splayed_tone2: "🖐🏼",
+	raised_hand_with_fingers_splayed_tone3: "🖐🏽", raised_hand_with_fingers_splayed_tone4: "🖐🏾",
+	raised_hand_with_fingers_splayed_tone5: "🖐🏿",
+	raised_hand_with_part_between_middle_and_ring_fingers: "🖖",
+	raised_hand_with_part_between_middle_and_ring_fingers_tone1: "🖖🏻",
+	raised_hand_with_part_between_middle_and_ring_fingers_tone2: "🖖🏼",
+	raised_hand_with_part_between_middle_and_ring_fingers_tone3: "🖖🏽",
+	raised_hand_with_part_between_middle_and_ring_fingers_tone4: "🖖🏾",
+	raised_hand_with_part_between_middle_and_ring_fingers_tone5: "🖖🏿", raised_hands: "🙌",
+	raised_hands_tone1: "🙌🏻", raised_hands_tone2: "🙌🏼", raised_hands_tone3: "🙌🏽",
+	raised_hands_tone4: "🙌🏾", raised_hands_tone5: "🙌🏿", raising_hand: "🙋", raising_hand_man: "🙋‍♂️",
+	raising_hand_tone1: "🙋🏻", raising_hand_tone2: "🙋🏼", raising_hand_tone3: "🙋🏽",
+	raising_hand_tone4: "🙋🏾", raising_hand_tone5: "🙋🏿", raising_hand_woman: "🙋‍♀️",
+	raising_hands: "🙌", ram: "🐏", ramen: "🍜", rat: "🐀", razor: "🪒", re: "🇷🇪", receipt: "🧾",
+	record_button: "⏺️", recycle: "♻️", red_apple: "🍎", red_car: "🚗", red_circle: "🔴",
+	red_envelope: "🧧", red_hair: "🦰", red_haired: "🦰", red_haired_man: "👨‍🦰",
+	red_haired_woman: "👩‍🦰", red_heart: "❤️", red_square: "🟥", regional_indicator_a: "🇦",
+	regional_indicator_b: "🇧", regional_indicator_c: "🇨", regional_indicator_d: "🇩",
+	regional_indicator_e: "🇪", regional_indicator_f: "🇫", regional_indicator_g: "🇬",
+	regional_indicator_h: "🇭", regional_indicator_i: "🇮", regional_indicator_j: "🇯",
+	regional_indicator_k: "🇰", regional_indicator_l: "🇱", regional_indicator_m: "🇲",
+	regional_indicator_n: "🇳", regional_indicator_o: "🇴", regional_indicator_p: "🇵",
+	regional_indicator_q: "🇶", regional_indicator_r: "🇷", regional_indicator_s: "🇸",
+	regional_indicator_t: "🇹", regional_indicator_u: "🇺", regional_indicator_v: "🇻",
+	regional_indicator_w: "🇼", regional_indicator_x: "🇽", regional_indicator_y: "🇾",
+	regional_indicator_z: "🇿", registered: "®️", relaxed: "☺️", relieved: "😌", relieved_face: "😌",
+	reminder_ribbon: "🎗️", repeat: "🔁", repeat_one: "🔂", rescue_worker_helmet: "⛑️", restroom: "🚻",
+	reunion: "🇷🇪", reversed_hand_with_middle_finger_extended: "🖕",
+	reversed_hand_with_middle_finger_extended_tone1: "🖕🏻",
+	reversed_hand_with_middle_finger_extended_tone2: "🖕🏼",
+	reversed_hand_with_middle_finger_extended_tone3: "🖕🏽",
+	reversed_hand_with_middle_finger_extended_tone4: "🖕🏾",
+	reversed_hand_with_middle_finger_extended_tone5: "🖕🏿", revolving_hearts: "💞", rewind: "⏪️",
+	rhino: "🦏", rhinoceros: "🦏", ribbon: "🎀", rice: "🍚", rice_ball: "🍙", rice_cracker: "🍘",
+	rice_scene: "🎑", right_anger_bubble: "🗯️", right_arrow: "➡️", right_facing_fist: "🤜",
+	right_facing_fist_tone1: "🤜🏻", right_facing_fist_tone2: "🤜🏼", right_facing_fist_tone3: "🤜🏽",
+	right_facing_fist_tone4: "🤜🏾", right_facing_fist_tone5: "🤜🏿", right_fist: "🤜",
+	right_fist_tone1: "🤜🏻", right_fist_tone2: "🤜🏼", right_fist_tone3: "🤜🏽", right_fist_tone4: "🤜🏾",
+	right_fist_tone5: "🤜🏿", rightwards_hand: "🫱", rightwards_hand_dark_skin_tone: "🫱🏿",
+	rightwards_hand_light_skin_tone: "🫱🏻", rightwards_hand_medium_dark_skin_tone: "🫱🏾",
+	rightwards_hand_medium_light_skin_tone: "🫱🏼", rightwards_hand_medium_skin_tone: "🫱🏽",
+	rightwards_hand_tone1: "🫱🏻", rightwards_hand_tone2: "🫱🏼", rightwards_hand_tone3: "🫱🏽",
+	rightwards_hand_tone4: "🫱🏾", rightwards_hand_tone5: "🫱🏿", rightwards_pushing_hand: "🫸",
+	rightwards_pushing_hand_dark_skin_tone: "🫸🏿", rightwards_pushing_hand_light_skin_tone: "🫸🏻",
+	rightwards_pushing_hand_medium_dark_skin_tone: "🫸🏾",
+	rightwards_pushing_hand_medium_light_skin_tone: "🫸🏼",
+	rightwards_pushing_hand_medium_skin_tone: "🫸🏽", rightwards_pushing_hand_tone1: "🫸🏻",
+	rightwards_pushing_hand_tone2: "🫸🏼", rightwards_pushing_hand_tone3: "🫸🏽",
+	rightwards_pushing_hand_tone4: "🫸🏾", rightwards_pushing_hand_tone5: "🫸🏿", ring: "💍",
+	ring_buoy: "🛟", ringed_planet: "🪐", ro: "🇷🇴", robot: "🤖", robot_face: "🤖", rock: "🪨",
+	rocket: "🚀", rofl: "🤣", roll_eyes: "🙄", roll_of_paper: "🧻", rolled_up_newspaper: "🗞️",
+	roller_coaster: "🎢", roller_skate: "🛼", rolling_eyes: "🙄", rolling_on_the_floor_laughing: "🤣",
+	romania: "🇷🇴", rooster: "🐓", rose: "🌹", rosette: "🏵️", rotating_light: "🚨", round_pushpin: "📍",
+	rowboat: "🚣", rowboat_tone1: "🚣🏻", rowboat_tone2: "🚣🏼", rowboat_tone3: "🚣🏽",
+	rowboat_tone4: "🚣🏾", rowboat_tone5: "🚣🏿", rowing_man: "🚣‍♂️", rowing_woman: "🚣‍♀️", rs: "🇷🇸",
+	ru: "🇷🇺", rugby_football: "🏉", runner: "🏃", runner_tone1: "🏃🏻", runner_tone2: "🏃🏼",
+	runner_tone3: "🏃🏽", runner_tone4: "🏃🏾", runner_tone5: "🏃🏿", running: "🏃", running_man: "🏃‍♂️",
+	running_shirt: "🎽", running_shirt_with_sash: "🎽", running_shoe: "👟", running_woman: "🏃‍♀️",
+	rw: "🇷🇼", rwanda: "🇷🇼", sa: "🈂️", safety_pin: "🧷", safety_vest: "🦺", sagittarius: "♐️",
+	sailboat: "⛵️", sake: "🍶", salad: "🥗", salt: "🧂", saluting_face: "🫡", samoa: "🇼🇸",
+	san_marino: "🇸🇲", sandal: "👡", sandwich: "🥪", santa: "🎅", santa_claus: "🎅", santa_tone1: "🎅🏻",
+	santa_tone2: "🎅🏼", santa_tone3: "🎅🏽", santa_tone4: "🎅🏾", santa_tone5: "🎅🏿",
+	sao_tome_principe: "🇸🇹", sari: "🥻", sassy_man: "💁‍♂️", sassy_woman: "💁‍♀️", satellite: "📡",
+	satellite_orbital: "🛰️", satisfied: "😆", saudi: "🇸🇦", saudi_arabia: "🇸🇦", saudiarabia: "🇸🇦",
+	sauna_man: "🧖‍♂️", sauna_person: "🧖", sauna_woman: "🧖‍♀️", sauropod: "🦕", saxophone: "🎷",
+	sb: "🇸🇧", sc: "🇸🇨", scales: "⚖️", scarf: "🧣", school: "🏫", school_satchel: "🎒",
+	scientist: "🧑‍🔬", scientist_dark_skin_tone: "🧑🏿‍🔬", scientist_light_skin_tone: "🧑🏻‍🔬",
+	scientist_medium_dark_skin_tone: "🧑🏾‍🔬", scientist_medium_light_skin_tone: "🧑🏼‍🔬",
+	scientist_medium_skin_tone: "🧑🏽‍🔬", scientist_tone1: "🧑🏻‍🔬", scientist_tone2: "🧑🏼‍🔬",
+	scientist_tone3: "🧑🏽‍🔬", scientist_tone4: "🧑🏾‍🔬", scientist_tone5: "🧑🏿‍🔬", scissors: "✂️",
+	scooter: "🛴", scorpio: "♏️", scorpion: "🦂", scorpius: "♏️", scotland: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", scream: "😱",
+	scream_cat: "🙀", screwdriver: "🪛", scroll: "📜", sd: "🇸🇩", se: "🇸🇪", seal: "🦭", seat: "💺",
+	second_place: "🥈", second_place_medal: "🥈", secret: "㊙️", see_no_evil: "🙈", seedling: "🌱",
+	selfie: "🤳", selfie_tone1: "🤳🏻", selfie_tone2: "🤳🏼", selfie_tone3: "🤳🏽", selfie_tone4: "🤳🏾",
+	selfie_tone5: "🤳🏿", senegal: "🇸🇳", serbia: "🇷🇸", service_dog: "🐕‍🦺", seven: "7️⃣",
+	seven_oclock: "🕖️", seven_thirty: "🕢️", sewing_needle: "🪡", seychelles: "🇸🇨", sg: "🇸🇬",
+	sh: "🇸🇭", shaking_face: "🫨", shaking_hands: "🤝", shallow_pan_of_food: "🥘", shamrock: "☘️",
+	shark: "🦈", shaved_ice: "🍧", sheaf_of_rice: "🌾", sheep: "🐑", shell: "🐚", shelled_peanut: "🥜",
+	shield: "🛡️", shinto_shrine: "⛩️", ship: "🚢", shirt: "👕", shit: "💩", shoe: "👞",
+	shooting_star: "🌠", shopping: "🛍️", shopping_bags: "🛍️", shopping_cart: "🛒",
+	shopping_trolley: "🛒", shortcake: "🍰", shorts: "🩳", shower: "🚿", shrimp: "🦐", shrug: "🤷",
+	shrug_tone1: "🤷🏻", shrug_tone2: "🤷🏼", shrug_tone3: "🤷🏽", shrug_tone4: "🤷🏾",
+	shrug_tone5: "🤷🏿", shushing_face: "🤫", si: "🇸🇮", sick: "🤢", sierra_leone: "🇸🇱",
+	sign_of_the_horns: "🤘", sign_of_the_horns_tone1: "🤘🏻", sign_of_the_horns_tone2: "🤘🏼",
+	sign_of_the_horns_tone3: "🤘🏽", sign_of_the_horns_tone4: "🤘🏾", sign_of_the_horns_tone5: "🤘🏿",
+	signal_strength: "📶", singapore: "🇸🇬", singer: "🧑‍🎤", singer_dark_skin_tone: "🧑🏿‍🎤",
+	singer_light_skin_tone: "🧑🏻‍🎤", singer_medium_dark_skin_tone: "🧑🏾‍🎤",
+	singer_medium_light_skin_tone: "🧑🏼‍🎤", singer_medium_skin_tone: "🧑🏽‍🎤", singer_tone1: "🧑🏻‍🎤",
+	singer_tone2: "🧑🏼‍🎤", singer_tone3: "🧑🏽‍🎤", singer_tone4: "🧑🏾‍🎤", singer_tone5: "🧑🏿‍🎤",
+	sint_maarten: "🇸🇽", six: "6️⃣", six_oclock: "🕕️", six_pointed_star: "🔯", six_thirty: "🕡️",
+	sj: "🇸🇯", sk: "🇸🇰", skateboard: "🛹", skeleton: "💀", ski: "🎿", skier: "⛷️", skis: "🎿",
+	skull: "💀", skull_and_crossbones: "☠️", skull_crossbones: "☠️", skunk: "🦨", sl: "🇸🇱", sled: "🛷",
+	sleeping: "😴", sleeping_accommodation: "🛌", sleeping_bed: "🛌", sleeping_face: "😴", sleepy: "😪",
+	sleepy_face: "😪", sleuth_or_spy: "🕵️", sleuth_or_spy_tone1: "🕵🏻", sleuth_or_spy_tone2: "🕵🏼",
+	sleuth_or_spy_tone3: "🕵🏽", sleuth_or_spy_tone4: "🕵🏾", sleuth_or_spy_tone5: "🕵🏿",
+	slight_frown: "🙁", slight_smile: "🙂", slightly_frowning_face: "🙁", slightly_smiling_face: "🙂",
+	slot_machine: "🎰", sloth: "🦥", slovakia: "🇸🇰", slovenia: "🇸🇮", sm: "🇸🇲", small_airplane: "🛩️",
+	small_blue_diamond: "🔹", small_orange_diamond: "🔸", small_red_triangle: "🔺",
+	small_red_triangle_down: "🔻", smile: "😄", smile_cat: "😸", smiley: "😃", smiley_cat: "😺",
+	smiling_face: "☺️", smiling_face_with_3_hearts: "🥰", smiling_face_with_tear: "🥲",
+	smiling_face_with_three_hearts: "🥰", smiling_imp: "😈", smirk: "😏", smirk_cat: "😼",
+	smirking_face: "😏", smoking: "🚬", sn: "🇸🇳", snail: "🐌", snake: "🐍", sneeze: "🤧",
+	sneezing_face: "🤧", snow_capped_mountain: "🏔️", snowboarder: "🏂️",
+	snowboarder_dark_skin_tone: "🏂🏿", snowboarder_light_skin_tone: "🏂🏻",
+	snowboarder_medium_dark_skin_tone: "🏂🏾", snowboarder_medium_light_skin_tone: "🏂🏼",
+	snowboarder_medium_skin_tone: "🏂🏽", snowboarder_tone1: "🏂🏻", snowboarder_tone2: "🏂🏼",
+	snowboarder_tone3: "🏂🏽", snowboarder_tone4: "🏂🏾", snowboarder_tone5: "🏂🏿", snowflake: "❄️",
+	snowman: "⛄️", snowman2: "☃️", snowman_with_snow: "☃️", so: "🇸🇴", soap: "🧼", sob: "😭",
+	soccer: "⚽️", soccer_ball: "⚽️", socks: "🧦", softball: "🥎", solomon_islands: "🇸🇧", somalia: "🇸🇴",
+	soon: "🔜", soon_arrow: "🔜", sos: "🆘", sound: "🔉", south_africa: "🇿🇦",
+	south_georgia_south_sandwich_islands: "🇬🇸", south_sudan: "🇸🇸", space_invader: "👾",
+	spade_suit: "♠️", spades: "♠️", spaghetti: "🍝", sparkle: "❇️", sparkler: "🎇", sparkles: "✨️",
+	sparkling_heart: "💖", speak_no_evil: "🙊", speaker: "🔈️", speaking_head: "🗣️",
+	speaking_head_in_silhouette: "🗣️", speech_balloon: "💬", speech_left: "🗨️", speedboat: "🚤",
+	spider: "🕷️", spider_web: "🕸️", spiral_calendar: "🗓️", spiral_calendar_pad: "🗓️",
+	spiral_note_pad: "🗒️", spiral_notepad: "🗒️", spiral_shell: "🐚", sponge: "🧽", spoon: "🥄",
+	sports_medal: "🏅", spy: "🕵️", spy_tone1: "🕵🏻", spy_tone2: "🕵🏼", spy_tone3: "🕵🏽",
+	spy_tone4: "🕵🏾", spy_tone5: "🕵🏿", squeeze_bottle: "🧴", squid: "🦑", sr: "🇸🇷", sri_lanka: "🇱🇰",
+	ss: "🇸🇸", st: "🇸🇹", st_barthelemy: "🇧🇱", st_helena: "🇸🇭", st_kitts_nevis: "🇰🇳",
+	st_lucia: "🇱🇨", st_martin: "🇲🇫", st_pierre_miquelon: "🇵🇲", st_vincent_grenadines: "🇻🇨",
+	stadium: "🏟️", standing_man: "🧍‍♂️", standing_person: "🧍", standing_woman: "🧍‍♀️", star: "⭐️",
+	star2: "🌟", star_and_crescent: "☪️", star_of_david: "✡️", star_struck: "🤩", stars: "🌠",
+	station: "🚉", statue_of_liberty: "🗽", steam_locomotive: "🚂", steaming_bowl: "🍜", stethoscope: "🩺",
+	stew: "🍲", stop_button: "⏹️", stop_sign: "🛑", stopwatch: "⏱️", straight_ruler: "📏",
+	strawberry: "🍓", stuck_out_tongue: "😛", stuck_out_tongue_closed_eyes: "😝",
+	stuck_out_tongue_winking_eye: "😜", student: "🧑‍🎓", student_dark_skin_tone: "🧑🏿‍🎓",
+	student_light_skin_tone: "🧑🏻‍🎓", student_medium_dark_skin_tone: "🧑🏾‍🎓",
+	student_medium_light_skin_tone: "🧑🏼‍🎓", student_medium_skin_tone: "🧑🏽‍🎓",
+	student_tone1: "🧑🏻‍🎓", student_tone2: "🧑🏼‍🎓", student_tone3: "🧑🏽‍🎓", student_tone4: "🧑🏾‍🎓",
+	student_tone5: "🧑🏿‍🎓", studio_microphone: "🎙️", stuffed_flatbread: "🥙", stuffed_pita: "🥙",
+	sudan: "🇸🇩", sun: "☀️", sun_behind_large_cloud: "🌥️", sun_behind_rain_cloud: "🌦️",
+	sun_behind_small_cloud: "🌤️", sun_with_face: "🌞", sunflower: "🌻", sunglasses: "😎", sunny: "☀️",
+	sunrise: "🌅", sunrise_over_mountains: "🌄", sunset: "🌇", superhero: "🦸",
+	superhero_dark_skin_tone: "🦸🏿", superhero_light_skin_tone: "🦸🏻", superhero_man: "🦸‍♂️",
+	superhero_medium_dark_skin_tone: "🦸🏾", superhero_medium_light_skin_tone: "🦸🏼",
+	superhero_medium_skin_tone: "🦸🏽", superhero_tone1: "🦸🏻", superhero_tone2: "🦸🏼",
+	superhero_tone3: "🦸🏽", superhero_tone4: "🦸🏾", superhero_tone5: "🦸🏿", superhero_woman: "🦸‍♀️",
+	supervillain: "🦹", supervillain_dark_skin_tone: "🦹🏿", supervillain_light_skin_tone: "🦹🏻",
+	supervillain_man: "🦹‍♂️", supervillain_medium_dark_skin_tone: "🦹🏾",
+	supervillain_medium_light_skin_tone: "🦹🏼", supervillain_medium_skin_tone: "🦹🏽",
+	supervillain_tone1: "🦹🏻", supervillain_tone2: "🦹🏼", supervillain_tone3: "🦹🏽",
+	supervillain_tone4: "🦹🏾", supervillain_tone5: "🦹🏿", supervillain_woman: "🦹‍♀️", surfer: "🏄️",
+	surfer_tone1: "🏄🏻", surfer_tone2: "🏄🏼", surfer_tone3: "🏄🏽", surfer_tone4: "🏄🏾",
+	surfer_tone5: "🏄🏿", surfing_man: "🏄‍♂️", surfing_woman: "🏄‍♀️", suriname: "🇸🇷", sushi: "🍣",
+	suspension_railway: "🚟", sv: "🇸🇻", svalbard_jan_mayen: "🇸🇯", swan: "🦢", swaziland: "🇸🇿",
+	sweat: "😓", sweat_drops: "💦", sweat_smile: "😅", sweden: "🇸🇪", sweet_potato: "🍠",
+	swim_brief: "🩲", swimmer: "🏊️", swimmer_tone1: "🏊🏻", swimmer_tone2: "🏊🏼", swimmer_tone3: "🏊🏽",
+	swimmer_tone4: "🏊🏾", swimmer_tone5: "🏊🏿", swimming_man: "🏊‍♂️", swimming_woman: "🏊‍♀️",
+	switzerland: "🇨🇭", sx: "🇸🇽", sy: "🇸🇾", symbols: "🔣", synagogue: "🕍", syria: "🇸🇾",
+	syringe: "💉", sz: "🇸🇿", "t-rex": "🦖", t_rex: "🦖", t_shirt: "👕", ta: "🇹🇦", table_tennis: "🏓",
+	taco: "🌮", tada: "🎉", taiwan: "🇹🇼", tajikistan: "🇹🇯", takeout_box: "🥡", tamale: "🫔",
+	tanabata_tree: "🎋", tangerine: "🍊", tanzania: "🇹🇿", taurus: "♉️", taxi: "🚕", tc: "🇹🇨",
+	td: "🇹🇩", tea: "🍵", teacher: "🧑‍🏫", teacher_dark_skin_tone: "🧑🏿‍🏫",
+	teacher_light_skin_tone: "🧑🏻‍🏫", teacher_medium_dark_skin_tone: "🧑🏾‍🏫",
+	teacher_medium_light_skin_tone: "🧑🏼‍🏫", teacher_medium_skin_tone: "🧑🏽‍🏫",
+	teacher_tone1: "🧑🏻‍🏫", teacher_tone2: "🧑🏼‍🏫", teacher_tone3: "🧑🏽‍🏫", teacher_tone4: "🧑🏾‍🏫",
+	teacher_tone5: "🧑🏿‍🏫", teapot: "🫖", technologist: "🧑‍💻", technologist_dark_skin_tone: "🧑🏿‍💻",
+	technologist_light_skin_tone: "🧑🏻‍💻", technologist_medium_dark_skin_tone: "🧑🏾‍💻",
+	technologist_medium_light_skin_tone: "🧑🏼‍💻", technologist_medium_skin_tone: "🧑🏽‍💻",
+	technologist_tone1: "🧑🏻‍💻", technologist_tone2: "🧑🏼‍💻", technologist_tone3: "🧑🏽‍💻",
+	technologist_tone4: "🧑🏾‍💻", technologist_tone5: "🧑🏿‍💻", teddy_bear: "🧸", telephone: "☎️",
+	telephone_receiver: "📞", telescope: "🔭", television: "📺️", ten_oclock: "🕙️", ten_thirty: "🕥️",
+	tennis: "🎾", tent: "⛺️", test_tube: "🧪", tf: "🇹🇫", tg: "🇹🇬", th: "🇹🇭", thailand: "🇹🇭",
+	thermometer: "🌡️", thermometer_face: "🤒", thinking: "🤔", thinking_face: "🤔", third_place: "🥉",
+	third_place_medal: "🥉", thong_sandal: "🩴", thought_balloon: "💭", thread: "🧵", three: "3️⃣",
+	three_button_mouse: "🖱️", three_oclock: "🕒️", three_thirty: "🕞️", thumbdown: "👎️",
+	thumbdown_tone1: "👎🏻", thumbdown_tone2: "👎🏼", thumbdown_tone3: "👎🏽", thumbdown_tone4: "👎🏾",
+	thumbdown_tone5: "👎🏿", thumbs_down: "👎️", thumbs_up: "👍️", thumbsdown: "👎️",
+	thumbsdown_tone1: "👎🏻", thumbsdown_tone2: "👎🏼", thumbsdown_tone3: "👎🏽", thumbsdown_tone4: "👎🏾",
+	thumbsdown_tone5: "👎🏿", thumbsup: "👍️", thumbsup_tone1: "👍🏻", thumbsup_tone2: "👍🏼",
+	thumbsup_tone3: "👍🏽", thumbsup_tone4: "👍🏾", thumbsup_tone5: "👍🏿", thumbup: "👍️",
+	thumbup_tone1: "👍🏻", thumbup_tone2: "👍🏼", thumbup_tone3: "👍🏽", thumbup_tone4: "👍🏾",
+	thumbup_tone5: "👍🏿", thunder_cloud_and_rain: "⛈️", thunder_cloud_rain: "⛈️", ticket: "🎫",
+	tickets: "🎟️", tiger: "🐯", tiger2: "🐅", tiger_face: "🐯", timer: "⏲️", timer_clock: "⏲️",
+	timor_leste: "🇹🇱", tipping_hand_man: "💁‍♂️", tipping_hand_person: "💁", tipping_hand_woman: "💁‍♀️",
+	tired_face: "😫", tj: "🇹🇯", tk: "🇹🇰", tl: "🇹🇱", tm: "™️", tn: "🇹🇳", to: "🇹🇴", togo: "🇹🇬",
+	toilet: "🚽", tokelau: "🇹🇰", tokyo_tower: "🗼", tomato: "🍅", tone1: "🏻", tone2: "🏼", tone3: "🏽",
+	tone4: "🏾", tone5: "🏿", tonga: "🇹🇴", tongue: "👅", toolbox: "🧰", tools: "🛠️", tooth: "🦷",
+	toothbrush: "🪥", top: "🔝", top_arrow: "🔝", top_hat: "🎩", tophat: "🎩", tornado: "🌪️", tr: "🇹🇷",
+	track_next: "⏭️", track_previous: "⏮️", trackball: "🖲️", tractor: "🚜", trade_mark: "™️",
+	traffic_light: "🚥", train: "🚋", train2: "🚆", tram: "🚊", tram_car: "🚋", transgender_flag: "🏳️‍⚧️",
+	transgender_symbol: "⚧️", triangular_flag_on_post: "🚩", triangular_ruler: "📐", trident: "🔱",
+	trinidad_tobago: "🇹🇹", tristan_da_cunha: "🇹🇦", triumph: "😤", troll: "🧌", trolleybus: "🚎",
+	trophy: "🏆️", tropical_drink: "🍹", tropical_fish: "🐠", truck: "🚚", trumpet: "🎺", tshirt: "👕",
+	tt: "🇹🇹", tulip: "🌷", tumbler_glass: "🥃", tunisia: "🇹🇳", turkey: "🦃", turkmenistan: "🇹🇲",
+	turks_caicos_islands: "🇹🇨", turtle: "🐢", tuvalu: "🇹🇻", tuxedo_tone1: "🤵🏻", tuxedo_tone2: "🤵🏼",
+	tuxedo_tone3: "🤵🏽", tuxedo_tone4: "🤵🏾", tuxedo_tone5: "🤵🏿", tv: "📺️", tw: "🇹🇼",
+	twelve_oclock: "🕛️", twelve_thirty: "🕧️", twisted_rightwards_arrows: "🔀", two: "2️⃣",
+	two_hearts: "💕", two_men_holding_hands: "👬", two_oclock: "🕑️", two_thirty: "🕝️",
+	two_women_holding_hands: "👭", tz: "🇹🇿", u5272: "🈹", u5408: "🈴", u55b6: "🈺", u6307: "🈯️",
+	u6708: "🈷️", u6709: "🈶", u6e80: "🈵", u7121: "🈚️", u7533: "🈸", u7981: "🈲", u7a7a: "🈳",
+	ua: "🇺🇦", ug: "🇺🇬", uganda: "🇺🇬", uk: "🇬🇧", ukraine: "🇺🇦", um: "🇺🇲", umbrella: "☔️",
+	umbrella2: "☂️", umbrella_on_ground: "⛱️", unamused: "😒", unamused_face: "😒", underage: "🔞",
+	unicorn: "🦄", unicorn_face: "🦄", united_arab_emirates: "🇦🇪", united_nations: "🇺🇳", unlock: "🔓️",
+	unlocked: "🔓️", up: "🆙", up_arrow: "⬆️", up_down_arrow: "↕️", up_left_arrow: "↖️", upside_down: "🙃",
+	upside_down_face: "🙃", urn: "⚱️", uruguay: "🇺🇾", us: "🇺🇸", us_outlying_islands: "🇺🇲",
+	us_virgin_islands: "🇻🇮", uy: "🇺🇾", uz: "🇺🇿", uzbekistan: "🇺🇿", v: "✌️", v_tone1: "✌🏻",
+	v_tone2: "✌🏼", v_tone3: "✌🏽", v_tone4: "✌🏾", v_tone5: "✌🏿", va: "🇻🇦", vampire: "🧛",
+	vampire_dark_skin_tone: "🧛🏿", vampire_light_skin_tone: "🧛🏻", vampire_man: "🧛‍♂️",
+	vampire_medium_dark_skin_tone: "🧛🏾", vampire_medium_light_skin_tone: "🧛🏼",
+	vampire_medium_skin_tone: "🧛🏽", vampire_tone1: "🧛🏻", vampire_tone2: "🧛🏼", vampire_tone3: "🧛🏽",
+	vampire_tone4: "🧛🏾", vampire_tone5: "🧛🏿", vampire_woman: "🧛‍♀️", vanuatu: "🇻🇺",
+	vatican_city: "🇻🇦", vc: "🇻🇨", ve: "🇻🇪", venezuela: "🇻🇪", vertical_traffic_light: "🚦",
+	vg: "🇻🇬", vhs: "📼", vi: "🇻🇮", vibration_mode: "📳", victory_hand: "✌️", video_camera: "📹️",
+	video_game: "🎮️", videocassette: "📼", vietnam: "🇻🇳", violin: "🎻", virgo: "♍️", vn: "🇻🇳",
+	volcano: "🌋", volleyball: "🏐", vomiting_face: "🤮", vs: "🆚", vu: "🇻🇺", vulcan: "🖖",
+	vulcan_salute: "🖖", vulcan_tone1: "🖖🏻", vulcan_tone2: "🖖🏼", vulcan_tone3: "🖖🏽",
+	vulcan_tone4: "🖖🏾", vulcan_tone5: "🖖🏿", waffle: "🧇", wales: "🏴󠁧󠁢󠁷󠁬󠁳󠁿", walking: "🚶",
+	walking_man: "🚶‍♂️", walking_tone1: "🚶🏻", walking_tone2: "🚶🏼", walking_tone3: "🚶🏽",
+	walking_tone4: "🚶🏾", walking_tone5: "🚶🏿", walking_woman: "🚶‍♀️", wallis_futuna: "🇼🇫",
+	waning_crescent_moon: "🌘", waning_gibbous_moon: "🌖", warning: "⚠️", wastebasket: "🗑️", watch: "⌚️",
+	water_buffalo: "🐃", water_closet: "🚾", water_polo: "🤽", water_polo_tone1: "🤽🏻",
+	water_polo_tone2: "🤽🏼", water_polo_tone3: "🤽🏽", water_polo_tone4: "🤽🏾", water_polo_tone5: "🤽🏿",
+	water_wave: "🌊", watermelon: "🍉", wave: "👋", wave_tone1: "👋🏻", wave_tone2: "👋🏼",
+	wave_tone3: "👋🏽", wave_tone4: "👋🏾", wave_tone5: "👋🏿", waving_black_flag: "🏴", waving_hand: "👋",
+	waving_white_flag: "🏳️", wavy_dash: "〰️", waxing_crescent_moon: "🌒", waxing_gibbous_moon: "🌔",
+	wc: "🚾", weary: "😩", weary_cat: "🙀", weary_face: "😩", wedding: "💒", weight_lifter: "🏋️",
+	weight_lifter_tone1: "🏋🏻", weight_lifter_tone2: "🏋🏼", weight_lifter_tone3: "🏋🏽",
+	weight_lifter_tone4: "🏋🏾", weight_lifter_tone5: "🏋🏿", weight_lifting: "🏋️",
+	weight_lifting_man: "🏋️‍♂️", weight_lifting_woman: "🏋️‍♀️", western_sahara: "🇪🇭", wf: "🇼🇫",
+	whale: "🐳", whale2: "🐋", wheel: "🛞", wheel_of_dharma: "☸️", wheelchair: "♿️", whisky: "🥃",
+	white_check_mark: "✅️", white_circle: "⚪️", white_flag: "🏳️", white_flower: "💮",
+	white_frowning_face: "☹️", white_hair: "🦳", white_haired: "🦳", white_haired_man: "👨‍🦳",
+	white_haired_woman: "👩‍🦳", white_heart: "🤍", white_large_square: "⬜️",
+	white_medium_small_square: "◽️", white_medium_square: "◻️", white_small_square: "▫️",
+	white_square_button: "🔳", white_sun_behind_cloud: "🌥️", white_sun_behind_cloud_with_rain: "🌦️",
+	white_sun_cloud: "🌥️", white_sun_rain_cloud: "🌦️", white_sun_small_cloud: "🌤️",
+	white_sun_with_small_cloud: "🌤️", wilted_flower: "🥀", wilted_rose: "🥀", wind_blowing_face: "🌬️",
+	wind_chime: "🎐", wind_face: "🌬️", window: "🪟", wine_glass: "🍷", wing: "🪽", wink: "😉",
+	winking_face: "😉", wireless: "🛜", wolf: "🐺", woman: "👩",
+	woman_and_man_holding_hands_dark_skin_tone: "👫🏿",
+	woman_and_man_holding_hands_dark_skin_tone_light_skin_tone: "👩🏿‍🤝‍👨🏻",
+	woman_and_man_holding_hands_dark_skin_tone_medium_dark_skin_tone: "👩🏿‍🤝‍👨🏾",
+	woman_and_man_holding_hands_dark_skin_tone_medium_light_skin_tone: "👩🏿‍🤝‍👨🏼",
+	woman_and_man_holding_hands_dark_skin_tone_medium_skin_tone: "👩🏿‍🤝‍👨🏽",
+	woman_and_man_holding_hands_light_skin_tone: "👫🏻",
+	woman_and_man_holding_hands_light_skin_tone_dark_skin_tone: "👩🏻‍🤝‍👨🏿",
+	woman_and_man_holding_hands_light_skin_tone_medium_dark_skin_tone: "👩🏻‍🤝‍👨🏾",
+	woman_and_man_holding_hands_light_skin_tone_medium_light_skin_tone: "👩🏻‍🤝‍👨🏼",
+	woman_and_man_holding_hands_light_skin_tone_medium_skin_tone: "👩🏻‍🤝‍👨🏽",
+	woman_and_man_holding_hands_medium_dark_skin_tone: "👫🏾",
+	woman_and_man_holding_hands_medium_dark_skin_tone_dark_skin_tone: "👩🏾‍🤝‍👨🏿",
+	woman_and_man_holding_hands_medium_dark_skin_tone_light_skin_tone: "👩🏾‍🤝‍👨🏻",
+	woman_and_man_holding_hands_medium_dark_skin_tone_medium_light_skin_tone: "👩🏾‍🤝‍👨🏼",
+	woman_and_man_holding_hands_medium_dark_skin_tone_medium_skin_tone: "👩🏾‍🤝‍👨🏽",
+	woman_and_man_holding_hands_medium_light_skin_tone: "👫🏼",
+	woman_and_man_holding_hands_medium_light_skin_tone_dark_skin_tone: "👩🏼‍🤝‍👨🏿",
+	woman_and_man_holding_hands_medium_light_skin_tone_light_skin_tone: "👩🏼‍🤝‍👨🏻",
+	woman_and_man_holding_hands_medium_light_skin_tone_medium_dark_skin_tone: "👩🏼‍🤝‍👨🏾",
+	woman_and_man_holding_hands_medium_light_skin_tone_medium_skin_tone: "👩🏼‍🤝‍👨🏽",
+	woman_and_man_holding_hands_medium_skin_tone: "👫🏽",
+	woman_and_man_holding_hands_medium_skin_tone_dark_skin_tone: "👩🏽‍🤝‍👨🏿",
+	woman_and_man_holding_hands_medium_skin_tone_light_skin_tone: "👩🏽‍🤝‍👨🏻",
+	woman_and_man_holding_hands_medium_skin_tone_medium_dark_skin_tone: "👩🏽‍🤝‍👨🏾",
+	woman_and_man_holding_hands_medium_skin_tone_medium_light_skin_tone: "👩🏽‍🤝‍👨🏼",
+	woman_and_man_holding_hands_tone1: "👫🏻", woman_and_man_holding_hands_tone1_tone2: "👩🏻‍🤝‍👨🏼",
+	woman_and_man_holding_hands_tone1_tone3: "👩🏻‍🤝‍👨🏽",
+	woman_and_man_holding_hands_tone1_tone4: "👩🏻‍🤝‍👨🏾",
+	woman_and_man_holding_hands_tone1_tone5: "👩🏻‍🤝‍👨🏿", woman_and_man_holding_hands_tone2: "👫🏼",
+	woman_and_man_holding_hands_tone2_tone1: "👩🏼‍🤝‍👨🏻",
+	woman_and_man_holding_hands_tone2_tone3: "👩🏼‍🤝‍👨🏽",
+	woman_and_man_holding_hands_tone2_tone4: "👩🏼‍🤝‍👨🏾",
+	woman_and_man_holding_hands_tone2_tone5: "👩🏼‍🤝‍👨🏿", woman_and_man_holding_hands_tone3: "👫🏽",
+	woman_and_man_holding_hands_tone3_tone1: "👩🏽‍🤝‍👨🏻",
+	woman_and_man_holding_hands_tone3_tone2: "👩🏽‍🤝‍👨🏼",
+	woman_and_man_holding_hands_tone3_tone4: "👩🏽‍🤝‍👨🏾",
+	woman_and_man_holding_hands_tone3_tone5: "👩🏽‍🤝‍👨🏿", woman_and_man_holding_hands_tone4: "👫🏾",
+	woman_and_man_holding_hands_tone4_tone1: "👩🏾‍🤝‍👨🏻",
+	woman_and_man_holding_hands_tone4_tone2: "👩🏾‍🤝‍👨🏼",
+	woman_and_man_holding_hands_tone4_tone3: "👩🏾‍🤝‍👨🏽",
+	woman_and_man_holding_hands_tone4_tone5: "👩🏾‍🤝‍👨🏿", woman_and_man_holding_hands_tone5: "👫🏿",
+	woman_and_man_holding_hands_tone5_tone1: "👩🏿‍🤝‍👨🏻",
+	woman_and_man_holding_hands_tone5_tone2: "👩🏿‍🤝‍👨🏼",
+	woman_and_man_holding_hands_tone5_tone3: "👩🏿‍🤝‍👨🏽",
+	woman_and_man_holding_hands_tone5_tone4: "👩🏿‍🤝‍👨🏾", woman_artist: "👩‍🎨",
+	woman_artist_dark_skin_tone: "👩🏿‍🎨", woman_artist_light_skin_tone: "👩🏻‍🎨",
+	woman_artist_medium_dark_skin_tone: "👩🏾‍🎨", woman_artist_medium_light_skin_tone: "👩🏼‍🎨",
+	woman_artist_medium_skin_tone: "👩🏽‍🎨", woman_artist_tone1: "👩🏻‍🎨", woman_artist_tone2: "👩🏼‍🎨",
+	woman_artist_tone3: "👩🏽‍🎨", woman_artist_tone4: "👩🏾‍🎨", woman_artist_tone5: "👩🏿‍🎨",
+	woman_astronaut: "👩‍🚀", woman_astronaut_dark_skin_tone: "👩🏿‍🚀",
+	woman_astronaut_light_skin_tone: "👩🏻‍🚀", woman_astronaut_medium_dark_skin_tone: "👩🏾‍🚀",
+	woman_astronaut_medium_light_skin_tone: "👩🏼‍🚀", woman_astronaut_medium_skin_tone: "👩🏽‍🚀",
+	woman_astronaut_tone1: "👩🏻‍🚀", woman_astronaut_tone2: "👩🏼‍🚀", woman_astronaut_tone3: "👩🏽‍🚀",
+	woman_astronaut_tone4: "👩🏾‍🚀", woman_astronaut_tone5: "👩🏿‍🚀", woman_bald: "👩‍🦲",
+	woman_bald_dark_skin_tone: "👩🏿‍🦲", woman_bald_light_skin_tone: "👩🏻‍🦲",
+	woman_bald_medium_dark_skin_tone: "👩🏾‍🦲", woman_bald_medium_light_skin_tone: "👩🏼‍🦲",
+	woman_bald_medium_skin_tone: "👩🏽‍🦲", woman_bald_tone1: "👩🏻‍🦲", woman_bald_tone2: "👩🏼‍🦲",
+	woman_bald_tone3: "👩🏽‍🦲", woman_bald_tone4: "👩🏾‍🦲", woman_bald_tone5: "👩🏿‍🦲",
+	woman_beard: "🧔‍♀️", woman_biking: "🚴‍♀️", woman_biking_dark_skin_tone: "🚴🏿‍♀️",
+	woman_biking_light_skin_tone: "🚴🏻‍♀️", woman_biking_medium_dark_skin_tone: "🚴🏾‍♀️",
+	woman_biking_medium_light_skin_tone: "🚴🏼‍♀️", woman_biking_medium_skin_tone: "🚴🏽‍♀️",
+	woman_biking_tone1: "🚴🏻‍♀️", woman_biking_tone2: "🚴🏼‍♀️", woman_biking_tone3: "🚴🏽‍♀️",
+	woman_biking_tone4: "🚴🏾‍♀️", woman_biking_tone5: "🚴🏿‍♀️", woman_bouncing_ball: "⛹️‍♀️",
+	woman_bouncing_ball_dark_skin_tone: "⛹🏿‍♀️", woman_bouncing_ball_light_skin_tone: "⛹🏻‍♀️",
+	woman_bouncing_ball_medium_dark_skin_tone: "⛹🏾‍♀️",
+	woman_bouncing_ball_medium_light_skin_tone: "⛹🏼‍♀️", woman_bouncing_ball_medium_skin_tone: "⛹🏽‍♀️",
+	woman_bouncing_ball_tone1: "⛹🏻‍♀️", woman_bouncing_ball_tone2: "⛹🏼‍♀️",
+	woman_bouncing_ball_tone3: "⛹🏽‍♀️", woman_bouncing_ball_tone4: "⛹🏾‍♀️",
+	woman_bouncing_ball_tone5: "⛹🏿‍♀️", woman_bowing: "🙇‍♀️", woman_bowing_dark_skin_tone: "🙇🏿‍♀️",
+	woman_bowing_light_skin_tone: "🙇🏻‍♀️", woman_bowing_medium_dark_skin_tone: "🙇🏾‍♀️",
+	woman_bowing_medium_light_skin_tone: "🙇🏼‍♀️", woman_bowing_medium_skin_tone: "🙇🏽‍♀️",
+	woman_bowing_tone1: "🙇🏻‍♀️", woman_bowing_tone2: "🙇🏼‍♀️", woman_bowing_tone3: "🙇🏽‍♀️",
+	woman_bowing_tone4: "🙇🏾‍♀️", woman_bowing_tone5: "🙇🏿‍♀️", woman_cartwheeling: "🤸‍♀️",
+	woman_cartwheeling_dark_skin_tone: "🤸🏿‍♀️", woman_cartwheeling_light_skin_tone: "🤸🏻‍♀️",
+	woman_cartwheeling_medium_dark_skin_tone: "🤸🏾‍♀️",
+	woman_cartwheeling_medium_light_skin_tone: "🤸🏼‍♀️", woman_cartwheeling_medium_skin_tone: "🤸🏽‍♀️",
+	woman_cartwheeling_tone1: "🤸🏻‍♀️", woman_cartwheeling_tone2: "🤸🏼‍♀️",
+	woman_cartwheeling_tone3: "🤸🏽‍♀️", woman_cartwheeling_tone4: "🤸🏾‍♀️",
+	woman_cartwheeling_tone5: "🤸🏿‍♀️", woman_climbing: "🧗‍♀️", woman_climbing_dark_skin_tone: "🧗🏿‍♀️",
+	woman_climbing_light_skin_tone: "🧗🏻‍♀️", woman_climbing_medium_dark_skin_tone: "🧗🏾‍♀️",
+	woman_climbing_medium_light_skin_tone: "🧗🏼‍♀️", woman_climbing_medium_skin_tone: "🧗🏽‍♀️",
+	woman_climbing_tone1: "🧗🏻‍♀️", woman_climbing_tone2: "🧗🏼‍♀️", woman_climbing_tone3: "🧗🏽‍♀️",
+	woman_climbing_tone4: "🧗🏾‍♀️", woman_climbing_tone5: "🧗🏿‍♀️", woman_construction_worker: "👷‍♀️",
+	woman_construction_worker_dark_skin_tone: "👷🏿‍♀️",
+	woman_construction_worker_light_skin_tone: "👷🏻‍♀️",
+	woman_construction_worker_medium_dark_skin_tone: "👷🏾‍♀️",
+	woman_construction_worker_medium_light_skin_tone: "👷🏼‍♀️",
+	woman_construction_worker_medium_skin_tone: "👷🏽‍♀️", woman_construction_worker_tone1: "👷🏻‍♀️",
+	woman_construction_worker_tone2: "👷🏼‍♀️", woman_construction_worker_tone3: "👷🏽‍♀️",
+	woman_construction_worker_tone4: "👷🏾‍♀️", woman_construction_worker_tone5: "👷🏿‍♀️",
+	woman_cook: "👩‍🍳", woman_cook_dark_skin_tone: "👩🏿‍🍳", woman_cook_light_skin_tone: "👩🏻‍🍳",
+	woman_cook_medium_dark_skin_tone: "👩🏾‍🍳", woman_cook_medium_light_skin_tone: "👩🏼‍🍳",
+	woman_cook_medium_skin_tone: "👩🏽‍🍳", woman_cook_tone1: "👩🏻‍🍳", woman_cook_tone2: "👩🏼‍🍳",
+	woman_cook_tone3: "👩🏽‍🍳", woman_cook_tone4: "👩🏾‍🍳", woman_cook_tone5: "👩🏿‍🍳",
+	woman_curly_haired: "👩‍🦱", woman_curly_haired_dark_skin_tone: "👩🏿‍🦱",
+	woman_curly_haired_light_skin_tone: "👩🏻‍🦱", woman_curly_haired_medium_dark_skin_tone: "👩🏾‍🦱",
+	woman_curly_haired_medium_light_skin_tone: "👩🏼‍🦱", woman_curly_haired_medium_skin_tone: "👩🏽‍🦱",
+	woman_curly_haired_tone1: "👩🏻‍🦱", woman_curly_haired_tone2: "👩🏼‍🦱",
+	woman_curly_haired_tone3: "👩🏽‍🦱", woman_curly_haired_tone4: "👩🏾‍🦱",
+	woman_curly_haired_tone5: "👩🏿‍🦱", woman_dancing: "💃", woman_dark_skin_tone_beard: "🧔🏿‍♀️",
+	woman_detective: "🕵️‍♀️", woman_detective_dark_skin_tone: "🕵🏿‍♀️",
+	woman_detective_light_skin_tone: "🕵🏻‍♀️", woman_detective_medium_dark_skin_tone: "🕵🏾‍♀️",
+	woman_detective_medium_light_skin_tone: "🕵🏼‍♀️", woman_detective_medium_skin_tone: "🕵🏽‍♀️",
+	woman_detective_tone1: "🕵🏻‍♀️", woman_detective_tone2: "🕵🏼‍♀️", woman_detective_tone3: "🕵🏽‍♀️",
+	woman_detective_tone4: "🕵🏾‍♀️", woman_detective_tone5: "🕵🏿‍♀️", woman_elf: "🧝‍♀️",
+	woman_elf_dark_skin_tone: "🧝🏿‍♀️", woman_elf_light_skin_tone: "🧝🏻‍♀️",
+	woman_elf_medium_dark_skin_tone: "🧝🏾‍♀️", woman_elf_medium_light_skin_tone: "🧝🏼‍♀️",
+	woman_elf_medium_skin_tone: "🧝🏽‍♀️", woman_elf_tone1: "🧝🏻‍♀️", woman_elf_tone2: "🧝🏼‍♀️",
+	woman_elf_tone3: "🧝🏽‍♀️", woman_elf_tone4: "🧝🏾‍♀️", woman_elf_tone5: "🧝🏿‍♀️",
+	woman_facepalming: "🤦‍♀️", woman_facepalming_dark_skin_tone: "🤦🏿‍♀️",
+	woman_facepalming_light_skin_tone: "🤦🏻‍♀️", woman_facepalming_medium_dark_skin_tone: "🤦🏾‍♀️",
+	woman_facepalming_medium_light_skin_tone: "🤦🏼‍♀️", woman_facepalming_medium_skin_tone: "🤦🏽‍♀️",
+	woman_facepalming_tone1: "🤦🏻‍♀️", woman_facepalming_tone2: "🤦🏼‍♀️",
+	woman_facepalming_tone3: "🤦🏽‍♀️", woman_facepalming_tone4: "🤦🏾‍♀️",
+	woman_facepalming_tone5: "🤦🏿‍♀️", woman_factory_worker: "👩‍🏭",
+	woman_factory_worker_dark_skin_tone: "👩🏿‍🏭", woman_factory_worker_light_skin_tone: "👩🏻‍🏭",
+	woman_factory_worker_medium_dark_skin_tone: "👩🏾‍🏭",
+	woman_factory_worker_medium_light_skin_tone: "👩🏼‍🏭",
+	woman_factory_worker_medium_skin_tone: "👩🏽‍🏭", woman_factory_worker_tone1: "👩🏻‍🏭",
+	woman_factory_worker_tone2: "👩🏼‍🏭", woman_factory_worker_tone3: "👩🏽‍🏭",
+	woman_factory_worker_tone4: "👩🏾‍🏭", woman_factory_worker_tone5: "👩🏿‍🏭", woman_fairy: "🧚‍♀️",
+	woman_fairy_dark_skin_tone: "🧚🏿‍♀️", woman_fairy_light_skin_tone: "🧚🏻‍♀️",
+	woman_fairy_medium_dark_skin_tone: "🧚🏾‍♀️", woman_fairy_medium_light_skin_tone: "🧚🏼‍♀️",
+	woman_fairy_medium_skin_tone: "🧚🏽‍♀️", woman_fairy_tone1: "🧚🏻‍♀️", woman_fairy_tone2: "🧚🏼‍♀️",
+	woman_fairy_tone3: "🧚🏽‍♀️", woman_fairy_tone4: "🧚🏾‍♀️", woman_fairy_tone5: "🧚🏿‍♀️",
+	woman_farmer: "👩‍🌾", woman_farmer_dark_skin_tone: "👩🏿‍🌾", woman_farmer_light_skin_tone: "👩🏻‍🌾",
+	woman_farmer_medium_dark_skin_tone: "👩🏾‍🌾", woman_farmer_medium_light_skin_tone: "👩🏼‍🌾",
+	woman_farmer_medium_skin_tone: "👩🏽‍🌾", woman_farmer_tone1: "👩🏻‍🌾", woman_farmer_tone2: "👩🏼‍🌾",
+	woman_farmer_tone3: "👩🏽‍🌾", woman_farmer_tone4: "👩🏾‍🌾", woman_farmer_tone5: "👩🏿‍🌾",
+	woman_feeding_baby: "👩‍🍼", woman_feeding_baby_dark_skin_tone: "👩🏿‍🍼",
+	woman_feeding_baby_light_skin_tone: "👩🏻‍🍼", woman_feeding_baby_medium_dark_skin_tone: "👩🏾‍🍼",
+	woman_feeding_baby_medium_light_skin_tone: "👩🏼‍🍼", woman_feeding_baby_medium_skin_tone: "👩🏽‍🍼",
+	woman_feeding_baby_tone1: "👩🏻‍🍼", woman_feeding_baby_tone2: "👩🏼‍🍼",
+	woman_feeding_baby_tone3: "👩🏽‍🍼", woman_feeding_baby_tone4: "👩🏾‍🍼",
+	woman_feeding_baby_tone5: "👩🏿‍🍼", woman_firefighter: "👩‍🚒",
+	woman_firefighter_dark_skin_tone: "👩🏿‍🚒", woman_firefighter_light_skin_tone: "👩🏻‍🚒",
+	woman_firefighter_medium_dark_skin_tone: "👩🏾‍🚒",
+	woman_firefighter_medium_light_skin_tone: "👩🏼‍🚒", woman_firefighter_medium_skin_tone: "👩🏽‍🚒",
+	woman_firefighter_tone1: "👩🏻‍🚒", woman_firefighter_tone2: "👩🏼‍🚒",
+	woman_firefighter_tone3: "👩🏽‍🚒", woman_firefighter_tone4: "👩🏾‍🚒",
+	woman_firefighter_tone5: "👩🏿‍🚒", woman_frowning: "🙍‍♀️", woman_frowning_dark_skin_tone: "🙍🏿‍♀️",
+	woman_frowning_light_skin_tone: "🙍🏻‍♀️", woman_frowning_medium_dark_skin_tone: "🙍🏾‍♀️",
+	woman_frowning_medium_light_skin_tone: "🙍🏼‍♀️", woman_frowning_medium_skin_tone: "🙍🏽‍♀️",
+	woman_frowning_tone1: "🙍🏻‍♀️", woman_frowning_tone2: "🙍🏼‍♀️", woman_frowning_tone3: "🙍🏽‍♀️",
+	woman_frowning_tone4: "🙍🏾‍♀️", woman_frowning_tone5: "🙍🏿‍♀️", woman_genie: "🧞‍♀️",
+	woman_gesturing_no: "🙅‍♀️", woman_gesturing_no_dark_skin_tone: "🙅🏿‍♀️",
+	woman_gesturing_no_light_skin_tone: "🙅🏻‍♀️", woman_gesturing_no_medium_dark_skin_tone: "🙅🏾‍♀️",
+	woman_gesturing_no_medium_light_skin_tone: "🙅🏼‍♀️", woman_gesturing_no_medium_skin_tone: "🙅🏽‍♀️",
+	woman_gesturing_no_tone1: "🙅🏻‍♀️", woman_gesturing_no_tone2: "🙅🏼‍♀️",
+	woman_gesturing_no_tone3: "🙅🏽‍♀️", woman_gesturing_no_tone4: "🙅🏾‍♀️",
+	woman_gesturing_no_tone5: "🙅🏿‍♀️", woman_gesturing_ok: "🙆‍♀️",
+	woman_gesturing_ok_dark_skin_tone: "🙆🏿‍♀️", woman_gesturing_ok_light_skin_tone: "🙆🏻‍♀️",
+	woman_gesturing_ok_medium_dark_skin_tone: "🙆🏾‍♀️",
+	woman_gesturing_ok_medium_light_skin_tone: "🙆🏼‍♀️", woman_gesturing_ok_medium_skin_tone: "🙆🏽‍♀️",
+	woman_gesturing_ok_tone1: "🙆🏻‍♀️", woman_gesturing_ok_tone2: "🙆🏼‍♀️",
+	woman_gesturing_ok_tone3: "🙆🏽‍♀️", woman_gesturing_ok_tone4: "🙆🏾‍♀️",
+	woman_gesturing_ok_tone5: "🙆🏿‍♀️", woman_getting_face_massage: "💆‍♀️",
+	woman_getting_face_massage_dark_skin_tone: "💆🏿‍♀️",
+	woman_getting_face_massage_light_skin_tone: "💆🏻‍♀️",
+	woman_getting_face_massage_medium_dark_skin_tone: "💆🏾‍♀️",
+	woman_getting_face_massage_medium_light_skin_tone: "💆🏼‍♀️",
+	woman_getting_face_massage_medium_skin_tone: "💆🏽‍♀️", woman_getting_face_massage_tone1: "💆🏻‍♀️",
+	woman_getting_face_massage_tone2: "💆🏼‍♀️", woman_getting_face_massage_tone3: "💆🏽‍♀️",
+	woman_getting_face_massage_tone4: "💆🏾‍♀️", woman_getting_face_massage_tone5: "💆🏿‍♀️",
+	woman_getting_haircut: "💇‍♀️", woman_getting_haircut_dark_skin_tone: "💇🏿‍♀️",
+	woman_getting_haircut_light_skin_tone: "💇🏻‍♀️",
+	woman_getting_haircut_medium_dark_skin_tone: "💇🏾‍♀️",
+	woman_getting_haircut_medium_light_skin_tone: "💇🏼‍♀️",
+	woman_getting_haircut_medium_skin_tone: "💇🏽‍♀️", woman_getting_haircut_tone1: "💇🏻‍♀️",
+	woman_getting_haircut_tone2: "💇🏼‍♀️", woman_getting_haircut_tone3: "💇🏽‍♀️",
+	woman_getting_haircut_tone4: "💇🏾‍♀️", woman_getting_haircut_tone5: "💇🏿‍♀️",
+	woman_golfing: "🏌️‍♀️", woman_golfing_dark_skin_tone: "🏌🏿‍♀️",
+	woman_golfing_light_skin_tone: "🏌🏻‍♀️", woman_golfing_medium_dark_skin_tone: "🏌🏾‍♀️",
+	woman_golfing_medium_light_skin_tone: "🏌🏼‍♀️", woman_golfing_medium_skin_tone: "🏌🏽‍♀️",
+	woman_golfing_tone1: "🏌🏻‍♀️", woman_golfing_tone2: "🏌🏼‍♀️", woman_golfing_tone3: "🏌🏽‍♀️",
+	woman_golfing_tone4: "🏌🏾‍♀️", woman_golfing_tone5: "🏌🏿‍♀️", woman_guard: "💂‍♀️",
+	woman_guard_dark_skin_tone: "💂🏿‍♀️", woman_guard_light_skin_tone: "💂🏻‍♀️",
+	woman_guard_medium_dark_skin_tone: "💂🏾‍♀️", woman_guard_medium_light_skin_tone: "💂🏼‍♀️",
+	woman_guard_medium_skin_tone: "💂🏽‍♀️", woman_guard_tone1: "💂🏻‍♀️", woman_guard_tone2: "💂🏼‍♀️",
+	woman_guard_tone3: "💂🏽‍♀️", woman_guard_tone4: "💂🏾‍♀️", woman_guard_tone5: "💂🏿‍♀️",
+	woman_health_worker: "👩‍⚕️", woman_health_worker_dark_skin_tone: "👩🏿‍⚕️",
+	woman_health_worker_light_skin_tone: "👩🏻‍⚕️", woman_health_worker_medium_dark_skin_tone: "👩🏾‍⚕️",
+	woman_health_worker_medium_light_skin_tone: "👩🏼‍⚕️", woman_health_worker_medium_skin_tone: "👩🏽‍⚕️",
+	woman_health_worker_tone1: "👩🏻‍⚕️", woman_health_worker_tone2: "👩🏼‍⚕️",
+	woman_health_worker_tone3: "👩🏽‍⚕️", woman_health_worker_tone4: "👩🏾‍⚕️",
+	woman_health_worker_tone5: "👩🏿‍⚕️", woman_in_lotus_position: "🧘‍♀️",
+	woman_in_lotus_position_dark_skin_tone: "🧘🏿‍♀️", woman_in_lotus_position_light_skin_tone: "🧘🏻‍♀️",
+	woman_in_lotus_position_medium_dark_skin_tone: "🧘🏾‍♀️",
+	woman_in_lotus_position_medium_light_skin_tone: "🧘🏼‍♀️",
+	woman_in_lotus_position_medium_skin_tone: "🧘🏽‍♀️", woman_in_lotus_position_tone1: "🧘🏻‍♀️",
+	woman_in_lotus_position_tone2: "🧘🏼‍♀️", woman_in_lotus_position_tone3: "🧘🏽‍♀️",
+	woman_in_lotus_position_tone4: "🧘🏾‍♀️", woman_in_lotus_position_tone5: "🧘🏿‍♀️",
+	woman_in_manual_wheelchair: "👩‍🦽", woman_in_manual_wheelchair_dark_skin_tone: "👩🏿‍🦽",
+	woman_in_manual_wheelchair_light_skin_tone: "👩🏻‍🦽",
+	woman_in_manual_wheelchair_medium_dark_skin_tone: "👩🏾‍🦽",
+	woman_in_manual_wheelchair_medium_light_skin_tone: "👩🏼‍🦽",
+	woman_in_manual_wheelchair_medium_skin_tone: "👩🏽‍🦽", woman_in_manual_wheelchair_tone1: "👩🏻‍🦽",
+	woman_in_manual_wheelchair_tone2: "👩🏼‍🦽", woman_in_manual_wheelchair_tone3: "👩🏽‍🦽",
+	woman_in_manual_wheelchair_tone4: "👩🏾‍🦽", woman_in_manual_wheelchair_tone5: "👩🏿‍🦽",
+	woman_in_motorized_wheelchair: "👩‍🦼", woman_in_motorized_wheelchair_dark_skin_tone: "👩🏿‍🦼",
+	woman_in_motorized_wheelchair_light_skin_tone: "👩🏻‍🦼",
+	woman_in_motorized_wheelchair_medium_dark_skin_tone: "👩🏾‍🦼",
+	woman_in_motorized_wheelchair_medium_light_skin_tone: "👩🏼‍🦼",
+	woman_in_motorized_wheelchair_medium_skin_tone: "👩🏽‍🦼",
+	woman_in_motorized_wheelchair_tone1: "👩🏻‍🦼", woman_in_motorized_wheelchair_tone2: "👩🏼‍🦼",
+	woman_in_motorized_wheelchair_tone3: "👩🏽‍🦼", woman_in_motorized_wheelchair_tone4: "👩🏾‍🦼",
+	woman_in_motorized_wheelchair_tone5: "👩🏿‍🦼", woman_in_steamy_room: "🧖‍♀️",
+	woman_in_steamy_room_dark_skin_tone: "🧖🏿‍♀️", woman_in_steamy_room_light_skin_tone: "🧖🏻‍♀️",
+	woman_in_steamy_room_medium_dark_skin_tone: "🧖🏾‍♀️",
+	woman_in_steamy_room_medium_light_skin_tone: "🧖🏼‍♀️",
+	woman_in_steamy_room_medium_skin_tone: "🧖🏽‍♀️", woman_in_steamy_room_tone1: "🧖🏻‍♀️",
+	woman_in_steamy_room_tone2: "🧖🏼‍♀️", woman_in_steamy_room_tone3: "🧖🏽‍♀️",
+	woman_in_steamy_room_tone4: "🧖🏾‍♀️", woman_in_steamy_room_tone5: "🧖🏿‍♀️", woman_in_tuxedo: "🤵‍♀️",
+	woman_in_tuxedo_dark_skin_tone: "🤵🏿‍♀️", woman_in_tuxedo_light_skin_tone: "🤵🏻‍♀️",
+	woman_in_tuxedo_medium_dark_skin_tone: "🤵🏾‍♀️", woman_in_tuxedo_medium_light_skin_tone: "🤵🏼‍♀️",
+	woman_in_tuxedo_medium_skin_tone: "🤵🏽‍♀️", woman_in_tuxedo_tone1: "🤵🏻‍♀️",
+	woman_in_tuxedo_tone2: "🤵🏼‍♀️", woman_in_tuxedo_tone3: "🤵🏽‍♀️", woman_in_tuxedo_tone4: "🤵🏾‍♀️",
+	woman_in_tuxedo_tone5: "🤵🏿‍♀️", woman_judge: "👩‍⚖️", woman_judge_dark_skin_tone: "👩🏿‍⚖️",
+	woman_judge_light_skin_tone: "👩🏻‍⚖️", woman_judge_medium_dark_skin_tone: "👩🏾‍⚖️",
+	woman_judge_medium_light_skin_tone: "👩🏼‍⚖️", woman_judge_medium_skin_tone: "👩🏽‍⚖️",
+	woman_judge_tone1: "👩🏻‍⚖️", woman_judge_tone2: "👩🏼‍⚖️", woman_judge_tone3: "👩🏽‍⚖️",
+	woman_judge_tone4: "👩🏾‍⚖️", woman_judge_tone5: "👩🏿‍⚖️", woman_juggling: "🤹‍♀️",
+	woman_juggling_dark_skin_tone: "🤹🏿‍♀️", woman_juggling_light_skin_tone: "🤹🏻‍♀️",
+	woman_juggling_medium_dark_skin_tone: "🤹🏾‍♀️", woman_juggling_medium_light_skin_tone: "🤹🏼‍♀️",
+	woman_juggling_medium_skin_tone: "🤹🏽‍♀️", woman_juggling_tone1: "🤹🏻‍♀️",
+	woman_juggling_tone2: "🤹🏼‍♀️", woman_juggling_tone3: "🤹🏽‍♀️", woman_juggling_tone4: "🤹🏾‍♀️",
+	woman_juggling_tone5: "🤹🏿‍♀️", woman_kneeling: "🧎‍♀️", woman_kneeling_dark_skin_tone: "🧎🏿‍♀️",
+	woman_kneeling_light_skin_tone: "🧎🏻‍♀️", woman_kneeling_medium_dark_skin_tone: "🧎🏾‍♀️",
+	woman_kneeling_medium_light_skin_tone: "🧎🏼‍♀️", woman_kneeling_medium_skin_tone: "🧎🏽‍♀️",
+	woman_kneeling_tone1: "🧎🏻‍♀️", woman_kneeling_tone2: "🧎🏼‍♀️", woman_kneeling_tone3: "🧎🏽‍♀️",
+	woman_kneeling_tone4: "🧎🏾‍♀️", woman_kneeling_tone5: "🧎🏿‍♀️", woman_lifting_weights: "🏋️‍♀️",
+	woman_lifting_weights_dark_skin_tone: "🏋🏿‍♀️", woman_lifting_weights_light_skin_tone: "🏋🏻‍♀️",
+	woman_lifting_weights_medium_dark_skin_tone: "🏋🏾‍♀️",
+	woman_lifting_weights_medium_light_skin_tone: "🏋🏼‍♀️",
+	woman_lifting_weights_medium_skin_tone: "🏋🏽‍♀️", woman_lifting_weights_tone1: "🏋🏻‍♀️",
+	woman_lifting_weights_tone2: "🏋🏼‍♀️", woman_lifting_weights_tone3: "🏋🏽‍♀️",
+	woman_lifting_weights_tone4: "🏋🏾‍♀️", woman_lifting_weights_tone5: "🏋🏿‍♀️",
+	woman_light_skin_tone_beard: "🧔🏻‍♀️", woman_mage: "🧙‍♀️", woman_mage_dark_skin_tone: "🧙🏿‍♀️",
+	woman_mage_light_skin_tone: "🧙🏻‍♀️", woman_mage_medium_dark_skin_tone: "🧙🏾‍♀️",
+	woman_mage_medium_light_skin_tone: "🧙🏼‍♀️", woman_mage_medium_skin_tone: "🧙🏽‍♀️",
+	woman_mage_tone1: "🧙🏻‍♀️", woman_mage_tone2: "🧙🏼‍♀️", woman_mage_tone3: "🧙🏽‍♀️",
+	woman_mage_tone4: "🧙🏾‍♀️", woman_mage_tone5: "🧙🏿‍♀️", woman_mechanic: "👩‍🔧",
+	woman_mechanic_dark_skin_tone: "👩🏿‍🔧", woman_mechanic_light_skin_tone: "👩🏻‍🔧",
+	woman_mechanic_medium_dark_skin_tone: "👩🏾‍🔧", woman_mechanic_medium_light_skin_tone: "👩🏼‍🔧",
+	woman_mechanic_medium_skin_tone: "👩🏽‍🔧", woman_mechanic_tone1: "👩🏻‍🔧",
+	woman_mechanic_tone2: "👩🏼‍🔧", woman_mechanic_tone3: "👩🏽‍🔧", woman_mechanic_tone4: "👩🏾‍🔧",
+	woman_mechanic_tone5: "👩🏿‍🔧", woman_medium_dark_skin_tone_beard: "🧔🏾‍♀️",
+	woman_medium_light_skin_tone_beard: "🧔🏼‍♀️", woman_medium_skin_tone_beard: "🧔🏽‍♀️",
+	woman_mountain_biking: "🚵‍♀️", woman_mountain_biking_dark_skin_tone: "🚵🏿‍♀️",
+	woman_mountain_biking_light_skin_tone: "🚵🏻‍♀️",
+	woman_mountain_biking_medium_dark_skin_tone: "🚵🏾‍♀️",
+	woman_mountain_biking_medium_light_skin_tone: "🚵🏼‍♀️",
+	woman_mountain_biking_medium_skin_tone: "🚵🏽‍♀️", woman_mountain_biking_tone1: "🚵🏻‍♀️",
+	woman_mountain_biking_tone2: "🚵🏼‍♀️", woman_mountain_biking_tone3: "🚵🏽‍♀️",
+	woman_mountain_biking_tone4: "🚵🏾‍♀️", woman_mountain_biking_tone5: "🚵🏿‍♀️",
+	woman_office_worker: "👩‍💼", woman_office_worker_dark_skin_tone: "👩🏿‍💼",
+	woman_office_worker_light_skin_tone: "👩🏻‍💼", woman_office_worker_medium_dark_skin_tone: "👩🏾‍💼",
+	woman_office_worker_medium_light_skin_tone: "👩🏼‍💼", woman_office_worker_medium_skin_tone: "👩🏽‍💼",
+	woman_office_worker_tone1: "👩🏻‍💼", woman_office_worker_tone2: "👩🏼‍💼",
+	woman_office_worker_tone3: "👩🏽‍💼", woman_office_worker_tone4: "👩🏾‍💼",
+	woman_office_worker_tone5: "👩🏿‍💼", woman_pilot: "👩‍✈️", woman_pilot_dark_skin_tone: "👩🏿‍✈️",
+	woman_pilot_light_skin_tone: "👩🏻‍✈️", woman_pilot_medium_dark_skin_tone: "👩🏾‍✈️",
+	woman_pilot_medium_light_skin_tone: "👩🏼‍✈️", woman_pilot_medium_skin_tone: "👩🏽‍✈️",
+	woman_pilot_tone1: "👩🏻‍✈️", woman_pilot_tone2: "👩🏼‍✈️", woman_pilot_tone3: "👩🏽‍✈️",
+	woman_pilot_tone4: "👩🏾‍✈️", woman_pilot_tone5: "👩🏿‍✈️", woman_playing_handball: "🤾‍♀️",
+	woman_playing_handball_dark_skin_tone: "🤾🏿‍♀️", woman_playing_handball_light_skin_tone: "🤾🏻‍♀️",
+	woman_playing_handball_medium_dark_skin_tone: "🤾🏾‍♀️",
+	woman_playing_handball_medium_light_skin_tone: "🤾🏼‍♀️",
+	woman_playing_handball_medium_skin_tone: "🤾🏽‍♀️", woman_playing_handball_tone1: "🤾🏻‍♀️",
+	woman_playing_handball_tone2: "🤾🏼‍♀️", woman_playing_handball_tone3: "🤾🏽‍♀️",
+	woman_playing_handball_tone4: "🤾🏾‍♀️", woman_playing_handball_tone5: "🤾🏿‍♀️",
+	woman_playing_water_polo: "🤽‍♀️", woman_playing_water_polo_dark_skin_tone: "🤽🏿‍♀️",
+	woman_playing_water_polo_light_skin_tone: "🤽🏻‍♀️",
+	woman_playing_water_polo_medium_dark_skin_tone: "🤽🏾‍♀️",
+	woman_playing_water_polo_medium_light_skin_tone: "🤽🏼‍♀️",
+	woman_playing_water_polo_medium_skin_tone: "🤽🏽‍♀️", woman_playing_water_polo_tone1: "🤽🏻‍♀️",
+	woman_playing_water_polo_tone2: "🤽🏼‍♀️", woman_playing_water_polo_tone3: "🤽🏽‍♀️",
+	woman_playing_water_polo_tone4: "🤽🏾‍♀️", woman_playing_water_polo_tone5: "🤽🏿‍♀️",
+	woman_police_officer: "👮‍♀️", woman_police_officer_dark_skin_tone: "👮🏿‍♀️",
+	woman_police_officer_light_skin_tone: "👮🏻‍♀️", woman_police_officer_medium_dark_skin_tone: "👮🏾‍♀️",
+	woman_police_officer_medium_light_skin_tone: "👮🏼‍♀️",
+	woman_police_officer_medium_skin_tone: "👮🏽‍♀️", woman_police_officer_tone1: "👮🏻‍♀️",
+	woman_police_officer_tone2: "👮🏼‍♀️", woman_police_officer_tone3: "👮🏽‍♀️",
+	woman_police_officer_tone4: "👮🏾‍♀️", woman_police_officer_tone5: "👮🏿‍♀️", woman_pouting: "🙎‍♀️",
+	woman_pouting_dark_skin_tone: "🙎🏿‍♀️", woman_pouting_light_skin_tone: "🙎🏻‍♀️",
+	woman_pouting_medium_dark_skin_tone: "🙎🏾‍♀️", woman_pouting_medium_light_skin_tone: "🙎🏼‍♀️",
+	woman_pouting_medium_skin_tone: "🙎🏽‍♀️", woman_pouting_tone1: "🙎🏻‍♀️",
+	woman_pouting_tone2: "🙎🏼‍♀️", woman_pouting_tone3: "🙎🏽‍♀️", woman_pouting_tone4: "🙎🏾‍♀️",
+	woman_pouting_tone5: "🙎🏿‍♀️", woman_raising_hand: "🙋‍♀️",
+	woman_raising_hand_dark_skin_tone: "🙋🏿‍♀️", woman_raising_hand_light_skin_tone: "🙋🏻‍♀️",
+	woman_raising_hand_medium_dark_skin_tone: "🙋🏾‍♀️",
+	woman_raising_hand_medium_light_skin_tone: "🙋🏼‍♀️", woman_raising_hand_medium_skin_tone: "🙋🏽‍♀️",
+	woman_raising_hand_tone1: "🙋🏻‍♀️", woman_raising_hand_tone2: "🙋🏼‍♀️",
+	woman_raising_hand_tone3: "🙋🏽‍♀️", woman_raising_hand_tone4: "🙋🏾‍♀️",
+	woman_raising_hand_tone5: "🙋🏿‍♀️", woman_red_haired: "👩‍🦰",
+	woman_red_haired_dark_skin_tone: "👩🏿‍🦰", woman_red_haired_light_skin_tone: "👩🏻‍🦰",
+	woman_red_haired_medium_dark_skin_tone: "👩🏾‍🦰", woman_red_haired_medium_light_skin_tone: "👩🏼‍🦰",
+	woman_red_haired_medium_skin_tone: "👩🏽‍🦰", woman_red_haired_tone1: "👩🏻‍🦰",
+	woman_red_haired_tone2: "👩🏼‍🦰", woman_red_haired_tone3: "👩🏽‍🦰",
+	woman_red_haired_tone4: "👩🏾‍🦰", woman_red_haired_tone5: "👩🏿‍🦰", woman_rowing_boat: "🚣‍♀️",
+	woman_rowing_boat_dark_skin_tone: "🚣🏿‍♀️", woman_rowing_boat_light_skin_tone: "🚣🏻‍♀️",
+	woman_rowing_boat_medium_dark_skin_tone: "🚣🏾‍♀️",
+	woman_rowing_boat_medium_light_skin_tone: "🚣🏼‍♀️", woman_rowing_boat_medium_skin_tone: "🚣🏽‍♀️",
+	woman_rowing_boat_tone1: "🚣🏻‍♀️", woman_rowing_boat_tone2: "🚣🏼‍♀️",
+	woman_rowing_boat_tone3: "🚣🏽‍♀️", woman_rowing_boat_tone4: "🚣🏾‍♀️",
+	woman_rowing_boat_tone5: "🚣🏿‍♀️", woman_running: "🏃‍♀️", woman_running_dark_skin_tone: "🏃🏿‍♀️",
+	woman_running_light_skin_tone: "🏃🏻‍♀️", woman_running_medium_dark_skin_tone: "🏃🏾‍♀️",
+	woman_running_medium_light_skin_tone: "🏃🏼‍♀️", woman_running_medium_skin_tone: "🏃🏽‍♀️",
+	woman_running_tone1: "🏃🏻‍♀️", woman_running_tone2: "🏃🏼‍♀️", woman_running_tone3: "🏃🏽‍♀️",
+	woman_running_tone4: "🏃🏾‍♀️", woman_running_tone5: "🏃🏿‍♀️", woman_scientist: "👩‍🔬",
+	woman_scientist_dark_skin_tone: "👩🏿‍🔬", woman_scientist_light_skin_tone: "👩🏻‍🔬",
+	woman_scientist_medium_dark_skin_tone: "👩🏾‍🔬", woman_scientist_medium_light_skin_tone: "👩🏼‍🔬",
+	woman_scientist_medium_skin_tone: "👩🏽‍🔬", woman_scientist_tone1: "👩🏻‍🔬",
+	woman_scientist_tone2: "👩🏼‍🔬", woman_scientist_tone3: "👩🏽‍🔬", woman_scientist_tone4: "👩🏾‍🔬",
+	woman_scientist_tone5: "👩🏿‍🔬", woman_shrugging: "🤷‍♀️", woman_shrugging_dark_skin_tone: "🤷🏿‍♀️",
+	woman_shrugging_light_skin_tone: "🤷🏻‍♀️", woman_shrugging_medium_dark_skin_tone: "🤷🏾‍♀️",
+	woman_shrugging_medium_light_skin_tone: "🤷🏼‍♀️", woman_shrugging_medium_skin_tone: "🤷🏽‍♀️",
+	woman_shrugging_tone1: "🤷🏻‍♀️", woman_shrugging_tone2: "🤷🏼‍♀️", woman_shrugging_tone3: "🤷🏽‍♀️",
+	woman_shrugging_tone4: "🤷🏾‍♀️", woman_shrugging_tone5: "🤷🏿‍♀️", woman_singer: "👩‍🎤",
+	woman_singer_dark_skin_tone: "👩🏿‍🎤", woman_singer_light_skin_tone: "👩🏻‍🎤",
+	woman_singer_medium_dark_skin_tone: "👩🏾‍🎤", woman_singer_medium_light_skin_tone: "👩🏼‍🎤",
+	woman_singer_medium_skin_tone: "👩🏽‍🎤", woman_singer_tone1: "👩🏻‍🎤", woman_singer_tone2: "👩🏼‍🎤",
+	woman_singer_tone3: "👩🏽‍🎤", woman_singer_tone4: "👩🏾‍🎤", woman_singer_tone5: "👩🏿‍🎤",
+	woman_standing: "🧍‍♀️", woman_standing_dark_skin_tone: "🧍🏿‍♀️",
+	woman_standing_light_skin_tone: "🧍🏻‍♀️", woman_standing_medium_dark_skin_tone: "🧍🏾‍♀️",
+	woman_standing_medium_light_skin_tone: "🧍🏼‍♀️", woman_standing_medium_skin_tone: "🧍🏽‍♀️",
+	woman_standing_tone1: "🧍🏻‍♀️", woman_standing_tone2: "🧍🏼‍♀️", woman_standing_tone3: "🧍🏽‍♀️",
+	woman_standing_tone4: "🧍🏾‍♀️", woman_standing_tone5: "🧍🏿‍♀️", woman_student: "👩‍🎓",
+	woman_student_dark_skin_tone: "👩🏿‍🎓", woman_student_light_skin_tone: "👩🏻‍🎓",
+	woman_student_medium_dark_skin_tone: "👩🏾‍🎓", woman_student_medium_light_skin_tone: "👩🏼‍🎓",
+	woman_student_medium_skin_tone: "👩🏽‍🎓", woman_student_tone1: "👩🏻‍🎓",
+	woman_student_tone2: "👩🏼‍🎓", woman_student_tone3: "👩🏽‍🎓", woman_student_tone4: "👩🏾‍🎓",
+	woman_student_tone5: "👩🏿‍🎓", woman_superhero: "🦸‍♀️", woman_superhero_dark_skin_tone: "🦸🏿‍♀️",
+	woman_superhero_light_skin_tone: "🦸🏻‍♀️", woman_superhero_medium_dark_skin_tone: "🦸🏾‍♀️",
+	woman_superhero_medium_light_skin_tone: "🦸🏼‍♀️", woman_superhero_medium_skin_tone: "🦸🏽‍♀️",
+	woman_superhero_tone1: "🦸🏻‍♀️", woman_superhero_tone2: "🦸🏼‍♀️", woman_superhero_tone3: "🦸🏽‍♀️",
+	woman_superhero_tone4: "🦸🏾‍♀️", woman_superhero_tone5: "🦸🏿‍♀️", woman_supervillain: "🦹‍♀️",
+	woman_supervillain_dark_skin_tone: "🦹🏿‍♀️", woman_supervillain_light_skin_tone: "🦹🏻‍♀️",
+	woman_supervillain_medium_dark_skin_tone: "🦹🏾‍♀️",
+	woman_supervillain_medium_light_skin_tone: "🦹🏼‍♀️", woman_supervillain_medium_skin_tone: "🦹🏽‍♀️",
+	woman_supervillain_tone1: "🦹🏻‍♀️", woman_supervillain_tone2: "🦹🏼‍♀️",
+	woman_supervillain_tone3: "🦹🏽‍♀️", woman_supervillain_tone4: "🦹🏾‍♀️",
+	woman_supervillain_tone5: "🦹🏿‍♀️", woman_surfing: "🏄‍♀️", woman_surfing_dark_skin_tone: "🏄🏿‍♀️",
+	woman_surfing_light_skin_tone: "🏄🏻‍♀️", woman_surfing_medium_dark_skin_tone: "🏄🏾‍♀️",
+	woman_surfing_medium_light_skin_tone: "🏄🏼‍♀️", woman_surfing_medium_skin_tone: "🏄🏽‍♀️",
+	woman_surfing_tone1: "🏄🏻‍♀️", woman_surfing_tone2: "🏄🏼‍♀️", woman_surfing_tone3: "🏄🏽‍♀️",
+	woman_surfing_tone4: "🏄🏾‍♀️", woman_surfing_tone5: "🏄🏿‍♀️", woman_swimming: "🏊‍♀️",
+	woman_swimming_dark_skin_tone: "🏊🏿‍♀️", woman_swimming_light_skin_tone: "🏊🏻‍♀️",
+	woman_swimming_medium_dark_skin_tone: "🏊🏾‍♀️", woman_swimming_medium_light_skin_tone: "🏊🏼‍♀️",
+	woman_swimming_medium_skin_tone: "🏊🏽‍♀️", woman_swimming_tone1: "🏊🏻‍♀️",
+	woman_swimming_tone2: "🏊🏼‍♀️", woman_swimming_tone3: "🏊🏽‍♀️", woman_swimming_tone4: "🏊🏾‍♀️",
+	woman_swimming_tone5: "🏊🏿‍♀️", woman_teacher: "👩‍🏫", woman_teacher_dark_skin_tone: "👩🏿‍🏫",
+	woman_teacher_light_skin_tone: "👩🏻‍🏫", woman_teacher_medium_dark_skin_tone: "👩🏾‍🏫",
+	woman_teacher_medium_light_skin_tone: "👩🏼‍🏫", woman_teacher_medium_skin_tone: "👩🏽‍🏫",
+	woman_teacher_tone1: "👩🏻‍🏫", woman_teacher_tone2: "👩🏼‍🏫", woman_teacher_tone3: "👩🏽‍🏫",
+	woman_teacher_tone4: "👩🏾‍🏫", woman_teacher_tone5: "👩🏿‍🏫", woman_technologist: "👩‍💻",
+	woman_technologist_dark_skin_tone: "👩🏿‍💻", woman_technologist_light_skin_tone: "👩🏻‍💻",
+	woman_technologist_medium_dark_skin_tone: "👩🏾‍💻",
+	woman_technologist_medium_light_skin_tone: "👩🏼‍💻", woman_technologist_medium_skin_tone: "👩🏽‍💻",
+	woman_technologist_tone1: "👩🏻‍💻", woman_technologist_tone2: "👩🏼‍💻",
+	woman_technologist_tone3: "👩🏽‍💻", woman_technologist_tone4: "👩🏾‍💻",
+	woman_technologist_tone5: "👩🏿‍💻", woman_tipping_hand: "💁‍♀️",
+	woman_tipping_hand_dark_skin_tone: "💁🏿‍♀️", woman_tipping_hand_light_skin_tone: "💁🏻‍♀️",
+	woman_tipping_hand_medium_dark_skin_tone: "💁🏾‍♀️",
+	woman_tipping_hand_medium_light_skin_tone: "💁🏼‍♀️", woman_tipping_hand_medium_skin_tone: "💁🏽‍♀️",
+	woman_tipping_hand_tone1: "💁🏻‍♀️", woman_tipping_hand_tone2: "💁🏼‍♀️",
+	woman_tipping_hand_tone3: "💁🏽‍♀️", woman_tipping_hand_tone4: "💁🏾‍♀️",
+	woman_tipping_hand_tone5: "💁🏿‍♀️", woman_tone1: "👩🏻", woman_tone1_beard: "🧔🏻‍♀️",
+	woman_tone2: "👩🏼", woman_tone2_beard: "🧔🏼‍♀️", woman_tone3: "👩🏽", woman_tone3_beard: "🧔🏽‍♀️",
+	woman_tone4: "👩🏾", woman_tone4_beard: "🧔🏾‍♀️", woman_tone5: "👩🏿", woman_tone5_beard: "🧔🏿‍♀️",
+	woman_vampire: "🧛‍♀️", woman_vampire_dark_skin_tone: "🧛🏿‍♀️",
+	woman_vampire_light_skin_tone: "🧛🏻‍♀️", woman_vampire_medium_dark_skin_tone: "🧛🏾‍♀️",
+	woman_vampire_medium_light_skin_tone: "🧛🏼‍♀️", woman_vampire_medium_skin_tone: "🧛🏽‍♀️",
+	woman_vampire_tone1: "🧛🏻‍♀️", woman_vampire_tone2: "🧛🏼‍♀️", woman_vampire_tone3: "🧛🏽‍♀️",
+	woman_vampire_tone4: "🧛🏾‍♀️", woman_vampire_tone5: "🧛🏿‍♀️", woman_walking: "🚶‍♀️",
+	woman_walking_dark_skin_tone: "🚶🏿‍♀️", woman_walking_light_skin_tone: "🚶🏻‍♀️",
+	woman_walking_medium_dark_skin_tone: "🚶🏾‍♀️", woman_walking_medium_light_skin_tone: "🚶🏼‍♀️",
+	woman_walking_medium_skin_tone: "🚶🏽‍♀️", woman_walking_tone1: "🚶🏻‍♀️",
+	woman_walking_tone2: "🚶🏼‍♀️", woman_walking_tone3: "🚶🏽‍♀️", woman_walking_tone4: "🚶🏾‍♀️",
+	woman_walking_tone5: "🚶🏿‍♀️", woman_wearing_turban: "👳‍♀️",
+	woman_wearing_turban_dark_skin_tone: "👳🏿‍♀️", woman_wearing_turban_light_skin_tone: "👳🏻‍♀️",
+	woman_wearing_turban_medium_dark_skin_tone: "👳🏾‍♀️",
+	woman_wearing_turban_medium_light_skin_tone: "👳🏼‍♀️",
+	woman_wearing_turban_medium_skin_tone: "👳🏽‍♀️", woman_wearing_turban_tone1: "👳🏻‍♀️",
+	woman_wearing_turban_tone2: "👳🏼‍♀️", woman_wearing_turban_tone3: "👳🏽‍♀️",
+	woman_wearing_turban_tone4: "👳🏾‍♀️", woman_wearing_turban_tone5: "👳🏿‍♀️",
+	woman_white_haired: "👩‍🦳", woman_white_haired_dark_skin_tone: "👩🏿‍🦳",
+	woman_white_haired_light_skin_tone: "👩🏻‍🦳", woman_white_haired_medium_dark_skin_tone: "👩🏾‍🦳",
+	woman_white_haired_medium_light_skin_tone: "👩🏼‍🦳", woman_white_haired_medium_skin_tone: "👩🏽‍🦳",
+	woman_white_haired_tone1: "👩🏻‍🦳", woman_white_haired_tone2: "👩🏼‍🦳",
+	woman_white_haired_tone3: "👩🏽‍🦳", woman_white_haired_tone4: "👩🏾‍🦳",
+	woman_white_haired_tone5: "👩🏿‍🦳", woman_with_headscarf: "🧕",
+	woman_with_headscarf_dark_skin_tone: "🧕🏿", woman_with_headscarf_light_skin_tone: "🧕🏻",
+	woman_with_headscarf_medium_dark_skin_tone: "🧕🏾",
+	woman_with_headscarf_medium_light_skin_tone: "🧕🏼", woman_with_headscarf_medium_skin_tone: "🧕🏽",
+	woman_with_headscarf_tone1: "🧕🏻", woman_with_headscarf_tone2: "🧕🏼",
+	woman_with_headscarf_tone3: "🧕🏽", woman_with_headscarf_tone4: "🧕🏾",
+	woman_with_headscarf_tone5: "🧕🏿", woman_with_probing_cane: "👩‍🦯",
+	woman_with_probing_cane_dark_skin_tone: "👩🏿‍🦯", woman_with_probing_cane_light_skin_tone: "👩🏻‍🦯",
+	woman_with_probing_cane_medium_dark_skin_tone: "👩🏾‍🦯",
+	woman_with_probing_cane_medium_light_skin_tone: "👩🏼‍🦯",
+	woman_with_probing_cane_medium_skin_tone: "👩🏽‍🦯", woman_with_probing_cane_tone1: "👩🏻‍🦯",
+	woman_with_probing_cane_tone2: "👩🏼‍🦯", woman_with_probing_cane_tone3: "👩🏽‍🦯",
+	woman_with_probing_cane_tone4: "👩🏾‍🦯", woman_with_probing_cane_tone5: "👩🏿‍🦯",
+	woman_with_turban: "👳‍♀️", woman_with_veil: "👰‍♀️", woman_with_veil_dark_skin_tone: "👰🏿‍♀️",
+	woman_with_veil_light_skin_tone: "👰🏻‍♀️", woman_with_veil_medium_dark_skin_tone: "👰🏾‍♀️",
+	woman_with_veil_medium_light_skin_tone: "👰🏼‍♀️", woman_with_veil_medium_skin_tone: "👰🏽‍♀️",
+	woman_with_veil_tone1: "👰🏻‍♀️", woman_with_veil_tone2: "👰🏼‍♀️", woman_with_veil_tone3: "👰🏽‍♀️",
+	woman_with_veil_tone4: "👰🏾‍♀️", woman_with_veil_tone5: "👰🏿‍♀️", woman_zombie: "🧟‍♀️",
+	womans_boot: "👢", womans_clothes: "👚", womans_flat_shoe: "🥿", womans_hat: "👒", womans_sandal: "👡",
+	women_holding_hands_dark_skin_tone: "👭🏿",
+	women_holding_hands_dark_skin_tone_light_skin_tone: "👩🏿‍🤝‍👩🏻",
+	women_holding_hands_dark_skin_tone_medium_dark_skin_tone: "👩🏿‍🤝‍👩🏾",
+	women_holding_hands_dark_skin_tone_medium_light_skin_tone: "👩🏿‍🤝‍👩🏼",
+	women_holding_hands_dark_skin_tone_medium_skin_tone: "👩🏿‍🤝‍👩🏽",
+	women_holding_hands_light_skin_tone: "👭🏻",
+	women_holding_hands_light_skin_tone_dark_skin_tone: "👩🏻‍🤝‍👩🏿",
+	women_holding_hands_light_skin_tone_medium_dark_skin_tone: "👩🏻‍🤝‍👩🏾",
+	women_holding_hands_light_skin_tone_medium_light_skin_tone: "👩🏻‍🤝‍👩🏼",
+	women_holding_hands_light_skin_tone_medium_skin_tone: "👩🏻‍🤝‍👩🏽",
+	women_holding_hands_medium_dark_skin_tone: "👭🏾",
+	women_holding_hands_medium_dark_skin_tone_dark_skin_tone: "👩🏾‍🤝‍👩🏿",
+	women_holding_hands_medium_dark_skin_tone_light_skin_tone: "👩🏾‍🤝‍👩🏻",
+	women_holding_hands_medium_dark_skin_tone_medium_light_skin_tone: "👩🏾‍🤝‍👩🏼",
+	women_holding_hands_medium_dark_skin_tone_medium_skin_tone: "👩🏾‍🤝‍👩🏽",
+	women_holding_hands_medium_light_skin_tone: "👭🏼",
+	women_holding_hands_medium_light_skin_tone_dark_skin_tone: "👩🏼‍🤝‍👩🏿",
+	women_holding_hands_medium_light_skin_tone_light_skin_tone: "👩🏼‍🤝‍👩🏻",
+	women_holding_hands_medium_light_skin_tone_medium_dark_skin_tone: "👩🏼‍🤝‍👩🏾",
+	women_holding_hands_medium_light_skin_tone_medium_skin_tone: "👩🏼‍🤝‍👩🏽",
+	women_holding_hands_medium_skin_tone: "👭🏽",
+	women_holding_hands_medium_skin_tone_dark_skin_tone: "👩🏽‍🤝‍👩🏿",
+	women_holding_hands_medium_skin_tone_light_skin_tone: "👩🏽‍🤝‍👩🏻",
+	women_holding_hands_medium_skin_tone_medium_dark_skin_tone: "👩🏽‍🤝‍👩🏾",
+	women_holding_hands_medium_skin_tone_medium_light_skin_tone: "👩🏽‍🤝‍👩🏼",
+	women_holding_hands_tone1: "👭🏻", women_holding_hands_tone1_tone2: "👩🏻‍🤝‍👩🏼",
+	women_holding_hands_tone1_tone3: "👩🏻‍🤝‍👩🏽", women_holding_hands_tone1_tone4: "👩🏻‍🤝‍👩🏾",
+	women_holding_hands_tone1_tone5: "👩🏻‍🤝‍👩🏿", women_holding_hands_tone2: "👭🏼",
+	women_holding_hands_tone2_tone1: "👩🏼‍🤝‍👩🏻", women_holding_hands_tone2_tone3: "👩🏼‍🤝‍👩🏽",
+	women_holding_hands_tone2_tone4: "👩🏼‍🤝‍👩🏾", women_holding_hands_tone2_tone5: "👩🏼‍🤝‍👩🏿",
+	women_holding_hands_tone3: "👭🏽", women_holding_hands_tone3_tone1: "👩🏽‍🤝‍👩🏻",
+	women_holding_hands_tone3_tone2: "👩🏽‍🤝‍👩🏼", women_holding_hands_tone3_tone4: "👩🏽‍🤝‍👩🏾",
+	women_holding_hands_tone3_tone5: "👩🏽‍🤝‍👩🏿", women_holding_hands_tone4: "👭🏾",
+	women_holding_hands_tone4_tone1: "👩🏾‍🤝‍👩🏻", women_holding_hands_tone4_tone2: "👩🏾‍🤝‍👩🏼",
+	women_holding_hands_tone4_tone3: "👩🏾‍🤝‍👩🏽", women_holding_hands_tone4_tone5: "👩🏾‍🤝‍👩🏿",
+	women_holding_hands_tone5: "👭🏿", women_holding_hands_tone5_tone1: "👩🏿‍🤝‍👩🏻",
+	women_holding_hands_tone5_tone2: "👩🏿‍🤝‍👩🏼", women_holding_hands_tone5_tone3: "👩🏿‍🤝‍👩🏽",
+	women_holding_hands_tone5_tone4: "👩🏿‍🤝‍👩🏾", women_with_bunny_ears_partying: "👯‍♀️",
+	women_wrestling: "🤼‍♀️", womens: "🚺️", womens_room: "🚺️", wood: "🪵", woozy_face: "🥴",
+	world_map: "🗺️", worm: "🪱", worried: "😟", worried_face: "😟", worship_symbol: "🛐",
+	wrapped_gift: "🎁", wrench: "🔧", wrestlers: "🤼", wrestling: "🤼", writing_hand: "✍️",
+	writing_hand_tone1: "✍🏻", writing_hand_tone2: "✍🏼", writing_hand_tone3: "✍🏽",
+	writing_hand_tone4: "✍🏾", writing_hand_tone5: "✍🏿", ws: "🇼🇸", x: "❌️", x_ray: "🩻", xk: "🇽🇰",
+	yarn: "🧶", yawning_face: "🥱", ye: "🇾🇪", yellow_circle: "🟡", yellow_heart: "💛",
+	yellow_square: "🟨", yemen: "🇾🇪", yen: "💴", yen_banknote: "💴", yin_yang: "☯️", yo_yo: "🪀",
+	yt: "🇾🇹", yum: "😋", za: "🇿🇦", zambia: "🇿🇲", zany_face: "🤪", zap: "⚡️", zebra: "🦓",
+	zero: "0️⃣", zimbabwe: "🇿🇼", zipper_mouth: "🤐", zipper_mouth_face: "🤐", zm: "🇿🇲", zombie: "🧟",
+	zombie_man: "🧟‍♂️", zombie_woman: "🧟‍♀️", zw: "🇿🇼", zzz: "💤"
+};
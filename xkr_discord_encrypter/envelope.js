@@ -0,0 +1,625 @@
+/****************************
+
+envelope
+Wire format of encrypted messages.
+
+v2 messages look like
+
+	§v2:<header>.<nonce>.<ciphertext>
+
+header      base64 of a small JSON object describing how the message was sealed.
+            The header text is authenticated as additional data.
+nonce       base64 of 12 random bytes.
+ciphertext  base64 of the AES-256-GCM output (ciphertext + tag).
+
+The header names how the AES key is found:
+PBKDF2-HKDF-SHA256  derived from the channel passphrase. PBKDF2 with header.iter
+                    rounds and the random header.salt stretches it, HKDF expands
+                    that into the message key. A sender keeps one salt per
+                    passphrase while the page is open, so readers derive the key
+                    once per sender rather than once per message.
+                    header.kid is a short id expanded from the stretched key,
+                    so readers with several keys for a channel know which one
+                    to use, and testing a guessed password against it costs as
+                    much as against the message.
+X25519-HKDF-SHA256  agreed between the identity keys in header.from and header.to,
+                    see identity.js. Used for direct messages.
+
+Only PBKDF2_ITERATIONS rounds are accepted, and passphrase messages without a
+kid are refused, so a message cannot make readers derive more than one key per
+passphrase of the channel. Anyone who can post in a channel can still send
+messages with new salts, key or not, so one scan of the page only derives keys
+for a few new salts, see startDecryptScan.
+
+Two optional header fields say how the payload was prepared before encryption:
+zip: "deflate"      the payload is deflate compressed.
+pad: "bucket"       the payload is padded to the next of PAD_BUCKETS with 0x80
+                    and zero bytes, so messages of similar length look the same.
+Both are undone in reverse order after decryption.
+
+The payload inside the ciphertext is JSON:
+	{m: text, ts: send time in ms, ttl: lifetime in s, sig: {k: signing key, s: signature}}
+ttl is optional. Since both are sealed, nobody can extend the lifetime of a message.
+sig is added when the sender has identity keys, see signMessage in identity.js.
+
+Messages longer than Discord allows are sent as consecutive parts
+
+	§p:<id>.<part>.<total>:<chunk>
+
+id          8 hex chars shared by all parts of one message.
+part        1 to total.
+chunk       the next piece of the full message. Joined in order, the chunks
+            give back the full §v2: message.
+
+Legacy messages (§U2FsdGVk...) are CryptoJS AES-CBC blobs. They can still be
+decrypted so old channel history stays readable, but are never produced.
+
+Errors of decryptMessage say why in error.reason, see decryptFailure:
+nokey        there are no keys to try
+wrongkey     sent with keys we do not have, error.kid is the key id when the message has one
+corrupted    cut off or damaged, e.g. a part is missing or it was copied badly
+unsupported  a version, algorithm or option this version does not know
+tampered     the key is right but the message does not authenticate, or its signature is not valid
+deferred     its salt is new and this scan already derived keys for enough others
+
+****************************/
+
+'use strict';
+
+var ENVELOPE_PREFIX = "§v2:";
+var LEGACY_PREFIX = "§U2FsdGVk";
+var ENVELOPE_VERSION = 2;
+var PBKDF2_ITERATIONS = 100000;
+var PASSPHRASE_KDF = "PBKDF2-HKDF-SHA256";
+var IDENTITY_KDF = "X25519-HKDF-SHA256";
+var SALT_BYTES = 16;
+var MESSAGE_KEY_INFO = "xkr-message-key";
+var KEY_ID_INFO = "xkr-kid";
+var PART_PREFIX = "§p:";
+var MESSAGE_LIMIT = 2000; // longest message Discord sends
+var PART_HEADER_LENGTH = 32; // room left in every part for "§p:<id>.<part>.<total>:"
+var MAX_PARTS = 20;
+var COMPRESSION = "deflate";
+var PADDING = "bucket";
+var PAD_BUCKETS = [256, 512, 1024, 2048, 4096]; // bytes, longer payloads are padded to a multiple of the last
+var MAX_PAYLOAD_LENGTH = 1048576; // bytes a compressed payload may grow to
+
+var envelopeEncoder = new TextEncoder();
+var envelopeDecoder = new TextDecoder("utf-8", {fatal: true});
+var STRETCHED_KEY_LIMIT = 256; // stretched keys kept, the least recently used are dropped first
+var NEW_SALTS_PER_SCAN = 8; // see startDecryptScan
+var stretchedKeys = new Map(); // "salt:passphrase" -> Promise of HKDF CryptoKey, least recently used first
+var scansalts = new Set(); // base64 salts the current scan derived keys for
+var senderSalts = {}; // passphrase -> base64 salt this page encrypts with
+
+function bytesToBase64(bytes) {
+	var binary = "";
+	for (var i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary);
+}
+
+function base64ToBytes(text) {
+	var binary = atob(text);
+	var bytes = new Uint8Array(binary.length);
+	for (var i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+/****************************
+
+stretchPassphrase
+PBKDF2-SHA256 over passphrase and salt, as an HKDF key that the message key and
+other values are expanded from, see expandKey.
+Derivation is slow on purpose, so the result is cached per salt and passphrase,
+for the last STRETCHED_KEY_LIMIT of them.
+
+****************************/
+
+function stretchPassphrase(passphrase, salt) {
+	var cachekey = bytesToBase64(salt) + ":" + passphrase;
+	var stretched = stretchedKeys.get(cachekey);
+	if(stretched == undefined) {
+		stretched = crypto.subtle.importKey("raw", envelopeEncoder.encode(passphrase), "PBKDF2", false, ["deriveBits"]).then(function (material) {
+			return crypto.subtle.deriveBits({name: "PBKDF2", hash: "SHA-256", salt: salt, iterations: PBKDF2_ITERATIONS}, material, 256);
+		}).then(function (bits) {
+			return crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveKey", "deriveBits"]);
+		});
+	}
+	stretchedKeys.delete(cachekey);
+	stretchedKeys.set(cachekey, stretched);
+	if(stretchedKeys.size > STRETCHED_KEY_LIMIT) {
+		stretchedKeys.delete(stretchedKeys.keys().next().value);
+	}
+	return stretched;
+}
+
+/****************************
+
+startDecryptScan
+Starts a new budget of salts. A salt not seen before costs a PBKDF2 run for
+every candidate passphrase, so between two calls keys are derived for at most
+NEW_SALTS_PER_SCAN new salts. Messages with further ones are rejected as deferred,
+without deriving anything.
+
+****************************/
+
+function startDecryptScan() {
+	scansalts.clear();
+}
+
+// Takes salt from the budget of this scan unless its keys are cached already, false when it is used up
+function spendSalt(salt, passphrases) {
+	var salttext = bytesToBase64(salt);
+	var cached = passphrases.every(function (passphrase) {
+		return stretchedKeys.has(salttext + ":" + passphrase);
+	});
+	if(cached || scansalts.has(salttext)) return true;
+	if(scansalts.size >= NEW_SALTS_PER_SCAN) return false;
+	scansalts.add(salttext);
+	return true;
+}
+
+function expandBytes(stretched, label, length) {
+	return crypto.subtle.deriveBits(
+		{name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: envelopeEncoder.encode(label)},
+		stretched,
+		length * 8
+	).then(function (bits) {
+		return new Uint8Array(bits);
+	});
+}
+
+function expandKey(stretched, label) {
+	return crypto.subtle.deriveKey(
+		{name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: envelopeEncoder.encode(label)},
+		stretched,
+		{name: "AES-GCM", length: 256},
+		false,
+		["encrypt", "decrypt"]
+	);
+}
+
+/****************************
+
+deriveKey
+AES-256-GCM key of passphrase for messages with the given salt.
+
+****************************/
+
+function deriveKey(passphrase, salt) {
+	return stretchPassphrase(passphrase, salt).then(function (stretched) {
+		return expandKey(stretched, MESSAGE_KEY_INFO);
+	});
+}
+
+// Salt of the messages this page sends with passphrase
+function senderSalt(passphrase) {
+	if(senderSalts[passphrase] == undefined) {
+		senderSalts[passphrase] = bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+	}
+	return senderSalts[passphrase];
+}
+
+function bytesToHex(bytes) {
+	var hex = "";
+	for (var i = 0; i < bytes.length; i++) {
+		hex += ("0" + bytes[i].toString(16)).slice(-2);
+	}
+	return hex;
+}
+
+/****************************
+
+keyId
+8 hex chars identifying passphrase in messages with the given salt.
+Says which key was used without giving the key away, it is expanded from the
+stretched key, so it is no shortcut for guessing the passphrase.
+
+****************************/
+
+function keyId(passphrase, salt) {
+	return stretchPassphrase(passphrase, salt).then(function (stretched) {
+		return expandBytes(stretched, KEY_ID_INFO, 4);
+	}).then(bytesToHex);
+}
+
+function concatBytes(chunks, length) {
+	var bytes = new Uint8Array(length);
+	var offset = 0;
+	for (var i = 0; i < chunks.length; i++) {
+		bytes.set(chunks[i], offset);
+		offset += chunks[i].length;
+	}
+	return bytes;
+}
+
+function compressBytes(bytes) {
+	var stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(COMPRESSION));
+	return new Response(stream).arrayBuffer().then(function (compressed) {
+		return new Uint8Array(compressed);
+	});
+}
+
+/****************************
+
+decompressBytes
+Stops reading once the output passes MAX_PAYLOAD_LENGTH, so a small message
+cannot unpack into something huge.
+
+****************************/
+
+function decompressBytes(bytes) {
+	var reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(COMPRESSION)).getReader();
+	var chunks = [];
+	var length = 0;
+	function read() {
+		return reader.read().then(function (result) {
+			if(result.done) {
+				return concatBytes(chunks, length);
+			}
+			length += result.value.length;
+			if(length > MAX_PAYLOAD_LENGTH) {
+				reader.cancel();
+				throw new Error("Payload too large");
+			}
+			chunks.push(result.value);
+			return read();
+		});
+	}
+	return read();
+}
+
+function padBytes(bytes) {
+	var size = 0;
+	for (var i = 0; i < PAD_BUCKETS.length && size == 0; i++) {
+		if(bytes.length < PAD_BUCKETS[i]) size = PAD_BUCKETS[i];
+	}
+	if(size == 0) {
+		var largest = PAD_BUCKETS[PAD_BUCKETS.length - 1];
+		size = (Math.floor(bytes.length / largest) + 1) * largest;
+	}
+	var padded = new Uint8Array(size);
+	padded.set(bytes);
+	padded[bytes.length] = 0x80;
+	return padded;
+}
+
+function unpadBytes(bytes) {
+	var end = bytes.length - 1;
+	while(end >= 0 && bytes[end] == 0) end--;
+	if(end < 0 || bytes[end] != 0x80) {
+		throw new Error("Malformed padding");
+	}
+	return bytes.slice(0, end);
+}
+
+/****************************
+
+encryptMessage
+Seals text into a v2 envelope. Resolves to the string that should be sent.
+lifetime is optional, in seconds. Readers stop showing the message once it has passed.
+options is optional, {compress, pad} turn on compression and padding.
+
+****************************/
+
+function encryptMessage(text, passphrase, lifetime, options) {
+	var header = {v: ENVELOPE_VERSION, alg: "A256GCM", kdf: PASSPHRASE_KDF, iter: PBKDF2_ITERATIONS, salt: senderSalt(passphrase)};
+	var salt = base64ToBytes(header.salt);
+	return keyId(passphrase, salt).then(function (kid) {
+		header.kid = kid;
+		return deriveKey(passphrase, salt);
+	}).then(function (key) {
+		return sealEnvelope(header, key, text, lifetime, options);
+	});
+}
+
+/****************************
+
+sealEnvelope
+Encrypts text with key under the given header.
+The caller picks the header and derives the key that belongs to it,
+zip and pad are added to it here from options.
+
+****************************/
+
+function sealEnvelope(header, key, text, lifetime, options) {
+	if(options != undefined && options.compress) {
+		header.zip = COMPRESSION;
+	}
+	if(options != undefined && options.pad) {
+		header.pad = PADDING;
+	}
+	var headertext = bytesToBase64(envelopeEncoder.encode(JSON.stringify(header)));
+	var nonce = crypto.getRandomValues(new Uint8Array(12));
+	var message = {m: text, ts: Date.now()};
+	if(lifetime > 0) {
+		message.ttl = lifetime;
+	}
+
+	return signMessage(headertext, message).then(function (signature) {
+		if(signature != null) {
+			message.sig = signature;
+		}
+		var payload = envelopeEncoder.encode(JSON.stringify(message));
+		return header.zip != undefined ? compressBytes(payload) : payload;
+	}).then(function (payload) {
+		return crypto.subtle.encrypt(
+			{name: "AES-GCM", iv: nonce, additionalData: envelopeEncoder.encode(headertext)},
+			key,
+			header.pad != undefined ? padBytes(payload) : payload
+		);
+	}).then(function (ciphertext) {
+		return ENVELOPE_PREFIX + headertext + "." + bytesToBase64(nonce) + "." + bytesToBase64(new Uint8Array(ciphertext));
+	});
+}
+
+function decryptFailure(reason, message) {
+	var error = new Error(message);
+	error.reason = reason;
+	return error;
+}
+
+/****************************
+
+parseEnvelope
+Splits a v2 message into its parts and validates the header.
+Anything after the ciphertext (e.g. a trailing stop key) is ignored.
+Throws if the message is not a well formed v2 envelope.
+
+****************************/
+
+function parseEnvelope(message) {
+	var match = /^§v2:([A-Za-z0-9+\/=]+)\.([A-Za-z0-9+\/=]+)\.([A-Za-z0-9+\/=]+)/.exec(message);
+	if(match == null) {
+		throw decryptFailure("corrupted", "Malformed envelope");
+	}
+	var header;
+	try {
+		header = JSON.parse(envelopeDecoder.decode(base64ToBytes(match[1])));
+	} catch(error) {
+		throw decryptFailure("corrupted", "Malformed envelope header");
+	}
+	if(header == null || typeof header != "object") {
+		throw decryptFailure("corrupted", "Malformed envelope header");
+	}
+	if(header.v != ENVELOPE_VERSION || header.alg != "A256GCM") {
+		throw decryptFailure("unsupported", "Unsupported envelope header");
+	}
+	var salt = null;
+	if(header.kdf == PASSPHRASE_KDF) {
+		if(header.iter !== PBKDF2_ITERATIONS) {
+			throw decryptFailure("unsupported", "Unsupported key derivation iterations");
+		}
+		if(typeof header.kid != "string" || !/^[0-9a-f]{8}$/.test(header.kid)) {
+			throw decryptFailure("corrupted", "Malformed key id");
+		}
+		try {
+			salt = base64ToBytes(header.salt);
+		} catch(error) {
+			salt = null;
+		}
+		if(salt == null || salt.length != SALT_BYTES) {
+			throw decryptFailure("corrupted", "Malformed salt");
+		}
+	} else if(header.kdf == IDENTITY_KDF) {
+		if(typeof header.from != "string" || typeof header.to != "string") {
+			throw decryptFailure("corrupted", "Malformed identity header");
+		}
+	} else {
+		throw decryptFailure("unsupported", "Unsupported key derivation");
+	}
+	if((header.zip != undefined && header.zip != COMPRESSION) || (header.pad != undefined && header.pad != PADDING)) {
+		throw decryptFailure("unsupported", "Unsupported payload encoding");
+	}
+	var nonce, ciphertext;
+	try {
+		nonce = base64ToBytes(match[2]);
+		ciphertext = base64ToBytes(match[3]);
+	} catch(error) {
+		throw decryptFailure("corrupted", "Malformed envelope");
+	}
+	if(nonce.length != 12) {
+		throw decryptFailure("corrupted", "Malformed nonce");
+	}
+	// we always send padded base64 and a 16 byte tag, anything shorter was cut off
+	if(match[3].length % 4 != 0 || ciphertext.length < 16) {
+		throw decryptFailure("corrupted", "Truncated ciphertext");
+	}
+	return {
+		header: header,
+		headertext: match[1],
+		salt: salt,
+		nonce: nonce,
+		ciphertext: ciphertext
+	};
+}
+
+function decryptEnvelope(message, passphrases) {
+	var envelope;
+	try {
+		envelope = parseEnvelope(message);
+	} catch(error) {
+		return Promise.reject(error);
+	}
+	if(envelope.header.kdf == IDENTITY_KDF) {
+		return openEnvelope(envelope, deriveSharedKey(envelope.header.from, envelope.header.to));
+	}
+	if(passphrases.length == 0) {
+		return Promise.reject(decryptFailure("nokey", "No keys"));
+	}
+	if(!spendSalt(envelope.salt, passphrases)) {
+		return Promise.reject(decryptFailure("deferred", "Too many messages with new salts at once"));
+	}
+	var kids = passphrases.map(function (passphrase) {
+		return keyId(passphrase, envelope.salt);
+	});
+	return Promise.all(kids).then(function (kids) {
+		var candidates = passphrases.filter(function (passphrase, i) { return kids[i] == envelope.header.kid; });
+		if(candidates.length == 0) {
+			var error = decryptFailure("wrongkey", "No key with id " + envelope.header.kid);
+			error.kid = envelope.header.kid;
+			throw error;
+		}
+		return tryPassphrases(envelope, candidates, 0);
+	});
+}
+
+function tryPassphrases(envelope, passphrases, index) {
+	var opening = openEnvelope(envelope, deriveKey(passphrases[index], envelope.salt));
+	if(index == passphrases.length - 1) {
+		return opening;
+	}
+	return opening.catch(function () {
+		return tryPassphrases(envelope, passphrases, index + 1);
+	});
+}
+
+function openEnvelope(envelope, keypromise) {
+	return keypromise.then(function (key) {
+		return crypto.subtle.decrypt(
+			{name: "AES-GCM", iv: envelope.nonce, additionalData: envelopeEncoder.encode(envelope.headertext)},
+			key,
+			envelope.ciphertext
+		).catch(function () {
+			throw decryptFailure("tampered", "The message does not authenticate");
+		});
+	}).then(function (plaintext) {
+		var payload = new Uint8Array(plaintext);
+		if(envelope.header.pad != undefined) {
+			payload = unpadBytes(payload);
+		}
+		return envelope.header.zip != undefined ? decompressBytes(payload) : payload;
+	}).then(function (payload) {
+		return JSON.parse(envelopeDecoder.decode(payload));
+	}).catch(function (error) {
+		// sealed by someone with the key, so a bad payload is a broken sender rather than tampering
+		throw error.reason != undefined ? error : decryptFailure("corrupted", error.message);
+	}).then(function (payload) {
+		return openPayload(payload, envelope.headertext);
+	});
+}
+
+function openPayload(payload, headertext) {
+	if(payload == null || typeof payload.m != "string" || typeof payload.ts != "number") {
+		throw decryptFailure("corrupted", "Malformed payload");
+	}
+	if(payload.ttl != undefined && !(typeof payload.ttl == "number" && payload.ttl > 0)) {
+		throw decryptFailure("corrupted", "Malformed lifetime");
+	}
+	var opened = {
+		text: payload.m,
+		sent: payload.ts,
+		expires: payload.ttl == undefined ? null : payload.ts + payload.ttl * 1000,
+		signer: null
+	};
+	if(payload.sig == undefined) {
+		return Promise.resolve(opened);
+	}
+	return verifyMessage(headertext, payload).then(function (signer) {
+		opened.signer = signer;
+		return opened;
+	}, function (error) {
+		throw decryptFailure("tampered", error.message);
+	});
+}
+
+/****************************
+
+splitMessage
+Parts to send for message, just message itself when it fits into one.
+Throws when even MAX_PARTS parts are not enough.
+
+****************************/
+
+function splitMessage(message) {
+	if(message.length <= MESSAGE_LIMIT) {
+		return [message];
+	}
+	var size = MESSAGE_LIMIT - PART_HEADER_LENGTH;
+	var total = Math.ceil(message.length / size);
+	if(total > MAX_PARTS) {
+		throw new Error("Message too long, it would need " + total + " parts");
+	}
+	var random = crypto.getRandomValues(new Uint8Array(4));
+	var id = "";
+	for (var i = 0; i < random.length; i++) {
+		id += ("0" + random[i].toString(16)).slice(-2);
+	}
+	var parts = [];
+	for (var part = 0; part < total; part++) {
+		parts.push(PART_PREFIX + id + "." + (part + 1) + "." + total + ":" + message.substr(part * size, size));
+	}
+	return parts;
+}
+
+/****************************
+
+parsePart
+Splits a §p: message into {id, part, total, chunk}.
+Throws if it is not a well formed part.
+
+****************************/
+
+function parsePart(message) {
+	var match = /^§p:([0-9a-f]{8})\.([0-9]+)\.([0-9]+):(\S+)/.exec(message);
+	if(match == null) {
+		throw decryptFailure("corrupted", "Malformed message part");
+	}
+	var part = Number(match[2]);
+	var total = Number(match[3]);
+	if(!(total >= 2 && total <= MAX_PARTS && part >= 1 && part <= total)) {
+		throw decryptFailure("corrupted", "Malformed message part number");
+	}
+	return {id: match[1], part: part, total: total, chunk: match[4]};
+}
+
+/****************************
+
+decryptLegacy
+CryptoJS AES with OpenSSL key derivation, as sent by older versions.
+Those appended the stop key after the ciphertext, so the last char is dropped.
+
+****************************/
+
+function decryptLegacy(message, passphrase) {
+	var encrypted = message.substring(1, message.length - 1);
+	var decrypted = CryptoJS.AES.decrypt(encrypted, passphrase).toString(CryptoJS.enc.Utf8);
+	if(decrypted.length < 1) {
+		throw new Error("Legacy message could not be decrypted");
+	}
+	return decrypted;
+}
+
+/****************************
+
+decryptMessage
+Resolves to {text, sent, expires, signer} of a v2 or legacy message.
+passphrases are the candidate passphrases for the channel, most likely first.
+legacypassphrases are optional, they are only tried on legacy messages.
+sent and expires are times in ms, or null when the message does not carry them.
+signer is the base64 signing key of the sender, or null for unsigned messages.
+Rejects on a wrong key, a tampered message or an unknown format, error.reason says which.
+
+****************************/
+
+function decryptMessage(message, passphrases, legacypassphrases) {
+	if(message.indexOf(ENVELOPE_PREFIX) == 0) {
+		return decryptEnvelope(message, passphrases);
+	}
+	if(message.indexOf(LEGACY_PREFIX) == 0) {
+		var tried = legacypassphrases == undefined ? [] : legacypassphrases;
+		for (var i = 0; i < tried.length; i++) {
+			try {
+				return Promise.resolve({text: decryptLegacy(message, tried[i]), sent: null, expires: null, signer: null});
+			} catch(error) {
+				// try the next key
+			}
+		}
+		return Promise.reject(decryptFailure(passphrases.length == 0 && tried.length == 0 ? "nokey" : "wrongkey", "Legacy message could not be decrypted"));
+	}
+	return Promise.reject(decryptFailure("unsupported", "Unknown message format"));
+}
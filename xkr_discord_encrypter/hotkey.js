@@ -0,0 +1,78 @@
+/****************************
+
+hotkey
+The key that opens the encrypted compose box, set on the options page.
+In the compose box it encrypts, like Enter.
+Stored in chrome.storage.local under "hotkey" as
+
+	{key, code, ctrl, shift, alt, meta}
+
+key and code are KeyboardEvent.key and KeyboardEvent.code of the recorded key.
+Recorded hotkeys match on code, so they work whatever the keyboard layout.
+The default § has no code and matches on the typed character, like older versions.
+
+Unless the hotkey itself uses Alt, holding Alt encrypts with the quick lifetime.
+
+The extension also registers the "encrypt-message" command, see manifest.json,
+which can be bound on chrome://extensions/shortcuts.
+
+****************************/
+
+'use strict';
+
+var DEFAULT_HOTKEY = {key: "§", code: "", ctrl: false, shift: false, alt: false, meta: false};
+var MODIFIER_KEYS = ["Control", "Shift", "Alt", "AltGraph", "Meta", "OS"];
+var COMPOSER_KEYS = ["Enter", "Escape", "Backspace", "Tab"]; // used by the message box, see inject.js
+
+function readHotkey(stored) {
+	return stored == undefined ? DEFAULT_HOTKEY : stored;
+}
+
+/****************************
+
+hotkeyFromEvent
+Hotkey for a keydown event, or null while only modifiers are held.
+
+****************************/
+
+function hotkeyFromEvent(event) {
+	if(MODIFIER_KEYS.indexOf(event.key) != -1) return null;
+	return {key: event.key, code: event.code, ctrl: event.ctrlKey, shift: event.shiftKey, alt: event.altKey, meta: event.metaKey};
+}
+
+/****************************
+
+hotkeyProblem
+Why hotkey cannot be used, or null when it is fine.
+
+****************************/
+
+function hotkeyProblem(hotkey) {
+	var modified = hotkey.ctrl || hotkey.alt || hotkey.meta;
+	if(!modified && COMPOSER_KEYS.indexOf(hotkey.key) != -1) {
+		return hotkey.key + " is needed to send and edit messages.";
+	}
+	if(!modified && /^[A-Za-z0-9 ]$/.test(hotkey.key)) {
+		return "Letters, digits and space need Ctrl, Alt or Meta, or they could not be typed any more.";
+	}
+	return null;
+}
+
+function matchesHotkey(event, hotkey) {
+	if(event.ctrlKey != hotkey.ctrl || event.metaKey != hotkey.meta) return false;
+	if(hotkey.alt && !event.altKey) return false;
+	if(hotkey.code == "") {
+		return event.key === hotkey.key;
+	}
+	return event.code == hotkey.code && event.shiftKey == hotkey.shift;
+}
+
+function describeHotkey(hotkey) {
+	var parts = [];
+	if(hotkey.ctrl) parts.push("Ctrl");
+	if(hotkey.alt) parts.push("Alt");
+	if(hotkey.shift) parts.push("Shift");
+	if(hotkey.meta) parts.push("Meta");
+	parts.push(hotkey.key.length == 1 ? hotkey.key.toUpperCase() : hotkey.key);
+	return parts.join("+");
+}
@@ -0,0 +1,267 @@
+/****************************
+
+identity
+Per-user identity keys, generated locally and never shared:
+	dh    X25519, used to agree on keys for direct messages
+	sign  Ed25519, vouches for the dh key when it is published
+
+Stored in chrome.storage.local under "identity" as
+	{created, dh: {pub, jwk}, sign: {pub, jwk}}
+pub is the base64 raw public key, jwk the private key.
+
+The public keys are published in a channel as
+
+	§pub:<dh pub>.<sign pub>.<signature>
+
+where the signature is made with the sign key over "xkr-pub:" + dh pub.
+
+Every message we encrypt is signed with the sign key, see signMessage.
+
+Direct messages are v2 envelopes with kdf X25519-HKDF-SHA256 and the
+dh public keys of both sides in header.from and header.to. Both sides
+compute the same key, so senders can read their own messages too.
+
+Needs envelope.js.
+
+****************************/
+
+'use strict';
+
+var PUBLIC_KEY_PREFIX = "§pub:";
+var PUBLIC_KEY_CONTEXT = "xkr-pub:";
+var MESSAGE_SIGNATURE_CONTEXT = "xkr-msg:";
+var SHARED_KEY_INFO = "XKR-Discord-Encrypter/v2/dm";
+
+var identity = null; // as stored, see above
+var identityKeys = null; // Promise of the imported private keys
+var sharedKeys = {}; // "from.to" -> Promise of CryptoKey
+
+/****************************
+
+generateIdentity
+Creates a new identity. Resolves to the object that should be stored.
+
+****************************/
+
+function generateIdentity() {
+	return Promise.all([
+		crypto.subtle.generateKey({name: "X25519"}, true, ["deriveBits"]),
+		crypto.subtle.generateKey({name: "Ed25519"}, true, ["sign", "verify"])
+	]).then(function (pairs) {
+		return Promise.all([
+			crypto.subtle.exportKey("raw", pairs[0].publicKey),
+			crypto.subtle.exportKey("jwk", pairs[0].privateKey),
+			crypto.subtle.exportKey("raw", pairs[1].publicKey),
+			crypto.subtle.exportKey("jwk", pairs[1].privateKey)
+		]);
+	}).then(function (keys) {
+		return {
+			created: Date.now(),
+			dh: {pub: bytesToBase64(new Uint8Array(keys[0])), jwk: keys[1]},
+			sign: {pub: bytesToBase64(new Uint8Array(keys[2])), jwk: keys[3]}
+		};
+	});
+}
+
+/****************************
+
+ensureIdentity
+Generates and stores an identity unless there already is one.
+
+****************************/
+
+function ensureIdentity() {
+	chrome.storage.local.get("identity", function (obj) {
+		if(obj["identity"] == undefined) {
+			generateIdentity().then(function (created) {
+				chrome.storage.local.set({identity: created});
+			}).catch(function (error) {
+				console.error(error);
+			});
+		}
+	});
+}
+
+function setIdentity(stored) {
+	if(stored == undefined) stored = null;
+	if(identity != null && stored != null && identity.dh.pub == stored.dh.pub) return;
+	identity = stored;
+	identityKeys = null;
+	sharedKeys = {};
+}
+
+function importIdentity() {
+	if(identity == null) {
+		return Promise.reject(new Error("No identity keys"));
+	}
+	if(identityKeys == null) {
+		identityKeys = Promise.all([
+			crypto.subtle.importKey("jwk", identity.dh.jwk, {name: "X25519"}, false, ["deriveBits"]),
+			crypto.subtle.importKey("jwk", identity.sign.jwk, {name: "Ed25519"}, false, ["sign"])
+		]).then(function (keys) {
+			return {dh: keys[0], sign: keys[1]};
+		});
+	}
+	return identityKeys;
+}
+
+/****************************
+
+keyFingerprint
+Short, readable fingerprint of a base64 public key, e.g. "3f9a 01bc 77d2 e410".
+
+****************************/
+
+function keyFingerprint(pub) {
+	return crypto.subtle.digest("SHA-256", base64ToBytes(pub)).then(function (hash) {
+		var bytes = new Uint8Array(hash);
+		var groups = [];
+		for (var i = 0; i < 8; i += 2) {
+			groups.push(("0" + bytes[i].toString(16)).slice(-2) + ("0" + bytes[i + 1].toString(16)).slice(-2));
+		}
+		return groups.join(" ");
+	});
+}
+
+/****************************
+
+publicKeyMessage
+Resolves to the §pub: message announcing our public keys.
+
+****************************/
+
+function publicKeyMessage() {
+	return importIdentity().then(function (keys) {
+		return crypto.subtle.sign({name: "Ed25519"}, keys.sign, envelopeEncoder.encode(PUBLIC_KEY_CONTEXT + identity.dh.pub));
+	}).then(function (signature) {
+		return PUBLIC_KEY_PREFIX + identity.dh.pub + "." + identity.sign.pub + "." + bytesToBase64(new Uint8Array(signature));
+	});
+}
+
+/****************************
+
+parsePublicKeyMessage
+Resolves to {dh, sign, mine} when the §pub: message is well formed and its signature is valid.
+
+****************************/
+
+function parsePublicKeyMessage(message) {
+	var match = /^§pub:([A-Za-z0-9+\/=]+)\.([A-Za-z0-9+\/=]+)\.([A-Za-z0-9+\/=]+)/.exec(message);
+	if(match == null) {
+		return Promise.reject(new Error("Malformed public key message"));
+	}
+	return crypto.subtle.importKey("raw", base64ToBytes(match[2]), {name: "Ed25519"}, false, ["verify"]).then(function (signkey) {
+		return crypto.subtle.verify({name: "Ed25519"}, signkey, base64ToBytes(match[3]), envelopeEncoder.encode(PUBLIC_KEY_CONTEXT + match[1]));
+	}).then(function (valid) {
+		if(!valid) {
+			throw new Error("Public key signature is not valid");
+		}
+		return {dh: match[1], sign: match[2], mine: identity != null && identity.dh.pub == match[1]};
+	});
+}
+
+/****************************
+
+deriveSharedKey
+X25519 between our dh key and the other side's, then HKDF-SHA256 to an AES-256-GCM key.
+from and to are the dh public keys from the envelope header, one of them must be ours.
+
+****************************/
+
+function deriveSharedKey(from, to) {
+	if(identity == null) {
+		return Promise.reject(decryptFailure("nokey", "No identity keys"));
+	}
+	var peer;
+	if(from == identity.dh.pub) {
+		peer = to;
+	} else if(to == identity.dh.pub) {
+		peer = from;
+	} else {
+		return Promise.reject(decryptFailure("wrongkey", "Message is not addressed to this identity"));
+	}
+	var cachekey = from + "." + to;
+	if(sharedKeys[cachekey] == undefined) {
+		var salt = [from, to].sort().join(".");
+		sharedKeys[cachekey] = Promise.all([
+			importIdentity(),
+			crypto.subtle.importKey("raw", base64ToBytes(peer), {name: "X25519"}, false, [])
+		]).then(function (keys) {
+			return crypto.subtle.deriveBits({name: "X25519", public: keys[1]}, keys[0].dh, 256);
+		}).then(function (secret) {
+			return crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+		}).then(function (secret) {
+			return crypto.subtle.deriveKey(
+				{name: "HKDF", hash: "SHA-256", salt: envelopeEncoder.encode(salt), info: envelopeEncoder.encode(SHARED_KEY_INFO)},
+				secret,
+				{name: "AES-GCM", length: 256},
+				false,
+				["encrypt", "decrypt"]
+			);
+		});
+	}
+	return sharedKeys[cachekey];
+}
+
+/****************************
+
+encryptMessageTo
+Like encryptMessage, but for the holder of the dh public key peer instead of a passphrase.
+
+****************************/
+
+function encryptMessageTo(text, peer, lifetime, options) {
+	if(identity == null) {
+		return Promise.reject(new Error("No identity keys"));
+	}
+	var header = {v: ENVELOPE_VERSION, alg: "A256GCM", kdf: IDENTITY_KDF, from: identity.dh.pub, to: peer};
+	return deriveSharedKey(header.from, header.to).then(function (key) {
+		return sealEnvelope(header, key, text, lifetime, options);
+	});
+}
+
+/****************************
+
+signMessage
+Signs the payload fields of a message together with its envelope header.
+Resolves to {k: our signing key, s: signature}, or null without identity keys.
+
+****************************/
+
+function signMessage(headertext, message) {
+	if(identity == null) {
+		return Promise.resolve(null);
+	}
+	var signed = envelopeEncoder.encode(MESSAGE_SIGNATURE_CONTEXT + headertext + "." + JSON.stringify(message));
+	return importIdentity().then(function (keys) {
+		return crypto.subtle.sign({name: "Ed25519"}, keys.sign, signed);
+	}).then(function (signature) {
+		return {k: identity.sign.pub, s: bytesToBase64(new Uint8Array(signature))};
+	});
+}
+
+/****************************
+
+verifyMessage
+Checks payload.sig against the other payload fields, in the order they were sent.
+Resolves to the signing key, rejects when the signature is not valid.
+
+****************************/
+
+function verifyMessage(headertext, payload) {
+	var signature = payload.sig;
+	if(typeof signature.k != "string" || typeof signature.s != "string") {
+		return Promise.reject(new Error("Malformed signature"));
+	}
+	var message = Object.assign({}, payload);
+	delete message.sig;
+	var signed = envelopeEncoder.encode(MESSAGE_SIGNATURE_CONTEXT + headertext + "." + JSON.stringify(message));
+	return crypto.subtle.importKey("raw", base64ToBytes(signature.k), {name: "Ed25519"}, false, ["verify"]).then(function (key) {
+		return crypto.subtle.verify({name: "Ed25519"}, key, base64ToBytes(signature.s), signed);
+	}).then(function (valid) {
+		if(!valid) {
+			throw new Error("Message signature is not valid");
+		}
+		return signature.k;
+	});
+}
@@ -1,222 +1,4 @@
 ﻿/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
-/* SHA-256 (FIPS 180-4) implementation in JavaScript                  (c) Chris Veness 2002-2019  */
-/*                                                                                   MIT Licence  */
-/* www.movable-type.co.uk/scripts/sha256.html                                                     */
-/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
-
-
-/**
- * SHA-256 hash function reference implementation.
- *
- * This is an annotated direct implementation of FIPS 180-4, without any optimisations. It is
- * intended to aid understanding of the algorithm rather than for production use.
- *
- * While it could be used where performance is not critical, I would recommend using the ‘Web
- * Cryptography API’ (developer.mozilla.org/en-US/docs/Web/API/SubtleCrypto/digest) for the browser,
- * or the ‘crypto’ library (nodejs.org/api/crypto.html#crypto_class_hash) in Node.js.
- *
- * See csrc.nist.gov/groups/ST/toolkit/secure_hashing.html
- *     csrc.nist.gov/groups/ST/toolkit/examples.html
- */
-class Sha256 {
-
-    /**
-     * Generates SHA-256 hash of string.
-     *
-     * @param   {string} msg - (Unicode) string to be hashed.
-     * @param   {Object} [options]
-     * @param   {string} [options.msgFormat=string] - Message format: 'string' for JavaScript string
-     *   (gets converted to UTF-8 for hashing); 'hex-bytes' for string of hex bytes ('616263' ≡ 'abc') .
-     * @param   {string} [options.outFormat=hex] - Output format: 'hex' for string of contiguous
-     *   hex bytes; 'hex-w' for grouping hex bytes into groups of (4 byte / 8 character) words.
-     * @returns {string} Hash of msg as hex character string.
-     *
-     * @example
-     *   import Sha256 from './sha256.js';
-     *   const hash = Sha256.hash('abc'); // 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
-     */
-    static hash(msg, options) {
-        const defaults = { msgFormat: 'string', outFormat: 'hex' };
-        const opt = Object.assign(defaults, options);
-
-        // note use throughout this routine of 'n >>> 0' to coerce Number 'n' to unsigned 32-bit integer
-
-        switch (opt.msgFormat) {
-            default: // default is to convert string to UTF-8, as SHA only deals with byte-streams
-            case 'string':   msg = utf8Encode(msg);       break;
-            case 'hex-bytes':msg = hexBytesToString(msg); break; // mostly for running tests
-        }
-
-        // constants [§4.2.2]
-        const K = [
-            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
-            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
-            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
-            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
-            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
-            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
-            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
-            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2 ];
-
-        // initial hash value [§5.3.3]
-        const H = [
-            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19 ];
-
-        // PREPROCESSING [§6.2.1]
-
-        msg += String.fromCharCode(0x80);  // add trailing '1' bit (+ 0's padding) to string [§5.1.1]
-
-        // convert string msg into 512-bit blocks (array of 16 32-bit integers) [§5.2.1]
-        const l = msg.length/4 + 2; // length (in 32-bit integers) of msg + ‘1’ + appended length
-        const N = Math.ceil(l/16);  // number of 16-integer (512-bit) blocks required to hold 'l' ints
-        const M = new Array(N);     // message M is N×16 array of 32-bit integers
-
-        for (let i=0; i<N; i++) {
-            M[i] = new Array(16);
-            for (let j=0; j<16; j++) { // encode 4 chars per integer (64 per block), big-endian encoding
-                M[i][j] = (msg.charCodeAt(i*64+j*4+0)<<24) | (msg.charCodeAt(i*64+j*4+1)<<16)
-                        | (msg.charCodeAt(i*64+j*4+2)<< 8) | (msg.charCodeAt(i*64+j*4+3)<< 0);
-            } // note running off the end of msg is ok 'cos bitwise ops on NaN return 0
-        }
-        // add length (in bits) into final pair of 32-bit integers (big-endian) [§5.1.1]
-        // note: most significant word would be (len-1)*8 >>> 32, but since JS converts
-        // bitwise-op args to 32 bits, we need to simulate this by arithmetic operators
-        const lenHi = ((msg.length-1)*8) / Math.pow(2, 32);
-        const lenLo = ((msg.length-1)*8) >>> 0;
-        M[N-1][14] = Math.floor(lenHi);
-        M[N-1][15] = lenLo;
-
-
-        // HASH COMPUTATION [§6.2.2]
-
-        for (let i=0; i<N; i++) {
-            const W = new Array(64);
-
-            // 1 - prepare message schedule 'W'
-            for (let t=0;  t<16; t++) W[t] = M[i][t];
-            for (let t=16; t<64; t++) {
-                W[t] = (Sha256.σ1(W[t-2]) + W[t-7] + Sha256.σ0(W[t-15]) + W[t-16]) >>> 0;
-            }
-
-            // 2 - initialise working variables a, b, c, d, e, f, g, h with previous hash value
-            let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
-
-            // 3 - main loop (note '>>> 0' for 'addition modulo 2^32')
-            for (let t=0; t<64; t++) {
-                const T1 = h + Sha256.Σ1(e) + Sha256.Ch(e, f, g) + K[t] + W[t];
-                const T2 =     Sha256.Σ0(a) + Sha256.Maj(a, b, c);
-                h = g;
-                g = f;
-                f = e;
-                e = (d + T1) >>> 0;
-                d = c;
-                c = b;
-                b = a;
-                a = (T1 + T2) >>> 0;
-            }
-
-            // 4 - compute the new intermediate hash value (note '>>> 0' for 'addition modulo 2^32')
-            H[0] = (H[0]+a) >>> 0;
-            H[1] = (H[1]+b) >>> 0;
-            H[2] = (H[2]+c) >>> 0;
-            H[3] = (H[3]+d) >>> 0;
-            H[4] = (H[4]+e) >>> 0;
-            H[5] = (H[5]+f) >>> 0;
-            H[6] = (H[6]+g) >>> 0;
-            H[7] = (H[7]+h) >>> 0;
-        }
-
-        // convert H0..H7 to hex strings (with leading zeros)
-        for (let h=0; h<H.length; h++) H[h] = ('00000000'+H[h].toString(16)).slice(-8);
-
-        // concatenate H0..H7, with separator if required
-        const separator = opt.outFormat=='hex-w' ? ' ' : '';
-
-        return H.join(separator);
-
-        /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
-
-        function utf8Encode(str) {
-            try {
-                return new TextEncoder().encode(str, 'utf-8').reduce((prev, curr) => prev + String.fromCharCode(curr), '');
-            } catch (e) { // no TextEncoder available?
-                return unescape(encodeURIComponent(str)); // monsur.hossa.in/2012/07/20/utf-8-in-javascript.html
-            }
-        }
-
-        function hexBytesToString(hexStr) { // convert string of hex numbers to a string of chars (eg '616263' -> 'abc').
-            const str = hexStr.replace(' ', ''); // allow space-separated groups
-            return str=='' ? '' : str.match(/.{2}/g).map(byte => String.fromCharCode(parseInt(byte, 16))).join('');
-        }
-    }
-
-
-
-    /**
-     * Rotates right (circular right shift) value x by n positions [§3.2.4].
-     * @private
-     */
-    static ROTR(n, x) {
-        return (x >>> n) | (x << (32-n));
-    }
-
-
-    /**
-     * Logical functions [§4.1.2].
-     * @private
-     */
-    static Σ0(x) { return Sha256.ROTR(2,  x) ^ Sha256.ROTR(13, x) ^ Sha256.ROTR(22, x); }
-    static Σ1(x) { return Sha256.ROTR(6,  x) ^ Sha256.ROTR(11, x) ^ Sha256.ROTR(25, x); }
-    static σ0(x) { return Sha256.ROTR(7,  x) ^ Sha256.ROTR(18, x) ^ (x>>>3);  }
-    static σ1(x) { return Sha256.ROTR(17, x) ^ Sha256.ROTR(19, x) ^ (x>>>10); }
-    static Ch(x, y, z)  { return (x & y) ^ (~x & z); }          // 'choice'
-    static Maj(x, y, z) { return (x & y) ^ (x & z) ^ (y & z); } // 'majority'
-
-}
-
-
-/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
-
-	
-				var replacementarr={};
-				
-			function loadEmojis() {
-				chrome.storage.local.get(null,function (obj){
-					var mydata = obj;
-					if(obj["emojidata"] != undefined) {
-						replacementarr =  obj["emojidata"];
-					}
-					replacementarr[":joy:"] = '<img src="/assets/cae9e3b02af6e987442df2953de026fc.svg" aria-label=":joy:" alt=":joy:" draggable="false" class="emoji jumboable">';
-					replacementarr[":frowning2:"] = '<img src="/assets/b61c4e14e90e796e36f0d10792fcc505.svg" aria-label=":frowning2:" alt=":frowning2:" draggable="false" class="emoji jumboable">';
-					replacementarr[":money_mouth:"] = '<img src="/assets/5cdb67d23b259628f475e663ef9907e7.svg" aria-label=":money_mouth:" alt=":money_mouth:" draggable="false" class="emoji jumboable">';
-					replacementarr[":smile:"] = '<img src="/assets/f0835a46b501ae0a182874b003fdbb65.svg" aria-label=":smile:" alt=":smile:" draggable="false" class="emoji jumboable">';
-					replacementarr[":sunglasses:"] = '<img src="/assets/d0df7bf4acd843defa4e417cf767a574.svg" aria-label=":sunglasses:" alt=":sunglasses:" draggable="false" class="emoji jumboable">';
-					replacementarr[":heart_eyes:"] = '<img src="/assets/7e4f6dcf32845bfa865cf17491faf867.svg" aria-label=":heart_eyes:" alt=":heart_eyes:" draggable="false" class="emoji jumboable">';
-					replacementarr[":heart:"] = '<img src="/assets/dcbf6274f0ce0f393d064a72db2c8913.svg" aria-label=":heart:" alt=":heart:" draggable="false" class="emoji jumboable">';
-					replacementarr[":sob:"] = '<img src="/assets/4dc13fd52f691020a1308c5b6cbc6f49.svg" aria-label=":sob:" alt=":sob:" draggable="false" class="emoji jumboable">';
-					replacementarr[":thumbsup:"] = '<img src="/assets/2af915882260fdb89538d1610e1d9baa.svg" aria-label=":thumbsup:" alt=":thumbsup:" draggable="false" class="emoji jumboable">';
-					replacementarr[":ok_hand:"] = '<img src="/assets/b6f700d4bc253abdb5ad576917b756d8.svg" aria-label=":ok_hand:" alt=":ok_hand:" draggable="false" class="emoji jumboable">';
-					replacementarr[":ingves_guld:"] = '<img aria-label=":ingves_guld:" src="https://cdn.discordapp.com/emojis/586594745711591425.png?v=1" alt=":ingves_guld:" draggable="false" class="emoji jumboable">';
-					replacementarr[":ingves_concerned:"] = '<img aria-label=":ingves_concerned:" src="https://cdn.discordapp.com/emojis/586595195701821475.png?v=1" alt=":ingves_concerned:" draggable="false" class="emoji jumboable">';
-					replacementarr[":cry:"] = '<img src="/assets/2a6e66e7de157c4051fb7abf7d8b0063.svg" aria-label=":cry:" alt=":cry:" draggable="false" class="emoji jumboable">';
-					replacementarr[":thinking:"] = '<img src="/assets/53ef346458017da2062aca5c7955946b.svg" aria-label=":thinking:" alt=":thinking:" draggable="false" class="emoji jumboable">';
-					replacementarr[":broken_heart:"] = '<img src="/assets/8fee3f6705505729fea8c7379934d794.svg" aria-label=":broken_heart:" alt=":broken_heart:" draggable="false" class="emoji jumboable">';
-					replacementarr[":grimacing:"] = '<img src="/assets/be0923fd964bff1a6ea77c14fe227a63.svg" aria-label=":grimacing:" alt=":grimacing:" draggable="false" class="emoji jumboable">';
-					replacementarr[":pensive:"] = '<img src="/assets/f1f76882104c8724124954b6edfed6d4.svg" aria-label=":pensive:" alt=":pensive:" draggable="false" class="emoji jumboable">';
-					replacementarr[":money_with_wings:"] = '<img src="/assets/630828f0eaa647bf465b3b903b0dbc5f.svg" aria-label=":money_with_wings:" alt=":money_with_wings:" draggable="false" class="emoji jumboable">';
-					replacementarr[":moneybag:"] = '<img src="/assets/ccebe0b729ff7530c5e37dbbd9f9938c.svg" aria-label=":moneybag:" alt=":moneybag:" draggable="false" class="emoji jumboable">';
-					replacementarr[":clown:"] = '<img src="/assets/1beee7912bb5016975747a3086794957.svg" aria-label=":clown:" alt=":clown:" draggable="false" class="emoji jumboable">';
-					replacementarr[":smiley:"] = '<img src="/assets/b731b88b6459090c02b8d1e31a552c5a.svg" aria-label=":smiley:" alt=":smiley:" draggable="false" class="emoji jumboable">';
-					replacementarr[":scream:"] = '<img src="/assets/9bd8b85559466379744360f8c9841f39.svg" aria-label=":scream:" alt=":scream:" draggable="false" class="emoji jumboable">';
-					replacementarr[":wave:"] = '<img src="/assets/593c4a3437fbb5b89fbb148f7b96424d.svg" aria-label=":wave:" alt=":wave:" draggable="false" class="emoji jumboable">';
-					
-					
-				});
-			}
-			
-			loadEmojis();
-			
-/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 
 function saveChrome(key, value){
@@ -244,274 +26,526 @@ function loadChrome(key, f){
 	return returnvalue;
 }
 
-/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/****************************
 
-			
-var vaporStyle = `
+Theme
+The styles of themes.js, changed right away when the options page changes them.
 
+****************************/
 
-    /*..theme-dark .markup-2BOw-j { color: #bebebe; }
-	
-	containerCozyBounded-1rKFAn {  opacity:0.4;}*/
-	
-	
-	//META{"name":"Chloe","description":"~Chloe theme~ Please use the support server listed below if you need any help.","author":"Satoru","version":"1.1.1","website":"http://discord.gg/fjvwb95"}*//{}
+function loadTheme() {
+	chrome.storage.local.get(["theme", "vapormode", "customcss"], function (obj) {
+		applyTheme(document, readTheme(obj), obj["customcss"]);
+	});
+}
 
-@import url('https://satoru8.github.io/Collection/Base.css');
-@import url('https://satoru8.github.io/Addons/GlowStatus.css');
+loadTheme();
+ 
+ 
+  
+var platform = platformFor(window.location.href); // adapter of the chat this page is, see platforms.js
+var passphrase ="";
+var passphrases = []; // every candidate passphrase for this channel, active one first
+var legacypassphrases = []; // passphrases of older versions, only tried on legacy messages, see legacyPassphrases
+var haskeys = false; // a server key is set for this channel, see showFailure
+var hotkey = DEFAULT_HOTKEY; // opens the compose box, see hotkey.js
+var messagelifetime = 0; // default lifetime in seconds for this channel, 0 = never expires
+var messageoptions = {compress: false, pad: false}; // how messages in this channel are prepared, see sealEnvelope
+var QUICK_LIFETIME = 3600; // lifetime when encrypting with Alt + hotkey
+var peerkey; // published keys {dh, sign} of the other side of this direct message, see identity.js
+var trusted = {}; // username -> {key, first}, signing keys seen first for each user
+var serverchannelkey; //hash of channel and serverkey
+var url;
+var serverurl, channelurl; // storage keys of the key rings of this channel, see channelRoute
+var passphraseIsSet=false;
+var vaultlocked=false; // the keys are in a locked vault, see vault.js
+var usedrings = []; // storage keys of the key rings behind passphrase, see markKeysUsed
+var keyused = {}; // storage key of a key ring -> when it was last used, shown on the options page
+var KEY_USED_RESOLUTION = 60000; // ms, "keyused" is written at most this often per key ring
+// Storage keys that do not affect the passphrase, see storage.onChanged below
+var SETTINGS_KEYS = ["vapormode", "theme", "customcss", "hotkey", "keynames", "keylabels", "keyused", "vaultidle", "embeds", "embeddomains", "trust", "identity"];
+var SETTINGS_PREFIXES = ["peerkey:", "verified:"];
+var passphrasecontext=null; // url and channel name the passphrase was derived for
 
-:root { 
-	--light: rgba(0, 0, 0, .0); 		/* Overall brightness. 1= black, 0 = transparent */
-	--userlight:rgba(0, 0, 0, 0.2) ;		/* Brightness for the userpopouts */
-	--homeIcon: url('') ;
 
 
-	--mc: rgba(44, 104, 96, 0.8);		/* Main colour. Larger items, backgrounds. */
-	--sc: rgba(214, 67, 69, 0.8);		/* Accent/Secondary colour. Borders, notifications & such.  */
-	--bc: rgba(214, 67, 69, 0.8);       /* All borders/box shadows. You should match this to your mc or sc colour. */
+/****************************
 
-	--round: 50%;                          /* Overall Icon roundness */
-	
-	--font: Consolas,Liberation Mono,Menlo,Courier,monospace; /* Discord default - Whitney,Helvetica Neue,Helvetica,Arial,sans-serif  */
-	--fontSize: 13px;
-	--textColour: #fff;
+setPassphrase
+Derives the passphrase for the current channel from the stored keys.
+It is bound to the guild and channel ids, not to the channel name or domain.
+Only runs when the channel or the stored keys change, the result is kept in passphrase.
+passphrases holds one passphrase for every combination of usable server and
+channel keys, so messages sent before a key rotation can still be decrypted.
+Queues every message for decryption once the passphrase is ready,
+or to be shown as locked when the keys are in a locked vault.
 
-	--block: none;                        /* Show/Hide blocked msgs */
+****************************/
 
-	--sGlow: 5px 2px; /* Blur/Thickness Default: 5px 2px */
+function getChannelTitle() {
+	return platform.channelTitle();
+}
 
-    --online: #43b581;
-    --offline: #747f8d;
-    --idle: #faa61a;
-    --stream: #593695;
-    --dnd: #f04747;
-    --invis: #1a36fa;
+function getGuildName() {
+	return platform.guildTitle();
 }
 
-#app-mount {background: url('https://i.imgur.com/bJmSzmP.jpg') center/cover no-repeat}
-.userPopout-3XzG_A {background: url('http://i.pinimg.com/736x/96/9a/5a/969a5a5c2a430deede193bf5cff0aef4.jpg') center/cover no-repeat}
+// Route of the open channel, with an alias in the url resolved by the page, see resolve in platforms.js
+function getChannelRoute() {
+	var ids = platform.ids(window.location.href);
+	if(ids != null && platform.resolve != undefined) ids = platform.resolve(ids);
+	return ids == null ? null : routeFromIds(ids.guild, ids.channel);
+}
 
-/*,#app-mount .channels-Ie2l6A 
-#app-mount .wrapper-1Rf91z , .membersWrap-2h-GB4 {
-background-color: #1a1a1d !important;
+function getChannelContext() {
+	var title = getChannelTitle();
+	var route = getChannelRoute();
+	return window.location.href + "\n" + (route == null ? "" : route.channelurl) + "\n" + (title == undefined ? "" : title.textContent);
 }
- 
 
-*/
+function setPassphrase() {
+	var route = getChannelRoute();
+	var context = getChannelContext();
+	passphrasecontext = context;
+	passphraseIsSet = false; // hold back decryption until the keys of this channel are loaded
+	if(route == null) return; // not in a channel
+	var title = getChannelTitle();
+	var channelname = title == undefined ? null : title.innerText;
+
+readKeyStore(function (obj, locked){
+	if(context != passphrasecontext) return; // channel changed while keys were loading
+	vaultlocked = locked;
+	if(locked) {
+		queueAllMessages();
+		return;
+	}
+	
+	url = route.legacychannelurl;
+	serverurl = route.serverurl;
+	channelurl = route.channelurl;
+	var serverkeys = usableKeys(loadKeyRing(obj, serverurl, route.legacyserverurl));
+	var channelkeys = usableKeys(loadKeyRing(obj, channelurl, route.legacychannelurl));
+	haskeys = serverkeys.length > 0;
+	if(serverkeys.length == 0) serverkeys = [""];
+	channelkeys.push(""); // the channel password is optional, messages may have been sent without one
+	messagelifetime = obj["lifetime:" + channelurl] == undefined ? 0 : Number(obj["lifetime:" + channelurl]);
+	messageoptions = {compress: obj["compress:" + channelurl] == "true", pad: obj["padding:" + channelurl] == "true"};
+	setIdentity(obj["identity"]);
+	trusted = obj["trust"] == undefined ? {} : obj["trust"];
+	keyused = obj["keyused"] == undefined ? {} : obj["keyused"];
+	usedrings = [keyRingName(obj, serverurl, route.legacyserverurl), keyRingName(obj, channelurl, route.legacychannelurl)].filter(function (name) { return name != null; });
+	rememberNames(obj, route, channelname);
+	peerkey = isDirectMessage(channelurl) ? obj["peerkey:" + channelurl] : undefined;
+	passphrases = channelPassphrases(route, serverkeys, channelkeys);
+	legacypassphrases = legacyPassphrases(route, serverkeys, channelkeys, channelname);
+	passphrase = passphrases[0]; // active keys
+	passphraseIsSet = true;
+	queueAllMessages(); 
+
+}, route);
+	
+}
 
+/****************************
 
-#app-mount .channels-Ie2l6A .name-3_Dsmg {
-    color: #fff;
-}
+channelPassphrases
+Every passphrase messages in the channel of route may be encrypted with, one for
+every combination of serverkeys and channelkeys, in that order.
 
-#app-mount .chat-3bRxxu .wrapper-3WhCwL,#app-mount  .username-_4ZSMR {
-	    text-shadow: none !important;
-}
+legacyPassphrases
+The same for the legacy messages of older versions, which bound the key to the
+channel name and the discordapp.com url. Only tried on those messages, and only
+while the name is unchanged.
 
-#app-mount  .username-_4ZSMR, .dividerContent-2L12VI {
-	color:white !important;
-}
-.theme-dark .topic-TCb_qw {
-    color: #ffffff;
-}
-.modeUnread-1zpFdA {
-    background-color: #0000007a;
-    border-radius: 10px;
-	margin-top:8px;
-}
+****************************/
 
+function channelPassphrases(route, serverkeys, channelkeys) {
+	var built = [];
+	for (var s=0; s < serverkeys.length; s++) {
+		for (var c=0; c < channelkeys.length; c++) {
+			built.push(stablePassphrase(route, serverkeys[s], channelkeys[c]));
+		}
+	}
+	return built;
+}
 
-.modeUnread-1zpFdA:hover {
-    background-color: #ffffff00;
+function legacyPassphrases(route, serverkeys, channelkeys, channelname) {
+	var built = [];
+	if(channelname != null && route.legacychannelurl != null) {
+		for (var s=0; s < serverkeys.length; s++) {
+			for (var c=0; c < channelkeys.length; c++) {
+				built.push(Sha256.hash(channelname + route.legacychannelurl + serverkeys[s] + channelkeys[c] + CLIENT_SIDE_SALT));
+			}
+		}
+	}
+	return built;
 }
 
-#app-mount .channels-Ie2l6A .wrapper-1ucjTd.modeUnread-1zpFdA .name-3_Dsmg, #app-mount .channels-Ie2l6A .modeUnread-1zpFdA .icon-1_QxNX {
-        color: #fff;
+/****************************
 
-}
+rememberNames
+Saves the server and channel names for key rings that have keys, under "keynames",
+so the options page can label them.
 
+****************************/
 
-.theme-dark .markup-2BOw-j a {
-    color: #f5ff00;
-    background-color: black;
+function rememberNames(obj, route, channelname) {
+	var names = obj["keynames"] == undefined ? {} : obj["keynames"];
+	var guild = getGuildName();
+	var seen = {};
+	if(guild != undefined && keyRingName(obj, route.serverurl, route.legacyserverurl) != null) {
+		seen[route.serverurl] = guild.textContent;
+	}
+	if(channelname != null && keyRingName(obj, route.channelurl, route.legacychannelurl) != null) {
+		seen[route.channelurl] = channelname;
+	}
+	var changed = false;
+	for (var name in seen) {
+		if(names[name] != seen[name]) {
+			names[name] = seen[name];
+			changed = true;
+		}
+	}
+	if(changed) {
+		saveChrome("keynames", names);
+	}
 }
 
-.containerCozyBounded-1rKFAn {
-    background-color: #000000a3;
-	max-width:500px;
-	margin-bottom:20px;
+// Notes that the keys of this channel were just used
+function markKeysUsed() {
+	var now = Date.now();
+	var changed = false;
+	for (var i = 0; i < usedrings.length; i++) {
+		if(keyused[usedrings[i]] == undefined || now - keyused[usedrings[i]] > KEY_USED_RESOLUTION) {
+			keyused[usedrings[i]] = now;
+			changed = true;
+		}
+	}
+	if(changed) {
+		saveChrome("keyused", keyused);
+	}
 }
 
-#app-mount .encryptedMessageContainer {
-    background-color: black;
-    border: 1px solid rgb(255, 0, 102);
-	max-width:500px;
-	margin-top:20px;
-	margin-bottom:20px;
+function isDirectMessage(channelurl) {
+	return channelurl.indexOf("channel:@me/") == 0;
 }
 
-#app-mount .widermessage {
-	max-width:800px;
+function checkChannelChanged() {
+	if(getChannelContext() != passphrasecontext) {
+		resetComposer(); // the ciphertext belongs to the old channel, Discord keeps it there as a draft
+		messageparts = {};
+		setPassphrase();
+	}
 }
 
-#app-mount .evenwidermessage {
-	max-width:90%;
-}
+window.addEventListener("popstate", checkChannelChanged);
+window.addEventListener("hashchange", checkChannelChanged); // Element and Telegram keep the channel in the hash
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+	if(area != "local") return;
+	if(changes["hotkey"] != undefined) {
+		hotkey = readHotkey(changes["hotkey"].newValue);
+	}
+	if(changes["theme"] != undefined || changes["customcss"] != undefined) {
+		loadTheme();
+	}
+	if(changes["embeds"] != undefined || changes["embeddomains"] != undefined) {
+		chrome.storage.local.get(["embeds", "embeddomains"], readEmbedSettings);
+	}
+	if(changes["trust"] != undefined) {
+		trusted = changes["trust"].newValue == undefined ? {} : changes["trust"].newValue;
+	}
+	if(changes["identity"] != undefined) {
+		setIdentity(changes["identity"].newValue);
+	}
+	if(channelurl != undefined && changes["peerkey:" + channelurl] != undefined && isDirectMessage(channelurl)) {
+		peerkey = changes["peerkey:" + channelurl].newValue;
+	}
+	for (var key in changes) {
+		if(!isSettingsKey(key)) { // only keys affect the passphrase
+			setPassphrase();
+			return;
+		}
+	}
+});
 
-#app-mount .containsImage {
-		max-width:90%;
-background-color: #ffffff00;
+function isSettingsKey(key) {
+	return SETTINGS_KEYS.indexOf(key) != -1 || SETTINGS_PREFIXES.some(function (prefix) { return key.indexOf(prefix) == 0; });
 }
 
+loadChrome("hotkey", function (stored) {
+	hotkey = readHotkey(stored);
+});
+
+chrome.storage.local.get(["embeds", "embeddomains"], readEmbedSettings);
 
+/* Sha256 and CryptoJS come from sha256.js and cryptojs.js, see manifest.json */
+/****************************
 
+Composer
+Plaintext is never typed into the chat's own editor, where drafts and typing
+events would see it. The hotkey opens a compose box of our own over the chat's,
+the message is encrypted there and only the ciphertext is put into the chat's
+editor, with the input events its editor listens to, see composer in platforms.js.
+The compose box is part of the page: it keeps the plaintext away from the chat's
+editor, not from scripts running on the page.
 
+composerstate is
+	"idle"        the chat's editor is used as usual
+	"composing"   our compose box is open
+	"encrypting"  the message is being encrypted
+	"ready"       the ciphertext is in the chat's editor, Enter or the send button sends it
+While ready, keys that would change the ciphertext are held back.
+Escape or Backspace take the ciphertext out and bring the plaintext back.
 
-`
+Ciphertext longer than Discord allows is split, see splitMessage. The parts
+are put into the chat's editor one after the other, each sent with Enter.
 
+****************************/
 
-var defaultStyle = `
+var composerstate = "idle";
+var composerplaintext = null; // kept while ready, so the message can be edited again
+var composerparts = []; // parts still to send after the one in the chat's editor
+var PART_SEND_DELAY = 250; // ms for the chat to send a part and empty its editor
+var composeoverlay = null; // {container, input}, created on first use
 
-.encryptedMessageContainer {
-	overflow: hidden;
-    background-color: #2f3136;
-    border-left: 1px solid #484c52;
+function getComposer() {
+	return platform.composer();
 }
 
-`
+function getComposerText(composer) {
+	if(composer.tagName == "TEXTAREA") return composer.value;
+	return composer.innerText.replace(/\uFEFF/g, ""); // Slate fills empty lines with zero width chars
+}
 
+/****************************
 
+setComposerValue
+Replaces the content of the chat's editor the way typing would.
+A textarea gets an input event. Contenteditable editors, like Discord's Slate editor,
+get a beforeinput event for the whole content, or execCommand when nothing handled that event.
 
-function vaporWaveMode() {
-	chrome.storage.local.get(null,function (obj){
-		var mydata = obj;
-		if(obj["vapormode"] != undefined) {
-				var styleSheet = document.createElement("style");
-				styleSheet.type = "text/css";
-			if(obj["vapormode"] == "true") {
-				styleSheet.innerText = vaporStyle;
-			} else {
-				styleSheet.innerText = defaultStyle;
-			}
-				document.head.appendChild(styleSheet);
+****************************/
+
+function setComposerValue(composer, value) {
+	if(composer.tagName == "TEXTAREA") {
+		composer.value = value;
+		composer.dispatchEvent(new Event("input", {bubbles: true}));
+		return;
+	}
+	composer.focus();
+	window.getSelection().selectAllChildren(composer);
+	var inputtype = value == "" ? "deleteContentBackward" : "insertText";
+	var event = new InputEvent("beforeinput", {inputType: inputtype, data: value == "" ? null : value, bubbles: true, cancelable: true});
+	if(composer.dispatchEvent(event)) {
+		document.execCommand(value == "" ? "delete" : "insertText", false, value);
+	}
+}
+
+function createComposeOverlay() {
+	var container = document.createElement("div");
+	container.className = "xkrCompose";
+	var input = document.createElement("textarea");
+	input.className = "xkrComposeInput";
+	input.rows = 1;
+	var hint = document.createElement("div");
+	hint.className = "xkrComposeHint";
+	container.appendChild(input);
+	container.appendChild(hint);
+	document.body.appendChild(container);
+
+	// Keep Discord's own shortcuts away from what is typed here
+	["keydown", "keypress", "keyup", "input", "paste"].forEach(function (type) {
+		input.addEventListener(type, function (event) { event.stopPropagation(); });
+	});
+	input.addEventListener("keydown", function (event) {
+		if(event.key == "Escape") {
+			event.preventDefault();
+			closeCompose();
+		} else if((event.key == "Enter" && !event.shiftKey) || matchesHotkey(event, hotkey)) {
+			event.preventDefault();
+			encryptComposer(event.altKey && !hotkey.alt ? QUICK_LIFETIME : messagelifetime);
 		}
-		
 	});
+	input.addEventListener("input", fitComposeInput);
+	return {container: container, input: input, hint: hint};
 }
 
-/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+function showComposeHint(text) {
+	composeoverlay.hint.textContent = text == undefined ? "Encrypted message. Enter encrypts, Shift+Enter starts a new line, Esc closes." : text;
+}
 
- vaporWaveMode();
- 
- 
-  
-var passphrase ="";
-var stopkey = "§"; 
-var serverchannelkey; //hash of channel and serverkey
-var url;
+function fitComposeInput() {
+	composeoverlay.input.style.height = "auto";
+	composeoverlay.input.style.height = composeoverlay.input.scrollHeight + "px";
+}
 
+// Anchored to the bottom of Discord's message box, grows upwards while typing
+function positionCompose() {
+	var composer = getComposer();
+	if(composeoverlay == null || composer == undefined) return;
+	var anchor = composer.closest("form") || composer;
+	var rect = anchor.getBoundingClientRect();
+	composeoverlay.container.style.left = rect.left + "px";
+	composeoverlay.container.style.width = rect.width + "px";
+	composeoverlay.container.style.bottom = (window.innerHeight - rect.bottom) + "px";
+	composeoverlay.container.style.minHeight = rect.height + "px";
+}
 
+window.addEventListener("resize", positionCompose);
 
-function setPassphrase() {
+/****************************
 
-chrome.storage.local.get(null,function (obj){
-	
-	url = window.location.href;
-	url = url.replace('https://','');
-	urlarr = url.split("/");
-	serverurl = urlarr[0] + "/" + urlarr[1] + "/" + urlarr[2];
-	channelurl = url;	
-	serverkey = obj[serverurl];
-	channelkey = obj[channelurl];
-	if(serverkey == undefined) serverkey="";
-	if(channelkey == undefined) channelkey="";
-	var channelname = (document.getElementsByClassName("title-29uC1r")[0]).innerText;
-	var retardedClientSideSalt = "9AK0Q4Ga0o";
-	passphrase = Sha256.hash(channelname + url + serverkey + channelkey + retardedClientSideSalt);
-	//passphrase = Sha256.hash(serverkey + channelkey);
-	//console.log(channelname);
-	decryptMessages(); 
+openCompose
+Opens the compose box and adds text to what is already in it. Text already
+typed into the chat's editor is moved over, so it does not stay in its draft.
+Closing the box keeps its text until the channel changes.
+While the keys are locked, the box only says so for a moment.
 
-});
+****************************/
 
+var LOCKED_COMPOSE_NOTE = "Your keys are locked. Unlock them in the popup to write encrypted messages.";
+var LOCKED_COMPOSE_TIME = 4000; // ms the note stays
 
-	
+function openCompose(text) {
+	var composer = getComposer();
+	if(composer == undefined) return; // not in a channel
+	if(composeoverlay == null) {
+		composeoverlay = createComposeOverlay();
+	}
+	if(vaultlocked) {
+		showLockedCompose();
+		return;
+	}
+	if(!passphraseIsSet) return; // its keys are not loaded yet
+	composeoverlay.input.disabled = false;
+	var draft = getComposerText(composer);
+	if(draft.trim() != "") {
+		setComposerValue(composer, "");
+	}
+	var parts = [composeoverlay.input.value, text, draft].filter(function (part) { return part.trim() != ""; });
+	composeoverlay.input.value = parts.join("\n");
+	showComposeHint();
+	composerstate = "composing";
+	composeoverlay.container.classList.add("open");
+	positionCompose();
+	fitComposeInput();
+	composeoverlay.input.focus();
 }
 
-/* CRYPTO LIBRARIES */
+function showLockedCompose() {
+	composeoverlay.input.disabled = true;
+	showComposeHint(LOCKED_COMPOSE_NOTE);
+	composeoverlay.container.classList.add("open");
+	positionCompose();
+	setTimeout(function () {
+		if(composerstate == "idle") closeCompose();
+	}, LOCKED_COMPOSE_TIME);
+}
 
+function closeCompose() {
+	if(composeoverlay != null) {
+		composeoverlay.container.classList.remove("open");
+	}
+	if(composerstate == "composing") {
+		composerstate = "idle";
+		var composer = getComposer();
+		if(composer != undefined) composer.focus();
+	}
+}
 
-/*
-CryptoJS v3.1.2
-code.google.com/p/crypto-js
-(c) 2009-2013 by Jeff Mott. All rights reserved.
-code.google.com/p/crypto-js/wiki/License
-*/
-var CryptoJS=CryptoJS||function(u,p){var d={},l=d.lib={},s=function(){},t=l.Base={extend:function(a){s.prototype=this;var c=new s;a&&c.mixIn(a);c.hasOwnProperty("init")||(c.init=function(){c.$super.init.apply(this,arguments)});c.init.prototype=c;c.$super=this;return c},create:function(){var a=this.extend();a.init.apply(a,arguments);return a},init:function(){},mixIn:function(a){for(var c in a)a.hasOwnProperty(c)&&(this[c]=a[c]);a.hasOwnProperty("toString")&&(this.toString=a.toString)},clone:function(){return this.init.prototype.extend(this)}},
-r=l.WordArray=t.extend({init:function(a,c){a=this.words=a||[];this.sigBytes=c!=p?c:4*a.length},toString:function(a){return(a||v).stringify(this)},concat:function(a){var c=this.words,e=a.words,j=this.sigBytes;a=a.sigBytes;this.clamp();if(j%4)for(var k=0;k<a;k++)c[j+k>>>2]|=(e[k>>>2]>>>24-8*(k%4)&255)<<24-8*((j+k)%4);else if(65535<e.length)for(k=0;k<a;k+=4)c[j+k>>>2]=e[k>>>2];else c.push.apply(c,e);this.sigBytes+=a;return this},clamp:function(){var a=this.words,c=this.sigBytes;a[c>>>2]&=4294967295<<
-32-8*(c%4);a.length=u.ceil(c/4)},clone:function(){var a=t.clone.call(this);a.words=this.words.slice(0);return a},random:function(a){for(var c=[],e=0;e<a;e+=4)c.push(4294967296*u.random()|0);return new r.init(c,a)}}),w=d.enc={},v=w.Hex={stringify:function(a){var c=a.words;a=a.sigBytes;for(var e=[],j=0;j<a;j++){var k=c[j>>>2]>>>24-8*(j%4)&255;e.push((k>>>4).toString(16));e.push((k&15).toString(16))}return e.join("")},parse:function(a){for(var c=a.length,e=[],j=0;j<c;j+=2)e[j>>>3]|=parseInt(a.substr(j,
-2),16)<<24-4*(j%8);return new r.init(e,c/2)}},b=w.Latin1={stringify:function(a){var c=a.words;a=a.sigBytes;for(var e=[],j=0;j<a;j++)e.push(String.fromCharCode(c[j>>>2]>>>24-8*(j%4)&255));return e.join("")},parse:function(a){for(var c=a.length,e=[],j=0;j<c;j++)e[j>>>2]|=(a.charCodeAt(j)&255)<<24-8*(j%4);return new r.init(e,c)}},x=w.Utf8={stringify:function(a){try{return decodeURIComponent(escape(b.stringify(a)))}catch(c){throw Error("Malformed UTF-8 data");}},parse:function(a){return b.parse(unescape(encodeURIComponent(a)))}},
-q=l.BufferedBlockAlgorithm=t.extend({reset:function(){this._data=new r.init;this._nDataBytes=0},_append:function(a){"string"==typeof a&&(a=x.parse(a));this._data.concat(a);this._nDataBytes+=a.sigBytes},_process:function(a){var c=this._data,e=c.words,j=c.sigBytes,k=this.blockSize,b=j/(4*k),b=a?u.ceil(b):u.max((b|0)-this._minBufferSize,0);a=b*k;j=u.min(4*a,j);if(a){for(var q=0;q<a;q+=k)this._doProcessBlock(e,q);q=e.splice(0,a);c.sigBytes-=j}return new r.init(q,j)},clone:function(){var a=t.clone.call(this);
-a._data=this._data.clone();return a},_minBufferSize:0});l.Hasher=q.extend({cfg:t.extend(),init:function(a){this.cfg=this.cfg.extend(a);this.reset()},reset:function(){q.reset.call(this);this._doReset()},update:function(a){this._append(a);this._process();return this},finalize:function(a){a&&this._append(a);return this._doFinalize()},blockSize:16,_createHelper:function(a){return function(b,e){return(new a.init(e)).finalize(b)}},_createHmacHelper:function(a){return function(b,e){return(new n.HMAC.init(a,
-e)).finalize(b)}}});var n=d.algo={};return d}(Math);
-(function(){var u=CryptoJS,p=u.lib.WordArray;u.enc.Base64={stringify:function(d){var l=d.words,p=d.sigBytes,t=this._map;d.clamp();d=[];for(var r=0;r<p;r+=3)for(var w=(l[r>>>2]>>>24-8*(r%4)&255)<<16|(l[r+1>>>2]>>>24-8*((r+1)%4)&255)<<8|l[r+2>>>2]>>>24-8*((r+2)%4)&255,v=0;4>v&&r+0.75*v<p;v++)d.push(t.charAt(w>>>6*(3-v)&63));if(l=t.charAt(64))for(;d.length%4;)d.push(l);return d.join("")},parse:function(d){var l=d.length,s=this._map,t=s.charAt(64);t&&(t=d.indexOf(t),-1!=t&&(l=t));for(var t=[],r=0,w=0;w<
-l;w++)if(w%4){var v=s.indexOf(d.charAt(w-1))<<2*(w%4),b=s.indexOf(d.charAt(w))>>>6-2*(w%4);t[r>>>2]|=(v|b)<<24-8*(r%4);r++}return p.create(t,r)},_map:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/="}})();
-(function(u){function p(b,n,a,c,e,j,k){b=b+(n&a|~n&c)+e+k;return(b<<j|b>>>32-j)+n}function d(b,n,a,c,e,j,k){b=b+(n&c|a&~c)+e+k;return(b<<j|b>>>32-j)+n}function l(b,n,a,c,e,j,k){b=b+(n^a^c)+e+k;return(b<<j|b>>>32-j)+n}function s(b,n,a,c,e,j,k){b=b+(a^(n|~c))+e+k;return(b<<j|b>>>32-j)+n}for(var t=CryptoJS,r=t.lib,w=r.WordArray,v=r.Hasher,r=t.algo,b=[],x=0;64>x;x++)b[x]=4294967296*u.abs(u.sin(x+1))|0;r=r.MD5=v.extend({_doReset:function(){this._hash=new w.init([1732584193,4023233417,2562383102,271733878])},
-_doProcessBlock:function(q,n){for(var a=0;16>a;a++){var c=n+a,e=q[c];q[c]=(e<<8|e>>>24)&16711935|(e<<24|e>>>8)&4278255360}var a=this._hash.words,c=q[n+0],e=q[n+1],j=q[n+2],k=q[n+3],z=q[n+4],r=q[n+5],t=q[n+6],w=q[n+7],v=q[n+8],A=q[n+9],B=q[n+10],C=q[n+11],u=q[n+12],D=q[n+13],E=q[n+14],x=q[n+15],f=a[0],m=a[1],g=a[2],h=a[3],f=p(f,m,g,h,c,7,b[0]),h=p(h,f,m,g,e,12,b[1]),g=p(g,h,f,m,j,17,b[2]),m=p(m,g,h,f,k,22,b[3]),f=p(f,m,g,h,z,7,b[4]),h=p(h,f,m,g,r,12,b[5]),g=p(g,h,f,m,t,17,b[6]),m=p(m,g,h,f,w,22,b[7]),
-f=p(f,m,g,h,v,7,b[8]),h=p(h,f,m,g,A,12,b[9]),g=p(g,h,f,m,B,17,b[10]),m=p(m,g,h,f,C,22,b[11]),f=p(f,m,g,h,u,7,b[12]),h=p(h,f,m,g,D,12,b[13]),g=p(g,h,f,m,E,17,b[14]),m=p(m,g,h,f,x,22,b[15]),f=d(f,m,g,h,e,5,b[16]),h=d(h,f,m,g,t,9,b[17]),g=d(g,h,f,m,C,14,b[18]),m=d(m,g,h,f,c,20,b[19]),f=d(f,m,g,h,r,5,b[20]),h=d(h,f,m,g,B,9,b[21]),g=d(g,h,f,m,x,14,b[22]),m=d(m,g,h,f,z,20,b[23]),f=d(f,m,g,h,A,5,b[24]),h=d(h,f,m,g,E,9,b[25]),g=d(g,h,f,m,k,14,b[26]),m=d(m,g,h,f,v,20,b[27]),f=d(f,m,g,h,D,5,b[28]),h=d(h,f,
-m,g,j,9,b[29]),g=d(g,h,f,m,w,14,b[30]),m=d(m,g,h,f,u,20,b[31]),f=l(f,m,g,h,r,4,b[32]),h=l(h,f,m,g,v,11,b[33]),g=l(g,h,f,m,C,16,b[34]),m=l(m,g,h,f,E,23,b[35]),f=l(f,m,g,h,e,4,b[36]),h=l(h,f,m,g,z,11,b[37]),g=l(g,h,f,m,w,16,b[38]),m=l(m,g,h,f,B,23,b[39]),f=l(f,m,g,h,D,4,b[40]),h=l(h,f,m,g,c,11,b[41]),g=l(g,h,f,m,k,16,b[42]),m=l(m,g,h,f,t,23,b[43]),f=l(f,m,g,h,A,4,b[44]),h=l(h,f,m,g,u,11,b[45]),g=l(g,h,f,m,x,16,b[46]),m=l(m,g,h,f,j,23,b[47]),f=s(f,m,g,h,c,6,b[48]),h=s(h,f,m,g,w,10,b[49]),g=s(g,h,f,m,
-E,15,b[50]),m=s(m,g,h,f,r,21,b[51]),f=s(f,m,g,h,u,6,b[52]),h=s(h,f,m,g,k,10,b[53]),g=s(g,h,f,m,B,15,b[54]),m=s(m,g,h,f,e,21,b[55]),f=s(f,m,g,h,v,6,b[56]),h=s(h,f,m,g,x,10,b[57]),g=s(g,h,f,m,t,15,b[58]),m=s(m,g,h,f,D,21,b[59]),f=s(f,m,g,h,z,6,b[60]),h=s(h,f,m,g,C,10,b[61]),g=s(g,h,f,m,j,15,b[62]),m=s(m,g,h,f,A,21,b[63]);a[0]=a[0]+f|0;a[1]=a[1]+m|0;a[2]=a[2]+g|0;a[3]=a[3]+h|0},_doFinalize:function(){var b=this._data,n=b.words,a=8*this._nDataBytes,c=8*b.sigBytes;n[c>>>5]|=128<<24-c%32;var e=u.floor(a/
-4294967296);n[(c+64>>>9<<4)+15]=(e<<8|e>>>24)&16711935|(e<<24|e>>>8)&4278255360;n[(c+64>>>9<<4)+14]=(a<<8|a>>>24)&16711935|(a<<24|a>>>8)&4278255360;b.sigBytes=4*(n.length+1);this._process();b=this._hash;n=b.words;for(a=0;4>a;a++)c=n[a],n[a]=(c<<8|c>>>24)&16711935|(c<<24|c>>>8)&4278255360;return b},clone:function(){var b=v.clone.call(this);b._hash=this._hash.clone();return b}});t.MD5=v._createHelper(r);t.HmacMD5=v._createHmacHelper(r)})(Math);
-(function(){var u=CryptoJS,p=u.lib,d=p.Base,l=p.WordArray,p=u.algo,s=p.EvpKDF=d.extend({cfg:d.extend({keySize:4,hasher:p.MD5,iterations:1}),init:function(d){this.cfg=this.cfg.extend(d)},compute:function(d,r){for(var p=this.cfg,s=p.hasher.create(),b=l.create(),u=b.words,q=p.keySize,p=p.iterations;u.length<q;){n&&s.update(n);var n=s.update(d).finalize(r);s.reset();for(var a=1;a<p;a++)n=s.finalize(n),s.reset();b.concat(n)}b.sigBytes=4*q;return b}});u.EvpKDF=function(d,l,p){return s.create(p).compute(d,
-l)}})();
-CryptoJS.lib.Cipher||function(u){var p=CryptoJS,d=p.lib,l=d.Base,s=d.WordArray,t=d.BufferedBlockAlgorithm,r=p.enc.Base64,w=p.algo.EvpKDF,v=d.Cipher=t.extend({cfg:l.extend(),createEncryptor:function(e,a){return this.create(this._ENC_XFORM_MODE,e,a)},createDecryptor:function(e,a){return this.create(this._DEC_XFORM_MODE,e,a)},init:function(e,a,b){this.cfg=this.cfg.extend(b);this._xformMode=e;this._key=a;this.reset()},reset:function(){t.reset.call(this);this._doReset()},process:function(e){this._append(e);return this._process()},
-finalize:function(e){e&&this._append(e);return this._doFinalize()},keySize:4,ivSize:4,_ENC_XFORM_MODE:1,_DEC_XFORM_MODE:2,_createHelper:function(e){return{encrypt:function(b,k,d){return("string"==typeof k?c:a).encrypt(e,b,k,d)},decrypt:function(b,k,d){return("string"==typeof k?c:a).decrypt(e,b,k,d)}}}});d.StreamCipher=v.extend({_doFinalize:function(){return this._process(!0)},blockSize:1});var b=p.mode={},x=function(e,a,b){var c=this._iv;c?this._iv=u:c=this._prevBlock;for(var d=0;d<b;d++)e[a+d]^=
-c[d]},q=(d.BlockCipherMode=l.extend({createEncryptor:function(e,a){return this.Encryptor.create(e,a)},createDecryptor:function(e,a){return this.Decryptor.create(e,a)},init:function(e,a){this._cipher=e;this._iv=a}})).extend();q.Encryptor=q.extend({processBlock:function(e,a){var b=this._cipher,c=b.blockSize;x.call(this,e,a,c);b.encryptBlock(e,a);this._prevBlock=e.slice(a,a+c)}});q.Decryptor=q.extend({processBlock:function(e,a){var b=this._cipher,c=b.blockSize,d=e.slice(a,a+c);b.decryptBlock(e,a);x.call(this,
-e,a,c);this._prevBlock=d}});b=b.CBC=q;q=(p.pad={}).Pkcs7={pad:function(a,b){for(var c=4*b,c=c-a.sigBytes%c,d=c<<24|c<<16|c<<8|c,l=[],n=0;n<c;n+=4)l.push(d);c=s.create(l,c);a.concat(c)},unpad:function(a){a.sigBytes-=a.words[a.sigBytes-1>>>2]&255}};d.BlockCipher=v.extend({cfg:v.cfg.extend({mode:b,padding:q}),reset:function(){v.reset.call(this);var a=this.cfg,b=a.iv,a=a.mode;if(this._xformMode==this._ENC_XFORM_MODE)var c=a.createEncryptor;else c=a.createDecryptor,this._minBufferSize=1;this._mode=c.call(a,
-this,b&&b.words)},_doProcessBlock:function(a,b){this._mode.processBlock(a,b)},_doFinalize:function(){var a=this.cfg.padding;if(this._xformMode==this._ENC_XFORM_MODE){a.pad(this._data,this.blockSize);var b=this._process(!0)}else b=this._process(!0),a.unpad(b);return b},blockSize:4});var n=d.CipherParams=l.extend({init:function(a){this.mixIn(a)},toString:function(a){return(a||this.formatter).stringify(this)}}),b=(p.format={}).OpenSSL={stringify:function(a){var b=a.ciphertext;a=a.salt;return(a?s.create([1398893684,
-1701076831]).concat(a).concat(b):b).toString(r)},parse:function(a){a=r.parse(a);var b=a.words;if(1398893684==b[0]&&1701076831==b[1]){var c=s.create(b.slice(2,4));b.splice(0,4);a.sigBytes-=16}return n.create({ciphertext:a,salt:c})}},a=d.SerializableCipher=l.extend({cfg:l.extend({format:b}),encrypt:function(a,b,c,d){d=this.cfg.extend(d);var l=a.createEncryptor(c,d);b=l.finalize(b);l=l.cfg;return n.create({ciphertext:b,key:c,iv:l.iv,algorithm:a,mode:l.mode,padding:l.padding,blockSize:a.blockSize,formatter:d.format})},
-decrypt:function(a,b,c,d){d=this.cfg.extend(d);b=this._parse(b,d.format);return a.createDecryptor(c,d).finalize(b.ciphertext)},_parse:function(a,b){return"string"==typeof a?b.parse(a,this):a}}),p=(p.kdf={}).OpenSSL={execute:function(a,b,c,d){d||(d=s.random(8));a=w.create({keySize:b+c}).compute(a,d);c=s.create(a.words.slice(b),4*c);a.sigBytes=4*b;return n.create({key:a,iv:c,salt:d})}},c=d.PasswordBasedCipher=a.extend({cfg:a.cfg.extend({kdf:p}),encrypt:function(b,c,d,l){l=this.cfg.extend(l);d=l.kdf.execute(d,
-b.keySize,b.ivSize);l.iv=d.iv;b=a.encrypt.call(this,b,c,d.key,l);b.mixIn(d);return b},decrypt:function(b,c,d,l){l=this.cfg.extend(l);c=this._parse(c,l.format);d=l.kdf.execute(d,b.keySize,b.ivSize,c.salt);l.iv=d.iv;return a.decrypt.call(this,b,c,d.key,l)}})}();
-(function(){for(var u=CryptoJS,p=u.lib.BlockCipher,d=u.algo,l=[],s=[],t=[],r=[],w=[],v=[],b=[],x=[],q=[],n=[],a=[],c=0;256>c;c++)a[c]=128>c?c<<1:c<<1^283;for(var e=0,j=0,c=0;256>c;c++){var k=j^j<<1^j<<2^j<<3^j<<4,k=k>>>8^k&255^99;l[e]=k;s[k]=e;var z=a[e],F=a[z],G=a[F],y=257*a[k]^16843008*k;t[e]=y<<24|y>>>8;r[e]=y<<16|y>>>16;w[e]=y<<8|y>>>24;v[e]=y;y=16843009*G^65537*F^257*z^16843008*e;b[k]=y<<24|y>>>8;x[k]=y<<16|y>>>16;q[k]=y<<8|y>>>24;n[k]=y;e?(e=z^a[a[a[G^z]]],j^=a[a[j]]):e=j=1}var H=[0,1,2,4,8,
-16,32,64,128,27,54],d=d.AES=p.extend({_doReset:function(){for(var a=this._key,c=a.words,d=a.sigBytes/4,a=4*((this._nRounds=d+6)+1),e=this._keySchedule=[],j=0;j<a;j++)if(j<d)e[j]=c[j];else{var k=e[j-1];j%d?6<d&&4==j%d&&(k=l[k>>>24]<<24|l[k>>>16&255]<<16|l[k>>>8&255]<<8|l[k&255]):(k=k<<8|k>>>24,k=l[k>>>24]<<24|l[k>>>16&255]<<16|l[k>>>8&255]<<8|l[k&255],k^=H[j/d|0]<<24);e[j]=e[j-d]^k}c=this._invKeySchedule=[];for(d=0;d<a;d++)j=a-d,k=d%4?e[j]:e[j-4],c[d]=4>d||4>=j?k:b[l[k>>>24]]^x[l[k>>>16&255]]^q[l[k>>>
-8&255]]^n[l[k&255]]},encryptBlock:function(a,b){this._doCryptBlock(a,b,this._keySchedule,t,r,w,v,l)},decryptBlock:function(a,c){var d=a[c+1];a[c+1]=a[c+3];a[c+3]=d;this._doCryptBlock(a,c,this._invKeySchedule,b,x,q,n,s);d=a[c+1];a[c+1]=a[c+3];a[c+3]=d},_doCryptBlock:function(a,b,c,d,e,j,l,f){for(var m=this._nRounds,g=a[b]^c[0],h=a[b+1]^c[1],k=a[b+2]^c[2],n=a[b+3]^c[3],p=4,r=1;r<m;r++)var q=d[g>>>24]^e[h>>>16&255]^j[k>>>8&255]^l[n&255]^c[p++],s=d[h>>>24]^e[k>>>16&255]^j[n>>>8&255]^l[g&255]^c[p++],t=
-d[k>>>24]^e[n>>>16&255]^j[g>>>8&255]^l[h&255]^c[p++],n=d[n>>>24]^e[g>>>16&255]^j[h>>>8&255]^l[k&255]^c[p++],g=q,h=s,k=t;q=(f[g>>>24]<<24|f[h>>>16&255]<<16|f[k>>>8&255]<<8|f[n&255])^c[p++];s=(f[h>>>24]<<24|f[k>>>16&255]<<16|f[n>>>8&255]<<8|f[g&255])^c[p++];t=(f[k>>>24]<<24|f[n>>>16&255]<<16|f[g>>>8&255]<<8|f[h&255])^c[p++];n=(f[n>>>24]<<24|f[g>>>16&255]<<16|f[h>>>8&255]<<8|f[k&255])^c[p++];a[b]=q;a[b+1]=s;a[b+2]=t;a[b+3]=n},keySize:8});u.AES=p._createHelper(d)})();
-
-
-
-/* CRYPTO LIBRARIES END */
-// Get the input field
-var textareaarray = document.getElementsByTagName("textarea");
-var formsarray = document.getElementsByTagName("form");
-var msg="";
-var send=false;
-var lastKeyWasStopKey=false;
-document.addEventListener('keydown', function(event){
+function resetComposer() {
+	closeCompose();
+	if(composeoverlay != null) {
+		composeoverlay.input.value = "";
+	}
+	composerstate = "idle";
+	composerplaintext = null;
+	composerparts = [];
+}
 
-	  
-	  if ( event.keyCode == 17) {
-		  lastKeyWasStopKey = false;
-	  }
-	 if(lastKeyWasStopKey && !(event.keyCode == 13 || event.keyCode == 8)) {
-		 event.preventDefault();
-	 } else {
-		 
-	 if (event.key === stopkey) {
-		lastKeyWasStopKey = true;  
-		send = true; 
-		var tmp = "";
-		var str = stopkey;
-		var textToEncrypt = textareaarray[0].value;
-	
-		
-		str += CryptoJS.AES.encrypt(textToEncrypt, passphrase);
-		textareaarray[0].value = str;
-	  } else {
-		  lastKeyWasStopKey = false;
-	  }
-	 }
+function encryptComposer(lifetime) {
+	var composer = getComposer();
+	if(composerstate != "composing" || composer == undefined) return;
+	var textToEncrypt = composeoverlay.input.value;
+	if(textToEncrypt.trim() == "") return;
+	composerstate = "encrypting";
+
+	var encrypting;
+	if(peerkey != undefined) {
+		encrypting = encryptMessageTo(textToEncrypt, peerkey.dh, lifetime, messageoptions);
+	} else {
+		encrypting = encryptMessage(textToEncrypt, passphrase, lifetime, messageoptions);
+		markKeysUsed();
+	}
+	encrypting.then(function (encrypted) {
+		if(composerstate != "encrypting" || composer != getComposer()) return; // channel switched meanwhile
+		var parts = splitMessage(encrypted);
+		composeoverlay.input.value = "";
+		closeCompose();
+		setComposerValue(composer, parts[0]);
+		composerplaintext = textToEncrypt;
+		composerparts = parts.slice(1);
+		composerstate = "ready";
+	}).catch(function (error) {
+		if(composerstate != "encrypting") return;
+		composerstate = "composing";
+		showComposeHint(error.message);
+	});
+}
+
+function editEncrypted() {
+	var composer = getComposer();
+	var plaintext = composerplaintext;
+	composerplaintext = null;
+	composerparts = [];
+	composerstate = "idle";
+	if(composer != undefined) {
+		setComposerValue(composer, "");
+	}
+	openCompose(plaintext);
+}
+
+document.addEventListener('keydown', function(event){
+	if(composerstate == "idle") {
+		if(matchesHotkey(event, hotkey)) {
+			event.preventDefault();
+			openCompose("");
+		}
+		return;
+	}
+	if(composerstate != "ready") return; // the compose box handles its own keys
+	var composer = getComposer();
+	if(composer == undefined || !composer.contains(event.target) || MODIFIER_KEYS.indexOf(event.key) != -1) return;
+	if(event.key == "Enter" && !event.shiftKey) {
+		composerSent(composer);
+	} else if(event.key == "Escape" || event.key == "Backspace") {
+		event.preventDefault();
+		editEncrypted();
+	} else {
+		event.preventDefault();
+	}
 });
 
+// The send button of the platform sends like Enter does
+document.addEventListener("click", function (event) {
+	if(composerstate != "ready" || platform.sendButton == null || !(event.target instanceof Element) || event.target.closest(platform.sendButton) == null) return;
+	var composer = getComposer();
+	if(composer != undefined) composerSent(composer);
+}, true);
+
+function composerSent(composer) {
+	if(composerparts.length > 0) {
+		var next = composerparts.shift(); // the platform sends this part, then gets the next one
+		setTimeout(function () {
+			if(composerstate == "ready" && composer == getComposer()) setComposerValue(composer, next);
+		}, PART_SEND_DELAY);
+	} else {
+		composerplaintext = null; // the platform sends the ciphertext
+		composerstate = "idle";
+	}
+}
+
 function myCallback(url, answer) {
     alert(url + ': ' + answer);
 }
@@ -523,133 +557,576 @@ function IsValidImageUrl(url, callback) {
     img.src = url
 }
 
+// The popup asks for our public key to be put in the composer, ready to send,
+// and for the route of the open channel when the url may name it by an alias.
+// The background page tells us about History API navigation, i.e. channel switches,
+// and about the encrypt-message command, see hotkey.js.
+chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
+	if(request.action == "route") {
+		var route = getChannelRoute();
+		sendResponse(route == null ? null : {guild: route.guild, channel: route.channel});
+	} else if(request.action == "navigated") {
+		checkChannelChanged();
+	} else if(request.action == "encrypt") {
+		if(composerstate == "composing") {
+			encryptComposer(messagelifetime);
+		} else if(composerstate == "idle") {
+			openCompose("");
+		}
+	} else if(request.action == "publishkey") {
+		var composer = getComposer();
+		if(composer == undefined || composerstate != "idle") return;
+		publicKeyMessage().then(function (message) {
+			setComposerValue(composer, message);
+		}).catch(function () {
+			// no identity keys yet, the composer is left as it is
+		});
+	}
+});
+
+/****************************
+
+Decryption queue
+Message nodes that were added or changed are queued by the observer at the bottom.
+The queue is drained in one batch after the current burst of mutations.
+
+****************************/
+
+var messagequeue = new Set();
+var queuescheduled = false;
+var renderedmessages = new WeakMap(); // node -> text it was rendered with, so plaintext starting with § is left alone
+
+function queueMessage(node) {
+	messagequeue.add(node);
+	if(!queuescheduled) {
+		queuescheduled = true;
+		setTimeout(decryptMessages, 0);
+	}
+}
+
+function queueAllMessages() {
+	var messages = document.querySelectorAll(platform.message);
+	for (var i=0; i < messages.length; i++) {
+		queueMessage(messages[i]);
+	}
+}
+
 function decryptMessages() {	
+	queuescheduled = false;
+	if(vaultlocked) {
+		lockMessages();
+		return;
+	}
+	if(!passphraseIsSet) return; // setPassphrase queues everything when ready
+	startDecryptScan();
 	
-	var encryptedmessages = document.getElementsByClassName("markup-2BOw-j");
+	var encryptedmessages = Array.from(messagequeue);
+	messagequeue.clear();
 	for (var i=encryptedmessages.length-1; i >= 0 ; i--) {	
-		var encrypted = encryptedmessages[i].innerHTML;
-		if(encrypted[0] == "§") {
-			encrypted = encrypted.substring(1);
-			encrypted = encrypted.substring(0, encrypted.length - 1); 
-			
-			try {
-				var decrypted = CryptoJS.AES.decrypt(encrypted, passphrase);
-				decrypted = decrypted.toString(CryptoJS.enc.Utf8); // + "<span style='font-size:8px;'> Decrypted </span>"
-			//console.log(i+ " {"+ decrypted + "}" + decrypted.length);
-			if(decrypted.length < 1) {
-				encryptedmessages[i].innerHTML = "[could not be decrypted]";
-			} else {
-			
-			var containsImage = false;
-			if(decrypted.includes("https")) {
-				containsImage = true;
-				decrypted = decrypted.replace("https://", " https://");
-				decrypted = decrypted.replace("= https://", "=https://");
-				var decryptedWords = decrypted.split(" ");
-				decrypted = "";
-				for (var b = 0; b < decryptedWords.length; b++) {
-					decryptedWord=decryptedWords[b];
-					if(decryptedWord.includes("youtube.com/watch")) {
-						var watchcode = decryptedWord.split("?v=")[1];
-						decryptedWord= '<a  href="' + decryptedWord + '">' + decryptedWord +'</a><br/><br/><iframe src="https://www.youtube.com/embed/' + watchcode + '" style="width: 99%; max-width:700px; height:400px;">';
-					} else if(decryptedWord.includes("bitchute.com/video/")) {
-						var watchcode = decryptedWord.split(".com/video/")[1];
-						decryptedWord= '<a href="' + decryptedWord + '">' + decryptedWord +'</a><br/><br/><iframe src="https://www.bitchute.com/embed/' + watchcode + '" style="width: 99%; max-width:700px; height:400px;">';
-					} else if(decryptedWord.includes("https")) {
-						
-						decryptedWord= '<a href="' + decryptedWord + '">' + decryptedWord +'</a><br/><br/><img alt="" src="'+ decryptedWord +'" style="max-height: 600px; max-width: 600px;">';
-					}
-					decrypted+= " " + decryptedWord
-
-				}
-				
-			}
-			if (decrypted.split(":").length > 1) {
-				for (var key in replacementarr){
-					decrypted = decrypted.replace(key, replacementarr[key]);
-				}
-            }  
-			 
-			encryptedmessages[i].innerHTML = decrypted;
-			encryptedmessages[i].style.color = "#fff";
-			//encryptedmessages[i].style.backgroundColor="black";
-			//(encryptedmessages[i].parentElement.parentElement.parentElement.parentElement).style.backgroundColor = "rgba(0, 0, 0, 0.24)";
-			var parentcontainer = (encryptedmessages[i].parentElement.parentElement.parentElement.parentElement);
-			//parentcontainer.style.borderLeft = "1px solid #36393f";
-			parentcontainer.className += " encryptedMessageContainer";
-			if(containsImage) {
-				parentcontainer.className += " containsImage";
-			}
-			cleanText = decrypted.replace(/<\/?[^>]+(>|$)/g, "");
+		if(!encryptedmessages[i].isConnected) continue;
+		if(renderedmessages.get(encryptedmessages[i]) === encryptedmessages[i].textContent && !canRetry(encryptedmessages[i])) continue;
+		var encrypted = messageText(encryptedmessages[i]);
+		if(encrypted[0] == "§" && !encryptedmessages[i].hasAttribute("data-decrypting")) {
+			decryptNode(encryptedmessages[i], encrypted);
+		} 
+	}
+}
 
-			if(cleanText.length > 80) {
-				parentcontainer.className += " widermessage";
-			}
+function decryptNode(node, encrypted) {
+	node.setAttribute("data-decrypting", "true");
+	if(encrypted.indexOf(PART_PREFIX) == 0) {
+		collectPart(node, encrypted);
+		return;
+	}
+	if(encrypted.indexOf(PUBLIC_KEY_PREFIX) == 0) {
+		showPublicKey(node, encrypted);
+		return;
+	}
+	messagesources.set(node, encrypted);
+	node.setAttribute("data-ciphertext", encrypted);
+	var tried = passphrases;
+	decryptMessage(encrypted, tried, legacypassphrases).then(function (decrypted) {
+		node.removeAttribute("data-decrypting");
+		if(!isDirectMessage(channelurl)) {
+			markKeysUsed();
+		}
+		showOpened(node, decrypted);
+	}).catch(function (error) {
+		node.removeAttribute("data-decrypting");
+		showFailure(node, encrypted, error, tried);
+	});
+}
 
+function showOpened(node, decrypted) {
+	failedmessages.delete(node);
+	node.removeAttribute("data-failure");
+	if(decrypted.expires != null && Date.now() >= decrypted.expires) {
+		showExpired(node);
+		return;
+	}
+	showDecrypted(node, decrypted.text);
+	showSignerBadge(node, decrypted.signer);
+	if(decrypted.expires != null) {
+		scheduleExpiry(node, decrypted.expires);
+	}
+}
 
-			if(cleanText.length > 200) {
-				parentcontainer.className += " evenwidermessage";
-			}
-			//encryptedmessages[i].style.color = "white";
-			//encryptedmessages[i].style.fontWeight = "600";
-			//containers[i].border = "1px solid white";
-			}
-			} catch(error) {
-			  console.error(error);
-			  encryptedmessages[i].innerHTML = "[could not be decrypted]";
-			}
-		} 
+/****************************
+
+Failed messages
+A message that cannot be decrypted gets a badge saying why, see decryptFailure
+in envelope.js, a toggle to show its ciphertext and a way to try other keys.
+Messages deferred by the salt budget of a scan, see startDecryptScan in envelope.js,
+get a link to decrypt them now instead.
+The ciphertext is kept in data-ciphertext. When the keys of the channel change,
+failed messages are decrypted again, see canRetry and messageText.
+
+****************************/
+
+var DECRYPT_FAILURES = {
+	nokey: {label: "no key", note: "There is no password for this channel. Set one in the popup."},
+	wrongkey: {label: "wrong key", note: "Sent with a different key. Compare safety numbers in the popup."},
+	corrupted: {label: "damaged", note: "The message is cut off or damaged."},
+	unsupported: {label: "unsupported", note: "Sent with a newer version of the extension, update to read it."},
+	tampered: {label: "tampered", note: "The message was changed after it was sent, or its signature is not valid."},
+	deferred: {label: "not decrypted", note: "Many messages with new keys arrived at once, so this one was put off."}
+};
+var failedmessages = new WeakMap(); // node -> passphrases it failed with
+
+function failureReason(error) {
+	if(DECRYPT_FAILURES[error.reason] == undefined) return "corrupted";
+	if(error.reason == "wrongkey" && !haskeys && !isDirectMessage(channelurl)) return "nokey";
+	return error.reason;
+}
+
+// Failed with other keys than the ones the channel has now
+function canRetry(node) {
+	return failedmessages.has(node) && failedmessages.get(node) !== passphrases;
+}
+
+function failureAction(text, action) {
+	var link = document.createElement("a");
+	link.className = "xkrFailureAction";
+	link.textContent = text;
+	link.addEventListener("click", function (event) {
+		event.preventDefault();
+		event.stopPropagation();
+		action(link);
+	});
+	return link;
+}
+
+function showFailure(node, encrypted, error, tried) {
+	var reason = failureReason(error);
+	var failure = DECRYPT_FAILURES[reason];
+	node.setAttribute("data-ciphertext", encrypted);
+	node.setAttribute("data-failure", reason);
+	node.textContent = "";
+
+	var badge = document.createElement("span");
+	badge.className = "xkrBadge failed " + reason;
+	badge.textContent = failure.label;
+	badge.title = error.message + (error.kid != undefined ? "\nKey id " + error.kid : "");
+	node.appendChild(badge);
+	node.appendChild(document.createTextNode(" " + failure.note + " "));
+
+	var ciphertext = document.createElement("code");
+	ciphertext.className = "xkrCiphertext";
+	ciphertext.textContent = encrypted;
+	ciphertext.style.display = "none";
+	node.appendChild(failureAction("show ciphertext", function (link) {
+		var shown = ciphertext.style.display == "none";
+		ciphertext.style.display = shown ? "" : "none";
+		link.textContent = shown ? "hide ciphertext" : "show ciphertext";
+	}));
+	node.appendChild(document.createTextNode(" "));
+	if(reason == "deferred") {
+		node.appendChild(failureAction("decrypt", function () {
+			startDecryptScan();
+			decryptNode(node, encrypted);
+		}));
+	} else {
+		node.appendChild(failureAction("retry with another key", function () {
+			retryWithKey(node, encrypted);
+		}));
 	}
+	node.appendChild(ciphertext);
+	failedmessages.set(node, tried);
+	renderedmessages.set(node, node.textContent);
 }
 
- 
-/*
+/****************************
 
-Main loop
+retryWithKey
+Opens fields in one failed message to try a server and channel password on it.
+They make the same passphrases as keys set in the popup, see channelPassphrases
+and legacyPassphrases, so messages of older versions open too.
+Nothing is stored, keys that should stay are set in the popup.
 
+****************************/
 
-*/
+function retryInput(placeholder) {
+	var input = document.createElement("input");
+	input.type = "password";
+	input.className = "xkrRetryInput";
+	input.placeholder = placeholder;
+	// Keep the chat's own shortcuts away from what is typed here
+	["keydown", "keypress", "keyup", "input", "paste"].forEach(function (type) {
+		input.addEventListener(type, function (event) { event.stopPropagation(); });
+	});
+	return input;
+}
 
-setInterval(function(){ intervalfunc(); }, 5);
-var counter=0;
-var passphraseIsSet=false;
-function intervalfunc() {
-counter = (counter+1) % 1000000;
+function retryWithKey(node, encrypted) {
+	var route = getChannelRoute();
+	if(route == null || node.querySelector(".xkrRetry") != null) return;
+	var form = document.createElement("span");
+	form.className = "xkrRetry";
+	var serverinput = retryInput("Server password");
+	var channelinput = retryInput("Channel password, if it has one");
+	var result = document.createElement("span");
+	result.className = "xkrRetryResult";
+
+	function attempt() {
+		var title = getChannelTitle();
+		var channelkeys = channelinput.value == "" ? [""] : [channelinput.value, ""];
+		var tried = channelPassphrases(route, [serverinput.value], channelkeys);
+		var legacy = legacyPassphrases(route, [serverinput.value], channelkeys, title == undefined ? null : title.innerText);
+		startDecryptScan(); // asked for, like a scan of its own
+		decryptMessage(encrypted, tried, legacy).then(function (decrypted) {
+			showOpened(node, decrypted);
+		}).catch(function (error) {
+			var failure = DECRYPT_FAILURES[error.reason] || DECRYPT_FAILURES.corrupted;
+			result.textContent = " This did not work either: " + failure.label + ". " + failure.note;
+			renderedmessages.set(node, node.textContent);
+		});
+	}
+
+	[serverinput, channelinput].forEach(function (input) {
+		input.addEventListener("keydown", function (event) {
+			if(event.key == "Enter") {
+				event.preventDefault();
+				attempt();
+			} else if(event.key == "Escape") {
+				event.preventDefault();
+				form.remove();
+				renderedmessages.set(node, node.textContent);
+			}
+		});
+	});
+	form.appendChild(serverinput);
+	form.appendChild(channelinput);
+	form.appendChild(failureAction("try", attempt));
+	form.appendChild(result);
+	node.insertBefore(form, node.querySelector(".xkrCiphertext"));
+	renderedmessages.set(node, node.textContent);
+	serverinput.focus();
+}
 
+/****************************
 
-setPassphrase(); // (and decrypt)
+Locked messages
+While the vault is locked, encrypted messages say so instead of failing to decrypt.
+Messages decrypted before the vault locked are hidden again.
+The ciphertext is kept in lockedmessages and decrypted once the vault is unlocked.
 
+****************************/
 
+var LOCKED_NOTE = "[locked — unlock to decrypt]";
+var lockedmessages = new WeakMap(); // node -> ciphertext it showed before it was locked
+var messagesources = new WeakMap(); // node -> ciphertext it was decrypted from
 
+// Ciphertext of node, also when it is shown as locked or failed
+function messageText(node) {
+	if(lockedmessages.has(node) && node.textContent == LOCKED_NOTE) {
+		return lockedmessages.get(node);
+	}
+	lockedmessages.delete(node);
+	if(failedmessages.has(node) && renderedmessages.get(node) === node.textContent) {
+		return node.getAttribute("data-ciphertext");
+	}
+	failedmessages.delete(node);
+	return platform.text(node);
+}
 
-if (counter % 1000 == 0) { //learn emojis
-			
+function lockMessages() {
+	var queued = Array.from(messagequeue);
+	messagequeue.clear();
+	for (var i=0; i < queued.length; i++) {
+		var node = queued[i];
+		if(!node.isConnected || node.textContent == LOCKED_NOTE || node.hasAttribute("data-decrypting")) continue;
+		var encrypted;
+		if(renderedmessages.get(node) === node.textContent) {
+			if(!messagesources.has(node)) continue; // a note, not plaintext
+			encrypted = messagesources.get(node);
+			renderedmessages.delete(node);
+		} else {
+			encrypted = messageText(node);
+		}
+		if(encrypted[0] != "§" || encrypted.indexOf(PUBLIC_KEY_PREFIX) == 0) continue;
+		lockedmessages.set(node, encrypted);
+		node.textContent = LOCKED_NOTE;
+	}
+}
 
+/****************************
 
-	var allemojis = document.getElementsByTagName("img");
-	
-	for (var e=0; e < allemojis.length; e++) { 
-		var emojiToAdd = allemojis[e];
-		if (emojiToAdd.getAttribute("aria-label") != null && emojiToAdd.getAttribute("aria-label")[0] == ":") {
-			replacementarr[emojiToAdd.getAttribute("aria-label")] = emojiToAdd.outerHTML;
+Split messages
+Parts of a long message are collected per message id, from whichever nodes they
+arrive in. Until all are there, every part shows which one is missing. Then
+the whole message is decrypted and shown in the node of part 1, the other parts
+point to it.
+Parts are kept until the channel changes, so nodes Discord renders again find them,
+also when the keys are loaded again in between.
+
+****************************/
+
+var messageparts = {}; // message id -> {total, chunks, nodes, shown}, chunks and nodes indexed by part - 1
+
+function collectPart(node, text) {
+	var part;
+	try {
+		part = parsePart(text);
+	} catch(error) {
+		node.removeAttribute("data-decrypting");
+		showFailure(node, text, error, passphrases);
+		return;
+	}
+	var message = messageparts[part.id];
+	if(message == undefined || message.total != part.total) {
+		message = messageparts[part.id] = {total: part.total, chunks: [], nodes: [], shown: null};
+	}
+	message.chunks[part.part - 1] = part.chunk;
+	message.nodes[part.part - 1] = node;
+	if(part.part == 1) message.shown = null; // node of part 1 shows the ciphertext again
+	node.removeAttribute("data-decrypting");
+
+	var missing = 0;
+	while(missing < message.total && message.chunks[missing] != undefined) missing++;
+	if(missing < message.total) {
+		showPartNote(message, "[waiting for part " + (missing + 1) + "/" + message.total + "]");
+		return;
+	}
+	showPartNote(message, null);
+	if(message.shown != message.nodes[0] && message.nodes[0].isConnected) {
+		message.shown = message.nodes[0];
+		decryptNode(message.nodes[0], message.chunks.join(""));
+	}
+}
+
+// note goes into every node of message, or with null into every node but the first
+function showPartNote(message, note) {
+	for (var i = 0; i < message.nodes.length; i++) {
+		var node = message.nodes[i];
+		if(node == undefined || (note == null && i == 0)) continue;
+		node.textContent = note != null ? note : "[part " + (i + 1) + "/" + message.total + " of the message above]";
+		renderedmessages.set(node, node.textContent);
+	}
+}
+
+/****************************
+
+showPublicKey
+Shows a §pub: message as a short note with the key fingerprint.
+In a direct message, a key published by someone else is only used once the user
+clicks it, after comparing the fingerprint with its owner. Anyone in the
+conversation can publish a key, and only its holder can read what is encrypted
+to it, so in a group conversation everyone else would be left out.
+
+****************************/
+
+function showPublicKey(node, message) {
+	var dmurl = isDirectMessage(channelurl) ? channelurl : null;
+	var published;
+	parsePublicKeyMessage(message).then(function (result) {
+		published = result;
+		return keyFingerprint(published.dh);
+	}).then(function (fingerprint) {
+		var note;
+		var action = null;
+		if(published.mine) {
+			note = "[your public key " + fingerprint + "]";
+		} else if(peerkey != undefined && peerkey.dh == published.dh) {
+			note = "[public key " + fingerprint + ", in use for this conversation]";
+		} else if(dmurl != null) {
+			note = peerkey != undefined ? "[public key " + fingerprint + ", differs from the key in use for this conversation]" : "[public key " + fingerprint + "]";
+			action = failureAction(peerkey != undefined ? "use this key instead" : "encrypt direct messages to this key", function () {
+				if(dmurl != channelurl) return; // channel switched meanwhile
+				peerkey = {dh: published.dh, sign: published.sign};
+				saveChrome("peerkey:" + dmurl, peerkey);
+				node.textContent = "[public key " + fingerprint + ", direct messages are now encrypted to it]";
+				renderedmessages.set(node, node.textContent);
+			});
+			action.title = "Compare the fingerprint with its owner first. Only they can read what you send here afterwards.";
+		} else {
+			note = "[public key " + fingerprint + "]";
+		}
+		node.removeAttribute("data-decrypting");
+		node.textContent = note;
+		if(action != null) {
+			node.appendChild(document.createTextNode(" "));
+			node.appendChild(action);
 		}
+		renderedmessages.set(node, node.textContent);
+	}).catch(function () {
+		node.removeAttribute("data-decrypting");
+		node.textContent = "[invalid public key]";
+	});
+}
+
+/****************************
+
+Sender badges
+Trust on first use: the first signing key seen for a username is remembered.
+Names on other platforms than Discord start with the platform, e.g. "slack:alice".
+	verified     signed with the remembered key
+	unknown key  first signed message from this user, the key is now remembered
+	key changed  signed with a different key than the remembered one, click to trust the new key
+	unsigned     legacy or unsigned message, the sender cannot be told
+
+****************************/
+
+function getMessageAuthor(node) {
+	var author = platform.author(node);
+	return author == null || platform.id == "discord" ? author : platform.id + ":" + author;
+}
+
+function trustKey(author, key) {
+	trusted[author] = {key: key, first: Date.now()};
+	saveChrome("trust", trusted);
+}
+
+function showSignerBadge(node, signer) {
+	var author = getMessageAuthor(node);
+	var badge = document.createElement("span");
+	badge.className = "xkrBadge";
+	if(signer == null) {
+		badge.classList.add("unsigned");
+		badge.textContent = "unsigned";
+	} else if(author == null) {
+		badge.classList.add("unknown");
+		badge.textContent = "unknown key";
+	} else if(trusted[author] == undefined) {
+		trustKey(author, signer);
+		badge.classList.add("unknown");
+		badge.textContent = "unknown key";
+	} else if(trusted[author].key == signer) {
+		badge.classList.add("verified");
+		badge.textContent = "verified";
+	} else {
+		badge.classList.add("changed");
+		badge.textContent = "key changed";
+		badge.title = author + " signed this with a different key than before. Click to trust the new key.";
+		badge.addEventListener("click", function () {
+			if(confirm("Trust the new key of " + author + "? Only do this if they told you their key changed.")) {
+				trustKey(author, signer);
+				badge.className = "xkrBadge verified";
+				badge.textContent = "verified";
+				renderedmessages.set(node, node.textContent);
+			}
+		});
+	}
+	if(signer != null) {
+		keyFingerprint(signer).then(function (fingerprint) {
+			badge.title = (badge.title ? badge.title + "\n" : "") + "Key " + fingerprint;
+		});
 	}
-			
-	saveChrome("emojidata",replacementarr);		
-	loadEmojis();			
+	node.appendChild(badge);
+	renderedmessages.set(node, node.textContent);
+}
+
+/****************************
+
+Expiring messages
+Expired messages are never rendered. Messages that expire while on screen are
+wiped at their expiry time, and the plaintext is dropped from renderedmessages.
+
+****************************/
+
+function showExpired(node) {
+	renderedmessages.delete(node);
+	node.textContent = "[message expired]";
 }
 
+function scheduleExpiry(node, expires) {
+	var wait = Math.min(expires - Date.now(), 2147483647); // longest delay setTimeout supports
+	setTimeout(function () {
+		if(renderedmessages.get(node) !== node.textContent) return; // re-rendered by Discord in the meantime
+		if(Date.now() < expires) {
+			scheduleExpiry(node, expires);
+		} else {
+			showExpired(node);
+		}
+	}, wait);
+}
+
+/****************************
+
+showDecrypted
+Renders the plaintext through renderer.js, which never parses it as HTML.
+
+****************************/
 
-if(send == true) {
-	for (var i= 0 ; i < textareaarray.length; i++) {
-		var str = textareaarray[i].value;
-		str = "[Encrypted, press enter]";
-		//		str = passphrase;
+function showDecrypted(node, decrypted) {
+	var tokens = renderMessage(node, decrypted, platform.mention, platform.customEmoji);
+	renderedmessages.set(node, node.textContent);
+	var containsImage = tokens.some(function (token) { return token.type == "link"; });
+	if(platform.textColor != null) {
+		node.style.color = platform.textColor;
+	}
+	var parentcontainer = platform.container(node);
+	parentcontainer.classList.add("encryptedMessageContainer");
+	if(containsImage) {
+		parentcontainer.classList.add("containsImage");
+	}
+	var cleanText = node.textContent;
 
-		textareaarray[i].value = str;
-		//decryptMessages();
+	if(cleanText.length > 80) {
+		parentcontainer.classList.add("widermessage");
 	}
-	send = false;
-} 
 
+
+	if(cleanText.length > 200) {
+		parentcontainer.classList.add("evenwidermessage");
+	}
+}
+
+ 
+/*
+
+Main loop
+Everything is driven by DOM mutations and storage changes, nothing polls.
+
+*/
+
+function queueMutations(mutations) {
+	checkChannelChanged();
+	for (var m=0; m < mutations.length; m++) {
+		var target = mutations[m].target;
+		if(target.nodeType != Node.ELEMENT_NODE) target = target.parentElement;
+		if(target == null) continue;
+		
+		var message = target.closest(platform.message);
+		if(message != null) { // edited message
+			queueMessage(message);
+			continue;
+		}
+		var added = mutations[m].addedNodes;
+		for (var a=0; a < added.length; a++) {
+			if(added[a].nodeType != Node.ELEMENT_NODE) continue;
+			if(added[a].matches(platform.message)) {
+				queueMessage(added[a]);
+			}
+			var messages = added[a].querySelectorAll(platform.message);
+			for (var b=0; b < messages.length; b++) {
+				queueMessage(messages[b]);
+			}
+		}
+	}
 }
+
+// Chats replace the whole message list when switching channel, so watch the body
+var messageobserver = new MutationObserver(queueMutations);
+messageobserver.observe(document.body, {childList: true, subtree: true, characterData: true});
+setPassphrase();
+
@@ -0,0 +1,101 @@
+/****************************
+
+invite
+Random channel keys, and invite tokens that hand them to a teammate as text or QR code.
+
+	xkr-invite:<base64url of {v: 1, g, c, s, k, salt, kid, exp}>
+
+g and c are the guild and channel ids the keys belong to, on any platform, see
+channelRoute in keyring.js. s and k are the server and channel keys, k is "" when
+the channel has no key of its own. kid is the key id of the passphrase they make
+with the random salt, see keyId in envelope.js. It tells a damaged invite and
+names the keys it added, messages carry ids with their own salts.
+exp is when the invite expires in ms since 1970, or 0.
+
+Anyone who has the token has the keys, it should only be shared privately.
+The popup refuses expired tokens, but keys that were already added keep working.
+
+Needs sha256.js, envelope.js and keyring.js.
+
+****************************/
+
+'use strict';
+
+var INVITE_PREFIX = "xkr-invite:";
+var INVITE_VERSION = 1;
+var GENERATED_KEY_BYTES = 32;
+
+function bytesToBase64Url(bytes) {
+	return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+	return base64ToBytes(text.replace(/-/g, "+").replace(/_/g, "/"));
+}
+
+// 256 random bits as 43 base64url characters
+function generateKey() {
+	return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(GENERATED_KEY_BYTES)));
+}
+
+/****************************
+
+createInvite
+Resolves to the invite token for the keys of route, see channelRoute in keyring.js.
+expires is in ms since 1970, or 0 for an invite that does not expire.
+
+****************************/
+
+function createInvite(route, serverkey, channelkey, expires) {
+	var salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+	return keyId(stablePassphrase(route, serverkey, channelkey), salt).then(function (kid) {
+		var invite = {v: INVITE_VERSION, g: route.guild, c: route.channel, s: serverkey, k: channelkey, salt: bytesToBase64Url(salt), kid: kid, exp: expires};
+		return INVITE_PREFIX + bytesToBase64Url(envelopeEncoder.encode(JSON.stringify(invite)));
+	});
+}
+
+/****************************
+
+readInvite
+Resolves to {route, serverkey, channelkey, kid, expires} of an invite token.
+Rejects when it is not a token, is damaged or has expired.
+
+****************************/
+
+function readInvite(token) {
+	var invite;
+	token = token.replace(/\s/g, "");
+	if(token.indexOf(INVITE_PREFIX) != 0) {
+		return Promise.reject(new Error("This is not an invite"));
+	}
+	try {
+		invite = JSON.parse(envelopeDecoder.decode(base64UrlToBytes(token.substring(INVITE_PREFIX.length))));
+	} catch(error) {
+		return Promise.reject(new Error("The invite is damaged"));
+	}
+	if(invite == null || typeof invite.v != "number") {
+		return Promise.reject(new Error("The invite is damaged"));
+	}
+	if(invite.v > INVITE_VERSION) {
+		return Promise.reject(new Error("This invite is from a newer version, update the extension"));
+	}
+	var route = routeFromIds(invite.g, invite.c);
+	var salt;
+	try {
+		salt = base64UrlToBytes(invite.salt);
+	} catch(error) {
+		salt = null;
+	}
+	if(route == null || typeof invite.s != "string" || invite.s == "" || typeof invite.k != "string" || typeof invite.exp != "number" || salt == null || salt.length != SALT_BYTES) {
+		return Promise.reject(new Error("The invite is damaged"));
+	}
+	if(invite.exp != 0 && invite.exp < Date.now()) {
+		return Promise.reject(new Error("The invite expired on " + new Date(invite.exp).toLocaleString()));
+	}
+	return keyId(stablePassphrase(route, invite.s, invite.k), salt).then(function (kid) {
+		if(kid != invite.kid) {
+			throw new Error("The invite is damaged, its key id does not match");
+		}
+		return {route: route, serverkey: invite.s, channelkey: invite.k, kid: kid, expires: invite.exp};
+	});
+}
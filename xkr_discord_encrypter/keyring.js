@@ -0,0 +1,208 @@
+/****************************
+
+keyring
+Every server and channel keeps an ordered ring of keys in chrome.storage.local,
+stored under its url as
+
+	{keys: [{key, label, created, retired}]}
+
+Keys are kept in the order they were added. The newest key that is not retired
+is the active key, new messages are encrypted with it. Older keys stay in the
+ring so earlier messages can still be decrypted. Retired keys are kept for the
+record but never used again, neither to encrypt nor to decrypt.
+
+Older versions stored a single password string under the url, readKeyRing
+turns that into a ring with one key.
+
+Needs platforms.js.
+
+****************************/
+
+'use strict';
+
+function readKeyRing(stored) {
+	if(stored == undefined || stored === "") {
+		return {keys: []};
+	}
+	if(typeof stored == "string") {
+		return {keys: [{key: stored, label: "First key", created: 0, retired: false}]};
+	}
+	return stored;
+}
+
+function activeKey(ring) {
+	for (var i = ring.keys.length - 1; i >= 0; i--) {
+		if(!ring.keys[i].retired) return ring.keys[i];
+	}
+	return null;
+}
+
+/****************************
+
+usableKeys
+Key strings that may be used to decrypt, active key first.
+
+****************************/
+
+function usableKeys(ring) {
+	var keys = [];
+	for (var i = ring.keys.length - 1; i >= 0; i--) {
+		if(!ring.keys[i].retired) keys.push(ring.keys[i].key);
+	}
+	return keys;
+}
+
+/****************************
+
+rotateKey
+Adds key as the new active key. Returns false if it already is the active key.
+
+****************************/
+
+function rotateKey(ring, key, label) {
+	var active = activeKey(ring);
+	if(active != null && active.key == key) return false;
+	ring.keys.push({key: key, label: label, created: Date.now(), retired: false});
+	return true;
+}
+
+function retireKey(ring, index) {
+	ring.keys[index].retired = true;
+}
+
+function describeKey(entry, ring) {
+	var description = entry.label;
+	if(entry.created > 0) {
+		description += " (" + new Date(entry.created).toLocaleDateString() + ")";
+	}
+	if(entry.retired) {
+		description += " - retired";
+	} else if(entry == activeKey(ring)) {
+		description += " - active";
+	}
+	return description;
+}
+
+/****************************
+
+channelRoute
+Reads the guild and channel ids from the url of a channel, with the adapter of
+its platform, e.g. https://discord.com/channels/1234/5678, see platforms.js.
+Keys are stored under these ids, so they survive channel renames and domain changes:
+	"guild:<guild id>"                     server key ring
+	"channel:<guild id>/<channel id>"      channel key ring
+Discord direct messages use "@me" as guild id. Returns null when the url is not a channel.
+
+legacyserverurl and legacychannelurl are where older versions stored the keys,
+on Discord. They are null on other platforms.
+
+****************************/
+
+var LEGACY_HOST = "discordapp.com";
+var ROUTE_GUILD_PATTERN = /^(@me|[0-9]+|[a-z]+(:[^\/\s]+)?)$/;
+var ROUTE_CHANNEL_PATTERN = /^[^\/\s]+$/;
+
+function channelRoute(href) {
+	var platform = platformFor(href);
+	var ids = platform == null ? null : platform.ids(href);
+	return ids == null ? null : routeFromIds(ids.guild, ids.channel);
+}
+
+function routeFromIds(guild, channel) {
+	if(typeof guild != "string" || typeof channel != "string" || !ROUTE_GUILD_PATTERN.test(guild) || !ROUTE_CHANNEL_PATTERN.test(channel)) {
+		return null;
+	}
+	var discord = /^(@me|[0-9]+)$/.test(guild);
+	return {
+		guild: guild,
+		channel: channel,
+		serverurl: "guild:" + guild,
+		channelurl: "channel:" + guild + "/" + channel,
+		legacyserverurl: discord ? LEGACY_HOST + "/channels/" + guild : null,
+		legacychannelurl: discord ? LEGACY_HOST + "/channels/" + guild + "/" + channel : null
+	};
+}
+
+/****************************
+
+stablePassphrase
+Passphrase messages in a channel are encrypted with, from a server key and a channel key.
+Bound to the guild and channel ids of route, see channelRoute.
+
+****************************/
+
+var CLIENT_SIDE_SALT = "9AK0Q4Ga0o";
+
+function stablePassphrase(route, serverkey, channelkey) {
+	return Sha256.hash(["xkr-stable", route.guild, route.channel, serverkey, channelkey, CLIENT_SIDE_SALT].join("\n"));
+}
+
+/****************************
+
+loadKeyRing
+Key ring stored under key, or under legacykey when it has not been saved under key yet.
+
+****************************/
+
+function loadKeyRing(obj, key, legacykey) {
+	return readKeyRing(obj[key] != undefined || legacykey == null ? obj[key] : obj[legacykey]);
+}
+
+function keyRingName(obj, key, legacykey) {
+	if(obj[key] != undefined) return key;
+	return legacykey != null && obj[legacykey] != undefined ? legacykey : null;
+}
+
+/****************************
+
+parseKeyRingName
+What a storage key of a key ring belongs to: {kind: "server" | "channel", guild, channel, legacy}.
+channel is null for servers. Returns null for storage keys that are not key rings.
+
+****************************/
+
+function parseKeyRingName(name) {
+	var match = /^guild:(@me|[0-9]+|[a-z]+(?::[^\/\s]+)?)$/.exec(name);
+	if(match != null) {
+		return {kind: "server", guild: match[1], channel: null, legacy: false};
+	}
+	match = /^channel:(@me|[0-9]+|[a-z]+(?::[^\/\s]+)?)\/([^\/\s]+)$/.exec(name);
+	if(match != null) {
+		return {kind: "channel", guild: match[1], channel: match[2], legacy: false};
+	}
+	match = /^discordapp\.com\/channels\/(@me|[0-9]+)(?:\/([0-9]+))?$/.exec(name);
+	if(match != null) {
+		return {kind: match[2] == undefined ? "server" : "channel", guild: match[1], channel: match[2] == undefined ? null : match[2], legacy: true};
+	}
+	return null;
+}
+
+function isKeyRing(stored) {
+	if(typeof stored == "string") return true;
+	return stored != null && Array.isArray(stored.keys) && stored.keys.every(function (entry) {
+		return entry != null && typeof entry.key == "string" && typeof entry.label == "string" && typeof entry.created == "number";
+	});
+}
+
+/****************************
+
+mergeKeyRings
+Ring with the keys of both rings, e.g. when restoring a backup.
+A key in both is kept once, retired if it is retired in either.
+Keys are ordered by when they were added, so the newest key of both becomes the active key.
+
+****************************/
+
+function mergeKeyRings(ring, other) {
+	var merged = {keys: ring.keys.map(function (entry) { return Object.assign({}, entry); })};
+	other.keys.forEach(function (entry) {
+		var same = merged.keys.filter(function (mine) { return mine.key == entry.key; })[0];
+		if(same == undefined) {
+			merged.keys.push(Object.assign({}, entry));
+		} else {
+			same.retired = same.retired || entry.retired;
+		}
+	});
+	merged.keys.sort(function (a, b) { return a.created - b.created; });
+	return merged;
+}
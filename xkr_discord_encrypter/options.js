@@ -4,15 +4,6 @@
 
 'use strict';
 
-
-/*
-CryptoJS v3.1.2
-code.google.com/p/crypto-js
-(c) 2009-2013 by Jeff Mott. All rights reserved.
-code.google.com/p/crypto-js/wiki/License
-*/
-
-
 	
 function saveChrome(key, value){
 	var storage = chrome.storage.local;
@@ -34,70 +25,207 @@ function loadChrome(key, f){
 
 
 
-let page = document.body;
-
 window.onload = function() {
 
-	chrome.storage.local.get(null,function (obj){
-		if(obj["vapormode"] == "true") {
-			document.getElementById("vapormode").checked = true;
+
+
+/****************************
+
+hotkey
+Recorded from the next key pressed in the hotkey box, see hotkey.js.
+
+****************************/
+
+loadChrome("hotkey", function (stored) {
+	document.getElementById("hotkey").value = describeHotkey(readHotkey(stored));
+});
+
+document.getElementById("hotkey").addEventListener("keydown", function(event) {
+	var pressed = hotkeyFromEvent(event);
+	if(pressed == null) return;
+	event.preventDefault();
+	var problem = hotkeyProblem(pressed);
+	if(problem != null) {
+		document.getElementById("hotkeyinfo").textContent = problem;
+		return;
+	}
+	saveChrome("hotkey", pressed);
+	event.target.value = describeHotkey(pressed);
+	document.getElementById("hotkeyinfo").textContent = "Done. Open Discord tabs use the new hotkey right away.";
+});
+
+document.getElementById("resethotkey").addEventListener("click", function(event) {
+	event.preventDefault();
+	chrome.storage.local.remove("hotkey");
+	document.getElementById("hotkey").value = describeHotkey(DEFAULT_HOTKEY);
+	document.getElementById("hotkeyinfo").textContent = "Done.";
+});
+
+/****************************
+
+theme
+Picked from THEMES and shown in the preview, a made up Discord channel with
+the classes themes style. Discord tabs change theme as soon as it is saved.
+
+****************************/
+
+function previewElement(doc, parent, tag, className, text) {
+	var element = doc.createElement(tag);
+	if(className != "") element.className = className;
+	if(text != undefined) element.textContent = text;
+	parent.appendChild(element);
+	return element;
+}
+
+// The encrypted message is nested like Discord's, see showDecrypted in inject.js.
+// parts are [class, text] of the spans in the message, text without class is plain.
+function previewMessage(doc, parent, author, parts, encrypted) {
+	var container = previewElement(doc, parent, "div", "containerCozyBounded-1rKFAn" + (encrypted ? " encryptedMessageContainer" : ""));
+	previewElement(doc, container, "span", "username-_4ZSMR", author);
+	var markup = previewElement(doc, previewElement(doc, previewElement(doc, previewElement(doc, container, "div", ""), "div", ""), "div", ""), "div", "markup-2BOw-j");
+	parts.forEach(function (part) {
+		if(part[0] == "") {
+			markup.appendChild(doc.createTextNode(part[1]));
 		} else {
-			document.getElementById("vapormode").checked = false;
-			
+			previewElement(doc, markup, part[0] == "xkrInlineCode" ? "code" : "span", part[0], part[1]);
 		}
 	});
-/*
-var generatekeybuttons = page.getElementsByClassName("generatekey");
-
-document.getElementById("generatekey").addEventListener("click", function(event) {	
-	var obj = event.target;
-	var id = obj.getAttribute("count");
-	var textinputid = "randomkey" + id;
-	var randompart = makeid(18);
-	var e = document.getElementById("timeselector");
-    var selecteditem = e.options[e.selectedIndex].value;
-	var urls = document.getElementById("server1").value;
-	var beforeencryption = randompart + "_" + urls + "_" + selecteditem;
-	var finalkey = CryptoJS.AES.encrypt(beforeencryption, "xkrkey");
-	document.getElementById(textinputid).value = finalkey;
-	document.getElementById("beforeencryption").value = beforeencryption;
+	if(encrypted) {
+		previewElement(doc, markup, "span", "xkrBadge verified", "verified");
+	}
+}
+
+function showThemePreview() {
+	var doc = document.getElementById("themepreview").contentDocument;
+	if(doc.getElementById("app-mount") == null) {
+		doc.body.style.margin = "0";
+		var app = previewElement(doc, doc.body, "div", "theme-dark");
+		app.id = "app-mount";
+		app.style.minHeight = "220px";
+		app.style.padding = "8px";
+		app.style.backgroundColor = "#36393f";
+		app.style.color = "#dcddde";
+		app.style.fontFamily = "sans-serif";
+		previewMessage(doc, app, "alice", [["", "A message everyone can read."]], false);
+		previewMessage(doc, app, "bob", [["", "An encrypted message with a "], ["xkrSpoiler revealed", "spoiler"], ["", " and "], ["xkrInlineCode", "code"]], true);
+		previewMessage(doc, app, "alice", [["xkrMention", "@bob"], ["", " got it!"]], true);
+	}
+	applyTheme(doc, document.getElementById("theme").value, document.getElementById("customcss").value);
+}
+
+THEMES.forEach(function (theme) {
+	var option = document.createElement("option");
+	option.value = theme.id;
+	option.textContent = theme.name;
+	document.getElementById("theme").appendChild(option);
 });
-	
-document.getElementById("showadvanced").addEventListener("click", function(event) {
-	var styles = '.advancedstuff {display:block;}';
-	var styleSheet = document.createElement("style");
-	styleSheet.type = "text/css";
-	styleSheet.innerText = styles;
-	document.head.appendChild(styleSheet);
-	document.getElementById("showadvanced").style.display = "none";	
-	
-	
 
+chrome.storage.local.get(["theme", "vapormode", "customcss"], function (obj) {
+	document.getElementById("theme").value = readTheme(obj);
+	document.getElementById("customcss").value = obj["customcss"] == undefined ? "" : obj["customcss"];
+	showThemePreview();
+});
+
+document.getElementById("theme").addEventListener("change", function(event) {
+	saveChrome("theme", event.target.value);
+	showThemePreview();
+});
 
+document.getElementById("customcss").addEventListener("input", showThemePreview);
 
+document.getElementById("customcsssave").addEventListener("click", function(event) {
+	event.preventDefault();
+	saveChrome("customcss", document.getElementById("customcss").value);
+	document.getElementById("themeinfo").textContent = "Done. Open Discord tabs use it right away.";
 });
-	*/
-	
 
+/****************************
 
-	
-document.getElementById("vapormode").addEventListener('change', function(event) {
-  if (event.target.checked) {
-	saveChrome("vapormode", "true");
-    console.log('checked');
-  } else {
-	saveChrome("vapormode", "false");
-    console.log('not checked');
-  }
+keystrength
+Least strength of new server and channel keys, see strength.js.
+
+****************************/
+
+loadChrome("keystrength", function (stored) {
+	document.getElementById("keystrength").value = readKeyStrength(stored);
 });
-	
-function makeid(length) {
-   var result           = '';
-   var characters       = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-   var charactersLength = characters.length;
-   for ( var i = 0; i < length; i++ ) {
-      result += characters.charAt(Math.floor(Math.random() * charactersLength));
-   }
-   return result;
+
+document.getElementById("keystrength").addEventListener("change", function(event) {
+	saveChrome("keystrength", event.target.value);
+});
+
+/****************************
+
+embeds
+Which providers show media cards, and the hosts media is loaded from without asking, see embeds.js.
+
+****************************/
+
+function showEmbedSettings(obj) {
+	readEmbedSettings(obj);
+	var providers = document.getElementById("embedproviders");
+	providers.textContent = "";
+	EMBED_PROVIDERS.forEach(function (provider) {
+		var label = document.createElement("label");
+		var checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.checked = embedProviderEnabled(provider, embedsettings);
+		checkbox.addEventListener("change", function () {
+			embedsettings.providers[provider.id] = checkbox.checked;
+			saveChrome("embeds", embedsettings.providers);
+		});
+		label.appendChild(checkbox);
+		label.appendChild(document.createTextNode(" " + provider.name));
+		providers.appendChild(label);
+		providers.appendChild(document.createElement("br"));
+	});
+
+	var domains = document.getElementById("embeddomains");
+	domains.textContent = "";
+	document.getElementById("embedinfo").textContent = embedsettings.domains.length == 0 ? "No sites yet. Pick \"Always load\" on a media card to add one." : "";
+	embedsettings.domains.forEach(function (host) {
+		var row = document.createElement("li");
+		row.textContent = host + " ";
+		var remove = document.createElement("a");
+		remove.href = "#";
+		remove.className = "keyaction";
+		remove.textContent = "Ask again";
+		remove.addEventListener("click", function (event) {
+			event.preventDefault();
+			saveChrome("embeddomains", embedsettings.domains.filter(function (domain) { return domain != host; }));
+		});
+		row.appendChild(remove);
+		domains.appendChild(row);
+	});
 }
+
+chrome.storage.local.get(["embeds", "embeddomains"], showEmbedSettings);
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+	if(area == "local" && (changes["embeds"] != undefined || changes["embeddomains"] != undefined)) {
+		chrome.storage.local.get(["embeds", "embeddomains"], showEmbedSettings);
+	}
+});
+
+/****************************
+
+vaultidle
+Minutes the browser has to be idle before the vault locks, see vault.js.
+
+****************************/
+
+loadChrome("vaultidle", function (minutes) {
+	document.getElementById("vaultidle").value = minutes == undefined ? VAULT_IDLE_MINUTES : minutes;
+});
+
+document.getElementById("vaultidle").addEventListener("change", function(event) {
+	saveChrome("vaultidle", event.target.value);
+});
+
+// chrome:// pages cannot be linked to, they have to be opened as a tab
+document.getElementById("shortcuts").addEventListener("click", function(event) {
+	event.preventDefault();
+	chrome.tabs.create({url: "chrome://extensions/shortcuts"});
+});
+	
 }
\ No newline at end of file
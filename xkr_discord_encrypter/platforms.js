@@ -0,0 +1,268 @@
+/****************************
+
+platforms
+What the extension knows about the pages of each chat it runs on. inject.js only
+talks to a page through the adapter of its platform, so the same keys, envelope
+and compose box work on all of them.
+
+An adapter is
+	id, name
+	hosts              hosts it runs on, subdomains included, see manifest.json
+	ids(href)          {guild, channel} of the channel open at href, or null
+	resolve(ids)       optional, for urls that may name a channel by an alias: the ids of
+	                   the channel itself, read from the page, or null until the page shows them
+	isAlias(ids)       with resolve, whether ids name the channel by an alias
+	message            selector of message bodies, the element the ciphertext is in
+	text(node)         the ciphertext in a message body
+	container(node)    element around a message that themes style, see themes.js
+	author(node)       name of who sent a message, or null
+	channelTitle()     element with the name of the open channel, or undefined
+	guildTitle()       element with the name of the server or workspace, or undefined
+	composer()         the platform's own message editor, or undefined
+	sendButton         selector of the button that sends what is in the editor, or null
+	mention(kind, id)  name of a mentioned user, role or channel, or null, see renderer.js.
+	                   Roles are asked for too, though no platform shows their ids yet
+	textColor          color of decrypted text, or null to keep the platform's
+	customEmoji        whether <:name:id> emoji are the platform's own, see renderCustomEmoji in renderer.js
+
+Enter in the editor sends on every platform.
+
+Guild ids of other platforms than Discord start with the id of the platform,
+e.g. "slack:T0123", so their keys never mix with Discord's, see channelRoute in keyring.js.
+A guild is a Slack workspace, a Matrix homeserver or, on Telegram, all of Telegram.
+
+****************************/
+
+'use strict';
+
+// {guild, channel} of a Matrix room id (!id:server) or alias (#room:server), the guild is the homeserver
+function matrixIds(room) {
+	var server = room.substring(room.indexOf(":") + 1);
+	return !/^[!#]/.test(room) || server == "" || room.indexOf(":") == -1 ? null : {guild: "matrix:" + server, channel: room};
+}
+
+function closestText(node, container, selector) {
+	var group = node.closest(container);
+	if(group == null) return null;
+	var element = group.querySelector(selector);
+	return element == null ? null : element.textContent;
+}
+
+var PLATFORMS = [
+	{
+		id: "discord",
+		name: "Discord",
+		hosts: ["discord.com", "discordapp.com"],
+		ids: function (href) {
+			var match = /^https:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/channels\/(@me|[0-9]+)\/([0-9]+)/.exec(href);
+			return match == null ? null : {guild: match[1], channel: match[2]};
+		},
+		message: ".markup-2BOw-j",
+		text: function (node) {
+			return node.innerHTML;
+		},
+		container: function (node) {
+			return node.parentElement.parentElement.parentElement.parentElement;
+		},
+		author: function (node) {
+			return closestText(node, ".containerCozyBounded-1rKFAn", ".username-_4ZSMR");
+		},
+		channelTitle: function () {
+			return document.getElementsByClassName("title-29uC1r")[0];
+		},
+		guildTitle: function () {
+			return document.getElementsByClassName("name-3YKhmS")[0];
+		},
+		// The current editor is a contenteditable Slate editor, older versions used a textarea
+		composer: function () {
+			var editor = document.querySelector('[data-slate-editor="true"]');
+			return editor != null ? editor : document.querySelector("textarea:not(.xkrComposeInput)");
+		},
+		sendButton: null,
+		// Users are found by their avatar in the messages, channels in the channel list.
+		// Roles are not on the page.
+		mention: function (kind, id) {
+			if(kind == "channel") {
+				var channel = document.querySelector('[data-list-item-id="channels___' + id + '"]');
+				var name = channel == null ? null : channel.querySelector('[class*="name-"]');
+				return name == null ? null : name.textContent;
+			}
+			if(kind == "user") {
+				var avatar = document.querySelector('img[src*="/avatars/' + id + '/"]');
+				var header = avatar == null ? null : avatar.parentElement.querySelector('[id^="message-username-"], [class*="username-"]');
+				return header == null ? null : header.textContent;
+			}
+			return null;
+		},
+		textColor: "#fff",
+		customEmoji: true
+	},
+	{
+		id: "slack",
+		name: "Slack",
+		hosts: ["app.slack.com"],
+		ids: function (href) {
+			var match = /^https:\/\/app\.slack\.com\/client\/(T[A-Z0-9]+)\/([CDG][A-Z0-9]+)/.exec(href);
+			return match == null ? null : {guild: "slack:" + match[1], channel: match[2]};
+		},
+		message: '[data-qa="message-text"]',
+		text: function (node) {
+			return node.textContent.trim();
+		},
+		container: function (node) {
+			return node.closest('[data-qa="message_container"]') || node.parentElement;
+		},
+		author: function (node) {
+			return closestText(node, '[data-qa="message_container"]', '[data-qa="message_sender_name"]');
+		},
+		channelTitle: function () {
+			return document.querySelector('[data-qa="channel_name"]') || undefined;
+		},
+		guildTitle: function () {
+			return document.querySelector('[data-qa="team-name"], .p-ia__sidebar_header__team_name') || undefined;
+		},
+		composer: function () {
+			return document.querySelector('[data-qa="message_input"] [contenteditable="true"]') || undefined;
+		},
+		sendButton: '[data-qa="texty_send_button"]',
+		mention: function () {
+			return null;
+		},
+		textColor: null,
+		customEmoji: false
+	},
+	{
+		id: "matrix",
+		name: "Element",
+		hosts: ["app.element.io"],
+		ids: function (href) {
+			var match = /^https:\/\/app\.element\.io\/#\/room\/([^\/?]+)/.exec(href);
+			if(match == null) return null;
+			var room;
+			try {
+				room = decodeURIComponent(match[1]); // aliases are "%23name:server"
+			} catch(error) {
+				return null;
+			}
+			return matrixIds(room);
+		},
+		// A room opened by its alias gets the keys of its id, so both ways to open it
+		// share them. Every message links to its event by room id from its timestamp.
+		resolve: function (ids) {
+			if(ids.channel[0] != "#") return ids; // opened by its id
+			var stamps = document.querySelectorAll(".mx_EventTile a[href] > .mx_MessageTimestamp");
+			for (var i = 0; i < stamps.length; i++) {
+				var link = /#\/(?:room\/)?(![^\/?#]+)\/\$/.exec(stamps[i].parentElement.getAttribute("href"));
+				var room = null;
+				try {
+					room = link == null ? null : decodeURIComponent(link[1]);
+				} catch(error) {
+					room = null;
+				}
+				var resolved = room == null ? null : matrixIds(room);
+				if(resolved != null) return resolved;
+			}
+			return null;
+		},
+		isAlias: function (ids) {
+			return ids.channel[0] == "#";
+		},
+		message: ".mx_EventTile_body",
+		text: function (node) {
+			return node.textContent.trim();
+		},
+		container: function (node) {
+			return node.closest(".mx_EventTile") || node.parentElement;
+		},
+		author: function (node) {
+			return closestText(node, ".mx_EventTile", ".mx_DisambiguatedProfile_displayName");
+		},
+		channelTitle: function () {
+			return document.querySelector(".mx_RoomHeader_name, .mx_RoomHeader_heading") || undefined;
+		},
+		guildTitle: function () {
+			return undefined; // the homeserver is in the room id
+		},
+		composer: function () {
+			return document.querySelector(".mx_BasicMessageComposer_input") || undefined;
+		},
+		sendButton: ".mx_MessageComposer_sendMessage",
+		mention: function () {
+			return null;
+		},
+		textColor: null,
+		customEmoji: false
+	},
+	{
+		id: "telegram",
+		name: "Telegram",
+		hosts: ["web.telegram.org"],
+		ids: function (href) {
+			var match = /^https:\/\/web\.telegram\.org\/[ak]\/#(-?[0-9]+|@[A-Za-z0-9_]+)/.exec(href);
+			return match == null ? null : {guild: "telegram", channel: match[1]};
+		},
+		message: ".bubble .translatable-message, .Message .text-content",
+		text: function (node) {
+			return node.textContent.trim();
+		},
+		container: function (node) {
+			return node.closest(".bubble, .Message") || node.parentElement;
+		},
+		author: function (node) {
+			return closestText(node, ".bubble, .Message", ".peer-title, .message-title");
+		},
+		channelTitle: function () {
+			return document.querySelector(".chat-info .peer-title, .ChatInfo .fullName") || undefined;
+		},
+		guildTitle: function () {
+			return undefined;
+		},
+		composer: function () {
+			return document.querySelector(".input-message-input[contenteditable], #editable-message-text") || undefined;
+		},
+		sendButton: ".btn-send, .SendButton",
+		mention: function () {
+			return null;
+		},
+		textColor: null,
+		customEmoji: false
+	}
+];
+
+/****************************
+
+platformFor
+Adapter of the platform url is on, or null.
+
+****************************/
+
+function platformFor(href) {
+	var host;
+	try {
+		host = new URL(href).hostname;
+	} catch(error) {
+		return null;
+	}
+	for (var i = 0; i < PLATFORMS.length; i++) {
+		var hosts = PLATFORMS[i].hosts;
+		for (var h = 0; h < hosts.length; h++) {
+			if(host == hosts[h] || host.endsWith("." + hosts[h])) return PLATFORMS[i];
+		}
+	}
+	return null;
+}
+
+// Adapter of the platform a guild id from channelRoute belongs to
+function platformOfGuild(guild) {
+	var prefix = guild.indexOf(":") == -1 ? guild : guild.substring(0, guild.indexOf(":"));
+	for (var i = 1; i < PLATFORMS.length; i++) {
+		if(PLATFORMS[i].id == prefix) return PLATFORMS[i];
+	}
+	return PLATFORMS[0];
+}
+
+function platformHosts() {
+	return PLATFORMS.reduce(function (hosts, platform) {
+		return hosts.concat(platform.hosts);
+	}, []);
+}
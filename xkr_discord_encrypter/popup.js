@@ -12,7 +12,10 @@ var url;
 var serverurl;
 var channelurl;
 var urlarr ;
-var code;
+var route; // guild and channel ids of the active tab, see channelRoute in keyring.js
+var rings = {server: {keys: []}, channel: {keys: []}}; // key rings of this server and channel, see keyring.js
+var keyslocked = false; // the keys are in a locked vault, see vault.js
+var keystrength = DEFAULT_KEY_STRENGTH; // least strength of new keys, see strength.js
 
 function saveChrome(key, value){
 	var storage = chrome.storage.local;
@@ -40,23 +43,12 @@ function receiveResult(resultsArray){
     console.log(resultsArray[0]);
 }
 
-function markTabAsInjected(tabs) {
-	code = "document.getElementsByTagName('body')[0].setAttribute('data-injected', 'true');";
-	chrome.tabs.executeScript(tabs[0].id, {code: code}, function() {}); // mark as injected
-}
-
-function markTabAsNotInjected(tabs) {
-	code = "document.getElementsByTagName('body')[0].setAttribute('data-injected', 'false');";
-	chrome.tabs.executeScript(tabs[0].id, {code: code}, function() {}); // mark as injected
-}
-
 /****************************
 
 loadKeys
 Tries to load keys from local storage when icon is clicked. 
-When loaded, inejct.js is called, which is used for encryption and decryption. 
-Chrome.storage is used just for sending parameters to inject.js. 
-Other variables are stored in local storage.
+inject.js runs on every Discord page by itself (see manifest.json) and picks
+up changes to chrome.storage right away, no refresh needed.
 
 ****************************/
 	
@@ -64,46 +56,70 @@ Other variables are stored in local storage.
 function loadKeys () {
 	chrome.tabs.query({'active': true, 'lastFocusedWindow': true}, function (tabs) {
 		url = (tabs[0].url).replace('https://','');
-		urlarr = url.split("/");
-		serverurl = urlarr[0] + "/" + urlarr[1] + "/" + urlarr[2];
-		channelurl = url;	
+		tabRoute(tabs[0], showKeys);
+	});	
+}	
+
+function showKeys(tabroute, aliased) {
+	route = tabroute;
+	if(route == null) {
+		document.getElementById("info").innerHTML = aliased ? "Wait for the messages of this room to load, the keys belong to its id, which Element shows with them." : "Open a channel on Discord, Slack, Element or Telegram to set its passwords.";
+		readKeyStore(function (obj, locked) {
+			showVault(obj["vault"] != undefined, locked);
+		});
+	} else {
+		serverurl = route.serverurl;
+		channelurl = route.channelurl;
 		
-		loadChrome(serverurl, function (serverkey) { 
-			if(serverkey != undefined) {
-				document.getElementById("server-key").value = serverkey; 
-			}
-		});	
-		loadChrome(channelurl, function (channelkey) { 
-			if(channelkey != undefined) {
-				document.getElementById("channel-key").value = channelkey;
+		readKeyStore(function (obj, locked) {
+			showVault(obj["vault"] != undefined, locked);
+			if(locked) return;
+			rings.server = loadKeyRing(obj, serverurl, route.legacyserverurl);
+			rings.channel = loadKeyRing(obj, channelurl, route.legacychannelurl);
+			showKeyRing("server");
+			showKeyRing("channel");
+		});
+		loadChrome("keystrength", function (stored) {
+			keystrength = readKeyStrength(stored);
+		});
+		loadChrome("lifetime:" + channelurl, function (lifetime) { 
+			if(lifetime != undefined) {
+				document.getElementById("lifetime").value = lifetime;
 			}
 		});	
+		loadChrome("compress:" + channelurl, function (compress) {
+			document.getElementById("compress").checked = compress == "true";
+		});
+		loadChrome("padding:" + channelurl, function (padding) {
+			document.getElementById("padding").checked = padding == "true";
+		});
+	}
+}
 
-				chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-					var path = chrome.extension.getURL('inject.js');
-										var hasBeenInjected;
-					
-					
-					
-					//check if tab already has been injected
-					code = "var returnvalue; if(document.getElementsByTagName('body')[0].getAttribute('data-injected') == 'true') { returnvalue='true'; } else {returnvalue='false';} returnvalue; ";
-					chrome.tabs.executeScript(tabs[0].id, {code: code}, function(result) {
-
-							hasBeenInjected = "" + result;
-
-							if (hasBeenInjected == 'false') {
-								chrome.tabs.executeScript(tabs[0].id, {file: '/inject.js'}, function() {}); // inject script
-								markTabAsInjected(tabs);
-							}
-							
-					}); 
-
-					
-				});
-				
-			
-	});	
-}	
+/****************************
+
+tabRoute
+Calls back with the route of the channel open in tab, see channelRoute in keyring.js,
+and whether its url names the channel by an alias. inject.js resolves aliases
+from the page, see resolve in platforms.js, the route is null until it can.
+
+****************************/
+
+function tabRoute(tab, callback) {
+	var platform = platformFor(tab.url);
+	var shown = channelRoute(tab.url);
+	if(shown == null || platform.resolve == undefined || !platform.isAlias(shown)) {
+		callback(shown, false);
+		return;
+	}
+	chrome.tabs.sendMessage(tab.id, {action: "route"}, function (ids) {
+		if(chrome.runtime.lastError || ids == null) {
+			callback(null, true);
+			return;
+		}
+		callback(routeFromIds(ids.guild, ids.channel), true);
+	});
+}
 
 loadKeys();
 	
@@ -117,23 +133,30 @@ Stores this in local storage.
 ****************************/
 
 function setKeys() {
-	var serverkey = (document.getElementById("server-key").value).replace(/\s/g, '');
-	if(serverkey.length > 5) {
-		saveChrome(serverurl, serverkey);
+	if(route == null || keyslocked) return;
+	var serverkey = document.getElementById("server-key").value;
+	var problem = newKeyProblem("server", serverkey);
+	if(problem == null) {
+		if(rotateKey(rings.server, serverkey, "Key " + (rings.server.keys.length + 1))) {
+			saveKeyRing("server");
+		}
 
-		var channelkey = (document.getElementById("channel-key").value).replace(/\s/g, '');
+		var channelkey = document.getElementById("channel-key").value;
 		//alert(loadChrome(serverurl) + " " + serverkey);
 		//loadChrome(serverurl);
-		if(channelkey != "") {
-			if(channelkey.length > 5) {
-				saveChrome(channelurl, channelkey);
+		if(channelkey.trim() != "") {
+			problem = newKeyProblem("channel", channelkey);
+			if(problem == null) {
+				if(rotateKey(rings.channel, channelkey, "Key " + (rings.channel.keys.length + 1))) {
+					saveKeyRing("channel");
+				}
 			} else {
-				alert("Your channel password is too short");
+				alert("Your channel password is not used. " + problem);
 			}
 		}
-		document.getElementById("info").innerHTML = "Done. Refresh your page and click the icon to activate.";
+		document.getElementById("info").innerHTML = "Done. Your passwords are in use.";
 	} else {
-		alert("Your server password is too short");
+		alert("Your server password is not used. " + problem);
 	}
 }
 
@@ -144,13 +167,368 @@ document.getElementById("setkeys").addEventListener("click", function(event) {
 
 
 
-	chrome.storage.local.get(null,function (obj){
-	if (obj["vapormode"] == undefined) {
-		saveChrome("vapormode", "true");
-	} 
+/****************************
+
+Key rings
+which is "server" or "channel".
+Rotating adds the password in the input as the new active key, older keys keep decrypting old messages.
+Retiring a key stops it from being used at all.
+
+****************************/
+
+// Keys that are already active pass, they were set before the policy
+function newKeyProblem(which, key) {
+	var active = activeKey(rings[which]);
+	if(active != null && active.key == key) return null;
+	return keyProblem(key, keystrength);
+}
+
+function ringUrl(which) {
+	return which == "server" ? serverurl : channelurl;
+}
+
+function showKeyRing(which) {
+	var ring = rings[which];
+	var select = document.getElementById(which + "-ring");
+	select.innerHTML = "";
+	for (var i = ring.keys.length - 1; i >= 0; i--) {
+		var option = document.createElement("option");
+		option.value = i;
+		option.textContent = describeKey(ring.keys[i], ring);
+		select.appendChild(option);
+	}
+	select.style.display = ring.keys.length > 0 ? "" : "none";
+	var active = activeKey(ring);
+	document.getElementById(which + "-key").value = active == null ? "" : active.key;
+	showStrength(which);
+	showSafety();
+}
+
+function saveKeyRing(which) {
+	writeKeyStore({[ringUrl(which)]: rings[which]}, function (error) {
+		if(error != null) {
+			alert("Error. " + error);
+		}
+	});
+	showKeyRing(which);
+}
+
+function rotateKeyRing(which) {
+	if(route == null || keyslocked) return;
+	var key = document.getElementById(which + "-key").value;
+	var problem = newKeyProblem(which, key);
+	if(problem != null) {
+		alert("Type the new " + which + " password first. " + problem);
+		return;
+	}
+	var label = prompt("Label for the new " + which + " key", "Key " + (rings[which].keys.length + 1));
+	if(label == null) return;
+	if(rotateKey(rings[which], key, label)) {
+		saveKeyRing(which);
+		document.getElementById("info").innerHTML = "Done. New messages use the new key, old messages still decrypt.";
+	} else {
+		alert("This already is the active " + which + " key");
+	}
+}
+
+function retireKeyRing(which) {
+	var select = document.getElementById(which + "-ring");
+	if(select.value === "") return;
+	var entry = rings[which].keys[select.value];
+	if(entry.retired) return;
+	if(confirm("Retire " + entry.label + "? Messages encrypted with it can no longer be decrypted.")) {
+		retireKey(rings[which], Number(select.value));
+		saveKeyRing(which);
+		document.getElementById("info").innerHTML = "Done. The key has been retired.";
+	}
+}
+
+["server", "channel"].forEach(function (which) {
+	document.getElementById(which + "-rotate").addEventListener("click", function(event) {
+		rotateKeyRing(which);
+	});
+	document.getElementById(which + "-retire").addEventListener("click", function(event) {
+		retireKeyRing(which);
+	});
+	document.getElementById(which + "-generate").addEventListener("click", function(event) {
+		if(route == null || keyslocked) return;
+		document.getElementById(which + "-key").value = generateKey();
+		showStrength(which);
+		document.getElementById("info").innerHTML = "A random " + which + " key is in the box. Set passwords or rotate to use it.";
+	});
+	document.getElementById(which + "-diceware").addEventListener("click", function(event) {
+		if(route == null || keyslocked) return;
+		var input = document.getElementById(which + "-key");
+		input.value = dicewarePassphrase();
+		input.type = "text"; // to be remembered it has to be seen
+		showStrength(which);
+		document.getElementById("info").innerHTML = "A random " + which + " passphrase is in the box. Set passwords or rotate to use it.";
+	});
+	document.getElementById(which + "-key").addEventListener("input", function(event) {
+		showStrength(which);
+	});
+});
+
+/****************************
+
+showStrength
+Live strength of the key typed for which, see estimateStrength in strength.js.
+
+****************************/
+
+function showStrength(which) {
+	var key = document.getElementById(which + "-key").value;
+	var text = "";
+	if(key != "") {
+		var strength = estimateStrength(key);
+		text = "Strength: " + strength.label + " (about " + strength.bits + " bits). " + strength.warning;
+		if(strength.level < keystrength) {
+			text += " New keys have to be at least " + STRENGTH_LEVELS[keystrength].label + ".";
+		}
+	}
+	document.getElementById(which + "-strength").textContent = text;
+}
+
+/****************************
 
+Vault
+Without a vault the master password creates one, and the keys move into it.
+With a locked vault it unlocks it, for this browser session or until the browser is idle.
+
+****************************/
+
+function showVault(exists, locked) {
+	keyslocked = locked;
+	document.getElementById("vault-status").textContent = !exists ? "Protect your keys with a master password" : locked ? "Your keys are locked" : "Your keys are unlocked";
+	document.getElementById("vault-password").style.display = exists && !locked ? "none" : "";
+	document.getElementById("vault-unlock").textContent = exists ? "Unlock" : "Protect keys";
+	document.getElementById("vault-unlock").style.display = exists && !locked ? "none" : "";
+	document.getElementById("vault-lock").style.display = exists && !locked ? "" : "none";
+	["server-key", "channel-key"].forEach(function (id) {
+		document.getElementById(id).disabled = locked;
 	});
+}
 
+function vaultRequest(request, done) {
+	chrome.runtime.sendMessage(request, function (response) {
+		if(response == undefined || response.error != null) {
+			alert("Error. " + (response == undefined ? "The vault could not be reached" : response.error));
+			return;
+		}
+		document.getElementById("vault-password").value = "";
+		document.getElementById("info").innerHTML = done;
+		loadKeys();
+	});
+}
+
+document.getElementById("vault-unlock").addEventListener("click", function(event) {
+	var password = document.getElementById("vault-password").value;
+	if(keyslocked) {
+		vaultRequest({action: "vaultunlock", password: password}, "Done. Your keys are unlocked.");
+		return;
+	}
+	if(password.length < 8) {
+		alert("Your master password is too short");
+		return;
+	}
+	if(prompt("Type the master password again. Without it your keys cannot be recovered.") !== password) {
+		alert("The passwords do not match");
+		return;
+	}
+	vaultRequest({action: "vaultcreate", password: password}, "Done. Your keys are protected by the master password.");
+});
+
+document.getElementById("vault-lock").addEventListener("click", function(event) {
+	vaultRequest({action: "vaultlock"}, "Done. Your keys are locked.");
+});
+
+/****************************
+
+lifetime
+Default lifetime of messages encrypted in this channel, in seconds.
+Alt + the encrypt hotkey always encrypts with a lifetime of one hour.
+
+****************************/
+
+document.getElementById("lifetime").addEventListener("change", function(event) {
+	if(event.target.value == "0") {
+		removeChrome("lifetime:" + channelurl);
+		document.getElementById("info").innerHTML = "Done. New messages in this channel will not expire.";
+	} else {
+		saveChrome("lifetime:" + channelurl, event.target.value);
+		document.getElementById("info").innerHTML = "Done. New messages in this channel will expire.";
+	}
+});
+
+/****************************
+
+compress, padding
+Compress messages in this channel before encryption, and pad them so their
+length says less about the plaintext. See sealEnvelope in envelope.js.
+Older versions of the extension cannot read messages sent with either.
+
+****************************/
+
+["compress", "padding"].forEach(function (option) {
+	document.getElementById(option).addEventListener("change", function(event) {
+		if(route == null) return;
+		if(event.target.checked) {
+			saveChrome(option + ":" + channelurl, "true");
+		} else {
+			removeChrome(option + ":" + channelurl);
+		}
+		document.getElementById("info").innerHTML = "Done. New messages in this channel use the new setting.";
+	});
+});
+
+/****************************
+
+publishkey
+Puts our §pub: message in the composer of the active tab, ready to send.
+In a direct message the other side then encrypts to our key.
+
+****************************/
+
+document.getElementById("publishkey").addEventListener("click", function(event) {
+	chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+		chrome.tabs.sendMessage(tabs[0].id, {action: "publishkey"});
+		document.getElementById("info").innerHTML = "Your public key is in the message box. Press enter to send it.";
+	});
+});
+
+/****************************
+
+Invites
+An invite holds the active keys of this channel, see invite.js.
+Using one adds its keys to the key rings of its server and channel, whatever tab is open.
+
+****************************/
+
+document.getElementById("invite-toggle").addEventListener("click", function(event) {
+	var invites = document.getElementById("invites");
+	invites.style.display = invites.style.display == "none" ? "" : "none";
+});
+
+document.getElementById("invite-create").addEventListener("click", function(event) {
+	if(route == null || keyslocked) return;
+	var server = activeKey(rings.server);
+	if(server == null) {
+		alert("Set a password for this server first");
+		return;
+	}
+	var channel = activeKey(rings.channel);
+	var expiry = Number(document.getElementById("invite-expiry").value);
+	createInvite(route, server.key, channel == null ? "" : channel.key, expiry == 0 ? 0 : Date.now() + expiry * 1000).then(function (token) {
+		var text = document.getElementById("invite-token");
+		text.value = token;
+		text.style.display = "";
+		var canvas = document.getElementById("invite-qr");
+		drawQrCode(canvas, qrMatrix(token), 2);
+		canvas.style.display = "";
+		document.getElementById("invite-copy").style.display = "";
+		document.getElementById("info").innerHTML = "Done. The invite holds your keys, only share it privately.";
+	});
+});
+
+document.getElementById("invite-copy").addEventListener("click", function(event) {
+	navigator.clipboard.writeText(document.getElementById("invite-token").value).then(function () {
+		document.getElementById("info").innerHTML = "The invite is on the clipboard.";
+	});
+});
+
+document.getElementById("invite-use").addEventListener("click", function(event) {
+	readInvite(document.getElementById("invite-paste").value).then(function (invite) {
+		readKeyStore(function (obj, locked) {
+			if(locked) {
+				alert("Unlock your keys first");
+				return;
+			}
+			var invited = invite.route;
+			var label = "Invite " + invite.kid;
+			var entries = {};
+			var server = loadKeyRing(obj, invited.serverurl, invited.legacyserverurl);
+			if(rotateKey(server, invite.serverkey, label)) {
+				entries[invited.serverurl] = server;
+			}
+			var channel = loadKeyRing(obj, invited.channelurl, invited.legacychannelurl);
+			if(invite.channelkey != "" && rotateKey(channel, invite.channelkey, label)) {
+				entries[invited.channelurl] = channel;
+			}
+			writeKeyStore(entries, function (error) {
+				if(error != null) {
+					alert("Error. " + error);
+					return;
+				}
+				document.getElementById("invite-paste").value = "";
+				if(invite.channelkey == "" && activeKey(channel) != null) {
+					document.getElementById("info").innerHTML = "The invite has no channel password, but you have one. Retire it to read the channel.";
+				} else {
+					document.getElementById("info").innerHTML = "Done. The invite is in use.";
+				}
+				loadKeys();
+			});
+		});
+	}).catch(function (error) {
+		alert("Error. " + error.message);
+	});
+});
+
+/****************************
+
+Safety number
+Fingerprint of the keys this channel encrypts with, see safety.js.
+When it matches the one of a teammate it is remembered, until the keys change.
+
+****************************/
+
+var safety = null; // safety number of the active keys, or null
+
+function showSafety() {
+	safety = null;
+	var server = route == null || keyslocked ? null : activeKey(rings.server);
+	document.getElementById("safety-emoji").textContent = "";
+	document.getElementById("safety-status").textContent = "";
+	if(server == null) {
+		document.getElementById("safety-words").textContent = "Set a password for this server first.";
+		return;
+	}
+	var channel = activeKey(rings.channel);
+	safetyNumber(stablePassphrase(route, server.key, channel == null ? "" : channel.key)).then(function (number) {
+		safety = number;
+		document.getElementById("safety-words").textContent = number.words;
+		document.getElementById("safety-emoji").textContent = number.emoji;
+		document.getElementById("safety-emoji").title = number.names;
+		loadChrome("verified:" + channelurl, function (verified) {
+			var status = "Not compared yet. Read it to a teammate on a call or in person, not in this channel.";
+			if(verified == undefined || verified.v != SAFETY_VERSION) {
+				// not compared, or with another version of safety numbers
+			} else if(verified.words == number.words) {
+				status = "Same as your teammate's.";
+			} else {
+				status = "Your keys changed since you last compared. Compare again.";
+			}
+			document.getElementById("safety-status").textContent = status;
+		});
+	});
+}
+
+document.getElementById("safety-toggle").addEventListener("click", function(event) {
+	var section = document.getElementById("safety");
+	section.style.display = section.style.display == "none" ? "" : "none";
+	showSafety();
+});
+
+document.getElementById("safety-check").addEventListener("click", function(event) {
+	if(safety == null) return;
+	if(matchesSafetyNumber(document.getElementById("safety-compare").value, safety)) {
+		saveChrome("verified:" + channelurl, {v: SAFETY_VERSION, words: safety.words});
+		document.getElementById("safety-compare").value = "";
+		document.getElementById("info").innerHTML = "Done. You and your teammate have the same keys.";
+		showSafety();
+	} else {
+		alert("The safety numbers are different, so are your keys. Check the server and channel passwords with your teammate, spaces and capitals count.");
+	}
+});
 
 /****************************
 
@@ -159,10 +537,19 @@ removekeys
 ****************************/
 
 function removekeys() {
-	
+	if(route == null || keyslocked) return;
 	try {
-		removeChrome(serverurl)		
-		removeChrome(channelurl);
+		var removed = {[serverurl]: null, [channelurl]: null};
+		// older versions only stored keys of Discord channels
+		if(route.legacyserverurl != null) removed[route.legacyserverurl] = null;
+		if(route.legacychannelurl != null) removed[route.legacychannelurl] = null;
+		writeKeyStore(removed);
+		removeChrome("peerkey:" + channelurl);
+		removeChrome("verified:" + channelurl);
+		rings.server = {keys: []};
+		rings.channel = {keys: []};
+		showKeyRing("server");
+		showKeyRing("channel");
 		document.getElementById("info").innerHTML = "Done. Your keys has been deleted.";
 	} catch(error) {
 		alert("Error. Could not remove keys");
@@ -0,0 +1,364 @@
+/****************************
+
+qrcode
+Minimal QR code encoder, enough to show invite tokens (see invite.js) as a QR code.
+Byte mode, error correction level M, version 1 to 40, the best of the 8 masks.
+
+qrMatrix(text) returns the modules as rows of booleans, true is dark.
+drawQrCode(canvas, matrix, scale) paints them with a 4 module quiet zone.
+
+****************************/
+
+'use strict';
+
+// Per version, index 0 unused. Error correction level M.
+var QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+var QR_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+var QR_FORMAT_BITS_M = 0;
+
+function qrRawDataModules(version) {
+	var result = (16 * version + 128) * version + 64;
+	if(version >= 2) {
+		var aligns = Math.floor(version / 7) + 2;
+		result -= (25 * aligns - 10) * aligns - 55;
+		if(version >= 7) result -= 36;
+	}
+	return result;
+}
+
+function qrDataCodewords(version) {
+	return Math.floor(qrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ERROR_CORRECTION_BLOCKS[version];
+}
+
+function qrAlignmentPositions(version, size) {
+	if(version == 1) return [];
+	var aligns = Math.floor(version / 7) + 2;
+	var step = version == 32 ? 26 : Math.ceil((version * 4 + 4) / (aligns * 2 - 2)) * 2;
+	var result = [6];
+	for (var pos = size - 7; result.length < aligns; pos -= step) {
+		result.splice(1, 0, pos);
+	}
+	return result;
+}
+
+/****************************
+
+Reed-Solomon
+Error correction codewords over GF(256) with the QR polynomial 0x11D.
+
+****************************/
+
+function qrMultiply(x, y) {
+	var z = 0;
+	for (var i = 7; i >= 0; i--) {
+		z = (z << 1) ^ ((z >>> 7) * 0x11D);
+		z ^= ((y >>> i) & 1) * x;
+	}
+	return z;
+}
+
+function qrDivisor(degree) {
+	var result = [];
+	for (var i = 0; i < degree - 1; i++) result.push(0);
+	result.push(1);
+	var root = 1;
+	for (var i = 0; i < degree; i++) {
+		for (var j = 0; j < result.length; j++) {
+			result[j] = qrMultiply(result[j], root);
+			if(j + 1 < result.length) result[j] ^= result[j + 1];
+		}
+		root = qrMultiply(root, 0x02);
+	}
+	return result;
+}
+
+function qrRemainder(data, divisor) {
+	var result = divisor.map(function () { return 0; });
+	for (var i = 0; i < data.length; i++) {
+		var factor = data[i] ^ result.shift();
+		result.push(0);
+		for (var j = 0; j < result.length; j++) {
+			result[j] ^= qrMultiply(divisor[j], factor);
+		}
+	}
+	return result;
+}
+
+/****************************
+
+qrCodewords
+Data codewords of version for bytes, split into blocks with their error
+correction and interleaved as they are placed in the symbol.
+
+****************************/
+
+function qrCodewords(bytes, version) {
+	var bits = [];
+	function append(value, length) {
+		for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+	}
+	var capacity = qrDataCodewords(version) * 8;
+	append(4, 4); // byte mode
+	append(bytes.length, version < 10 ? 8 : 16);
+	for (var i = 0; i < bytes.length; i++) append(bytes[i], 8);
+	append(0, Math.min(4, capacity - bits.length));
+	append(0, (8 - bits.length % 8) % 8);
+	for (var pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+	var data = [];
+	for (var i = 0; i < bits.length; i += 8) {
+		var value = 0;
+		for (var j = 0; j < 8; j++) value = (value << 1) | bits[i + j];
+		data.push(value);
+	}
+
+	var blocks = QR_ERROR_CORRECTION_BLOCKS[version];
+	var ecclength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+	var raw = Math.floor(qrRawDataModules(version) / 8);
+	var shortblocks = blocks - raw % blocks;
+	var shortlength = Math.floor(raw / blocks);
+	var divisor = qrDivisor(ecclength);
+	var allblocks = [];
+	for (var i = 0, offset = 0; i < blocks; i++) {
+		var datalength = shortlength - ecclength + (i < shortblocks ? 0 : 1);
+		var block = data.slice(offset, offset + datalength);
+		offset += datalength;
+		var ecc = qrRemainder(block, divisor);
+		if(i < shortblocks) block.push(0); // placeholder, skipped below
+		allblocks.push(block.concat(ecc));
+	}
+	var result = [];
+	for (var i = 0; i < allblocks[0].length; i++) {
+		for (var j = 0; j < allblocks.length; j++) {
+			if(i != shortlength - ecclength || j >= shortblocks) result.push(allblocks[j][i]);
+		}
+	}
+	return result;
+}
+
+/****************************
+
+Symbol
+modules holds the colors, reserved marks function patterns that masks leave alone.
+
+****************************/
+
+function qrSymbol(version) {
+	var size = version * 4 + 17;
+	var symbol = {version: version, size: size, modules: [], reserved: []};
+	for (var y = 0; y < size; y++) {
+		symbol.modules.push(new Array(size).fill(false));
+		symbol.reserved.push(new Array(size).fill(false));
+	}
+	return symbol;
+}
+
+function qrSet(symbol, x, y, dark) {
+	symbol.modules[y][x] = dark;
+	symbol.reserved[y][x] = true;
+}
+
+function qrFinder(symbol, cx, cy) {
+	for (var dy = -4; dy <= 4; dy++) {
+		for (var dx = -4; dx <= 4; dx++) {
+			var x = cx + dx, y = cy + dy;
+			if(x < 0 || y < 0 || x >= symbol.size || y >= symbol.size) continue;
+			var distance = Math.max(Math.abs(dx), Math.abs(dy));
+			qrSet(symbol, x, y, distance != 2 && distance != 4);
+		}
+	}
+}
+
+function qrAlignment(symbol, cx, cy) {
+	for (var dy = -2; dy <= 2; dy++) {
+		for (var dx = -2; dx <= 2; dx++) {
+			qrSet(symbol, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) != 1);
+		}
+	}
+}
+
+function qrFormatBits(symbol, mask) {
+	var data = (QR_FORMAT_BITS_M << 3) | mask;
+	var remainder = data;
+	for (var i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+	var bits = ((data << 10) | remainder) ^ 0x5412;
+	function bit(i) { return ((bits >>> i) & 1) != 0; }
+	var size = symbol.size;
+	for (var i = 0; i <= 5; i++) qrSet(symbol, 8, i, bit(i));
+	qrSet(symbol, 8, 7, bit(6));
+	qrSet(symbol, 8, 8, bit(7));
+	qrSet(symbol, 7, 8, bit(8));
+	for (var i = 9; i < 15; i++) qrSet(symbol, 14 - i, 8, bit(i));
+	for (var i = 0; i < 8; i++) qrSet(symbol, size - 1 - i, 8, bit(i));
+	for (var i = 8; i < 15; i++) qrSet(symbol, 8, size - 15 + i, bit(i));
+	qrSet(symbol, 8, size - 8, true);
+}
+
+function qrVersionBits(symbol) {
+	if(symbol.version < 7) return;
+	var remainder = symbol.version;
+	for (var i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+	var bits = (symbol.version << 12) | remainder;
+	for (var i = 0; i < 18; i++) {
+		var dark = ((bits >>> i) & 1) != 0;
+		var a = symbol.size - 11 + i % 3;
+		var b = Math.floor(i / 3);
+		qrSet(symbol, a, b, dark);
+		qrSet(symbol, b, a, dark);
+	}
+}
+
+function qrFunctionPatterns(symbol) {
+	var size = symbol.size;
+	for (var i = 0; i < size; i++) {
+		qrSet(symbol, 6, i, i % 2 == 0);
+		qrSet(symbol, i, 6, i % 2 == 0);
+	}
+	qrFinder(symbol, 3, 3);
+	qrFinder(symbol, size - 4, 3);
+	qrFinder(symbol, 3, size - 4);
+	var positions = qrAlignmentPositions(symbol.version, size);
+	var last = positions.length - 1;
+	for (var i = 0; i < positions.length; i++) {
+		for (var j = 0; j < positions.length; j++) {
+			if((i == 0 && j == 0) || (i == 0 && j == last) || (i == last && j == 0)) continue;
+			qrAlignment(symbol, positions[i], positions[j]);
+		}
+	}
+	qrFormatBits(symbol, 0); // reserves the format area, drawn again with the chosen mask
+	qrVersionBits(symbol);
+}
+
+function qrPlaceCodewords(symbol, codewords) {
+	var size = symbol.size;
+	var i = 0;
+	for (var right = size - 1; right >= 1; right -= 2) {
+		if(right == 6) right = 5;
+		for (var vert = 0; vert < size; vert++) {
+			for (var j = 0; j < 2; j++) {
+				var x = right - j;
+				var y = ((right + 1) & 2) == 0 ? size - 1 - vert : vert;
+				if(!symbol.reserved[y][x] && i < codewords.length * 8) {
+					symbol.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) != 0;
+					i++;
+				}
+			}
+		}
+	}
+}
+
+function qrMaskBit(mask, x, y) {
+	switch(mask) {
+		case 0: return (x + y) % 2 == 0;
+		case 1: return y % 2 == 0;
+		case 2: return x % 3 == 0;
+		case 3: return (x + y) % 3 == 0;
+		case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 == 0;
+		case 5: return x * y % 2 + x * y % 3 == 0;
+		case 6: return (x * y % 2 + x * y % 3) % 2 == 0;
+		default: return ((x + y) % 2 + x * y % 3) % 2 == 0;
+	}
+}
+
+function qrApplyMask(symbol, mask) {
+	for (var y = 0; y < symbol.size; y++) {
+		for (var x = 0; x < symbol.size; x++) {
+			if(!symbol.reserved[y][x] && qrMaskBit(mask, x, y)) {
+				symbol.modules[y][x] = !symbol.modules[y][x];
+			}
+		}
+	}
+}
+
+/****************************
+
+qrPenalty
+Scores how hard a masked symbol is to scan: long runs, 2x2 blocks, finder-like
+patterns and unbalanced dark modules. The mask with the lowest score is used.
+
+****************************/
+
+function qrPenalty(symbol) {
+	var size = symbol.size;
+	var modules = symbol.modules;
+	var penalty = 0;
+	var dark = 0;
+	function line(get) {
+		var run = 1;
+		var pattern = "";
+		for (var i = 0; i < size; i++) {
+			pattern += get(i) ? "1" : "0";
+			if(i > 0 && get(i) == get(i - 1)) {
+				run++;
+				if(run == 5) penalty += 3;
+				else if(run > 5) penalty++;
+			} else {
+				run = 1;
+			}
+		}
+		var finderlike = /(?=(10111010000|00001011101))/g;
+		while(finderlike.exec(pattern) != null) {
+			penalty += 40;
+			finderlike.lastIndex++;
+		}
+	}
+	for (var y = 0; y < size; y++) {
+		line(function (x) { return modules[y][x]; });
+		line(function (x) { return modules[x][y]; });
+		for (var x = 0; x < size; x++) {
+			if(modules[y][x]) dark++;
+			if(x < size - 1 && y < size - 1) {
+				var color = modules[y][x];
+				if(color == modules[y][x + 1] && color == modules[y + 1][x] && color == modules[y + 1][x + 1]) penalty += 3;
+			}
+		}
+	}
+	var total = size * size;
+	penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+	return penalty;
+}
+
+function qrMatrix(text) {
+	var bytes = new TextEncoder().encode(text);
+	var version = 1;
+	while(version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+		version++;
+	}
+	if(version > 40) {
+		throw new Error("Too long for a QR code");
+	}
+	var symbol = qrSymbol(version);
+	qrFunctionPatterns(symbol);
+	qrPlaceCodewords(symbol, qrCodewords(bytes, version));
+
+	var best = 0;
+	var bestpenalty = Infinity;
+	for (var mask = 0; mask < 8; mask++) {
+		qrApplyMask(symbol, mask);
+		qrFormatBits(symbol, mask);
+		var penalty = qrPenalty(symbol);
+		if(penalty < bestpenalty) {
+			best = mask;
+			bestpenalty = penalty;
+		}
+		qrApplyMask(symbol, mask); // undo
+	}
+	qrApplyMask(symbol, best);
+	qrFormatBits(symbol, best);
+	return symbol.modules;
+}
+
+function drawQrCode(canvas, matrix, scale) {
+	var size = (matrix.length + 8) * scale;
+	canvas.width = size;
+	canvas.height = size;
+	var context = canvas.getContext("2d");
+	context.fillStyle = "#fff";
+	context.fillRect(0, 0, size, size);
+	context.fillStyle = "#000";
+	for (var y = 0; y < matrix.length; y++) {
+		for (var x = 0; x < matrix.length; x++) {
+			if(matrix[y][x]) context.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale);
+		}
+	}
+}
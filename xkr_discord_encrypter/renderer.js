@@ -0,0 +1,605 @@
+/****************************
+
+renderer
+Turns decrypted text into DOM nodes without ever parsing it as HTML.
+
+The text is parsed as Discord flavoured Markdown into blocks:
+	{type: "paragraph", text}
+	{type: "heading", level, text}
+	{type: "codeblock", language, code}
+	{type: "quote", blocks}
+	{type: "list", ordered, start, items: [{text, sublists}]}
+
+The text of blocks is parsed into inline nodes:
+	{type: "bold" | "italic" | "underline" | "strike" | "spoiler", children}
+	{type: "code", text}
+	{type: "mention", kind: "user" | "role" | "channel", id}, named by the platform
+	when it can, see mention in platforms.js. No platform shows role ids on the
+	page, so roles show as "@role" with their id in the title.
+and tokens:
+	{type: "text", text}
+	{type: "link", url}
+	{type: "emoji", name, unicode} for standard emoji, {type: "emoji", name, src, host} for custom ones
+	{type: "media", provider, kind: "iframe" | "image", src, host}, see embeds.js
+
+Everything is then built with createElement and textContent.
+Every attribute goes through an allowlist, and every URL is checked before it is set.
+Media is shown as a card that loads it when clicked, unless its host is trusted.
+So are custom emoji, and only on Discord, see renderCustomEmoji.
+
+Needs emojis.js and embeds.js.
+
+****************************/
+
+'use strict';
+
+var RENDER_ALLOWED_ATTRIBUTES = {
+	a: ["href", "target", "rel"],
+	blockquote: ["class"],
+	br: [],
+	code: ["class"],
+	em: [],
+	h1: [],
+	h2: [],
+	h3: [],
+	iframe: ["src", "allowfullscreen"],
+	img: ["src", "alt", "aria-label", "class", "draggable"],
+	li: [],
+	ol: ["start"],
+	pre: ["class"],
+	s: [],
+	span: ["class", "title"],
+	strong: [],
+	u: [],
+	ul: []
+};
+
+var RENDER_ALLOWED_URLS = {
+	a: /^https:\/\/[^\s"'<>]+$/,
+	iframe: /^https:\/\/(www\.(youtube-nocookie\.com|bitchute\.com)\/embed\/[A-Za-z0-9_-]+\/?|player\.vimeo\.com\/video\/[0-9]+\?dnt=1)$/,
+	img: /^https:\/\/[^\s"'<>]+$/
+};
+
+var URL_PATTERN = /https:\/\/[^\s"'<>]+/g; // stops where RENDER_ALLOWED_URLS.a would refuse the link
+var EMOJI_PATTERN = /<(a?):([A-Za-z0-9_]{2,32}):([0-9]{17,20})>|:([A-Za-z0-9_+-]+):/g;
+var CUSTOM_EMOJI_HOST = "cdn.discordapp.com";
+var MARKDOWN_LIMIT = 8000; // characters, longer text is shown without Markdown, parsing it could stall the page
+
+/****************************
+
+emojiToken
+The emoji token of a match of EMOJI_PATTERN, or null when it is no emoji.
+Standard emoji are written as ":joy:" and shown from EMOJI_SHORTCODES, custom
+emoji of a server as "<:name:id>", or "<a:name:id>" when animated, as typed by
+the sender, and loaded from Discord's CDN, see renderCustomEmoji. Nothing is
+looked up on the page.
+
+****************************/
+
+function emojiToken(match) {
+	if(match[3] != undefined) {
+		return {type: "emoji", name: ":" + match[2] + ":", src: "https://" + CUSTOM_EMOJI_HOST + "/emojis/" + match[3] + (match[1] == "a" ? ".gif" : ".webp") + "?size=48", host: CUSTOM_EMOJI_HOST};
+	}
+	if(!Object.prototype.hasOwnProperty.call(EMOJI_SHORTCODES, match[4])) {
+		return null;
+	}
+	return {type: "emoji", name: match[0], unicode: EMOJI_SHORTCODES[match[4]]};
+}
+
+function tokenizeText(text, tokens) {
+	var last = 0;
+	var match;
+	EMOJI_PATTERN.lastIndex = 0;
+	while((match = EMOJI_PATTERN.exec(text)) != null) {
+		var emoji = emojiToken(match);
+		if(emoji == null) {
+			EMOJI_PATTERN.lastIndex = match.index + 1; // the closing colon may open the next one
+			continue;
+		}
+		if(match.index > last) {
+			tokens.push({type: "text", text: text.substring(last, match.index)});
+		}
+		tokens.push(emoji);
+		last = match.index + match[0].length;
+	}
+	if(last < text.length) {
+		tokens.push({type: "text", text: text.substring(last)});
+	}
+}
+
+/****************************
+
+tokenizeMessage
+Splits decrypted text into text, link, emoji and media tokens, without Markdown.
+
+****************************/
+
+function tokenizeMessage(text) {
+	var tokens = [];
+	var last = 0;
+	var match;
+	URL_PATTERN.lastIndex = 0;
+	while((match = URL_PATTERN.exec(text)) != null) {
+		if(match.index > last) {
+			tokenizeText(text.substring(last, match.index), tokens);
+		}
+		tokens.push({type: "link", url: match[0]});
+		var media = embedFor(match[0]);
+		if(media != null) {
+			tokens.push(media);
+		}
+		last = match.index + match[0].length;
+	}
+	if(last < text.length) {
+		tokenizeText(text.substring(last), tokens);
+	}
+	return tokens;
+}
+
+/****************************
+
+parseBlocks
+Code blocks first, their content is never parsed. Then line by line:
+">>> " quotes the rest of the message, "> " one line, "# " to "### " are
+headings, "- ", "* " and "1. " list items, indented items nest. A new list
+starts where items switch between bullets and numbers.
+Quotes do not nest, like in Discord.
+
+****************************/
+
+var CODE_BLOCK_PATTERN = /```(?:([A-Za-z0-9_+#.-]+)\n)?\n?([\s\S]*?)```/g;
+var LIST_ITEM_PATTERN = /^( *)([-*]|[0-9]{1,9}\.) +(.*)$/;
+var HEADING_PATTERN = /^(#{1,3}) +(.+)$/;
+
+function parseBlocks(text, inquote) {
+	var blocks = [];
+	var last = 0;
+	var match;
+	CODE_BLOCK_PATTERN.lastIndex = 0;
+	while((match = CODE_BLOCK_PATTERN.exec(text)) != null) {
+		if(match[2] == "") continue; // ``````
+		if(match.index > last) {
+			parseLines(text.substring(last, match.index).replace(/\n$/, ""), inquote, blocks);
+		}
+		blocks.push({type: "codeblock", language: match[1] == undefined ? null : match[1], code: match[2].replace(/\n$/, "")});
+		last = match.index + match[0].length;
+		if(text[last] == "\n") last++; // the block already ends the line
+	}
+	if(last < text.length) {
+		parseLines(text.substring(last), inquote, blocks);
+	}
+	return blocks;
+}
+
+function parseLines(text, inquote, blocks) {
+	var lines = text.split("\n");
+	var paragraph = [];
+	function flush() {
+		if(paragraph.length > 0) {
+			blocks.push({type: "paragraph", text: paragraph.join("\n")});
+			paragraph = [];
+		}
+	}
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i];
+		var match;
+		if(!inquote && /^>>> ?/.test(line)) {
+			flush();
+			blocks.push({type: "quote", blocks: parseBlocks([line.replace(/^>>> ?/, "")].concat(lines.slice(i + 1)).join("\n"), true)});
+			return;
+		}
+		if(!inquote && /^> /.test(line)) {
+			flush();
+			var quoted = [];
+			while(i < lines.length && /^> /.test(lines[i])) {
+				quoted.push(lines[i].substring(2));
+				i++;
+			}
+			i--;
+			blocks.push({type: "quote", blocks: parseBlocks(quoted.join("\n"), true)});
+		} else if((match = HEADING_PATTERN.exec(line)) != null) {
+			flush();
+			blocks.push({type: "heading", level: match[1].length, text: match[2]});
+		} else if(LIST_ITEM_PATTERN.test(line)) {
+			flush();
+			var entries = [];
+			while(i < lines.length && (match = LIST_ITEM_PATTERN.exec(lines[i])) != null) {
+				entries.push({indent: match[1].length, marker: match[2], text: match[3]});
+				i++;
+			}
+			i--;
+			blocks.push.apply(blocks, buildLists(entries));
+		} else {
+			paragraph.push(line);
+		}
+	}
+	flush();
+}
+
+// Entries indented deeper than the first one nest under the item before them
+function buildLists(entries) {
+	var indent = entries[0].indent;
+	var lists = [];
+	var list = null;
+	for (var i = 0; i < entries.length; i++) {
+		if(entries[i].indent > indent && list != null) {
+			var nested = [];
+			while(i < entries.length && entries[i].indent > indent) {
+				nested.push(entries[i]);
+				i++;
+			}
+			i--;
+			list.items[list.items.length - 1].sublists = buildLists(nested);
+		} else {
+			var ordered = /^[0-9]/.test(entries[i].marker);
+			if(list == null || list.ordered != ordered) {
+				list = {type: "list", ordered: ordered, start: parseInt(entries[i].marker, 10) || 1, items: []};
+				lists.push(list);
+			}
+			list.items.push({text: entries[i].text, sublists: []});
+		}
+	}
+	return lists;
+}
+
+/****************************
+
+parseInline
+Inline Markdown of text, tried at every character in the order of INLINE_RULES.
+Text between matches becomes text tokens.
+An underscore only starts italics at the start of a word, so snake_case stays.
+
+Whoever has the key picks the text, so parsing must stay fast on anything:
+a rule with an opening delimiter that found no closing one is not tried again
+further on, there is none there either. Formatting nests at most
+INLINE_DEPTH_LIMIT deep, and code spans are found by scanning for the closing
+run of backticks, see codeSpan.
+
+****************************/
+
+var INLINE_RULES = [
+	{type: "escape", pattern: /\\([^A-Za-z0-9\s])/y},
+	{type: "emoji", pattern: new RegExp(EMOJI_PATTERN.source, "y")},
+	{type: "code"},
+	{type: "spoiler", pattern: /\|\|([\s\S]+?)\|\|/y, open: /\|\|/y},
+	{type: "bold", pattern: /\*\*([\s\S]+?)\*\*(?!\*)/y, open: /\*\*/y},
+	{type: "underline", pattern: /__([\s\S]+?)__(?!_)/y, open: /__/y},
+	{type: "italic", pattern: /\*(?=\S)([\s\S]*?\S)\*(?!\*)/y, open: /\*(?=\S)/y},
+	{type: "italic", pattern: /_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9_])/y, open: /_(?=\S)/y, wordstart: true},
+	{type: "strike", pattern: /~~([\s\S]+?)~~/y, open: /~~/y},
+	{type: "mention", pattern: /<(@!?|@&|#)([0-9]{1,20})>/y},
+	{type: "link", pattern: /https:\/\/[^\s"'<>]*[^\s"'<>.,:;!?)\]*_~|]/y}
+];
+var INLINE_START = /[\\`|*_~<:h]/;
+var MENTION_KINDS = {"@": "user", "@!": "user", "@&": "role", "#": "channel"};
+var INLINE_DEPTH_LIMIT = 8; // deeper formatting stays text, a run of * would otherwise nest once per 4 of them
+
+function parseInline(text, depth) {
+	if(depth == undefined) depth = 0;
+	var nodes = [];
+	var plain = "";
+	var unclosed = []; // rule index -> position from which on the rule has no closing delimiter
+	var i = 0;
+	while(i < text.length) {
+		var match = null;
+		var rule = null;
+		if(INLINE_START.test(text[i])) {
+			for (var r = 0; r < INLINE_RULES.length && match == null; r++) {
+				rule = INLINE_RULES[r];
+				if(rule.wordstart && i > 0 && /[A-Za-z0-9]/.test(text[i - 1])) continue;
+				if(rule.open != undefined && (depth >= INLINE_DEPTH_LIMIT || (unclosed[r] != undefined && unclosed[r] <= i))) continue;
+				if(rule.type == "code") {
+					match = text[i] == "`" ? codeSpan(text, i) : null;
+					continue;
+				}
+				rule.pattern.lastIndex = i;
+				match = rule.pattern.exec(text);
+				if(match != null && rule.type == "emoji" && emojiToken(match) == null) match = null;
+				if(match == null && rule.open != undefined) {
+					rule.open.lastIndex = i;
+					if(rule.open.test(text)) unclosed[r] = i;
+				}
+			}
+		}
+		if(match == null) {
+			var skip = text[i] == "`" ? backtickRun(text, i) : 1; // a run of backticks without its closing run is text
+			plain += text.substr(i, skip);
+			i += skip;
+			continue;
+		}
+		if(plain != "") {
+			nodes.push({type: "text", text: plain});
+			plain = "";
+		}
+		if(rule.type == "escape") {
+			nodes.push({type: "text", text: match[1]});
+		} else if(rule.type == "emoji") {
+			nodes.push(emojiToken(match));
+		} else if(rule.type == "code") {
+			var code = match[2];
+			if(code[0] == " " && code[code.length - 1] == " " && code.indexOf("`") != -1) code = code.substring(1, code.length - 1);
+			nodes.push({type: "code", text: code});
+		} else if(rule.type == "mention") {
+			nodes.push({type: "mention", kind: MENTION_KINDS[match[1]], id: match[2]});
+		} else if(rule.type == "link") {
+			nodes.push({type: "link", url: match[0]});
+			var media = embedFor(match[0]);
+			if(media != null) {
+				nodes.push(media);
+			}
+		} else {
+			nodes.push({type: rule.type, children: parseInline(match[1], depth + 1)});
+		}
+		i += match[0].length;
+	}
+	if(plain != "") {
+		nodes.push({type: "text", text: plain});
+	}
+	return nodes;
+}
+
+/****************************
+
+codeSpan
+The code span opened by the run of backticks at start, as a match [span, run, code],
+or null when no run of as many backticks closes it. Longer and shorter runs
+inside belong to the code.
+
+****************************/
+
+function codeSpan(text, start) {
+	var length = backtickRun(text, start);
+	var i = start + length;
+	while((i = text.indexOf("`", i)) != -1) {
+		var run = backtickRun(text, i);
+		if(run == length) {
+			return [text.substring(start, i + run), text.substr(start, length), text.substring(start + length, i)];
+		}
+		i += run;
+	}
+	return null;
+}
+
+function backtickRun(text, start) {
+	var end = start;
+	while(text[end] == "`") end++;
+	return end - start;
+}
+
+/****************************
+
+createSafeElement
+createElement with the attribute allowlist applied.
+Attributes that are not allowed, or URLs that do not match, are dropped.
+
+****************************/
+
+function createSafeElement(tag, attributes) {
+	var allowed = RENDER_ALLOWED_ATTRIBUTES[tag];
+	if(allowed == undefined) {
+		throw new Error("Element not allowed: " + tag);
+	}
+	var element = document.createElement(tag);
+	for (var name in attributes) {
+		if(allowed.indexOf(name) == -1) continue;
+		if((name == "href" || name == "src") && !RENDER_ALLOWED_URLS[tag].test(attributes[name])) continue;
+		element.setAttribute(name, attributes[name]);
+	}
+	return element;
+}
+
+function renderToken(token, context) {
+	var fragment = document.createDocumentFragment();
+	if(token.type == "text") {
+		fragment.appendChild(document.createTextNode(token.text));
+	} else if(token.type == "link") {
+		var link = createSafeElement("a", {href: token.url, target: "_blank", rel: "noopener noreferrer"});
+		link.textContent = token.url;
+		fragment.appendChild(link);
+	} else if(token.type == "emoji" && token.unicode != undefined) {
+		var emoji = createSafeElement("span", {"class": "xkrEmoji", title: token.name});
+		emoji.textContent = token.unicode;
+		fragment.appendChild(emoji);
+	} else if(token.type == "emoji") {
+		fragment.appendChild(renderCustomEmoji(token, context));
+	} else if(token.type == "media") {
+		fragment.appendChild(createSafeElement("br", {}));
+		fragment.appendChild(createSafeElement("br", {}));
+		fragment.appendChild(isTrustedEmbedHost(token.host) ? renderMedia(token) : renderEmbedCard(token));
+	}
+	return fragment;
+}
+
+/****************************
+
+renderCustomEmoji
+Loading a custom emoji tells Discord our IP address. On other platforms they are
+not the platform's own and stay text. On Discord they load like media, right
+away once the user trusts Discord's CDN, otherwise from a small card.
+
+****************************/
+
+function renderCustomEmoji(token, context) {
+	if(!context.customemoji) {
+		return document.createTextNode(token.name);
+	}
+	return isTrustedEmbedHost(token.host) ? renderMedia(token) : renderEmbedCard(token);
+}
+
+function renderMedia(token) {
+	var media;
+	if(token.type == "emoji") {
+		media = createSafeElement("img", {src: token.src, alt: token.name, "aria-label": token.name, "class": "emoji", draggable: "false"});
+	} else if(token.kind == "image") {
+		media = createSafeElement("img", {src: token.src, alt: ""});
+		media.style.maxHeight = "600px";
+		media.style.maxWidth = "600px";
+	} else {
+		media = createSafeElement("iframe", {src: token.src, allowfullscreen: ""});
+		media.style.width = "99%";
+		media.style.maxWidth = "700px";
+		media.style.height = "400px";
+	}
+	return media;
+}
+
+/****************************
+
+renderEmbedCard
+Placeholder of media that is not loaded yet. Loading keeps the card and only
+hides its text, the text of the message must not change, see renderedmessages in inject.js.
+
+****************************/
+
+var embedcards = new WeakMap(); // card -> media token, for the cards still waiting
+
+function renderEmbedCard(token) {
+	var emoji = token.type == "emoji";
+	var card = createSafeElement("span", {"class": emoji ? "xkrEmbed xkrEmojiCard" : "xkrEmbed", title: token.src});
+	var label = createSafeElement("span", {"class": "xkrEmbedLabel"});
+	label.textContent = emoji ? token.name : (token.kind == "image" ? "Image" : "Video") + " from " + token.host + ", not loaded";
+	card.appendChild(label);
+	card.appendChild(embedAction("Load", function () {
+		loadEmbedCard(card);
+	}));
+	card.appendChild(embedAction("Always load from " + token.host, function () {
+		trustEmbedHost(token.host);
+		var cards = document.querySelectorAll(".xkrEmbed:not(.loaded)");
+		for (var i = 0; i < cards.length; i++) {
+			if(embedcards.has(cards[i]) && embedcards.get(cards[i]).host == token.host) loadEmbedCard(cards[i]);
+		}
+	}));
+	embedcards.set(card, token);
+	return card;
+}
+
+function embedAction(text, action) {
+	var link = createSafeElement("span", {"class": "xkrEmbedAction"});
+	link.textContent = text;
+	link.addEventListener("click", function (event) {
+		event.preventDefault();
+		event.stopPropagation();
+		action();
+	});
+	return link;
+}
+
+function loadEmbedCard(card) {
+	var token = embedcards.get(card);
+	if(token == undefined) return;
+	embedcards.delete(card);
+	card.classList.add("loaded");
+	card.removeAttribute("title");
+	card.appendChild(renderMedia(token));
+}
+
+function renderTokens(tokens, context) {
+	var fragment = document.createDocumentFragment();
+	for (var i = 0; i < tokens.length; i++) {
+		fragment.appendChild(renderToken(tokens[i], context));
+	}
+	return fragment;
+}
+
+var INLINE_ELEMENTS = {bold: "strong", italic: "em", underline: "u", strike: "s"};
+var MENTION_PREFIXES = {user: "@", role: "@", channel: "#"};
+var MENTION_FALLBACKS = {user: "unknown-user", role: "role", channel: "unknown-channel"};
+
+/****************************
+
+renderInline
+context is {mentions, customemoji, tokens}. mentions(kind, id) returns the name
+to show for a mention, or null. customemoji is true where custom emoji may be
+loaded, see renderCustomEmoji. Every token rendered is added to context.tokens.
+
+****************************/
+
+function renderInline(nodes, context) {
+	var fragment = document.createDocumentFragment();
+	nodes.forEach(function (node) {
+		var element;
+		if(INLINE_ELEMENTS[node.type] != undefined) {
+			element = createSafeElement(INLINE_ELEMENTS[node.type], {});
+			element.appendChild(renderInline(node.children, context));
+		} else if(node.type == "spoiler") {
+			element = createSafeElement("span", {"class": "xkrSpoiler", title: "Spoiler, click to show"});
+			element.appendChild(renderInline(node.children, context));
+			element.addEventListener("click", function () {
+				element.classList.add("revealed");
+				element.removeAttribute("title");
+			});
+		} else if(node.type == "code") {
+			element = createSafeElement("code", {"class": "xkrInlineCode"});
+			element.textContent = node.text;
+			context.tokens.push(node);
+		} else if(node.type == "mention") {
+			var name = context.mentions == undefined ? null : context.mentions(node.kind, node.id);
+			element = createSafeElement("span", {"class": "xkrMention", title: node.kind + " " + node.id});
+			element.textContent = MENTION_PREFIXES[node.kind] + (name == null ? MENTION_FALLBACKS[node.kind] : name);
+			context.tokens.push(node);
+		} else {
+			element = renderToken(node, context);
+			context.tokens.push(node);
+		}
+		fragment.appendChild(element);
+	});
+	return fragment;
+}
+
+function renderBlocks(blocks, context) {
+	var fragment = document.createDocumentFragment();
+	blocks.forEach(function (block) {
+		var element;
+		if(block.type == "paragraph") {
+			element = renderInline(parseInline(block.text), context);
+		} else if(block.type == "heading") {
+			element = createSafeElement("h" + block.level, {});
+			element.appendChild(renderInline(parseInline(block.text), context));
+		} else if(block.type == "codeblock") {
+			element = createSafeElement("pre", {"class": "xkrCodeBlock"});
+			var code = createSafeElement("code", {});
+			code.textContent = block.code;
+			element.appendChild(code);
+		} else if(block.type == "quote") {
+			element = createSafeElement("blockquote", {"class": "xkrQuote"});
+			element.appendChild(renderBlocks(block.blocks, context));
+		} else if(block.type == "list") {
+			element = renderList(block, context);
+		}
+		fragment.appendChild(element);
+	});
+	return fragment;
+}
+
+function renderList(list, context) {
+	var element = list.ordered ? createSafeElement("ol", {start: String(list.start)}) : createSafeElement("ul", {});
+	list.items.forEach(function (item) {
+		var li = createSafeElement("li", {});
+		li.appendChild(renderInline(parseInline(item.text), context));
+		item.sublists.forEach(function (sublist) {
+			li.appendChild(renderList(sublist, context));
+		});
+		element.appendChild(li);
+	});
+	return element;
+}
+
+/****************************
+
+renderMessage
+Replaces the content of node with the rendered text and returns the tokens in it.
+mentions and customemoji are optional, see renderInline.
+
+****************************/
+
+function renderMessage(node, text, mentions, customemoji) {
+	node.textContent = "";
+	var context = {mentions: mentions, customemoji: customemoji == true, tokens: []};
+	if(text.length > MARKDOWN_LIMIT) {
+		var tokens = tokenizeMessage(text);
+		node.appendChild(renderTokens(tokens, context));
+		return tokens;
+	}
+	node.appendChild(renderBlocks(parseBlocks(text, false), context));
+	return context.tokens;
+}
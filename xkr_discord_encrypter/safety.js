@@ -0,0 +1,94 @@
+/****************************
+
+safety
+Safety numbers: a short fingerprint of the passphrase a channel encrypts with,
+see stablePassphrase in keyring.js, as words and as emoji. Teammates read them
+to each other over another channel, a call or in person. The same safety number
+means the same keys, a different one means someone typed a key differently.
+
+It is expanded from the passphrase stretched with PBKDF2, like the keys of
+messages, see stretchPassphrase in envelope.js. Others may see or hear it, and
+checking a guessed password against it costs as much as against a message.
+The emoji are the 64 of Matrix's SAS verification, chosen to be easy to name.
+
+The safety number that was last confirmed for a channel is stored under
+"verified:" + channel url as {v: SAFETY_VERSION, words}, so the popup notices
+when the keys change. Numbers of other versions are not compared.
+
+Needs envelope.js and wordlist.js.
+
+****************************/
+
+'use strict';
+
+var SAFETY_CONTEXT = "xkr-safety:";
+var SAFETY_VERSION = 1;
+var SAFETY_WORD_COUNT = 5; // about 64 bits
+var SAFETY_EMOJI_COUNT = 7; // 42 bits
+var SAFETY_EMOJI = [
+	["🐶", "dog"], ["🐱", "cat"], ["🦁", "lion"], ["🐎", "horse"], ["🦄", "unicorn"], ["🐷", "pig"], ["🐘", "elephant"], ["🐰", "rabbit"],
+	["🐼", "panda"], ["🐓", "rooster"], ["🐧", "penguin"], ["🐢", "turtle"], ["🐟", "fish"], ["🐙", "octopus"], ["🦋", "butterfly"], ["🌷", "flower"],
+	["🌳", "tree"], ["🌵", "cactus"], ["🍄", "mushroom"], ["🌏", "globe"], ["🌙", "moon"], ["☁️", "cloud"], ["🔥", "fire"], ["🍌", "banana"],
+	["🍎", "apple"], ["🍓", "strawberry"], ["🌽", "corn"], ["🍕", "pizza"], ["🎂", "cake"], ["❤️", "heart"], ["😀", "smiley"], ["🤖", "robot"],
+	["🎩", "hat"], ["👓", "glasses"], ["🔧", "spanner"], ["🎅", "santa"], ["👍", "thumbs up"], ["☂️", "umbrella"], ["⌛", "hourglass"], ["⏰", "clock"],
+	["🎁", "gift"], ["💡", "light bulb"], ["📕", "book"], ["✏️", "pencil"], ["📎", "paperclip"], ["✂️", "scissors"], ["🔒", "lock"], ["🔑", "key"],
+	["🔨", "hammer"], ["☎️", "telephone"], ["🏁", "flag"], ["🚂", "train"], ["🚲", "bicycle"], ["✈️", "aeroplane"], ["🚀", "rocket"], ["🏆", "trophy"],
+	["⚽", "ball"], ["🎸", "guitar"], ["🎺", "trumpet"], ["🔔", "bell"], ["⚓", "anchor"], ["🎧", "headphones"], ["📁", "folder"], ["📌", "pin"]
+];
+
+/****************************
+
+safetyNumber
+Resolves to {words, emoji, names} of passphrase, e.g.
+	{words: "ample bony ...", emoji: "🐶🔑...", names: "dog key ..."}
+
+****************************/
+
+function safetyNumber(passphrase) {
+	// the passphrase is bound to the channel ids, so a fixed salt still differs for every channel
+	return crypto.subtle.digest("SHA-256", envelopeEncoder.encode(SAFETY_CONTEXT)).then(function (hash) {
+		return stretchPassphrase(passphrase, new Uint8Array(hash).slice(0, SALT_BYTES));
+	}).then(function (stretched) {
+		return expandBytes(stretched, SAFETY_CONTEXT, 16 + SAFETY_EMOJI_COUNT);
+	}).then(function (bytes) {
+		var number = BigInt(0);
+		for (var i = 0; i < 16; i++) {
+			number = (number << BigInt(8)) | BigInt(bytes[i]);
+		}
+		var words = [];
+		for (var i = 0; i < SAFETY_WORD_COUNT; i++) {
+			words.push(DICEWARE_WORDS[Number(number % BigInt(DICEWARE_WORDS.length))]);
+			number = number / BigInt(DICEWARE_WORDS.length);
+		}
+		var emoji = [];
+		for (var i = 0; i < SAFETY_EMOJI_COUNT; i++) {
+			emoji.push(SAFETY_EMOJI[bytes[16 + i] & 63]);
+		}
+		return {
+			words: words.join(" "),
+			emoji: emoji.map(function (entry) { return entry[0]; }).join(""),
+			names: emoji.map(function (entry) { return entry[1]; }).join(", ")
+		};
+	});
+}
+
+/****************************
+
+matchesSafetyNumber
+Whether text is the words, the emoji or the emoji names of safety, as typed or pasted by the user.
+Case, spacing, punctuation and emoji variation selectors do not matter.
+
+****************************/
+
+function safetyWords(text) {
+	return text.toLowerCase().split(/[^a-z-]+/).filter(function (word) { return word != ""; }).join(" ");
+}
+
+function matchesSafetyNumber(text, safety) {
+	var words = safetyWords(text);
+	if(words != "" && (words == safety.words || words == safetyWords(safety.names))) {
+		return true;
+	}
+	var emoji = text.replace(/[\s,\uFE0F]/g, "");
+	return emoji != "" && emoji == safety.emoji.replace(/\uFE0F/g, "");
+}
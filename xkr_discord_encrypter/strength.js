@@ -0,0 +1,207 @@
+/****************************
+
+strength
+Estimates how hard a server or channel key is to guess, and makes diceware passphrases.
+
+The estimate is in bits of entropy. Words of the diceware list count log2(7776)
+bits each, other parts count by the kinds of characters in them, with little for
+repeats and sequences like "aaaa" or "1234". Common passwords count almost nothing.
+
+The least level a new key needs is set on the options page and stored under
+"keystrength", see STRENGTH_LEVELS. Keys from invites are taken as they are.
+
+Needs wordlist.js.
+
+****************************/
+
+'use strict';
+
+var STRENGTH_LEVELS = [
+	{label: "very weak", bits: 0},
+	{label: "weak", bits: 28},
+	{label: "fair", bits: 36},
+	{label: "strong", bits: 60},
+	{label: "very strong", bits: 80}
+];
+var DEFAULT_KEY_STRENGTH = 2; // fair
+var DICEWARE_LENGTH = 6; // words, about 77 bits
+var DICEWARE_BITS = Math.log2(7776);
+
+// Most used passwords from public leaks, lower case
+var COMMON_PASSWORDS = [
+	"123456", "password", "12345678", "qwerty", "123456789", "12345", "1234", "111111",
+	"1234567", "dragon", "123123", "baseball", "abc123", "football", "monkey", "letmein",
+	"696969", "shadow", "master", "666666", "qwertyuiop", "123321", "mustang", "1234567890",
+	"michael", "654321", "superman", "1qaz2wsx", "7777777", "121212", "000000", "qazwsx",
+	"123qwe", "killer", "trustno1", "jordan", "jennifer", "zxcvbnm", "asdfgh", "hunter",
+	"buster", "soccer", "harley", "batman", "andrew", "tigger", "sunshine", "iloveyou",
+	"2000", "charlie", "robert", "thomas", "hockey", "ranger", "daniel", "starwars",
+	"112233", "george", "computer", "michelle", "jessica", "pepper", "1111",
+	"zxcvbn", "555555", "11111111", "131313", "freedom", "777777", "pass", "maggie",
+	"159753", "aaaaaa", "ginger", "princess", "joshua", "cheese", "amanda", "summer",
+	"love", "ashley", "nicole", "chelsea", "biteme", "matthew", "access", "yankees",
+	"987654321", "dallas", "austin", "thunder", "taylor", "matrix", "admin", "welcome",
+	"passw0rd", "p@ssw0rd", "password1", "qwerty123", "secret", "discord", "kryptokrona",
+	"changeme", "default", "guest", "login", "hello", "whatever", "xkr"
+];
+
+function diceIndex() {
+	if(diceIndex.words == undefined) {
+		diceIndex.words = {};
+		DICEWARE_WORDS.forEach(function (word) { diceIndex.words[word] = true; });
+	}
+	return diceIndex.words;
+}
+
+// Number of characters a guesser has to try for each character of part
+function characterPool(part) {
+	var pool = 0;
+	if(/[a-z]/.test(part)) pool += 26;
+	if(/[A-Z]/.test(part)) pool += 26;
+	if(/[0-9]/.test(part)) pool += 10;
+	if(/[ -\/:-@\[-`{-~]/.test(part)) pool += 33;
+	if(/[^\x00-\x7f]/.test(part)) pool += 100;
+	return pool;
+}
+
+// "p@ssw0rd" is guessed as early as "password"
+function unleet(part) {
+	return part.toLowerCase().replace(/[@4]/g, "a").replace(/3/g, "e").replace(/[1!]/g, "i").replace(/0/g, "o").replace(/[$5]/g, "s").replace(/7/g, "t");
+}
+
+function isCommonPassword(part) {
+	var lower = part.toLowerCase();
+	if(COMMON_PASSWORDS.indexOf(unleet(part)) != -1) return true;
+	// "Password1!" is as common as "password"
+	var stripped = lower.replace(/[0-9!@#$%^&*?._-]+$/, "");
+	return COMMON_PASSWORDS.indexOf(lower) != -1 || (stripped.length >= 4 && COMMON_PASSWORDS.indexOf(stripped) != -1);
+}
+
+// Longest diceware word of 5 letters or more in part, as {start, length}, or null
+function findWord(part) {
+	var plain = unleet(part);
+	for (var length = plain.length; length >= 5; length--) {
+		for (var start = 0; start + length <= plain.length; start++) {
+			if(diceIndex()[plain.substr(start, length)]) return {start: start, length: length};
+		}
+	}
+	return null;
+}
+
+/****************************
+
+partBits
+Entropy of a part of a key without whitespace. Words in it count as diceware
+words, characters that repeat the one before or continue a sequence count one bit.
+
+****************************/
+
+function partBits(part, found) {
+	if(part == "") {
+		return 0;
+	}
+	if(diceIndex()[part.toLowerCase()]) {
+		return DICEWARE_BITS;
+	}
+	if(isCommonPassword(part)) {
+		found.common = true;
+		return 4;
+	}
+	var word = findWord(part);
+	if(word != null) {
+		return DICEWARE_BITS + partBits(part.substring(0, word.start), found) + partBits(part.substring(word.start + word.length), found);
+	}
+	var each = Math.log2(characterPool(part));
+	var bits = 0;
+	var characters = Array.from(part);
+	for (var i = 0; i < characters.length; i++) {
+		var step = i == 0 ? 0 : characters[i].codePointAt(0) - characters[i - 1].codePointAt(0);
+		if(i > 0 && (step == 0 || step == 1 || step == -1)) {
+			found.pattern = true;
+			bits += 1;
+		} else {
+			bits += each;
+		}
+	}
+	return bits;
+}
+
+/****************************
+
+estimateStrength
+{bits, level, label, warning} of key. level indexes STRENGTH_LEVELS,
+warning says what makes the key weak, or is "".
+
+****************************/
+
+function estimateStrength(key) {
+	var found = {common: false, pattern: false};
+	var bits = 0;
+	var parts = key.split(/\s+/).filter(function (part) { return part != ""; });
+	parts.forEach(function (part) {
+		bits += partBits(part, found);
+	});
+	if(parts.length > 0 && isCommonPassword(key.replace(/\s+/g, ""))) {
+		found.common = true;
+		bits = Math.min(bits, 4);
+	}
+	bits = Math.floor(bits);
+	var level = 0;
+	for (var i = 0; i < STRENGTH_LEVELS.length; i++) {
+		if(bits >= STRENGTH_LEVELS[i].bits) level = i;
+	}
+	var warning = "";
+	if(level >= 3) {
+		// strong enough, whatever is in it
+	} else if(found.common) {
+		warning = "This is one of the most used passwords.";
+	} else if(found.pattern) {
+		warning = "Repeats and sequences like aaa or 123 are easy to guess.";
+	} else if(level < DEFAULT_KEY_STRENGTH) {
+		warning = "Make it longer, or generate a passphrase.";
+	}
+	return {bits: bits, level: level, label: STRENGTH_LEVELS[level].label, warning: warning};
+}
+
+function readKeyStrength(stored) {
+	return stored == undefined ? DEFAULT_KEY_STRENGTH : Number(stored);
+}
+
+/****************************
+
+keyProblem
+Why key cannot be used as a new key when keys need level minimum, or null when it is fine.
+
+****************************/
+
+function keyProblem(key, minimum) {
+	if(key.trim() == "") {
+		return "The key is empty.";
+	}
+	var strength = estimateStrength(key);
+	if(strength.level < minimum) {
+		return "The key is " + strength.label + ", it has to be at least " + STRENGTH_LEVELS[minimum].label + ". " + strength.warning;
+	}
+	return null;
+}
+
+/****************************
+
+dicewarePassphrase
+words random words of the diceware list, separated by spaces.
+
+****************************/
+
+function dicewarePassphrase(words) {
+	words = words || DICEWARE_LENGTH;
+	var picked = [];
+	var random = new Uint32Array(1);
+	var limit = Math.floor(0x100000000 / DICEWARE_WORDS.length) * DICEWARE_WORDS.length;
+	while(picked.length < words) {
+		crypto.getRandomValues(random);
+		if(random[0] < limit) { // no modulo bias
+			picked.push(DICEWARE_WORDS[random[0] % DICEWARE_WORDS.length]);
+		}
+	}
+	return picked.join(" ");
+}
@@ -0,0 +1,353 @@
+/****************************
+
+themes
+The styles added to Discord: THEME_MESSAGE_STYLE for the parts the extension adds
+to messages, always, then the theme picked on the options page, then the CSS
+the user wrote there.
+
+Themes ship everything they use inside the extension, nothing is loaded from
+other sites:
+	{id, name, files: [stylesheets of the extension], css}
+"{extension}" in css is the URL of the extension's files, see themeCss.
+
+Stored as
+	"theme"      id of the theme, see readTheme
+	"customcss"  the user's CSS, added after the theme
+
+applyTheme replaces what an earlier call added, so themes change without reloading Discord.
+
+****************************/
+
+'use strict';
+
+var DEFAULT_THEME = "vapor";
+
+var THEME_MESSAGE_STYLE = `
+.xkrBadge {
+	margin-left: 6px;
+	padding: 0 4px;
+	border-radius: 3px;
+	font-size: 10px;
+	color: #fff;
+	cursor: default;
+}
+
+.xkrBadge.verified { background-color: #43b581; }
+.xkrBadge.unknown { background-color: #747f8d; }
+.xkrBadge.changed { background-color: #f04747; cursor: pointer; }
+.xkrBadge.unsigned { background-color: #4f545c; }
+.xkrBadge.failed { background-color: #f04747; margin-left: 0; }
+.xkrBadge.failed.nokey, .xkrBadge.failed.unsupported, .xkrBadge.failed.deferred { background-color: #747f8d; }
+.xkrBadge.failed.wrongkey, .xkrBadge.failed.corrupted { background-color: #faa61a; }
+
+.xkrFailureAction {
+	margin-right: 6px;
+	font-size: 12px;
+	cursor: pointer;
+}
+
+.xkrRetry { display: block; margin-top: 4px; }
+
+.xkrRetryInput {
+	margin-right: 6px;
+	padding: 2px 6px;
+	border: none;
+	border-radius: 3px;
+	background-color: #40444b;
+	color: #dcddde;
+	font-size: 12px;
+}
+
+.xkrRetryResult { font-size: 12px; }
+
+.xkrCiphertext {
+	display: block;
+	margin-top: 4px;
+	font-size: 11px;
+	word-break: break-all;
+	color: #b9bbbe;
+}
+
+.xkrSpoiler {
+	border-radius: 3px;
+	background-color: #202225;
+	color: transparent;
+	cursor: pointer;
+}
+
+.xkrSpoiler > * { visibility: hidden; }
+.xkrSpoiler.revealed { background-color: rgba(255, 255, 255, 0.1); color: inherit; cursor: auto; }
+.xkrSpoiler.revealed > * { visibility: visible; }
+
+.xkrEmoji { font-size: 1.375em; line-height: 1; vertical-align: -0.1em; }
+
+.xkrMention {
+	padding: 0 2px;
+	border-radius: 3px;
+	background-color: rgba(88, 101, 242, 0.3);
+	color: #dee0fc;
+}
+
+.xkrInlineCode, .xkrCodeBlock {
+	font-family: Consolas, "Courier New", monospace;
+	background-color: #2f3136;
+	border-radius: 3px;
+}
+
+.xkrInlineCode { padding: 0 3px; font-size: 85%; }
+
+.xkrCodeBlock {
+	margin: 4px 0;
+	padding: 6px 8px;
+	border: 1px solid #202225;
+	white-space: pre-wrap;
+	font-size: 14px;
+}
+
+.xkrQuote {
+	margin: 0;
+	padding: 0 8px 0 12px;
+	border-left: 4px solid #4f545c;
+}
+
+.xkrEmbed {
+	display: inline-block;
+	padding: 8px 12px;
+	border-left: 4px solid #4f545c;
+	border-radius: 4px;
+	background-color: #2f3136;
+	font-size: 13px;
+}
+
+.xkrEmbed.loaded { padding: 0; border: none; background: none; }
+.xkrEmbed.loaded > span { display: none; }
+.xkrEmbedLabel { display: block; margin-bottom: 4px; color: #b9bbbe; }
+.xkrEmojiCard { padding: 0 6px; border-left-width: 2px; }
+.xkrEmojiCard .xkrEmbedLabel { display: inline; margin: 0 6px 0 0; }
+
+.xkrEmbedAction {
+	margin-right: 8px;
+	color: #00b0f4;
+	cursor: pointer;
+}
+
+.xkrCompose {
+	position: fixed;
+	z-index: 1000;
+	display: none;
+	flex-direction: column;
+	justify-content: center;
+	box-sizing: border-box;
+	padding: 6px 12px;
+	border-radius: 8px;
+	background-color: #40444b;
+	box-shadow: 0 0 0 2px #43b581;
+}
+
+.xkrCompose.open { display: flex; }
+
+.xkrComposeInput {
+	resize: none;
+	border: none;
+	outline: none;
+	background: transparent;
+	color: #dcddde;
+	font-size: 15px;
+	line-height: 22px;
+	max-height: 50vh;
+}
+
+.xkrComposeHint {
+	font-size: 11px;
+	color: #72767d;
+}
+`;
+
+var THEMES = [
+	{id: "none", name: "None, Discord as it is", files: [], css: ""},
+	{id: "default", name: "Default", files: [], css: `
+.encryptedMessageContainer {
+	overflow: hidden;
+	background-color: #2f3136;
+	border-left: 1px solid #484c52;
+}
+`},
+	{id: "vapor", name: "Vapor", files: ["GlowStatus.css"], css: `
+/* Based on the Chloe theme by Satoru, http://discord.gg/fjvwb95 */
+
+:root { 
+	--light: rgba(0, 0, 0, .0); 		/* Overall brightness. 1= black, 0 = transparent */
+	--userlight:rgba(0, 0, 0, 0.2) ;		/* Brightness for the userpopouts */
+	--homeIcon: url('') ;
+
+
+	--mc: rgba(44, 104, 96, 0.8);		/* Main colour. Larger items, backgrounds. */
+	--sc: rgba(214, 67, 69, 0.8);		/* Accent/Secondary colour. Borders, notifications & such.  */
+	--bc: rgba(214, 67, 69, 0.8);       /* All borders/box shadows. You should match this to your mc or sc colour. */
+
+	--round: 50%;                          /* Overall Icon roundness */
+	
+	--font: Consolas,Liberation Mono,Menlo,Courier,monospace; /* Discord default - Whitney,Helvetica Neue,Helvetica,Arial,sans-serif  */
+	--fontSize: 13px;
+	--textColour: #fff;
+
+	--block: none;                        /* Show/Hide blocked msgs */
+
+	--sGlow: 5px 2px; /* Blur/Thickness Default: 5px 2px */
+
+    --online: #43b581;
+    --offline: #747f8d;
+    --idle: #faa61a;
+    --stream: #593695;
+    --dnd: #f04747;
+    --invis: #1a36fa;
+}
+
+#app-mount {background: url('{extension}images/vaporwave.png') center/cover no-repeat}
+.userPopout-3XzG_A {background: url('{extension}images/vaporwave.png') center/cover no-repeat}
+
+/*,#app-mount .channels-Ie2l6A 
+#app-mount .wrapper-1Rf91z , .membersWrap-2h-GB4 {
+background-color: #1a1a1d !important;
+}
+ 
+
+*/
+
+
+#app-mount .channels-Ie2l6A .name-3_Dsmg {
+    color: #fff;
+}
+
+#app-mount .chat-3bRxxu .wrapper-3WhCwL,#app-mount  .username-_4ZSMR {
+	    text-shadow: none !important;
+}
+
+#app-mount  .username-_4ZSMR, .dividerContent-2L12VI {
+	color:white !important;
+}
+.theme-dark .topic-TCb_qw {
+    color: #ffffff;
+}
+.modeUnread-1zpFdA {
+    background-color: #0000007a;
+    border-radius: 10px;
+	margin-top:8px;
+}
+
+
+.modeUnread-1zpFdA:hover {
+    background-color: #ffffff00;
+}
+
+#app-mount .channels-Ie2l6A .wrapper-1ucjTd.modeUnread-1zpFdA .name-3_Dsmg, #app-mount .channels-Ie2l6A .modeUnread-1zpFdA .icon-1_QxNX {
+        color: #fff;
+
+}
+
+
+.theme-dark .markup-2BOw-j a {
+    color: #f5ff00;
+    background-color: black;
+}
+
+.containerCozyBounded-1rKFAn {
+    background-color: #000000a3;
+	max-width:500px;
+	margin-bottom:20px;
+}
+
+#app-mount .encryptedMessageContainer {
+    background-color: black;
+    border: 1px solid rgb(255, 0, 102);
+	max-width:500px;
+	margin-top:20px;
+	margin-bottom:20px;
+}
+
+#app-mount .widermessage {
+	max-width:800px;
+}
+
+#app-mount .evenwidermessage {
+	max-width:90%;
+}
+
+#app-mount .containsImage {
+		max-width:90%;
+background-color: #ffffff00;
+}
+`},
+	{id: "midnight", name: "Midnight", files: [], css: `
+#app-mount, #app-mount .theme-dark {
+	--background-primary: #000;
+	--background-secondary: #0b0b0d;
+	--background-tertiary: #000;
+}
+
+#app-mount .encryptedMessageContainer {
+	overflow: hidden;
+	background-color: #0b0b0d;
+	border-left: 2px solid #43b581;
+	max-width: 800px;
+}
+
+#app-mount .encryptedMessageContainer .markup-2BOw-j {
+	color: #d4f5e2 !important;
+}
+
+#app-mount .containsImage, #app-mount .evenwidermessage {
+	max-width: 90%;
+}
+`}
+];
+
+function readTheme(obj) {
+	var id = obj["theme"];
+	if(id == undefined && obj["vapormode"] != undefined) {
+		id = obj["vapormode"] == "true" ? "vapor" : "default"; // set by earlier versions
+	}
+	return findTheme(id) == null ? DEFAULT_THEME : id;
+}
+
+function findTheme(id) {
+	for (var i = 0; i < THEMES.length; i++) {
+		if(THEMES[i].id == id) return THEMES[i];
+	}
+	return null;
+}
+
+function themeCss(theme) {
+	return theme.css.replace(/\{extension\}/g, chrome.runtime.getURL(""));
+}
+
+/****************************
+
+applyTheme
+Adds the styles of theme id and the custom css to doc, the Discord page or the
+preview on the options page, and removes the ones added before.
+
+****************************/
+
+function applyTheme(doc, id, customcss) {
+	var added = doc.querySelectorAll("[data-xkr-theme]");
+	for (var i = 0; i < added.length; i++) {
+		added[i].remove();
+	}
+	var theme = findTheme(id) || findTheme(DEFAULT_THEME);
+	var styles = [THEME_MESSAGE_STYLE, themeCss(theme), customcss == undefined ? "" : customcss];
+	theme.files.forEach(function (file) {
+		var link = doc.createElement("link");
+		link.rel = "stylesheet";
+		link.href = chrome.runtime.getURL(file);
+		link.setAttribute("data-xkr-theme", file);
+		doc.head.appendChild(link);
+	});
+	styles.forEach(function (css, index) {
+		var styleSheet = doc.createElement("style");
+		styleSheet.type = "text/css";
+		styleSheet.textContent = css;
+		styleSheet.setAttribute("data-xkr-theme", ["messages", theme.id, "custom"][index]);
+		doc.head.appendChild(styleSheet);
+	});
+}
@@ -0,0 +1,183 @@
+/****************************
+
+vault
+Server and channel keys encrypted at rest with a master password.
+
+Without a vault, key rings are stored in chrome.storage.local in plaintext, see keyring.js.
+Once a vault is created they move into it, stored under "vault" as
+
+	{v: 1, kdf: "PBKDF2-SHA256", iter, salt, nonce, data}
+
+salt, nonce and data are base64. data is the AES-256-GCM encryption of
+a JSON object mapping storage keys to key rings, e.g. {"guild:1234": {keys: [...]}}.
+
+The background page holds the vault while it is unlocked, and locks it again
+when the browser is idle for "vaultidle" minutes, when the screen is locked, or
+when the browser closes. Everyone else asks the background page for the keys,
+see readKeyStore and writeKeyStore. Content scripts only get the key rings of
+the channel they ask about, and only for a channel of the chat they run on.
+
+"vaultstate" is "locked" or "unlocked", so pages can react in storage.onChanged.
+It holds no secret.
+
+Identity keys, peer keys and trust are not in the vault. The private identity
+keys stay in chrome.storage.local as they are, see identity.js.
+
+Needs envelope.js.
+
+****************************/
+
+'use strict';
+
+var VAULT_VERSION = 1;
+var VAULT_ITERATIONS = 310000;
+var VAULT_CONTEXT = "XKR-Discord-Encrypter/vault/v1";
+var VAULT_IDLE_MINUTES = 15; // default for "vaultidle"
+var VAULT_KEY_PATTERN = /^(guild:|channel:|discordapp\.com\/channels\/)/;
+
+function isVaultKey(name) {
+	return VAULT_KEY_PATTERN.test(name);
+}
+
+/****************************
+
+readKeyStore
+Calls back with (everything in chrome.storage.local with the key rings from the vault, locked).
+locked is true when there is a vault but it is locked, the key rings are missing then.
+Content scripts pass the route of their channel, see channelRoute in keyring.js,
+and get only its key rings from the vault.
+
+****************************/
+
+function readKeyStore(callback, route) {
+	chrome.storage.local.get(null, function (obj) {
+		if(obj["vault"] == undefined) {
+			callback(obj, false);
+			return;
+		}
+		var request = route == undefined ? {action: "vaultget"} : {action: "vaultget", guild: route.guild, channel: route.channel};
+		chrome.runtime.sendMessage(request, function (response) {
+			if(chrome.runtime.lastError || response == undefined || response.entries == null) {
+				callback(obj, true);
+				return;
+			}
+			callback(Object.assign(obj, response.entries), false);
+		});
+	});
+}
+
+/****************************
+
+writeKeyStore
+Stores key rings, entries maps storage keys to key rings, or to null to remove them.
+Goes into the vault when there is one. Calls back with an error message or null.
+
+****************************/
+
+function writeKeyStore(entries, callback) {
+	callback = callback || function () {};
+	chrome.storage.local.get("vault", function (obj) {
+		if(obj["vault"] != undefined) {
+			chrome.runtime.sendMessage({action: "vaultset", entries: entries}, function (response) {
+				callback(chrome.runtime.lastError || response == undefined ? "The vault could not be reached" : response.error);
+			});
+			return;
+		}
+		var removed = [];
+		var stored = {};
+		for (var name in entries) {
+			if(entries[name] == null) {
+				removed.push(name);
+			} else {
+				stored[name] = entries[name];
+			}
+		}
+		chrome.storage.local.remove(removed, function () {
+			chrome.storage.local.set(stored, function () {
+				callback(null);
+			});
+		});
+	});
+}
+
+/****************************
+
+deriveVaultKey
+PBKDF2-SHA256 from the master password and the vault salt.
+
+****************************/
+
+function deriveVaultKey(password, salt, iterations) {
+	return crypto.subtle.importKey("raw", envelopeEncoder.encode(password), "PBKDF2", false, ["deriveKey"]).then(function (material) {
+		return crypto.subtle.deriveKey(
+			{name: "PBKDF2", hash: "SHA-256", salt: salt, iterations: iterations},
+			material,
+			{name: "AES-GCM", length: 256},
+			false,
+			["encrypt", "decrypt"]
+		);
+	});
+}
+
+/****************************
+
+sealVault
+Resolves to the vault to store, with entries encrypted under key.
+stored is the vault as stored before, its kdf parameters are kept.
+
+****************************/
+
+function sealVault(stored, key, entries) {
+	var nonce = crypto.getRandomValues(new Uint8Array(12));
+	return crypto.subtle.encrypt(
+		{name: "AES-GCM", iv: nonce, additionalData: envelopeEncoder.encode(VAULT_CONTEXT)},
+		key,
+		envelopeEncoder.encode(JSON.stringify(entries))
+	).then(function (data) {
+		return {v: VAULT_VERSION, kdf: "PBKDF2-SHA256", iter: stored.iter, salt: stored.salt, nonce: bytesToBase64(nonce), data: bytesToBase64(new Uint8Array(data))};
+	});
+}
+
+/****************************
+
+openVault
+Resolves to {key, entries}, rejects when the password is wrong.
+
+****************************/
+
+function openVault(stored, password) {
+	if(stored.v != VAULT_VERSION || stored.kdf != "PBKDF2-SHA256") {
+		return Promise.reject(new Error("Unsupported vault"));
+	}
+	var key;
+	return deriveVaultKey(password, base64ToBytes(stored.salt), stored.iter).then(function (derived) {
+		key = derived;
+		return crypto.subtle.decrypt(
+			{name: "AES-GCM", iv: base64ToBytes(stored.nonce), additionalData: envelopeEncoder.encode(VAULT_CONTEXT)},
+			key,
+			base64ToBytes(stored.data)
+		);
+	}).then(function (data) {
+		return {key: key, entries: JSON.parse(envelopeDecoder.decode(new Uint8Array(data)))};
+	}, function () {
+		throw new Error("Wrong master password");
+	});
+}
+
+/****************************
+
+createVault
+Resolves to {key, stored} for a new, empty vault protected by password.
+
+****************************/
+
+function createVault(password) {
+	var stored = {iter: VAULT_ITERATIONS, salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16)))};
+	var key;
+	return deriveVaultKey(password, base64ToBytes(stored.salt), stored.iter).then(function (derived) {
+		key = derived;
+		return sealVault(stored, key, {});
+	}).then(function (sealed) {
+		return {key: key, stored: sealed};
+	});
+}